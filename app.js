@@ -9,12 +9,20 @@ const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy or load balancer, TRUST_PROXY makes req.ip the client's address (used by the
+// authentication rate limits), e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Security Middleware
 app.use(helmet());
 app.use(cors()); // Enable CORS for all routes
 
-// Logging Middleware
-app.use(morgan('dev'));
+// Logging Middleware (quiet while the tests run)
+if (process.env.NODE_ENV !== 'test') {
+    app.use(morgan('dev'));
+}
 
 // Body Parser Middleware
 app.use(bodyParser.json());
@@ -24,6 +32,7 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // This is already handled by process.env.PORT or the fallback 3000
 
 // Routes - structured by feature/entity
+app.use('/api/auth/mfa', require('./routes/mfaRoutes'));
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/roles', require('./routes/roleRoutes'));
@@ -32,9 +41,15 @@ app.use('/api/projects', require('./routes/projectRoutes'));
 app.use('/api/farmers', require('./routes/farmerRoutes'));
 app.use('/api/farmer-types', require('./routes/farmerTypeRoutes'));
 app.use('/api/quarters', require('./routes/quarterRoutes'));
+app.use('/api/trainings', require('./routes/trainingRoutes'));
 app.use('/api/chats', require('./routes/chatRoutes'));
+app.use('/api/chat-groups', require('./routes/chatGroupRoutes'));
 app.use('/api/dashboard', require('./routes/dashboardRoutes')); // For dashboard summary stats
 app.use('/api/data-analysis', require('./routes/dataAnalysisRoutes')); // For reporting and analysis
+app.use('/api/audit-logs', require('./routes/auditLogRoutes'));
+app.use('/api/lockouts', require('./routes/lockoutRoutes'));
+app.use('/api/email-deliveries', require('./routes/emailDeliveryRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
 
 // Welcome Route
 app.get('/', (req, res) => {
@@ -47,6 +62,15 @@ app.use((err, req, res, next) => {
     res.status(500).json({ message: 'Something went wrong!', error: err.message });
 });
 
-app.listen(PORT, () => {
-    console.log(`FORS API listening on port ${PORT}`);
-});
\ No newline at end of file
+// Only listen when started directly, so tests can load the app with the in-memory backend
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        console.log(`FORS API listening on port ${PORT}`);
+    });
+    // Live chat delivery, typing indicators and presence on /api/chats/socket
+    require('./utils/chatSocket').attachChatSocket(server);
+    // Resends failed invitation, notification and digest emails in the background
+    require('./utils/email').startEmailRetryWorker();
+}
+
+module.exports = app;
\ No newline at end of file
@@ -1,8 +1,64 @@
 // middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
-const supabase = require('../config/supabaseClient');
+const { userSessions } = require('../repositories');
+const { getUserAccess } = require('../utils/accessCache');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
 
-const authenticateToken = (req, res, next) => {
+// Verifies an access token and resolves the user's status, role and permissions (through the access cache).
+// Resolves to { user } with the token payload plus roleId, roleName and permissions from the database, or to
+// { status, body } describing the refusal. The token's session is checked every time (not cached), so logging
+// out or revoking a session takes effect immediately; tokens issued before sessions existed carry no sessionId
+// and are refused. Users flagged with must_change_password are refused unless allowPasswordChange is set.
+// Also used by the chat socket (utils/chatSocket.js).
+const verifyAccessToken = async (token, { allowPasswordChange = false } = {}) => {
+    let user;
+    try {
+        user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return { status: 403, body: { message: 'Invalid or expired token.' } };
+    }
+
+    if (!user.sessionId) {
+        return { status: 401, body: { message: 'Session has expired or was revoked. Please sign in again.' } };
+    }
+
+    let access = null;
+    let session = null;
+    try {
+        [access, session] = await Promise.all([
+            getUserAccess(user.userId),
+            userSessions.findActive(user.sessionId, { select: 'id, user_id' })
+        ]);
+    } catch (error) {
+        console.error('Error verifying user status:', error);
+    }
+
+    if (!access || !access.isActive) {
+        return { status: 403, body: { message: 'User is inactive or not found.' } };
+    }
+
+    if (!session || session.user_id !== user.userId) {
+        return { status: 401, body: { message: 'Session has expired or was revoked. Please sign in again.' } };
+    }
+
+    if (access.mustChangePassword && !allowPasswordChange) {
+        return { status: 403, body: { message: 'You must change your password before continuing.', passwordChangeRequired: true } };
+    }
+
+    return {
+        user: {
+            ...user,
+            roleId: access.roleId,
+            roleName: access.roleName,
+            permissions: access.permissions,
+            mustChangePassword: access.mustChangePassword
+        }
+    };
+};
+
+// Middleware: sets req.user from the Bearer token (see verifyAccessToken). Routes that use
+// authenticateForPasswordChange (changing the password, logging out) also admit users who must change theirs.
+const authenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -10,84 +66,63 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Authentication token required.' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
-        if (err) {
-            return res.status(403).json({ message: 'Invalid or expired token.' });
-        }
-        req.user = user; // Attach user payload from token to request
-
-        // Optionally, re-verify user's active status from DB
-        const { data, error } = await supabase
-            .from('users')
-            .select('is_active, activation_status')
-            .eq('id', req.user.userId)
-            .single();
+    const result = await verifyAccessToken(token, { allowPasswordChange });
+    if (!result.user) {
+        return res.status(result.status).json(result.body);
+    }
 
-        if (error || !data || !data.is_active || data.activation_status === false) {
-            return res.status(403).json({ message: 'User is inactive or not found.' });
-        }
-        next();
-    });
+    req.user = result.user;
+    next();
 };
 
+const authenticateToken = authenticate();
+
+const authenticateForPasswordChange = authenticate({ allowPasswordChange: true });
+
 const authorizeRole = (requiredRoleName) => {
-    return async (req, res, next) => {
-        const { data: userWithRole, error: userError } = await supabase
-            .from('users')
-            .select(`
-                id,
-                role:roles(
-                    role_name
-                )
-            `)
-            .eq('id', req.user.userId)
-            .single();
-
-        if (userError || !userWithRole || !userWithRole.role) {
+    return (req, res, next) => {
+        if (!req.user.roleName) {
             return res.status(403).json({ message: 'User role not found or access denied.' });
         }
 
-        if (userWithRole.role.role_name !== requiredRoleName) {
+        if (req.user.roleName !== requiredRoleName) {
             return res.status(403).json({ message: `Access denied. Requires ${requiredRoleName} role.` });
         }
         next();
     };
 };
 
-const authorizePermission = (permissionCode) => {
+// Checks req.user.permissions (set by authenticateToken). mode 'any' passes with one of the codes, 'all' needs every one.
+const requirePermissions = (mode, permissionCodes) => {
+    const codeList = permissionCodes.join(mode === 'any' ? ' or ' : ', ');
     return async (req, res, next) => {
-        const { data: userPermissions, error: permissionError } = await supabase
-            .from('users')
-            .select(`
-                id,
-                role:roles(
-                    role_permissions(
-                        permission:permissions(
-                            permission_code
-                        )
-                    )
-                )
-            `)
-            .eq('id', req.user.userId)
-            .single();
-
-        if (permissionError || !userPermissions || !userPermissions.role || !userPermissions.role.role_permissions) {
-            return res.status(403).json({ message: 'User permissions not found or access denied.' });
-        }
+        const granted = req.user.permissions || [];
+        const allowed = mode === 'any'
+            ? permissionCodes.some(code => granted.includes(code))
+            : permissionCodes.every(code => granted.includes(code));
 
-        const hasPermission = userPermissions.role.role_permissions.some(rp =>
-            rp.permission && rp.permission.permission_code === permissionCode
-        );
-
-        if (!hasPermission) {
-            return res.status(403).json({ message: `Access denied. Requires permission: ${permissionCode}` });
+        if (!allowed) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.ACCESS_DENIED, entityType: 'permission', entityId: codeList, metadata: { reason: 'missing permission' } });
+            return res.status(403).json({ message: `Access denied. Requires permission: ${codeList}` });
         }
         next();
     };
 };
 
+// requireAny('ANALYZE_DATA', 'ANALYZE_PROJECT_DATA') passes when the user has at least one of the permissions
+const requireAny = (...permissionCodes) => requirePermissions('any', permissionCodes);
+
+// requireAll('EDIT_ROLES', 'VIEW_PERMISSIONS') passes only when the user has every permission
+const requireAll = (...permissionCodes) => requirePermissions('all', permissionCodes);
+
+const authorizePermission = (permissionCode) => requireAll(permissionCode);
+
 module.exports = {
+    verifyAccessToken,
     authenticateToken,
+    authenticateForPasswordChange,
     authorizeRole,
-    authorizePermission
-};
\ No newline at end of file
+    authorizePermission,
+    requireAny,
+    requireAll
+};
@@ -0,0 +1,88 @@
+// middleware/rateLimit.js
+// Per-IP request limits for the public authentication endpoints. Counters live in the rate limit store
+// (utils/rateLimitStore.js), so limits are shared between instances once a shared store is plugged in.
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+
+const IP_KEY_PREFIX = 'ip:';
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Limits shared by login, verify-otp, resend-otp and the password reset endpoints
+const authRateLimitSettings = () => ({
+    max: positiveNumber(process.env.AUTH_RATE_LIMIT_MAX, 100),
+    windowMs: positiveNumber(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 15) * 60 * 1000
+});
+
+// Token refreshes are counted separately, so clients refreshing in the background do not use up the sign-in budget
+const refreshRateLimitSettings = () => ({
+    max: positiveNumber(process.env.REFRESH_RATE_LIMIT_MAX, 300),
+    windowMs: positiveNumber(process.env.REFRESH_RATE_LIMIT_WINDOW_MINUTES, 15) * 60 * 1000
+});
+
+// Settings of each named limit, used when listing the counters
+const LIMIT_SETTINGS = {
+    auth: authRateLimitSettings,
+    refresh: refreshRateLimitSettings
+};
+
+// Middleware factory: allows settings().max requests per IP in each window of settings().windowMs. name
+// separates the counters of unrelated limits. Answers 429 with a Retry-After header once the limit is hit.
+// If the store fails the request is let through, so an outage of a shared store does not lock everyone out.
+const ipRateLimit = (name, settings = authRateLimitSettings) => async (req, res, next) => {
+    const { max, windowMs } = settings();
+    let counter = null;
+    try {
+        counter = await getRateLimitStore().increment(`${IP_KEY_PREFIX}${name}:${req.ip}`, windowMs);
+    } catch (error) {
+        console.error('Error updating rate limit:', error);
+    }
+
+    if (counter && counter.count > max) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({ message: 'Too many requests. Please try again later.', retryAfterSeconds });
+    }
+    next();
+};
+
+const authRateLimit = ipRateLimit('auth');
+const refreshRateLimit = ipRateLimit('refresh', refreshRateLimitSettings);
+
+// Keys look like ip:<limit name>:<address>; addresses may contain colons (IPv6)
+const parseIpKey = (key) => {
+    const rest = key.slice(IP_KEY_PREFIX.length);
+    const separator = rest.indexOf(':');
+    return { limit: rest.slice(0, separator), ip: rest.slice(separator + 1) };
+};
+
+// Current per-IP counters of the authentication limits, blocked addresses first
+const listIpCounters = async () => {
+    const entries = await getRateLimitStore().list(IP_KEY_PREFIX);
+    return entries
+        .map(({ key, value }) => {
+            const counter = parseIpKey(key);
+            const settings = LIMIT_SETTINGS[counter.limit] || authRateLimitSettings;
+            return { ...counter, requests: value, blocked: value > settings().max };
+        })
+        .sort((a, b) => Number(b.blocked) - Number(a.blocked) || b.requests - a.requests);
+};
+
+// Resets every counter of an address. Resolves to the number of counters removed.
+const clearIpCounters = async (ip) => {
+    const store = getRateLimitStore();
+    const entries = await store.list(IP_KEY_PREFIX);
+    const matching = entries.filter(({ key }) => parseIpKey(key).ip === ip);
+    await Promise.all(matching.map(({ key }) => store.delete(key)));
+    return matching.length;
+};
+
+module.exports = {
+    ipRateLimit,
+    authRateLimit,
+    refreshRateLimit,
+    listIpCounters,
+    clearIpCounters
+};
@@ -0,0 +1,50 @@
+// middleware/validateRequest.js
+// Validates req.params, req.query and req.body against the schemas in schemas/ (see utils/validation.js).
+// Every failing field is reported in a single 400 response:
+//
+//     { message: 'Validation failed.', errors: [{ location: 'body', field: 'email', message: 'email must be a valid email address.' }] }
+//
+// On success the validated values (trimmed, converted and in the casing of oneOf lists) replace the raw ones in
+// req.params and req.body, so handlers store normalized input. Express 5 makes req.query a read-only getter,
+// so the validated query string is set on req.validatedQuery instead. Fields without a rule are kept as sent;
+// fields with a rule that were sent empty ('' or null) are removed, so handlers treat them as not sent.
+
+const REQUEST_LOCATIONS = ['params', 'query', 'body'];
+
+// Builds the 400 response body used for every validation failure
+const validationFailure = (errors) => ({ message: 'Validation failed.', errors });
+
+// The raw input with the validated values applied and the empty fields of the schema removed
+const applyValidated = (raw, schema, value) => {
+    const result = { ...raw, ...value };
+    Object.keys(schema.fields).forEach(field => {
+        if (!(field in value)) delete result[field];
+    });
+    return result;
+};
+
+// Middleware factory: validateRequest({ params, query, body }), each a schema and all optional
+const validateRequest = (schemas) => (req, res, next) => {
+    const errors = [];
+    const values = {};
+    REQUEST_LOCATIONS.forEach(location => {
+        if (!schemas[location]) return;
+        const result = schemas[location].validate(req[location]);
+        result.errors.forEach(error => errors.push({ location, ...error }));
+        values[location] = result.value;
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json(validationFailure(errors));
+    }
+
+    if (values.params) Object.assign(req.params, values.params);
+    if (values.query) req.validatedQuery = applyValidated(req.query, schemas.query, values.query);
+    if (values.body) req.body = applyValidated(req.body, schemas.body, values.body);
+    next();
+};
+
+module.exports = {
+    validateRequest,
+    validationFailure
+};
@@ -0,0 +1,34 @@
+// repositories/auditLogRepository.js
+const { Repository } = require('./repository');
+
+class AuditLogRepository extends Repository {
+    constructor(database) {
+        super(database, 'audit_logs');
+    }
+
+    // A page of audit entries, newest first; resolves to { rows, total }
+    listPage(where, range) {
+        return this.findAndCount({
+            select: `
+                id,
+                action,
+                entity_type,
+                entity_id,
+                before_values,
+                after_values,
+                metadata,
+                created_at,
+                actor:users(
+                    id,
+                    full_name,
+                    email
+                )
+            `,
+            where,
+            orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+            range
+        });
+    }
+}
+
+module.exports = { AuditLogRepository };
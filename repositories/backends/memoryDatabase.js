@@ -0,0 +1,448 @@
+// repositories/backends/memoryDatabase.js
+// Data-access backend that keeps every table in process memory, for running the API locally and in
+// automated tests without a Supabase project. It follows the same contract as the Supabase backend:
+// PostgREST-style select strings with embedded relations, the same where clause format, and errors
+// carrying the PostgreSQL error code for unique (23505) and foreign key (23503) violations.
+const crypto = require('crypto');
+const { TABLES } = require('../schema');
+const MEMORY_FUNCTIONS = require('./memoryFunctions');
+
+class MemoryDatabaseError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'MemoryDatabaseError';
+        this.code = code;
+    }
+}
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && NUMERIC.test(value));
+
+// Postgres compares an integer column with '5' as 5; route parameters always arrive as strings
+const looseEqual = (a, b) => {
+    if (a === null || a === undefined || b === null || b === undefined) return false;
+    if (isNumeric(a) && isNumeric(b)) return Number(a) === Number(b);
+    return String(a) === String(b);
+};
+
+const compareValues = (a, b) => {
+    if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+    const left = String(a);
+    const right = String(b);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+};
+
+const likeToRegExp = (pattern, flags) => {
+    let source = '';
+    for (let i = 0; i < pattern.length; i += 1) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            i += 1;
+            source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '.*';
+        } else if (char === '_') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, flags);
+};
+
+const OPERATORS = {
+    eq: (value, operand) => looseEqual(value, operand),
+    neq: (value, operand) => value !== null && value !== undefined && !looseEqual(value, operand),
+    gt: (value, operand) => value !== null && value !== undefined && compareValues(value, operand) > 0,
+    gte: (value, operand) => value !== null && value !== undefined && compareValues(value, operand) >= 0,
+    lt: (value, operand) => value !== null && value !== undefined && compareValues(value, operand) < 0,
+    lte: (value, operand) => value !== null && value !== undefined && compareValues(value, operand) <= 0,
+    in: (value, operand) => operand.some(item => looseEqual(value, item)),
+    is: (value, operand) => (operand === null ? value === null || value === undefined : value === operand),
+    not: (value, operand) => (operand === null ? value !== null && value !== undefined : value !== operand),
+    like: (value, operand) => value !== null && value !== undefined && likeToRegExp(operand, 's').test(String(value)),
+    ilike: (value, operand) => value !== null && value !== undefined && likeToRegExp(operand, 'is').test(String(value))
+};
+
+const matchesCondition = (value, condition) => {
+    if (condition === null) return value === null || value === undefined;
+    if (Array.isArray(condition)) return OPERATORS.in(value, condition);
+    if (typeof condition !== 'object') return looseEqual(value, condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (!OPERATORS[operator]) throw new MemoryDatabaseError(`Unsupported filter operator "${operator}".`, 'PGRST100');
+        return OPERATORS[operator](value, operand);
+    });
+};
+
+const matchesWhere = (row, where = {}) => Object.entries(where).every(([column, condition]) => {
+    if (column === 'or') return condition.some(group => matchesWhere(row, group));
+    return matchesCondition(row[column], condition);
+});
+
+// Unless nullsFirst is given, Postgres sorts NULLs last when ascending and first when descending
+const sortRows = (rows, orderBy = []) => [...rows].sort((a, b) => {
+    for (const { column, ascending = true, nullsFirst = !ascending } of orderBy) {
+        const left = a[column];
+        const right = b[column];
+        const leftMissing = left === null || left === undefined;
+        const rightMissing = right === null || right === undefined;
+        let result = 0;
+        if (leftMissing || rightMissing) {
+            if (leftMissing !== rightMissing) result = leftMissing === nullsFirst ? -1 : 1;
+        } else {
+            result = ascending ? compareValues(left, right) : compareValues(right, left);
+        }
+        if (result !== 0) return result;
+    }
+    return 0;
+});
+
+// Splits a select string on the commas that are not inside an embed's parentheses
+const splitTopLevel = (text) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth += 1;
+        if (char === ')') depth -= 1;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// Parses a PostgREST select string such as "id, name, project:projects!project_id(id, name), sessions:training_sessions(count)"
+const parseSelect = (select) => splitTopLevel(select).map(item => {
+    if (item === '*') return { type: 'all' };
+    if (item === 'count' || item === 'count()') return { type: 'count' };
+
+    const embed = item.match(/^(?:(\w+):)?(\w+)((?:!\w+)*)\(([\s\S]*)\)$/);
+    if (embed) {
+        const [, alias, table, modifiers, inner] = embed;
+        const hints = modifiers.split('!').filter(Boolean);
+        return {
+            type: 'embed',
+            alias: alias || table,
+            table,
+            hint: hints.find(hint => hint !== 'inner' && hint !== 'left') || null,
+            inner: hints.includes('inner'),
+            children: parseSelect(inner)
+        };
+    }
+
+    const column = item.match(/^(?:(\w+):)?(\w+)(?:::\w+)?$/);
+    if (column) return { type: 'column', alias: column[1] || column[2], name: column[2] };
+
+    throw new MemoryDatabaseError(`Unsupported select item "${item}".`, 'PGRST100');
+});
+
+const definitionOf = (name) => {
+    const definition = TABLES[name];
+    if (!definition) throw new MemoryDatabaseError(`Could not find the table '${name}' in the schema cache.`, 'PGRST205');
+    return definition;
+};
+
+const foreignKeysOf = (name) => Object.entries(definitionOf(name).foreignKeys || {});
+
+// Finds the single relationship an embed refers to: a foreign key on the parent table (to-one) or a
+// foreign key on the embedded table pointing back at the parent (to-many). Like PostgREST, an
+// ambiguous embed without a hint is an error.
+const findRelation = (parentTable, node) => {
+    const candidates = [
+        ...foreignKeysOf(parentTable)
+            .filter(([column, fk]) => fk.table === node.table && (!node.hint || node.hint === column))
+            .map(([column]) => ({ kind: 'one', column })),
+        ...foreignKeysOf(node.table)
+            .filter(([column, fk]) => fk.table === parentTable && (!node.hint || node.hint === column))
+            .map(([column]) => ({ kind: 'many', column }))
+    ];
+
+    if (candidates.length === 0) {
+        throw new MemoryDatabaseError(`Could not find a relationship between '${parentTable}' and '${node.table}' in the schema cache.`, 'PGRST200');
+    }
+    if (candidates.length > 1) {
+        throw new MemoryDatabaseError(`Could not embed because more than one relationship was found for '${parentTable}' and '${node.table}'.`, 'PGRST201');
+    }
+    return candidates[0];
+};
+
+const primaryKeyColumns = (name) => {
+    const { primaryKey } = definitionOf(name);
+    return Array.isArray(primaryKey) ? primaryKey : [primaryKey];
+};
+
+const sameKey = (name, a, b) => primaryKeyColumns(name).every(column => looseEqual(a[column], b[column]));
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+class MemoryTable {
+    constructor(database, name) {
+        definitionOf(name);
+        this.database = database;
+        this.name = name;
+    }
+
+    get rows() {
+        return this.database.tables[this.name];
+    }
+
+    project(row, nodes, tableName = this.name) {
+        const result = {};
+        nodes.forEach(node => {
+            if (node.type === 'all') {
+                Object.keys(definitionOf(tableName).columns).forEach(column => {
+                    result[column] = clone(row[column]);
+                });
+            } else if (node.type === 'column') {
+                if (!(node.name in definitionOf(tableName).columns)) {
+                    throw new MemoryDatabaseError(`column ${tableName}.${node.name} does not exist`, '42703');
+                }
+                result[node.alias] = clone(row[node.name]);
+            } else if (node.type === 'embed') {
+                const relation = findRelation(tableName, node);
+                const related = this.database.tables[node.table];
+                if (relation.kind === 'one') {
+                    const target = related.find(candidate => looseEqual(candidate[primaryKeyColumns(node.table)[0]], row[relation.column]));
+                    result[node.alias] = target ? this.project(target, node.children, node.table) : null;
+                } else {
+                    const parentKey = primaryKeyColumns(tableName)[0];
+                    const children = related.filter(candidate => looseEqual(candidate[relation.column], row[parentKey]));
+                    result[node.alias] = node.children.length === 1 && node.children[0].type === 'count'
+                        ? [{ count: children.length }]
+                        : children.map(child => this.project(child, node.children, node.table));
+                }
+            }
+        });
+        return result;
+    }
+
+    select(rows, select) {
+        const nodes = parseSelect(select);
+        return rows
+            .map(row => this.project(row, nodes))
+            .filter(row => nodes.every(node => node.type !== 'embed' || !node.inner ||
+                (Array.isArray(row[node.alias]) ? row[node.alias].length > 0 : row[node.alias] !== null)));
+    }
+
+    query({ where, orderBy } = {}) {
+        return sortRows(this.rows.filter(row => matchesWhere(row, where)), orderBy);
+    }
+
+    async find({ select = '*', where, orderBy, range, limit } = {}) {
+        let rows = this.query({ where, orderBy });
+        if (range) rows = rows.slice(range[0], range[1] + 1);
+        else if (limit) rows = rows.slice(0, limit);
+        return this.select(rows, select);
+    }
+
+    async findOne({ select = '*', where } = {}) {
+        const rows = this.query({ where });
+        if (rows.length > 1) {
+            throw new MemoryDatabaseError('JSON object requested, multiple (or no) rows returned', 'PGRST116');
+        }
+        return rows.length === 1 ? this.select(rows, select)[0] : null;
+    }
+
+    async findAndCount(options = {}) {
+        const total = this.query({ where: options.where }).length;
+        return { rows: await this.find(options), total };
+    }
+
+    async count(where) {
+        return this.query({ where }).length;
+    }
+
+    checkColumns(values) {
+        const { columns } = definitionOf(this.name);
+        Object.keys(values).forEach(column => {
+            if (!(column in columns)) {
+                throw new MemoryDatabaseError(`Could not find the '${column}' column of '${this.name}' in the schema cache`, 'PGRST204');
+            }
+        });
+    }
+
+    checkConstraints(row, ignoredRows = []) {
+        const definition = definitionOf(this.name);
+        const others = this.rows.filter(other => !ignoredRows.includes(other));
+        const uniqueGroups = [primaryKeyColumns(this.name), ...(definition.unique || [])];
+
+        uniqueGroups.forEach(columns => {
+            if (columns.some(column => row[column] === null || row[column] === undefined)) return;
+            if (others.some(other => columns.every(column => looseEqual(other[column], row[column])))) {
+                throw new MemoryDatabaseError(`duplicate key value violates unique constraint "${this.name}_${columns.join('_')}_key"`, '23505');
+            }
+        });
+
+        foreignKeysOf(this.name).forEach(([column, fk]) => {
+            if (row[column] === null || row[column] === undefined) return;
+            const targetKey = primaryKeyColumns(fk.table)[0];
+            if (!this.database.tables[fk.table].some(target => looseEqual(target[targetKey], row[column]))) {
+                throw new MemoryDatabaseError(`insert or update on table "${this.name}" violates foreign key constraint "${this.name}_${column}_fkey"`, '23503');
+            }
+        });
+    }
+
+    async insert(values, { select = '*' } = {}) {
+        const definition = definitionOf(this.name);
+        const pending = [];
+        (Array.isArray(values) ? values : [values]).forEach(value => {
+            this.checkColumns(value);
+            const row = this.database.buildRow(this.name, value);
+            if (definition.generated && (row[definition.primaryKey] === null || row[definition.primaryKey] === undefined)) {
+                row[definition.primaryKey] = this.database.nextKey(this.name);
+            }
+            this.checkConstraints(row);
+            if (pending.some(other => sameKey(this.name, other, row) ||
+                (definition.unique || []).some(columns => columns.every(column => row[column] !== null && looseEqual(other[column], row[column]))))) {
+                throw new MemoryDatabaseError(`duplicate key value violates unique constraint "${this.name}_pkey"`, '23505');
+            }
+            pending.push(row);
+        });
+
+        this.rows.push(...pending);
+        return this.select(pending, select);
+    }
+
+    async update(where, values, { select = '*' } = {}) {
+        if (!where || Object.keys(where).length === 0) {
+            throw new MemoryDatabaseError('UPDATE requires a WHERE clause', '21000');
+        }
+        this.checkColumns(values);
+        const matched = this.query({ where });
+        const updated = matched.map(row => ({ ...row, ...this.database.coerceKeys(this.name, clone(values)) }));
+        updated.forEach(row => this.checkConstraints(row, matched));
+
+        matched.forEach((row, index) => Object.assign(row, updated[index]));
+        return this.select(matched, select);
+    }
+
+    async delete(where, { select = '*' } = {}) {
+        if (!where || Object.keys(where).length === 0) {
+            throw new MemoryDatabaseError('DELETE requires a WHERE clause', '21000');
+        }
+        const matched = this.query({ where });
+        const result = this.select(matched, select);
+        this.database.deleteRows(this.name, matched);
+        return result;
+    }
+}
+
+class MemoryDatabase {
+    constructor(seed = {}) {
+        this.reset(seed);
+    }
+
+    // Empties every table and loads the seed: { tableName: [rows] }. Seed rows may set generated keys.
+    reset(seed = {}) {
+        this.tables = {};
+        this.sequences = {};
+        Object.keys(TABLES).forEach(name => {
+            this.tables[name] = [];
+            this.sequences[name] = 0;
+        });
+
+        Object.entries(seed).forEach(([name, rows]) => {
+            const definition = definitionOf(name);
+            rows.forEach(value => {
+                const row = this.buildRow(name, value);
+                if (definition.generated) {
+                    if (row[definition.primaryKey] === null) {
+                        row[definition.primaryKey] = this.nextKey(name);
+                    } else if (definition.generated === 'identity') {
+                        this.sequences[name] = Math.max(this.sequences[name], Number(row[definition.primaryKey]));
+                    }
+                }
+                this.tables[name].push(row);
+            });
+        });
+    }
+
+    table(name) {
+        return new MemoryTable(this, name);
+    }
+
+    // Runs the JavaScript version of a database function (see memoryFunctions.js)
+    async rpc(name, params = {}) {
+        const fn = MEMORY_FUNCTIONS[name];
+        if (!fn) throw new MemoryDatabaseError(`Could not find the function public.${name}`, 'PGRST202');
+        return clone(fn(this.tables, params));
+    }
+
+    buildRow(name, value) {
+        const row = {};
+        Object.entries(definitionOf(name).columns).forEach(([column, defaultValue]) => {
+            if (value[column] !== undefined) row[column] = clone(value[column]);
+            else row[column] = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+        });
+        return this.coerceKeys(name, row);
+    }
+
+    // Integer keys often arrive as strings (route params, query strings); Postgres casts them, so do the same
+    coerceKeys(name, values) {
+        const definition = definitionOf(name);
+        const isIntegerKey = (column) => {
+            if (column === definition.primaryKey) return definition.generated === 'identity';
+            const foreignKey = (definition.foreignKeys || {})[column];
+            return Boolean(foreignKey) && definitionOf(foreignKey.table).generated === 'identity';
+        };
+        Object.keys(values).forEach(column => {
+            if (typeof values[column] === 'string' && /^-?\d+$/.test(values[column]) && isIntegerKey(column)) {
+                values[column] = Number(values[column]);
+            }
+        });
+        return values;
+    }
+
+    nextKey(name) {
+        if (definitionOf(name).generated === 'uuid') return crypto.randomUUID();
+        this.sequences[name] += 1;
+        return this.sequences[name];
+    }
+
+    // Deletes rows and applies the ON DELETE rule of every foreign key pointing at them. Nothing is
+    // changed when a referencing row without an ON DELETE rule would be left behind.
+    deleteRows(name, rows) {
+        const doomed = new Map(Object.keys(TABLES).map(table => [table, new Set()]));
+        const nullify = [];
+
+        const collect = (table, targets) => {
+            const fresh = targets.filter(row => !doomed.get(table).has(row));
+            if (fresh.length === 0) return;
+            fresh.forEach(row => doomed.get(table).add(row));
+            const key = primaryKeyColumns(table)[0];
+
+            Object.keys(TABLES).forEach(other => {
+                foreignKeysOf(other)
+                    .filter(([, fk]) => fk.table === table)
+                    .forEach(([column, fk]) => {
+                        const referencing = this.tables[other].filter(row => fresh.some(target => looseEqual(row[column], target[key])));
+                        if (fk.onDelete === 'cascade') collect(other, referencing);
+                        else if (fk.onDelete === 'set null') referencing.forEach(row => nullify.push({ table: other, row, column }));
+                        else referencing.forEach(row => nullify.push({ table: other, row, column, restrict: true }));
+                    });
+            });
+        };
+        collect(name, rows);
+
+        const blocking = nullify.find(entry => entry.restrict && !doomed.get(entry.table).has(entry.row));
+        if (blocking) {
+            throw new MemoryDatabaseError(`update or delete on table "${name}" violates foreign key constraint "${blocking.table}_${blocking.column}_fkey" on table "${blocking.table}"`, '23503');
+        }
+
+        nullify
+            .filter(entry => !entry.restrict && !doomed.get(entry.table).has(entry.row))
+            .forEach(({ row, column }) => { row[column] = null; });
+        doomed.forEach((set, table) => {
+            if (set.size > 0) this.tables[table] = this.tables[table].filter(row => !set.has(row));
+        });
+    }
+}
+
+module.exports = { MemoryDatabase, MemoryDatabaseError };
@@ -0,0 +1,49 @@
+// repositories/backends/memoryFunctions.js
+// JavaScript versions of the database functions the repositories call through rpc(), for the memory backend.
+// Each takes the backend's tables ({ tableName: [rows] }) and the named parameters, and returns what the SQL
+// function in the README returns. Keep the two in sync.
+
+// Label used for rows with no value in the counted column (count_farmers_by)
+const FARMER_COUNT_FALLBACKS = {
+    gender: 'Unknown',
+    farmer_type: 'Unknown',
+    project: 'Unassigned',
+    state: 'Unknown State',
+    district: 'Unknown District'
+};
+
+const invalidParameter = (message) => Object.assign(new Error(message), { code: '22023' });
+
+// Active farmers grouped by one dimension, optionally only those in project_ids: [{ label, count }], largest first.
+// Farmers of projects in the trash are left out.
+const count_farmers_by = (tables, { dimension, project_ids: projectIds = null }) => {
+    const namesById = (rows) => new Map(rows.map(row => [String(row.id), row.name]));
+    const farmerTypeNames = namesById(tables.farmer_types);
+    const projectNames = namesById(tables.projects.filter(project => !project.deleted_at));
+    const inTrash = new Set(tables.projects.filter(project => project.deleted_at).map(project => String(project.id)));
+    const valueOf = {
+        gender: farmer => farmer.gender,
+        farmer_type: farmer => farmerTypeNames.get(String(farmer.farmer_type_id)),
+        project: farmer => projectNames.get(String(farmer.project_id)),
+        state: farmer => farmer.state_name,
+        district: farmer => farmer.district_name
+    }[dimension];
+    if (!valueOf) throw invalidParameter(`Unknown dimension "${dimension}".`);
+
+    const scope = projectIds ? new Set(projectIds.map(String)) : null;
+    const counts = new Map();
+    tables.farmers
+        .filter(farmer => !farmer.deleted_at && !inTrash.has(String(farmer.project_id)))
+        .filter(farmer => !scope || scope.has(String(farmer.project_id)))
+        .forEach(farmer => {
+            const label = valueOf(farmer) || FARMER_COUNT_FALLBACKS[dimension];
+            counts.set(label, (counts.get(label) || 0) + 1);
+        });
+    return [...counts]
+        .map(([label, count]) => ({ label, count }))
+        .sort((left, right) => right.count - left.count || left.label.localeCompare(right.label));
+};
+
+module.exports = {
+    count_farmers_by
+};
@@ -0,0 +1,132 @@
+// repositories/backends/supabaseDatabase.js
+// Data-access backend that runs every table operation through the Supabase client.
+// Select strings are passed to PostgREST unchanged; where clauses are translated to filter calls
+// (see repositories/repository.js for the where clause format).
+
+// Values inside an or() filter string must be quoted when they contain PostgREST delimiters
+const formatFilterValue = (value) => {
+    const text = String(value);
+    return /[,.:()"\\\s]/.test(text) ? `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : text;
+};
+
+// Turns one column condition into the "column.operator.value" parts used by or()
+const conditionToFilters = (column, condition) => {
+    if (condition === null) return [`${column}.is.null`];
+    if (Array.isArray(condition)) return [`${column}.in.(${condition.map(formatFilterValue).join(',')})`];
+    if (typeof condition !== 'object') return [`${column}.eq.${formatFilterValue(condition)}`];
+
+    return Object.entries(condition).map(([operator, value]) => {
+        if (operator === 'in') return `${column}.in.(${value.map(formatFilterValue).join(',')})`;
+        if (operator === 'is') return `${column}.is.${value}`;
+        if (operator === 'not') return `${column}.not.is.${value}`;
+        return `${column}.${operator}.${formatFilterValue(value)}`;
+    });
+};
+
+const whereToFilterString = (where) => {
+    const parts = Object.entries(where).flatMap(([column, condition]) => conditionToFilters(column, condition));
+    return parts.length === 1 ? parts[0] : `and(${parts.join(',')})`;
+};
+
+const applyWhere = (query, where = {}) => Object.entries(where).reduce((current, [column, condition]) => {
+    if (column === 'or') {
+        return current.or(condition.map(whereToFilterString).join(','));
+    }
+    if (condition === null) return current.is(column, null);
+    if (Array.isArray(condition)) return current.in(column, condition);
+    if (typeof condition !== 'object') return current.eq(column, condition);
+
+    return Object.entries(condition).reduce((filtered, [operator, value]) => {
+        if (operator === 'not') return filtered.not(column, 'is', value);
+        return filtered[operator](column, value);
+    }, current);
+}, query);
+
+const applyOrder = (query, orderBy = []) => orderBy.reduce(
+    (current, { column, ascending = true, nullsFirst }) => current.order(
+        column,
+        nullsFirst === undefined ? { ascending } : { ascending, nullsFirst }
+    ),
+    query
+);
+
+const applyRange = (query, { range, limit }) => {
+    if (range) return query.range(range[0], range[1]);
+    if (limit) return query.limit(limit);
+    return query;
+};
+
+class SupabaseTable {
+    constructor(client, name) {
+        this.client = client;
+        this.name = name;
+    }
+
+    async find({ select = '*', where, orderBy, range, limit } = {}) {
+        let query = applyWhere(this.client.from(this.name).select(select), where);
+        query = applyRange(applyOrder(query, orderBy), { range, limit });
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    }
+
+    async findOne({ select = '*', where } = {}) {
+        const { data, error } = await applyWhere(this.client.from(this.name).select(select), where).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findAndCount({ select = '*', where, orderBy, range, limit } = {}) {
+        let query = applyWhere(this.client.from(this.name).select(select, { count: 'exact' }), where);
+        query = applyRange(applyOrder(query, orderBy), { range, limit });
+        const { data, count, error } = await query;
+        if (error) throw error;
+        return { rows: data, total: count };
+    }
+
+    async count(where) {
+        const { count, error } = await applyWhere(
+            this.client.from(this.name).select('*', { count: 'exact', head: true }),
+            where
+        );
+        if (error) throw error;
+        return count;
+    }
+
+    async insert(rows, { select = '*' } = {}) {
+        const { data, error } = await this.client.from(this.name).insert(rows).select(select);
+        if (error) throw error;
+        return data;
+    }
+
+    async update(where, values, { select = '*' } = {}) {
+        const { data, error } = await applyWhere(this.client.from(this.name).update(values), where).select(select);
+        if (error) throw error;
+        return data;
+    }
+
+    async delete(where, { select = '*' } = {}) {
+        const { data, error } = await applyWhere(this.client.from(this.name).delete(), where).select(select);
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseDatabase {
+    constructor(client) {
+        this.client = client;
+    }
+
+    table(name) {
+        return new SupabaseTable(this.client, name);
+    }
+
+    // Calls a database function through PostgREST with named parameters
+    async rpc(name, params = {}) {
+        const { data, error } = await this.client.rpc(name, params);
+        if (error) throw error;
+        return data;
+    }
+}
+
+module.exports = { SupabaseDatabase };
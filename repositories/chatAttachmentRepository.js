@@ -0,0 +1,34 @@
+// repositories/chatAttachmentRepository.js
+// Files attached to direct chat messages. The file itself lives in the storage backend under storage_key.
+const { Repository } = require('./repository');
+
+class ChatAttachmentRepository extends Repository {
+    constructor(database) {
+        super(database, 'chat_attachments');
+    }
+
+    // An attachment with the participants of its message, for the download access check
+    findWithChat(id) {
+        return this.findById(id, {
+            select: `
+                id,
+                storage_key,
+                file_name,
+                content_type,
+                size_bytes,
+                chat:chats(
+                    sender_id,
+                    receiver_id,
+                    deleted_at
+                )
+            `
+        });
+    }
+
+    // Removes the attachments of a message; resolves to the removed rows
+    deleteForChat(chatId) {
+        return this.deleteWhere({ chat_id: chatId });
+    }
+}
+
+module.exports = { ChatAttachmentRepository };
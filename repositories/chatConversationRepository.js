@@ -0,0 +1,56 @@
+// repositories/chatConversationRepository.js
+// One row per user and chat partner pointing at their latest message, so a user's conversations can be
+// listed without scanning the whole chats table. Kept up to date when a message is sent.
+const { Repository } = require('./repository');
+
+class ChatConversationRepository extends Repository {
+    constructor(database) {
+        super(database, 'chat_conversations');
+    }
+
+    // A page of a user's conversations, most recent first; resolves to { rows, total }
+    listPage(userId, range) {
+        return this.findAndCount({
+            select: `
+                last_message_at,
+                user:users!other_user_id(
+                    id,
+                    full_name
+                ),
+                last_message:chats!last_message_id(
+                    id,
+                    sender_id,
+                    receiver_id,
+                    message,
+                    timestamp,
+                    delivered_at,
+                    read_at,
+                    edited_at,
+                    deleted_at
+                )
+            `,
+            where: { user_id: userId },
+            orderBy: [{ column: 'last_message_at', ascending: false }],
+            range
+        });
+    }
+
+    // Points the conversation of userId with otherUserId at chat, unless it already points at a newer message
+    async recordMessage(userId, otherUserId, chat) {
+        const values = { last_message_id: chat.id, last_message_at: chat.timestamp };
+        const key = { user_id: userId, other_user_id: otherUserId };
+        const newer = { or: [{ last_message_id: null }, { last_message_id: { lt: chat.id } }] };
+
+        const [updated] = await this.updateWhere({ ...key, ...newer }, values);
+        if (updated || (await this.exists(key))) return;
+        try {
+            await this.create({ ...key, ...values });
+        } catch (error) {
+            // Another message created the row first
+            if (error.code !== '23505') throw error;
+            await this.updateWhere({ ...key, ...newer }, values);
+        }
+    }
+}
+
+module.exports = { ChatConversationRepository };
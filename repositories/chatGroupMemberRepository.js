@@ -0,0 +1,63 @@
+// repositories/chatGroupMemberRepository.js
+// Members of ad-hoc chat groups and their group role. Project channels have no rows here; their members
+// are the project's team (project_users).
+const { Repository } = require('./repository');
+
+const CHAT_GROUP_ROLES = Object.freeze({
+    OWNER: 'OWNER', // Renames and deletes the group, adds and removes members
+    MEMBER: 'MEMBER'
+});
+
+class ChatGroupMemberRepository extends Repository {
+    constructor(database) {
+        super(database, 'chat_group_members');
+    }
+
+    async findGroupIds(userId) {
+        const rows = await this.find({ select: 'group_id', where: { user_id: userId } });
+        return rows.map(row => row.group_id);
+    }
+
+    async findUserIds(groupId) {
+        const rows = await this.find({ select: 'user_id', where: { group_id: groupId } });
+        return rows.map(row => row.user_id);
+    }
+
+    findMembership(groupId, userId) {
+        return this.findOne({ group_id: groupId, user_id: userId });
+    }
+
+    // Members with their group role and account details, earliest first
+    listForGroup(groupId) {
+        return this.find({
+            select: `
+                member_role,
+                joined_at,
+                user:users!user_id(
+                    id,
+                    full_name,
+                    email
+                )
+            `,
+            where: { group_id: groupId },
+            orderBy: [{ column: 'joined_at', ascending: true }]
+        });
+    }
+
+    // Adds users who are not members yet; existing members are left unchanged. Resolves to the new memberships.
+    async addMembers(groupId, userIds, memberRole, addedBy) {
+        const existing = await this.find({ select: 'user_id', where: { group_id: groupId, user_id: userIds } });
+        const existingIds = new Set(existing.map(row => String(row.user_id)));
+        return this.createMany(userIds
+            .filter(userId => !existingIds.has(String(userId)))
+            .map(user_id => ({ group_id: groupId, user_id, member_role: memberRole, added_by: addedBy })));
+    }
+
+    // Resolves to the removed membership, or null when the user was not a member
+    async removeMember(groupId, userId) {
+        const removed = await this.deleteWhere({ group_id: groupId, user_id: userId });
+        return removed[0] || null;
+    }
+}
+
+module.exports = { ChatGroupMemberRepository, CHAT_GROUP_ROLES };
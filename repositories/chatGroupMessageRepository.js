@@ -0,0 +1,36 @@
+// repositories/chatGroupMessageRepository.js
+// Messages posted to chat groups and project channels
+const { Repository } = require('./repository');
+
+const GROUP_MESSAGE_SELECT = `
+    id,
+    group_id,
+    message,
+    timestamp,
+    sender:users!sender_id(
+        id,
+        full_name
+    )
+`;
+
+class ChatGroupMessageRepository extends Repository {
+    constructor(database) {
+        super(database, 'chat_group_messages');
+    }
+
+    // A page of a group's messages, newest first; resolves to { rows, total }
+    listPage(groupId, range) {
+        return this.findAndCount({
+            select: GROUP_MESSAGE_SELECT,
+            where: { group_id: groupId },
+            orderBy: [{ column: 'id', ascending: false }],
+            range
+        });
+    }
+
+    findWithSender(id) {
+        return this.findById(id, { select: GROUP_MESSAGE_SELECT });
+    }
+}
+
+module.exports = { ChatGroupMessageRepository, GROUP_MESSAGE_SELECT };
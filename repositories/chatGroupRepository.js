@@ -0,0 +1,70 @@
+// repositories/chatGroupRepository.js
+// Group conversations of the internal chat: ad-hoc groups (kind GROUP) whose members are kept in
+// chat_group_members, and one channel per project (kind PROJECT) whose members are the project's team.
+const { Repository } = require('./repository');
+
+const CHAT_GROUP_KINDS = Object.freeze({
+    GROUP: 'GROUP',
+    PROJECT: 'PROJECT'
+});
+
+const CHAT_GROUP_SELECT = `
+    id,
+    kind,
+    name,
+    project_id,
+    created_by,
+    created_at,
+    last_message_at,
+    project:projects(
+        id,
+        name,
+        deleted_at
+    )
+`;
+
+class ChatGroupRepository extends Repository {
+    constructor(database) {
+        super(database, 'chat_groups');
+    }
+
+    findWithProject(id) {
+        return this.findById(id, { select: CHAT_GROUP_SELECT });
+    }
+
+    // Groups by ID, most recently active first
+    listByIds(ids) {
+        if (ids.length === 0) return Promise.resolve([]);
+        return this.find({
+            select: CHAT_GROUP_SELECT,
+            where: { id: ids },
+            orderBy: [
+                { column: 'last_message_at', ascending: false, nullsFirst: false },
+                { column: 'created_at', ascending: false }
+            ]
+        });
+    }
+
+    // IDs of the channels of the given projects, creating the channels that do not exist yet
+    async ensureProjectChannels(projectRows) {
+        if (projectRows.length === 0) return [];
+        const existing = await this.find({ select: 'id, project_id', where: { project_id: projectRows.map(project => project.id) } });
+        const existingProjectIds = new Set(existing.map(row => String(row.project_id)));
+        const ids = existing.map(row => row.id);
+
+        for (const project of projectRows.filter(row => !existingProjectIds.has(String(row.id)))) {
+            try {
+                const channel = await this.create({ kind: CHAT_GROUP_KINDS.PROJECT, name: project.name, project_id: project.id });
+                ids.push(channel.id);
+            } catch (error) {
+                // Another request created the channel first
+                if (error.code !== '23505') throw error;
+                const channel = await this.findOne({ project_id: project.id }, { select: 'id' });
+                ids.push(channel.id);
+            }
+        }
+        return ids;
+    }
+}
+
+module.exports = { ChatGroupRepository, CHAT_GROUP_KINDS, CHAT_GROUP_SELECT };
@@ -0,0 +1,101 @@
+// repositories/chatRepository.js
+const { Repository } = require('./repository');
+
+// A direct message as returned to clients. delivered_at and read_at tell the sender when the receiver's app got
+// the message and when they read it; edited_at marks corrected messages. Deleted messages stay as tombstones
+// with deleted_at set and no message or attachments.
+const CHAT_SELECT = `
+    id,
+    sender_id,
+    receiver_id,
+    message,
+    timestamp,
+    delivered_at,
+    read_at,
+    edited_at,
+    deleted_at,
+    sender:users!sender_id(
+        id,
+        full_name
+    ),
+    receiver:users!receiver_id(
+        id,
+        full_name
+    ),
+    attachments:chat_attachments(
+        id,
+        file_name,
+        content_type,
+        size_bytes
+    )
+`;
+
+class ChatRepository extends Repository {
+    constructor(database) {
+        super(database, 'chats');
+    }
+
+    findWithDetails(id) {
+        return this.findById(id, { select: CHAT_SELECT });
+    }
+
+    // Up to limit messages exchanged between two users: the newest ones, those older than beforeId, or those
+    // newer than afterId. Resolves to { rows, hasMore } with rows oldest first; hasMore tells whether more
+    // messages lie further in the same direction.
+    async listConversation(userId, otherUserId, { beforeId = null, afterId = null, limit }) {
+        const where = {
+            or: [
+                { sender_id: userId, receiver_id: otherUserId },
+                { sender_id: otherUserId, receiver_id: userId }
+            ]
+        };
+        if (beforeId) where.id = { lt: beforeId };
+        if (afterId) where.id = { gt: afterId };
+
+        const rows = await this.find({
+            select: CHAT_SELECT,
+            where,
+            orderBy: [{ column: 'id', ascending: Boolean(afterId) }],
+            limit: limit + 1
+        });
+        const page = rows.slice(0, limit);
+        return { rows: afterId ? page : page.reverse(), hasMore: rows.length > limit };
+    }
+
+    // Number of messages from otherUserId that userId has not read, leaving out deleted ones
+    countUnread(userId, otherUserId) {
+        return this.count({ receiver_id: userId, sender_id: otherUserId, read_at: null, deleted_at: null });
+    }
+
+    // Stamps the undelivered messages to a user (optionally only those from one sender, up to a message id)
+    // as delivered. Resolves to the updated rows ({ id, sender_id, delivered_at }).
+    markDelivered(receiverId, { senderId, upToId } = {}) {
+        const where = { receiver_id: receiverId, delivered_at: null };
+        if (senderId) where.sender_id = senderId;
+        if (upToId) where.id = { lte: upToId };
+        return this.updateWhere(where, { delivered_at: new Date().toISOString() }, { select: 'id, sender_id, delivered_at' });
+    }
+
+    // Stamps the unread messages from senderId to receiverId, up to and including upToId, as read.
+    // Resolves to the updated rows ({ id, read_at }).
+    markRead(receiverId, senderId, upToId) {
+        return this.updateWhere(
+            { receiver_id: receiverId, sender_id: senderId, read_at: null, id: { lte: upToId } },
+            { read_at: new Date().toISOString() },
+            { select: 'id, read_at' }
+        );
+    }
+
+    // The newest message sent by senderId to receiverId, or null
+    async findLatestFrom(senderId, receiverId) {
+        const [latest] = await this.find({
+            select: 'id',
+            where: { sender_id: senderId, receiver_id: receiverId },
+            orderBy: [{ column: 'id', ascending: false }],
+            limit: 1
+        });
+        return latest || null;
+    }
+}
+
+module.exports = { ChatRepository, CHAT_SELECT };
@@ -0,0 +1,55 @@
+// repositories/emailDeliveryRepository.js
+// Emails that could not be sent right away. Retryable ones wait in RETRYING until the retry worker
+// (utils/email.js) sends them or gives up; the rest are recorded as FAILED so admins can see them.
+const { Repository } = require('./repository');
+
+const EMAIL_DELIVERY_STATUSES = Object.freeze({
+    RETRYING: 'RETRYING',
+    SENT: 'SENT',
+    FAILED: 'FAILED'
+});
+
+class EmailDeliveryRepository extends Repository {
+    constructor(database) {
+        super(database, 'email_deliveries');
+    }
+
+    // A page of deliveries, newest first; resolves to { rows, total }. The template data is left out,
+    // it can contain personal details that the list does not need.
+    listPage(where, range) {
+        return this.findAndCount({
+            select: 'id, template, locale, recipient, status, attempts, last_error, next_attempt_at, last_attempt_at, created_at, sent_at',
+            where,
+            orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+            range
+        });
+    }
+
+    // Retries whose time has come, oldest first
+    findDue(limit) {
+        return this.find({
+            where: { status: EMAIL_DELIVERY_STATUSES.RETRYING, next_attempt_at: { lte: new Date().toISOString() } },
+            orderBy: [{ column: 'next_attempt_at', ascending: true }],
+            limit
+        });
+    }
+
+    // Takes a delivery for one send attempt: counts the attempt and pushes next_attempt_at past leaseMs, so
+    // other workers skip it meanwhile and it is picked up again if this one dies mid-send. Resolves to the
+    // updated row, or null when another worker claimed it first.
+    async claim(delivery, leaseMs) {
+        const now = Date.now();
+        const [row] = await this.updateWhere(
+            { id: delivery.id, status: delivery.status, attempts: delivery.attempts },
+            {
+                status: EMAIL_DELIVERY_STATUSES.RETRYING,
+                attempts: delivery.attempts + 1,
+                last_attempt_at: new Date(now).toISOString(),
+                next_attempt_at: new Date(now + leaseMs).toISOString()
+            }
+        );
+        return row || null;
+    }
+}
+
+module.exports = { EmailDeliveryRepository, EMAIL_DELIVERY_STATUSES };
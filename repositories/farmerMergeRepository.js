@@ -0,0 +1,29 @@
+// repositories/farmerMergeRepository.js
+// Records of duplicate farmers merged into a surviving record
+const { Repository } = require('./repository');
+
+class FarmerMergeRepository extends Repository {
+    constructor(database) {
+        super(database, 'farmer_merges');
+    }
+
+    listForSurvivor(survivorId) {
+        return this.find({
+            select: `
+                id,
+                merged_farmer_id,
+                merged_record,
+                merged_at,
+                merged_by:users(
+                    id,
+                    full_name,
+                    email
+                )
+            `,
+            where: { survivor_id: survivorId },
+            orderBy: [{ column: 'merged_at', ascending: false }]
+        });
+    }
+}
+
+module.exports = { FarmerMergeRepository };
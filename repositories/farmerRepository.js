@@ -0,0 +1,104 @@
+// repositories/farmerRepository.js
+const { Repository } = require('./repository');
+
+// Columns the database can count farmers by (the dimension of count_farmers_by)
+const FARMER_COUNT_DIMENSIONS = Object.freeze({
+    GENDER: 'gender',
+    FARMER_TYPE: 'farmer_type',
+    PROJECT: 'project',
+    STATE: 'state',
+    DISTRICT: 'district'
+});
+
+// A farmer as returned by the list, detail and export endpoints
+const FARMER_SELECT = `
+    id,
+    full_name,
+    mobile_number,
+    date_of_birth,
+    age,
+    gender,
+    country_name,
+    state_name,
+    district_name,
+    village_tract_name,
+    village_name,
+    date_added,
+    latitude,
+    longitude,
+    farmer_type:farmer_types(
+        id,
+        name
+    ),
+    project:projects(
+        id,
+        name
+    ),
+    added_by_user:users!added_by_user_id(
+        id,
+        full_name,
+        email
+    )
+`;
+
+const FARMER_TRASH_SELECT = `
+    id,
+    full_name,
+    mobile_number,
+    village_name,
+    deleted_at,
+    project:projects(
+        id,
+        name
+    ),
+    deleted_by_user:users!deleted_by(
+        id,
+        full_name,
+        email
+    )
+`;
+
+// Only the columns duplicate detection compares
+const DUPLICATE_CANDIDATE_SELECT = 'id, full_name, mobile_number, date_of_birth, village_name, project_id';
+
+class FarmerRepository extends Repository {
+    constructor(database) {
+        super(database, 'farmers');
+    }
+
+    // Resolves to null when the farmer does not exist or is in the trash
+    findActive(id, { select = '*' } = {}) {
+        return this.findOne({ id, deleted_at: null }, { select });
+    }
+
+    // Live farmers matching where; resolves to { rows, total } when withCount is set
+    listActive({ where = {}, orderBy, range, select = FARMER_SELECT, withCount = false } = {}) {
+        const options = { select, where: { ...where, deleted_at: null }, orderBy, range };
+        return withCount ? this.findAndCount(options) : this.find(options);
+    }
+
+    countActive(where = {}) {
+        return this.count({ ...where, deleted_at: null });
+    }
+
+    // Active farmers grouped by one of FARMER_COUNT_DIMENSIONS, counted in the database by count_farmers_by.
+    // projectIds limits the count to those projects (null counts every farmer). Resolves to [{ label, count }],
+    // largest first; farmers without a value are counted under a fallback label such as 'Unknown'.
+    async countBy(dimension, projectIds = null) {
+        const rows = await this.database.rpc('count_farmers_by', { dimension, project_ids: projectIds });
+        return rows.map(row => ({ label: row.label, count: Number(row.count) }));
+    }
+
+    // Farmers in the trash, optionally limited to the given projects
+    listDeleted(projectIds = null) {
+        const where = { deleted_at: { not: null } };
+        if (projectIds) where.project_id = projectIds;
+        return this.find({ select: FARMER_TRASH_SELECT, where, orderBy: [{ column: 'deleted_at', ascending: false }] });
+    }
+
+    findDeleted(id) {
+        return this.findOne({ id, deleted_at: { not: null } });
+    }
+}
+
+module.exports = { FarmerRepository, FARMER_SELECT, DUPLICATE_CANDIDATE_SELECT, FARMER_COUNT_DIMENSIONS };
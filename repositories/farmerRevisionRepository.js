@@ -0,0 +1,40 @@
+// repositories/farmerRevisionRepository.js
+// Field-level change history of farmer records
+const { Repository } = require('./repository');
+
+class FarmerRevisionRepository extends Repository {
+    constructor(database) {
+        super(database, 'farmer_revisions');
+    }
+
+    // Every revision of a farmer, newest first
+    listForFarmer(farmerId) {
+        return this.find({
+            select: `
+                id,
+                source,
+                changes,
+                reverted_to_revision_id,
+                changed_at,
+                changed_by:users(
+                    id,
+                    full_name,
+                    email
+                )
+            `,
+            where: { farmer_id: farmerId },
+            orderBy: [{ column: 'id', ascending: false }]
+        });
+    }
+
+    findForFarmer(farmerId, revisionId) {
+        return this.findOne({ id: revisionId, farmer_id: farmerId }, { select: 'id' });
+    }
+
+    // Revisions made after the given one
+    listNewerThan(farmerId, revisionId) {
+        return this.find({ select: 'id, changes', where: { farmer_id: farmerId, id: { gt: revisionId } } });
+    }
+}
+
+module.exports = { FarmerRevisionRepository };
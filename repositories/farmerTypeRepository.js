@@ -0,0 +1,14 @@
+// repositories/farmerTypeRepository.js
+const { Repository } = require('./repository');
+
+class FarmerTypeRepository extends Repository {
+    constructor(database) {
+        super(database, 'farmer_types');
+    }
+
+    isNameTaken(name, exceptFarmerTypeId = null) {
+        return this.exists(exceptFarmerTypeId ? { name, id: { neq: exceptFarmerTypeId } } : { name });
+    }
+}
+
+module.exports = { FarmerTypeRepository };
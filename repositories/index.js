@@ -0,0 +1,93 @@
+// repositories/index.js
+// Entry point of the data-access layer. Routes import the repositories from here instead of calling
+// the Supabase client directly:
+//
+//     const { farmers, projectMembers } = require('../repositories');
+//
+// DATA_BACKEND selects the backend: 'supabase' (default) or 'memory'. The memory backend starts
+// empty unless MEMORY_SEED_FILE points at a JSON file of { tableName: [rows] }.
+const fs = require('fs');
+const path = require('path');
+const { SupabaseDatabase } = require('./backends/supabaseDatabase');
+const { MemoryDatabase } = require('./backends/memoryDatabase');
+const { UserRepository } = require('./userRepository');
+const { RoleRepository } = require('./roleRepository');
+const { PermissionRepository } = require('./permissionRepository');
+const { ProjectRepository } = require('./projectRepository');
+const { ProjectMemberRepository } = require('./projectMemberRepository');
+const { ProjectMembershipEventRepository } = require('./projectMembershipEventRepository');
+const { FarmerRepository } = require('./farmerRepository');
+const { FarmerMergeRepository } = require('./farmerMergeRepository');
+const { FarmerRevisionRepository } = require('./farmerRevisionRepository');
+const { FarmerTypeRepository } = require('./farmerTypeRepository');
+const { QuarterRepository } = require('./quarterRepository');
+const { TrainingRepository } = require('./trainingRepository');
+const { TrainingSessionRepository } = require('./trainingSessionRepository');
+const { TrainingAttendanceRepository } = require('./trainingAttendanceRepository');
+const { ChatRepository } = require('./chatRepository');
+const { ChatConversationRepository } = require('./chatConversationRepository');
+const { ChatAttachmentRepository } = require('./chatAttachmentRepository');
+const { ChatGroupRepository } = require('./chatGroupRepository');
+const { ChatGroupMemberRepository } = require('./chatGroupMemberRepository');
+const { ChatGroupMessageRepository } = require('./chatGroupMessageRepository');
+const { AuditLogRepository } = require('./auditLogRepository');
+const { UserSessionRepository } = require('./userSessionRepository');
+const { OtpChallengeRepository } = require('./otpChallengeRepository');
+const { PasswordResetTokenRepository } = require('./passwordResetTokenRepository');
+const { UserTotpRepository } = require('./userTotpRepository');
+const { RecoveryCodeRepository } = require('./recoveryCodeRepository');
+const { EmailDeliveryRepository } = require('./emailDeliveryRepository');
+const { NotificationRepository } = require('./notificationRepository');
+const { NotificationPreferenceRepository } = require('./notificationPreferenceRepository');
+
+const createDatabase = (backend = process.env.DATA_BACKEND || 'supabase') => {
+    if (backend === 'memory') {
+        const seed = process.env.MEMORY_SEED_FILE
+            ? JSON.parse(fs.readFileSync(path.resolve(process.env.MEMORY_SEED_FILE), 'utf8'))
+            : {};
+        return new MemoryDatabase(seed);
+    }
+    if (backend === 'supabase') {
+        return new SupabaseDatabase(require('../config/supabaseClient'));
+    }
+    throw new Error(`Unknown DATA_BACKEND "${backend}". Use "supabase" or "memory".`);
+};
+
+const createRepositories = (database) => ({
+    database,
+    users: new UserRepository(database),
+    roles: new RoleRepository(database),
+    permissions: new PermissionRepository(database),
+    projects: new ProjectRepository(database),
+    projectMembers: new ProjectMemberRepository(database),
+    projectMembershipEvents: new ProjectMembershipEventRepository(database),
+    farmers: new FarmerRepository(database),
+    farmerMerges: new FarmerMergeRepository(database),
+    farmerRevisions: new FarmerRevisionRepository(database),
+    farmerTypes: new FarmerTypeRepository(database),
+    quarters: new QuarterRepository(database),
+    trainings: new TrainingRepository(database),
+    trainingSessions: new TrainingSessionRepository(database),
+    trainingAttendance: new TrainingAttendanceRepository(database),
+    chats: new ChatRepository(database),
+    chatConversations: new ChatConversationRepository(database),
+    chatAttachments: new ChatAttachmentRepository(database),
+    chatGroups: new ChatGroupRepository(database),
+    chatGroupMembers: new ChatGroupMemberRepository(database),
+    chatGroupMessages: new ChatGroupMessageRepository(database),
+    auditLogs: new AuditLogRepository(database),
+    userSessions: new UserSessionRepository(database),
+    otpChallenges: new OtpChallengeRepository(database),
+    passwordResetTokens: new PasswordResetTokenRepository(database),
+    userTotp: new UserTotpRepository(database),
+    recoveryCodes: new RecoveryCodeRepository(database),
+    emailDeliveries: new EmailDeliveryRepository(database),
+    notifications: new NotificationRepository(database),
+    notificationPreferences: new NotificationPreferenceRepository(database)
+});
+
+module.exports = {
+    ...createRepositories(createDatabase()),
+    createDatabase,
+    createRepositories
+};
@@ -0,0 +1,25 @@
+// repositories/notificationPreferenceRepository.js
+// Per-user choices of how each notification type is delivered. Types without a row use the defaults
+// in utils/notifications.js.
+const { Repository } = require('./repository');
+
+class NotificationPreferenceRepository extends Repository {
+    constructor(database) {
+        super(database, 'notification_preferences');
+    }
+
+    // Stored preferences of several users for one notification type
+    findForUsers(userIds, type) {
+        return this.find({ select: 'user_id, in_app, email', where: { user_id: userIds, type } });
+    }
+
+    // Creates or replaces a user's preference for one type. Resolves to the stored row.
+    async upsert(userId, type, values) {
+        const updatedAt = new Date().toISOString();
+        const [updated] = await this.updateWhere({ user_id: userId, type }, { ...values, updated_at: updatedAt });
+        if (updated) return updated;
+        return this.create({ user_id: userId, type, ...values, updated_at: updatedAt });
+    }
+}
+
+module.exports = { NotificationPreferenceRepository };
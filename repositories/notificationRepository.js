@@ -0,0 +1,54 @@
+// repositories/notificationRepository.js
+// In-app notifications. Each row belongs to one recipient and is unread until read_at is set.
+const { Repository } = require('./repository');
+
+const NOTIFICATION_SELECT = `
+    id,
+    type,
+    title,
+    body,
+    data,
+    read_at,
+    created_at,
+    actor:users!actor_user_id(
+        id,
+        full_name
+    )
+`;
+
+class NotificationRepository extends Repository {
+    constructor(database) {
+        super(database, 'notifications');
+    }
+
+    // A page of a user's notifications, newest first; resolves to { rows, total }
+    listPage(userId, where, range) {
+        return this.findAndCount({
+            select: NOTIFICATION_SELECT,
+            where: { ...where, user_id: userId },
+            orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+            range
+        });
+    }
+
+    countUnread(userId) {
+        return this.count({ user_id: userId, read_at: null });
+    }
+
+    // Resolves to the notification, or null when it does not exist or belongs to someone else
+    async markRead(userId, id) {
+        const notification = await this.findOne({ id, user_id: userId }, { select: 'id, read_at' });
+        if (!notification) return null;
+        if (notification.read_at) return notification;
+        const [row] = await this.updateWhere({ id, user_id: userId, read_at: null }, { read_at: new Date().toISOString() }, { select: 'id, read_at' });
+        return row || this.findOne({ id, user_id: userId }, { select: 'id, read_at' });
+    }
+
+    // Resolves to the number of notifications marked read
+    async markAllRead(userId) {
+        const rows = await this.updateWhere({ user_id: userId, read_at: null }, { read_at: new Date().toISOString() }, { select: 'id' });
+        return rows.length;
+    }
+}
+
+module.exports = { NotificationRepository, NOTIFICATION_SELECT };
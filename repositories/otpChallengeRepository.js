@@ -0,0 +1,38 @@
+// repositories/otpChallengeRepository.js
+// Login OTP challenges. Each login attempt gets its own row, so parallel logins of the same user do not
+// replace each other's code. Only a keyed hash of the code is stored.
+const { Repository } = require('./repository');
+
+class OtpChallengeRepository extends Repository {
+    constructor(database) {
+        super(database, 'otp_challenges');
+    }
+
+    // Resolves to null when the challenge does not exist or was already used
+    findOpen(id) {
+        return this.findOne({ id, consumed_at: null });
+    }
+
+    // Marks the challenge used. Resolves to null when another request consumed it first.
+    async consume(id) {
+        const [row] = await this.updateWhere({ id, consumed_at: null }, { consumed_at: new Date().toISOString() });
+        return row || null;
+    }
+
+    // Counts a verification attempt before the code is compared, so parallel guesses cannot share one attempt.
+    // Resolves to the updated challenge, or null when it is used up (maxAttempts reached) or was consumed.
+    async reserveAttempt(challenge, maxAttempts) {
+        let current = challenge;
+        while (current && current.attempts < maxAttempts) {
+            const [row] = await this.updateWhere(
+                { id: current.id, consumed_at: null, attempts: current.attempts },
+                { attempts: current.attempts + 1 }
+            );
+            if (row) return row;
+            current = await this.findOpen(current.id);
+        }
+        return null;
+    }
+}
+
+module.exports = { OtpChallengeRepository };
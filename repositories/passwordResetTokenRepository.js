@@ -0,0 +1,27 @@
+// repositories/passwordResetTokenRepository.js
+// Single-use password reset tokens. Only the SHA-256 hash of each token is stored.
+const { Repository } = require('./repository');
+
+class PasswordResetTokenRepository extends Repository {
+    constructor(database) {
+        super(database, 'password_reset_tokens');
+    }
+
+    // Resolves to null when the token does not exist, was used or has expired
+    findUsable(tokenHash) {
+        return this.findOne({ token_hash: tokenHash, used_at: null, expires_at: { gt: new Date().toISOString() } });
+    }
+
+    // Marks the token used. Resolves to null when another request used it first.
+    async consume(id) {
+        const [row] = await this.updateWhere({ id, used_at: null }, { used_at: new Date().toISOString() });
+        return row || null;
+    }
+
+    // Drops the unused tokens of a user, so that only the latest reset link works
+    discardUnused(userId) {
+        return this.deleteWhere({ user_id: userId, used_at: null });
+    }
+}
+
+module.exports = { PasswordResetTokenRepository };
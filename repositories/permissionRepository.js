@@ -0,0 +1,16 @@
+// repositories/permissionRepository.js
+const { Repository } = require('./repository');
+
+class PermissionRepository extends Repository {
+    constructor(database) {
+        super(database, 'permissions');
+    }
+
+    isCodeTaken(permissionCode, exceptPermissionId = null) {
+        return this.exists(exceptPermissionId
+            ? { permission_code: permissionCode, id: { neq: exceptPermissionId } }
+            : { permission_code: permissionCode });
+    }
+}
+
+module.exports = { PermissionRepository };
@@ -0,0 +1,122 @@
+// repositories/projectMemberRepository.js
+// Assignments of users to projects and their project roles (the project_users table)
+const { Repository } = require('./repository');
+
+class ProjectMemberRepository extends Repository {
+    constructor(database) {
+        super(database, 'project_users');
+    }
+
+    // Projects of a user, optionally only those where they hold one of projectRoles. Projects in the trash are
+    // left out, so they no longer count for access checks and scoping.
+    async findProjectIds(userId, projectRoles = null) {
+        const where = projectRoles ? { user_id: userId, project_role: projectRoles } : { user_id: userId };
+        const rows = await this.find({ select: 'project_id, project:projects(deleted_at)', where });
+        return rows.filter(row => row.project && !row.project.deleted_at).map(row => row.project_id);
+    }
+
+    // Members of a project with their role, join date and account details, earliest first. deleted_at is
+    // loaded so members in the trash can be hidden.
+    listForProject(projectId) {
+        return this.find({
+            select: `
+                project_role,
+                joined_at,
+                user:users(
+                    id,
+                    full_name,
+                    email,
+                    deleted_at
+                )
+            `,
+            where: { project_id: projectId },
+            orderBy: [{ column: 'joined_at', ascending: true }]
+        });
+    }
+
+    // Projects a user belongs to, with their role and join date. deleted_at is loaded so projects in the
+    // trash can be hidden.
+    listForUser(userId) {
+        return this.find({
+            select: `
+                project_role,
+                joined_at,
+                project:projects(
+                    id,
+                    name,
+                    status,
+                    deleted_at
+                )
+            `,
+            where: { user_id: userId },
+            orderBy: [{ column: 'joined_at', ascending: true }]
+        });
+    }
+
+    // The user_id and project_role of every member, as compared by the membership history
+    listMemberships(projectId, userIds = null) {
+        const where = userIds ? { project_id: projectId, user_id: userIds } : { project_id: projectId };
+        return this.find({ select: 'user_id, project_role', where });
+    }
+
+    async findUserIds(projectId) {
+        const rows = await this.find({ select: 'user_id', where: { project_id: projectId } });
+        return rows.map(row => row.user_id);
+    }
+
+    findMembership(projectId, userId) {
+        return this.findOne({ project_id: projectId, user_id: userId });
+    }
+
+    isMember(projectId, userId, projectRoles = null) {
+        const where = { project_id: projectId, user_id: userId };
+        return this.exists(projectRoles ? { ...where, project_role: projectRoles } : where);
+    }
+
+    // Makes userIds the members of a project: users missing from the list are removed and new users are added
+    // with defaultRole. Users who stay are left untouched, so they keep their project role and join date.
+    // Resolves to the memberships afterwards.
+    async setMembers(projectId, userIds, defaultRole) {
+        const current = await this.find({ where: { project_id: projectId } });
+        const wanted = new Set(userIds.map(String));
+        const currentIds = new Set(current.map(row => String(row.user_id)));
+
+        const kept = current.filter(row => wanted.has(String(row.user_id)));
+        const removedIds = current.filter(row => !wanted.has(String(row.user_id))).map(row => row.user_id);
+        if (removedIds.length > 0) await this.removeMembers(projectId, removedIds);
+
+        const added = await this.createMany([...wanted]
+            .filter(userId => !currentIds.has(userId))
+            .map(user_id => ({ project_id: projectId, user_id, project_role: defaultRole })));
+        return [...kept, ...added];
+    }
+
+    // Adds a user to a project, or changes their project role when they are already a member
+    async upsertMember(projectId, userId, projectRole) {
+        const updated = await this.updateWhere({ project_id: projectId, user_id: userId }, { project_role: projectRole });
+        if (updated.length > 0) return updated[0];
+        return this.create({ project_id: projectId, user_id: userId, project_role: projectRole });
+    }
+
+    // Adds users who are not members yet; existing members are left unchanged. Resolves to the new memberships.
+    async addMembers(projectId, userIds, projectRole) {
+        const existing = await this.find({ select: 'user_id', where: { project_id: projectId, user_id: userIds } });
+        const existingIds = new Set(existing.map(row => String(row.user_id)));
+        return this.createMany(userIds
+            .filter(userId => !existingIds.has(String(userId)))
+            .map(user_id => ({ project_id: projectId, user_id, project_role: projectRole })));
+    }
+
+    // Resolves to the removed membership, or null when the user was not a member
+    async removeMember(projectId, userId) {
+        const removed = await this.deleteWhere({ project_id: projectId, user_id: userId });
+        return removed[0] || null;
+    }
+
+    // Resolves to the removed memberships; users who were not members are ignored
+    removeMembers(projectId, userIds) {
+        return this.deleteWhere({ project_id: projectId, user_id: userIds });
+    }
+}
+
+module.exports = { ProjectMemberRepository };
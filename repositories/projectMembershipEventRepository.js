@@ -0,0 +1,38 @@
+// repositories/projectMembershipEventRepository.js
+// History of project memberships: users joining and leaving projects and changes of their project role
+const { Repository } = require('./repository');
+
+const EVENT_SELECT = `
+    id,
+    event,
+    project_role,
+    previous_role,
+    occurred_at,
+    user:users!user_id(
+        id,
+        full_name,
+        email
+    ),
+    changed_by:users!changed_by_user_id(
+        id,
+        full_name,
+        email
+    )
+`;
+
+class ProjectMembershipEventRepository extends Repository {
+    constructor(database) {
+        super(database, 'project_membership_events');
+    }
+
+    // Events of a project, newest first, optionally only those of one user
+    listForProject(projectId, { userId = null } = {}) {
+        return this.find({
+            select: EVENT_SELECT,
+            where: userId ? { project_id: projectId, user_id: userId } : { project_id: projectId },
+            orderBy: [{ column: 'id', ascending: false }]
+        });
+    }
+}
+
+module.exports = { ProjectMembershipEventRepository };
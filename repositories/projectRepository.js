@@ -0,0 +1,83 @@
+// repositories/projectRepository.js
+const { Repository } = require('./repository');
+
+// A project with its assigned users and their project roles. deleted_at is loaded so members in the
+// trash can be hidden.
+const PROJECT_SELECT = `
+    id,
+    name,
+    description,
+    status,
+    assigned_users:project_users(
+        project_role,
+        user:users(
+            id,
+            full_name,
+            email,
+            deleted_at
+        )
+    )
+`;
+
+const PROJECT_TRASH_SELECT = `
+    id,
+    name,
+    description,
+    status,
+    deleted_at,
+    deleted_by_user:users!deleted_by(
+        id,
+        full_name,
+        email
+    )
+`;
+
+// Drops assignments of soft-deleted users from a project's assigned_users
+const hideDeletedMembers = (project) => ({
+    ...project,
+    assigned_users: (project.assigned_users || [])
+        .filter(assignment => assignment.user && !assignment.user.deleted_at)
+        .map(({ project_role, user: { deleted_at, ...user } }) => ({ project_role, user }))
+});
+
+class ProjectRepository extends Repository {
+    constructor(database) {
+        super(database, 'projects');
+    }
+
+    // Live projects with their active members, optionally limited to the given project IDs
+    async listActive(projectIds = null) {
+        const where = projectIds ? { id: projectIds, deleted_at: null } : { deleted_at: null };
+        const projects = await this.find({ select: PROJECT_SELECT, where });
+        return projects.map(hideDeletedMembers);
+    }
+
+    // Resolves to null when the project does not exist or is in the trash
+    findActive(id, { select = '*' } = {}) {
+        return this.findOne({ id, deleted_at: null }, { select });
+    }
+
+    async findActiveWithMembers(id) {
+        const project = await this.findActive(id, { select: PROJECT_SELECT });
+        return project ? hideDeletedMembers(project) : null;
+    }
+
+    listDeleted() {
+        return this.find({
+            select: PROJECT_TRASH_SELECT,
+            where: { deleted_at: { not: null } },
+            orderBy: [{ column: 'deleted_at', ascending: false }]
+        });
+    }
+
+    findDeleted(id) {
+        return this.findOne({ id, deleted_at: { not: null } });
+    }
+
+    // Names stay unique across the trash, so deleted projects are included
+    isNameTaken(name, exceptProjectId = null) {
+        return this.exists(exceptProjectId ? { name, id: { neq: exceptProjectId } } : { name });
+    }
+}
+
+module.exports = { ProjectRepository };
@@ -0,0 +1,22 @@
+// repositories/quarterRepository.js
+const { Repository } = require('./repository');
+
+class QuarterRepository extends Repository {
+    constructor(database) {
+        super(database, 'quarters');
+    }
+
+    // Most recent quarter first
+    listAll() {
+        return this.find({ orderBy: [{ column: 'start_date', ascending: false }] });
+    }
+
+    // Quarters whose date range overlaps [startDate, endDate], ignoring exceptQuarterId
+    findOverlapping(startDate, endDate, exceptQuarterId = null) {
+        const where = { start_date: { lte: endDate }, end_date: { gte: startDate } };
+        if (exceptQuarterId) where.id = { neq: exceptQuarterId };
+        return this.find({ select: 'id', where });
+    }
+}
+
+module.exports = { QuarterRepository };
@@ -0,0 +1,34 @@
+// repositories/recoveryCodeRepository.js
+// Single-use recovery codes for users with an authenticator app. Only hashes are stored.
+const { Repository } = require('./repository');
+
+class RecoveryCodeRepository extends Repository {
+    constructor(database) {
+        super(database, 'user_recovery_codes');
+    }
+
+    countUnused(userId) {
+        return this.count({ user_id: userId, used_at: null });
+    }
+
+    // Marks a code used. Resolves to null when the code does not exist or was already used.
+    async consume(userId, codeHash) {
+        const [row] = await this.updateWhere(
+            { user_id: userId, code_hash: codeHash, used_at: null },
+            { used_at: new Date().toISOString() }
+        );
+        return row || null;
+    }
+
+    // Replaces every code of a user with new hashes
+    async replaceForUser(userId, codeHashes) {
+        await this.deleteWhere({ user_id: userId });
+        return this.createMany(codeHashes.map(codeHash => ({ user_id: userId, code_hash: codeHash })));
+    }
+
+    removeForUser(userId) {
+        return this.deleteWhere({ user_id: userId });
+    }
+}
+
+module.exports = { RecoveryCodeRepository };
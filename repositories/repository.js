@@ -0,0 +1,78 @@
+// repositories/repository.js
+// Base class for the repositories. A repository wraps one table of the configured backend
+// (Supabase or in-memory) and adds the queries and select projections for its entity.
+//
+// Options accepted by the query methods:
+//   select   PostgREST select string, e.g. 'id, name, project:projects(id, name)'. Defaults to '*'.
+//   where    { column: condition } where a condition is
+//              a value             -> equals
+//              null                -> IS NULL
+//              an array            -> IN (...)
+//              { eq, neq, gt, gte, lt, lte, like, ilike, in, is, not } -> operators, combined with AND
+//                                     ({ not: null } means IS NOT NULL)
+//            plus an optional or: [where, where, ...] that matches when any of the groups matches.
+//   orderBy  [{ column, ascending, nullsFirst }]
+//   range    [from, to] (inclusive, zero-based) or limit: n
+class Repository {
+    constructor(database, tableName) {
+        this.database = database;
+        this.table = database.table(tableName);
+    }
+
+    find(options = {}) {
+        return this.table.find(options);
+    }
+
+    findOne(where, options = {}) {
+        return this.table.findOne({ ...options, where });
+    }
+
+    findById(id, options = {}) {
+        return this.findOne({ id }, options);
+    }
+
+    // Resolves to { rows, total } where total ignores the range
+    findAndCount(options = {}) {
+        return this.table.findAndCount(options);
+    }
+
+    count(where) {
+        return this.table.count(where);
+    }
+
+    async exists(where) {
+        return (await this.count(where)) > 0;
+    }
+
+    async create(values, options = {}) {
+        const [row] = await this.table.insert(values, options);
+        return row;
+    }
+
+    createMany(rows, options = {}) {
+        if (rows.length === 0) return Promise.resolve([]);
+        return this.table.insert(rows, options);
+    }
+
+    // Resolves to the updated row, or null when no row matched
+    async updateById(id, values, options = {}) {
+        const [row] = await this.table.update({ id }, values, options);
+        return row || null;
+    }
+
+    updateWhere(where, values, options = {}) {
+        return this.table.update(where, values, options);
+    }
+
+    // Resolves to the deleted row, or null when no row matched
+    async deleteById(id, options = {}) {
+        const [row] = await this.table.delete({ id }, options);
+        return row || null;
+    }
+
+    deleteWhere(where, options = {}) {
+        return this.table.delete(where, options);
+    }
+}
+
+module.exports = { Repository };
@@ -0,0 +1,63 @@
+// repositories/roleRepository.js
+const { Repository } = require('./repository');
+
+// A role with the permissions granted to it
+const ROLE_SELECT = `
+    id,
+    role_name,
+    role_permissions(
+        permission:permissions(
+            id,
+            permission_name,
+            permission_code
+        )
+    )
+`;
+
+class RoleRepository extends Repository {
+    constructor(database) {
+        super(database, 'roles');
+        this.rolePermissions = database.table('role_permissions');
+    }
+
+    listWithPermissions() {
+        return this.find({ select: ROLE_SELECT });
+    }
+
+    findWithPermissions(id) {
+        return this.findById(id, { select: ROLE_SELECT });
+    }
+
+    findByName(roleName, { select = '*' } = {}) {
+        return this.findOne({ role_name: roleName }, { select });
+    }
+
+    isNameTaken(roleName, exceptRoleId = null) {
+        return this.exists(exceptRoleId ? { role_name: roleName, id: { neq: exceptRoleId } } : { role_name: roleName });
+    }
+
+    async findPermissionIds(roleId) {
+        const rows = await this.rolePermissions.find({ select: 'permission_id', where: { role_id: roleId } });
+        return rows.map(row => row.permission_id);
+    }
+
+    // Replaces the permissions granted to a role
+    async setPermissions(roleId, permissionIds) {
+        await this.rolePermissions.delete({ role_id: roleId });
+        if (permissionIds.length > 0) {
+            await this.rolePermissions.insert(permissionIds.map(permission_id => ({ role_id: roleId, permission_id })));
+        }
+    }
+
+    async isPermissionAssigned(permissionId) {
+        return (await this.rolePermissions.count({ permission_id: permissionId })) > 0;
+    }
+
+    // Deletes a role together with its permission grants
+    async deleteWithPermissions(id) {
+        await this.rolePermissions.delete({ role_id: id });
+        return this.deleteById(id);
+    }
+}
+
+module.exports = { RoleRepository };
@@ -0,0 +1,301 @@
+// repositories/schema.js
+// Table definitions mirroring the SQL in the README. The Supabase backend does not need them (the
+// database knows its own schema); the in-memory backend uses them to fill in defaults and generated
+// keys, enforce unique constraints, resolve embedded relations in select strings and apply ON DELETE rules.
+//
+// columns:     every column with its default (a function is called on insert)
+// primaryKey:  column name, or an array for composite keys
+// generated:   'identity' (auto-increment integer) or 'uuid' for the primary key, if the database generates it
+// unique:      column groups that must be unique
+// foreignKeys: column -> { table, onDelete: 'cascade' | 'set null' } (no onDelete means the delete is refused)
+const now = () => new Date().toISOString();
+
+const TABLES = {
+    roles: {
+        columns: { id: null, role_name: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['role_name']]
+    },
+    permissions: {
+        columns: { id: null, permission_name: null, permission_code: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['permission_code']]
+    },
+    role_permissions: {
+        columns: { role_id: null, permission_id: null },
+        primaryKey: ['role_id', 'permission_id'],
+        foreignKeys: {
+            role_id: { table: 'roles', onDelete: 'cascade' },
+            permission_id: { table: 'permissions', onDelete: 'cascade' }
+        }
+    },
+    users: {
+        columns: {
+            id: null, full_name: null, email: null, role_id: null, password_hash: null, activation_status: true,
+            is_active: true, must_change_password: false, second_factor: 'EMAIL', created_at: now, deleted_at: null, deleted_by: null
+        },
+        primaryKey: 'id',
+        generated: 'uuid',
+        unique: [['email']],
+        foreignKeys: {
+            role_id: { table: 'roles' },
+            deleted_by: { table: 'users' }
+        }
+    },
+    projects: {
+        columns: { id: null, name: null, description: null, status: true, deleted_at: null, deleted_by: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['name']],
+        foreignKeys: {
+            deleted_by: { table: 'users' }
+        }
+    },
+    project_users: {
+        columns: { project_id: null, user_id: null, project_role: 'ENUMERATOR', joined_at: now },
+        primaryKey: ['project_id', 'user_id'],
+        foreignKeys: {
+            project_id: { table: 'projects', onDelete: 'cascade' },
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    project_membership_events: {
+        columns: {
+            id: null, project_id: null, user_id: null, event: null, project_role: null, previous_role: null,
+            changed_by_user_id: null, occurred_at: now
+        },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            project_id: { table: 'projects', onDelete: 'cascade' },
+            user_id: { table: 'users', onDelete: 'cascade' },
+            changed_by_user_id: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    user_sessions: {
+        columns: {
+            id: null, user_id: null, refresh_token_hash: null, previous_token_hash: null, user_agent: null,
+            ip_address: null, created_at: now, last_used_at: now, expires_at: null, revoked_at: null, revoked_reason: null
+        },
+        primaryKey: 'id',
+        generated: 'uuid',
+        unique: [['refresh_token_hash']],
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    otp_challenges: {
+        columns: {
+            id: null, user_id: null, method: 'EMAIL', otp_hash: null, attempts: 0, send_count: 1, ip_address: null, created_at: now,
+            last_sent_at: now, expires_at: null, consumed_at: null
+        },
+        primaryKey: 'id',
+        generated: 'uuid',
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    password_reset_tokens: {
+        columns: { id: null, user_id: null, token_hash: null, ip_address: null, created_at: now, expires_at: null, used_at: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['token_hash']],
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    user_totp: {
+        columns: { user_id: null, secret_encrypted: null, enabled_at: null, last_used_step: null, created_at: now },
+        primaryKey: 'user_id',
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    user_recovery_codes: {
+        columns: { id: null, user_id: null, code_hash: null, used_at: null, created_at: now },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    email_deliveries: {
+        columns: {
+            id: null, template: null, locale: 'en', recipient: null, data: null, status: 'RETRYING', attempts: 0,
+            last_error: null, next_attempt_at: null, last_attempt_at: null, created_at: now, sent_at: null
+        },
+        primaryKey: 'id',
+        generated: 'identity'
+    },
+    notifications: {
+        columns: { id: null, user_id: null, type: null, title: null, body: null, data: null, actor_user_id: null, read_at: null, created_at: now },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' },
+            actor_user_id: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    notification_preferences: {
+        columns: { user_id: null, type: null, in_app: true, email: false, updated_at: now },
+        primaryKey: ['user_id', 'type'],
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    farmer_types: {
+        columns: { id: null, name: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['name']]
+    },
+    farmers: {
+        columns: {
+            id: null, full_name: null, mobile_number: null, date_of_birth: null, age: null, gender: null,
+            farmer_type_id: null, country_name: null, state_name: null, district_name: null, village_tract_name: null,
+            village_name: null, project_id: null, added_by_user_id: null, date_added: now, latitude: null,
+            longitude: null, deleted_at: null, deleted_by: null
+        },
+        primaryKey: 'id',
+        generated: 'uuid',
+        foreignKeys: {
+            farmer_type_id: { table: 'farmer_types' },
+            project_id: { table: 'projects' },
+            added_by_user_id: { table: 'users' },
+            deleted_by: { table: 'users' }
+        }
+    },
+    quarters: {
+        columns: { id: null, name: null, start_date: null, end_date: null },
+        primaryKey: 'id',
+        generated: 'identity'
+    },
+    chats: {
+        columns: {
+            id: null, sender_id: null, receiver_id: null, message: null, timestamp: now,
+            delivered_at: null, read_at: null, edited_at: null, deleted_at: null
+        },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            sender_id: { table: 'users', onDelete: 'cascade' },
+            receiver_id: { table: 'users', onDelete: 'cascade' }
+        }
+    },
+    chat_groups: {
+        columns: { id: null, kind: 'GROUP', name: null, project_id: null, created_by: null, created_at: now, last_message_at: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['project_id']],
+        foreignKeys: {
+            project_id: { table: 'projects', onDelete: 'cascade' },
+            created_by: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    chat_group_members: {
+        columns: { group_id: null, user_id: null, member_role: 'MEMBER', added_by: null, joined_at: now },
+        primaryKey: ['group_id', 'user_id'],
+        foreignKeys: {
+            group_id: { table: 'chat_groups', onDelete: 'cascade' },
+            user_id: { table: 'users', onDelete: 'cascade' },
+            added_by: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    chat_group_messages: {
+        columns: { id: null, group_id: null, sender_id: null, message: null, timestamp: now },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            group_id: { table: 'chat_groups', onDelete: 'cascade' },
+            sender_id: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    chat_attachments: {
+        columns: { id: null, chat_id: null, storage_key: null, file_name: null, content_type: null, size_bytes: null, created_at: now },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['storage_key']],
+        foreignKeys: {
+            chat_id: { table: 'chats', onDelete: 'cascade' }
+        }
+    },
+    chat_conversations: {
+        columns: { user_id: null, other_user_id: null, last_message_id: null, last_message_at: null },
+        primaryKey: ['user_id', 'other_user_id'],
+        foreignKeys: {
+            user_id: { table: 'users', onDelete: 'cascade' },
+            other_user_id: { table: 'users', onDelete: 'cascade' },
+            last_message_id: { table: 'chats', onDelete: 'set null' }
+        }
+    },
+    farmer_merges: {
+        columns: { id: null, survivor_id: null, merged_farmer_id: null, merged_record: null, merged_by_user_id: null, merged_at: now },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            survivor_id: { table: 'farmers', onDelete: 'cascade' },
+            merged_by_user_id: { table: 'users' }
+        }
+    },
+    trainings: {
+        columns: {
+            id: null, topic: null, description: null, project_id: null, quarter_id: null, trainer_user_id: null,
+            trainer_name: null, created_by_user_id: null, created_at: now
+        },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            project_id: { table: 'projects', onDelete: 'cascade' },
+            quarter_id: { table: 'quarters', onDelete: 'set null' },
+            trainer_user_id: { table: 'users', onDelete: 'set null' },
+            created_by_user_id: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    training_sessions: {
+        columns: { id: null, training_id: null, session_date: null, location: null, notes: null },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            training_id: { table: 'trainings', onDelete: 'cascade' }
+        }
+    },
+    training_attendance: {
+        columns: { id: null, session_id: null, farmer_id: null, recorded_by_user_id: null, recorded_at: now },
+        primaryKey: 'id',
+        generated: 'identity',
+        unique: [['session_id', 'farmer_id']],
+        foreignKeys: {
+            session_id: { table: 'training_sessions', onDelete: 'cascade' },
+            farmer_id: { table: 'farmers', onDelete: 'cascade' },
+            recorded_by_user_id: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    audit_logs: {
+        columns: {
+            id: null, actor_user_id: null, action: null, entity_type: null, entity_id: null, before_values: null,
+            after_values: null, metadata: null, created_at: now
+        },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            actor_user_id: { table: 'users', onDelete: 'set null' }
+        }
+    },
+    farmer_revisions: {
+        columns: {
+            id: null, farmer_id: null, changed_by_user_id: null, source: 'UPDATE', changes: null,
+            reverted_to_revision_id: null, changed_at: now
+        },
+        primaryKey: 'id',
+        generated: 'identity',
+        foreignKeys: {
+            farmer_id: { table: 'farmers', onDelete: 'cascade' },
+            changed_by_user_id: { table: 'users', onDelete: 'set null' },
+            reverted_to_revision_id: { table: 'farmer_revisions', onDelete: 'set null' }
+        }
+    }
+};
+
+module.exports = { TABLES };
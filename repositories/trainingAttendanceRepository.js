@@ -0,0 +1,40 @@
+// repositories/trainingAttendanceRepository.js
+const { Repository } = require('./repository');
+
+class TrainingAttendanceRepository extends Repository {
+    constructor(database) {
+        super(database, 'training_attendance');
+    }
+
+    // Attendees of a session in the order they were recorded. deleted_at is loaded so farmers in the trash can be hidden.
+    listForSession(sessionId) {
+        return this.find({
+            select: `
+                id,
+                recorded_at,
+                farmer:farmers(
+                    id,
+                    full_name,
+                    gender,
+                    village_name,
+                    project_id,
+                    deleted_at
+                ),
+                recorded_by:users(
+                    id,
+                    full_name
+                )
+            `,
+            where: { session_id: sessionId },
+            orderBy: [{ column: 'recorded_at', ascending: true }]
+        });
+    }
+
+    // Which of the given farmers are already recorded for a session
+    async findRecordedFarmerIds(sessionId, farmerIds) {
+        const rows = await this.find({ select: 'farmer_id', where: { session_id: sessionId, farmer_id: farmerIds } });
+        return rows.map(row => row.farmer_id);
+    }
+}
+
+module.exports = { TrainingAttendanceRepository };
@@ -0,0 +1,67 @@
+// repositories/trainingRepository.js
+const { Repository } = require('./repository');
+
+// A training with its project, quarter and trainer
+const TRAINING_SELECT = `
+    id,
+    topic,
+    description,
+    trainer_name,
+    created_at,
+    project:projects(
+        id,
+        name
+    ),
+    quarter:quarters(
+        id,
+        name
+    ),
+    trainer:users!trainer_user_id(
+        id,
+        full_name,
+        email
+    )
+`;
+
+class TrainingRepository extends Repository {
+    constructor(database) {
+        super(database, 'trainings');
+    }
+
+    // Trainings with their number of sessions, newest first. Trainings of projects in the trash are left out.
+    async listWithSessionCounts(where = {}) {
+        const rows = await this.find({
+            select: `${TRAINING_SELECT}, sessions:training_sessions(count), project_deleted:projects(deleted_at)`,
+            where,
+            orderBy: [{ column: 'created_at', ascending: false }]
+        });
+        return rows
+            .filter(row => !row.project_deleted || !row.project_deleted.deleted_at)
+            .map(({ project_deleted, ...training }) => training);
+    }
+
+    // A training with its sessions and the number of attendees of each
+    findWithSessions(id) {
+        return this.findById(id, {
+            select: `
+                ${TRAINING_SELECT},
+                project_id,
+                sessions:training_sessions(
+                    id,
+                    session_date,
+                    location,
+                    notes,
+                    attendance:training_attendance(count)
+                )
+            `
+        });
+    }
+
+    // Resolves to the project a training belongs to, or null when the training does not exist
+    async findProjectId(id) {
+        const training = await this.findById(id, { select: 'id, project_id' });
+        return training ? training.project_id : null;
+    }
+}
+
+module.exports = { TrainingRepository };
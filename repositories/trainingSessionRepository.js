@@ -0,0 +1,24 @@
+// repositories/trainingSessionRepository.js
+const { Repository } = require('./repository');
+
+class TrainingSessionRepository extends Repository {
+    constructor(database) {
+        super(database, 'training_sessions');
+    }
+
+    // A session together with the project of its training; resolves to null when it does not exist
+    findWithTraining(id) {
+        return this.findById(id, { select: 'id, training_id, training:trainings(project_id)' });
+    }
+
+    // Sessions of a training in date order, with the number of attendees of each
+    listForTraining(trainingId) {
+        return this.find({
+            select: 'id, session_date, location, notes, attendance:training_attendance(count)',
+            where: { training_id: trainingId },
+            orderBy: [{ column: 'session_date', ascending: true }]
+        });
+    }
+}
+
+module.exports = { TrainingSessionRepository };
@@ -0,0 +1,104 @@
+// repositories/userRepository.js
+const { Repository } = require('./repository');
+
+// A user as returned by the user endpoints (no credentials)
+const USER_SELECT = `
+    id,
+    full_name,
+    email,
+    activation_status,
+    is_active,
+    must_change_password,
+    created_at,
+    role:roles(
+        id,
+        role_name
+    )
+`;
+
+const USER_TRASH_SELECT = `
+    id,
+    full_name,
+    email,
+    deleted_at,
+    deleted_by,
+    role:roles(
+        id,
+        role_name
+    )
+`;
+
+class UserRepository extends Repository {
+    constructor(database) {
+        super(database, 'users');
+    }
+
+    listActive() {
+        return this.find({ select: USER_SELECT, where: { deleted_at: null } });
+    }
+
+    // Resolves to null when the user does not exist or is in the trash
+    findActive(id, { select = USER_SELECT } = {}) {
+        return this.findOne({ id, deleted_at: null }, { select });
+    }
+
+    listDeleted() {
+        return this.find({
+            select: USER_TRASH_SELECT,
+            where: { deleted_at: { not: null } },
+            orderBy: [{ column: 'deleted_at', ascending: false }]
+        });
+    }
+
+    findDeleted(id) {
+        return this.findOne({ id, deleted_at: { not: null } });
+    }
+
+    // Looks up the account signing in; users in the trash cannot sign in
+    findActiveByEmail(email, { select = '*' } = {}) {
+        return this.findOne({ email, deleted_at: null }, { select });
+    }
+
+    // Emails stay unique across the trash, so deleted users are included
+    isEmailTaken(email, exceptUserId = null) {
+        return this.exists(exceptUserId ? { email, id: { neq: exceptUserId } } : { email });
+    }
+
+    // Loads everything authentication needs about a user in one query: account status, role and the
+    // permission codes granted through the role. Resolves to null when the user does not exist.
+    async findAccessProfile(id) {
+        const user = await this.findOne({ id }, {
+            select: `
+                id,
+                is_active,
+                activation_status,
+                must_change_password,
+                deleted_at,
+                role:roles(
+                    id,
+                    role_name,
+                    role_permissions(
+                        permission:permissions(
+                            permission_code
+                        )
+                    )
+                )
+            `
+        });
+        if (!user) return null;
+
+        const rolePermissions = user.role && user.role.role_permissions ? user.role.role_permissions : [];
+        return {
+            userId: user.id,
+            isActive: Boolean(user.is_active) && user.activation_status !== false && !user.deleted_at,
+            mustChangePassword: Boolean(user.must_change_password),
+            roleId: user.role ? user.role.id : null,
+            roleName: user.role ? user.role.role_name : null,
+            permissions: rolePermissions
+                .filter(rolePermission => rolePermission.permission)
+                .map(rolePermission => rolePermission.permission.permission_code)
+        };
+    }
+}
+
+module.exports = { UserRepository, USER_SELECT };
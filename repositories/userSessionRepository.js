@@ -0,0 +1,59 @@
+// repositories/userSessionRepository.js
+// Sign-in sessions. Each session holds the hash of its current refresh token; access tokens carry the
+// session id so that revoking a session locks out every token issued for it.
+const { Repository } = require('./repository');
+
+// A session as shown to users and admins (no token hashes)
+const SESSION_SELECT = `
+    id,
+    user_id,
+    user_agent,
+    ip_address,
+    created_at,
+    last_used_at,
+    expires_at,
+    revoked_at,
+    revoked_reason
+`;
+
+class UserSessionRepository extends Repository {
+    constructor(database) {
+        super(database, 'user_sessions');
+    }
+
+    findByTokenHash(tokenHash) {
+        return this.findOne({ refresh_token_hash: tokenHash });
+    }
+
+    // The session a rotated-out refresh token belonged to
+    findByPreviousTokenHash(tokenHash) {
+        return this.findOne({ previous_token_hash: tokenHash });
+    }
+
+    // Resolves to null when the session does not exist, was revoked or has expired
+    findActive(id, { select = SESSION_SELECT } = {}) {
+        return this.findOne({ id, revoked_at: null, expires_at: { gt: new Date().toISOString() } }, { select });
+    }
+
+    // Sessions of a user that can still be refreshed, most recently used first
+    listActiveForUser(userId) {
+        return this.find({
+            select: SESSION_SELECT,
+            where: { user_id: userId, revoked_at: null, expires_at: { gt: new Date().toISOString() } },
+            orderBy: [{ column: 'last_used_at', ascending: false }]
+        });
+    }
+
+    revoke(id, reason) {
+        return this.updateWhere({ id, revoked_at: null }, { revoked_at: new Date().toISOString(), revoked_reason: reason }, { select: SESSION_SELECT });
+    }
+
+    // Revokes every open session of a user, except exceptSessionId when given. Resolves to the revoked sessions.
+    revokeAllForUser(userId, reason, { exceptSessionId = null } = {}) {
+        const where = { user_id: userId, revoked_at: null };
+        if (exceptSessionId) where.id = { neq: exceptSessionId };
+        return this.updateWhere(where, { revoked_at: new Date().toISOString(), revoked_reason: reason }, { select: SESSION_SELECT });
+    }
+}
+
+module.exports = { UserSessionRepository };
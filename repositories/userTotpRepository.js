@@ -0,0 +1,34 @@
+// repositories/userTotpRepository.js
+// Authenticator-app (TOTP) enrolments, one per user. The secret is stored encrypted (see utils/totp.js).
+const { Repository } = require('./repository');
+
+class UserTotpRepository extends Repository {
+    constructor(database) {
+        super(database, 'user_totp');
+    }
+
+    findByUser(userId) {
+        return this.findOne({ user_id: userId });
+    }
+
+    // Resolves to null when the user has not finished enrolling
+    findEnabled(userId) {
+        return this.findOne({ user_id: userId, enabled_at: { not: null } });
+    }
+
+    // Records the time step of an accepted code. Resolves to null when a code of the same or a later step
+    // was accepted first, so that each code works only once.
+    async markStepUsed(userId, step) {
+        const [row] = await this.updateWhere(
+            { user_id: userId, or: [{ last_used_step: null }, { last_used_step: { lt: step } }] },
+            { last_used_step: step }
+        );
+        return row || null;
+    }
+
+    removeForUser(userId) {
+        return this.deleteWhere({ user_id: userId });
+    }
+}
+
+module.exports = { UserTotpRepository };
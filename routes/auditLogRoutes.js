@@ -0,0 +1,51 @@
+// routes/auditLogRoutes.js
+const express = require('express');
+const router = express.Router();
+const { auditLogs } = require('../repositories');
+const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { validateRequest } = require('../middleware/validateRequest');
+const { auditLogQuery } = require('../schemas/auditLogSchemas');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// @route GET /api/audit-logs
+// @desc Get a page of audit log entries, newest first
+// @query actorId, action, entityType, entityId, from, to, page, limit
+// @access Private (VIEW_AUDIT_LOGS)
+router.get('/', authenticateToken, authorizePermission('VIEW_AUDIT_LOGS'), validateRequest({ query: auditLogQuery }), async (req, res) => {
+    const { actorId, action, entityType, entityId, from, to } = req.validatedQuery;
+    const page = req.validatedQuery.page !== undefined ? Number(req.validatedQuery.page) : 1;
+    const limit = Math.min(req.validatedQuery.limit !== undefined ? Number(req.validatedQuery.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    try {
+        const where = {};
+        if (actorId) where.actor_user_id = actorId;
+        if (action) where.action = action;
+        if (entityType) where.entity_type = entityType;
+        if (entityId) where.entity_id = entityId;
+        if (from || to) {
+            where.created_at = {};
+            if (from) where.created_at.gte = from;
+            if (to) where.created_at.lte = to;
+        }
+
+        const start = (page - 1) * limit;
+        const { rows: logs, total: count } = await auditLogs.listPage(where, [start, start + limit - 1]);
+
+        res.status(200).json({
+            data: logs,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit logs:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -2,55 +2,70 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const nodemailer = require('nodemailer');
-const supabase = require('../config/supabaseClient');
-
-// Nodemailer transporter setup (replace with your actual email service)
-const transporter = nodemailer.createTransport({
-    service: 'gmail', // e.g., 'gmail', 'SendGrid'
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-    },
-});
-
-// Helper to generate OTP
-const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
+const { users, roles, userSessions, userTotp } = require('../repositories');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const {
+    registerBody, loginBody, verifyOtpBody, resendOtpBody, forgotPasswordBody, resetPasswordBody, changePasswordBody, refreshBody
+} = require('../schemas/authSchemas');
+const { authenticateToken, authenticateForPasswordChange } = require('../middleware/authMiddleware');
+const { startSession, rotateSession, revokeUserSessions, SESSION_REVOKE_REASONS } = require('../utils/sessions');
+const { otpSettings, challengeResponse, createChallenge, verifyChallenge, resendChallenge } = require('../utils/otp');
+const { resetTtlMinutes, resetLink, issueResetToken, consumeResetToken } = require('../utils/passwordReset');
+const { invalidateUserAccess } = require('../utils/accessCache');
+const { SECOND_FACTORS } = require('../utils/totp');
+const { authRateLimit, refreshRateLimit } = require('../middleware/rateLimit');
+const { checkAccountLock, recordLoginFailure, clearLoginFailures } = require('../utils/loginProtection');
+const { sendEmail, localeFor } = require('../utils/email');
+
+// Compared against when the email is unknown, so that unknown emails take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('fors-unknown-account', 10);
+
+// 429 for an email that is locked out or has to wait before its next attempt
+const accountLockResponse = (res, lock) => {
+    res.set('Retry-After', String(lock.retryAfterSeconds));
+    return res.status(429).json({
+        message: lock.locked
+            ? 'Too many failed sign-in attempts. This account is temporarily locked; please try again later.'
+            : `Too many failed sign-in attempts. Please wait ${lock.retryAfterSeconds} second${lock.retryAfterSeconds === 1 ? '' : 's'} before trying again.`,
+        retryAfterSeconds: lock.retryAfterSeconds
+    });
+};
+
+// Emails a login OTP. Resolves to false when the email could not be sent; the user can ask for a resend.
+const sendOtpEmail = async (req, email, otp) => {
+    const { sent } = await sendEmail('otp', email, { otp, ttlMinutes: otpSettings().ttlMinutes }, { locale: localeFor(req) });
+    return sent;
+};
+
+const sendPasswordResetEmail = (req, email, token) => sendEmail(
+    'passwordReset',
+    email,
+    { link: resetLink(token), token, ttlMinutes: resetTtlMinutes() },
+    { locale: localeFor(req) }
+);
+
+const OTP_NOT_SENT_MESSAGE = 'The OTP email could not be sent. Please request a new code in a moment.';
 
 // @route POST /api/auth/register
 // @desc Register a new user (Admin only)
 // @access Private (Admin) - In a real app, this might be handled by an Admin via user management
-router.post('/register', async (req, res) => {
+router.post('/register', validateRequest({ body: registerBody }), async (req, res) => {
     // This route would typically be secured by an admin role or an initial setup process.
     // For this example, it's open, but remember to add authorizeRole('Admin') for production.
     const { fullName, email, password, roleName } = req.body;
 
-    if (!fullName || !email || !password || !roleName) {
-        return res.status(400).json({ message: 'Please enter all fields.' });
-    }
-
     try {
         // Check if user already exists
-        const { data: existingUser, error: existingUserError } = await supabase
-            .from('users')
-            .select('id')
-            .eq('email', email)
-            .single();
-
-        if (existingUser) {
+        if (await users.isEmailTaken(email)) {
             return res.status(400).json({ message: 'User with this email already exists.' });
         }
 
         // Get role ID
-        const { data: role, error: roleError } = await supabase
-            .from('roles')
-            .select('id')
-            .eq('role_name', roleName)
-            .single();
+        const role = await roles.findByName(roleName, { select: 'id' });
 
-        if (roleError || !role) {
+        if (!role) {
             return res.status(400).json({ message: 'Invalid role name provided.' });
         }
 
@@ -59,22 +74,16 @@ router.post('/register', async (req, res) => {
         const passwordHash = await bcrypt.hash(password, salt);
 
         // Insert new user
-        const { data: newUser, error: createUserError } = await supabase
-            .from('users')
-            .insert({
-                full_name: fullName,
-                email,
-                password_hash: passwordHash,
-                role_id: role.id,
-                activation_status: true, // Default to active upon registration by admin
-                is_active: true
-            })
-            .select()
-            .single();
-
-        if (createUserError) {
-            throw createUserError;
-        }
+        const newUser = await users.create({
+            full_name: fullName,
+            email,
+            password_hash: passwordHash,
+            role_id: role.id,
+            activation_status: true, // Default to active upon registration by admin
+            is_active: true
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'user', entityId: newUser.id, after: newUser, metadata: { source: 'register' } });
 
         res.status(201).json({ message: 'User registered successfully. An admin needs to manage activation if needed.', user: newUser });
 
@@ -85,68 +94,54 @@ router.post('/register', async (req, res) => {
 });
 
 // @route POST /api/auth/login
-// @desc Authenticate user & get token (with OTP)
+// @desc Check the password and start the second factor: email an OTP, or for users who chose an authenticator
+//       app, ask for its code (method: 'TOTP'). The response carries the challengeId to send to verify-otp.
+//       Unknown emails, wrong passwords and inactive accounts all get the same 400, and repeated failures
+//       delay and then lock the email (see utils/loginProtection.js).
 // @access Public
-router.post('/login', async (req, res) => {
+router.post('/login', authRateLimit, validateRequest({ body: loginBody }), async (req, res) => {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-        return res.status(400).json({ message: 'Please enter all fields.' });
-    }
-
     try {
+        const lock = await checkAccountLock(email);
+        if (lock) {
+            return accountLockResponse(res, lock);
+        }
+
         // Check for user
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('id, full_name, email, password_hash, otp, activation_status, is_active, role_id, role:roles(role_name)')
-            .eq('email', email)
-            .single();
+        const user = await users.findActiveByEmail(email, {
+            select: 'id, full_name, email, password_hash, activation_status, is_active, second_factor, role_id, role:roles(role_name)'
+        });
 
-        if (userError || !user) {
+        // Check password
+        const isMatch = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+        if (!user || !isMatch) {
+            await recordLoginFailure(email);
             return res.status(400).json({ message: 'Invalid credentials.' });
         }
 
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password_hash);
-        if (!isMatch) {
-            return res.status(400).json({ message: 'Invalid credentials.' });
+        // Parallel attempts with wrong passwords may have locked the email while this one was being checked
+        const lockAfterCheck = await checkAccountLock(email);
+        if (lockAfterCheck && lockAfterCheck.locked) {
+            return accountLockResponse(res, lockAfterCheck);
         }
 
-        // Check activation and active status
+        // Inactive accounts get the same answer as a wrong password
         if (!user.activation_status || !user.is_active) {
-            return res.status(403).json({ message: 'Your account is inactive. Please contact an administrator.' });
+            return res.status(400).json({ message: 'Invalid credentials.' });
         }
 
-        // Generate and send OTP
-        const otp = generateOTP();
-        const { error: updateOtpError } = await supabase
-            .from('users')
-            .update({ otp: otp })
-            .eq('id', user.id);
-
-        if (updateOtpError) {
-            throw updateOtpError;
-        }
-
-        // Send OTP via email
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: user.email,
-            subject: 'FORS Login OTP',
-            text: `Your One-Time Password (OTP) for FORS login is: ${otp}. This OTP is valid for a short period.`,
-            html: `<p>Your One-Time Password (OTP) for FORS login is: <strong>${otp}</strong>.</p><p>This OTP is valid for a short period.</p>`
-        };
-
-        transporter.sendMail(mailOptions, (error, info) => {
-            if (error) {
-                console.error('Error sending OTP email:', error);
-                // Even if email fails, we don't block login, but log the error
-            } else {
-                console.log('OTP Email sent:', info.response);
-            }
-        });
+        // Each login gets its own challenge, so parallel logins keep their own codes
+        const useTotp = user.second_factor === SECOND_FACTORS.TOTP && Boolean(await userTotp.findEnabled(user.id));
+        const { challenge, otp } = await createChallenge(req, user.id, useTotp ? SECOND_FACTORS.TOTP : SECOND_FACTORS.EMAIL);
+        if (useTotp) {
+            return res.status(200).json({ message: 'Enter the code from your authenticator app to complete login.', ...challengeResponse(challenge) });
+        }
 
-        res.status(200).json({ message: 'OTP sent to your email. Please verify to complete login.' });
+        if (!(await sendOtpEmail(req, user.email, otp))) {
+            return res.status(502).json({ message: OTP_NOT_SENT_MESSAGE, ...challengeResponse(challenge) });
+        }
+        res.status(200).json({ message: 'OTP sent to your email. Please verify to complete login.', ...challengeResponse(challenge) });
 
     } catch (error) {
         console.error('Login error:', error);
@@ -155,58 +150,51 @@ router.post('/login', async (req, res) => {
 });
 
 // @route POST /api/auth/verify-otp
-// @desc Verify OTP and issue JWT
+// @desc Verify the OTP of a login challenge, open a session and issue an access token (JWT) and a refresh token.
+//       For authenticator-app challenges otp is the app's code, or a recoveryCode can be sent instead.
+//       A challenge accepts OTP_MAX_ATTEMPTS tries; after that the user has to log in again.
 // @access Public
-router.post('/verify-otp', async (req, res) => {
-    const { email, otp } = req.body;
-
-    if (!email || !otp) {
-        return res.status(400).json({ message: 'Email and OTP are required.' });
-    }
+// @body { challengeId, otp } or { challengeId, recoveryCode }
+router.post('/verify-otp', authRateLimit, validateRequest({ body: verifyOtpBody }), async (req, res) => {
+    const { challengeId, otp, recoveryCode } = req.body;
 
     try {
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('id, email, otp, full_name, role_id, role:roles(role_name)')
-            .eq('email', email)
-            .single();
-
-        if (userError || !user) {
-            return res.status(400).json({ message: 'Invalid email or OTP.' });
+        const result = await verifyChallenge(challengeId, { otp, recoveryCode });
+        if (result.error) {
+            if (result.userId) {
+                const challengedUser = await users.findById(result.userId, { select: 'email' });
+                if (challengedUser) await recordLoginFailure(challengedUser.email);
+            }
+            const body = { message: result.error };
+            if (result.attemptsRemaining !== undefined) body.attemptsRemaining = result.attemptsRemaining;
+            return res.status(result.status).json(body);
         }
 
-        if (user.otp !== otp) {
-            return res.status(400).json({ message: 'Invalid OTP.' });
+        const user = await users.findActive(result.challenge.user_id, {
+            select: 'id, email, full_name, activation_status, is_active, must_change_password, role:roles(role_name)'
+        });
+        if (!user || !user.activation_status || !user.is_active) {
+            return res.status(403).json({ message: 'Your account is inactive. Please contact an administrator.' });
         }
 
-        // Clear OTP after successful verification
-        const { error: clearOtpError } = await supabase
-            .from('users')
-            .update({ otp: null })
-            .eq('id', user.id);
-
-        if (clearOtpError) {
-            console.error('Error clearing OTP:', clearOtpError);
-            // Don't block login if OTP clearing fails, but log it
+        // A correct code does not get past a lockout earned in the meantime
+        const lock = await checkAccountLock(user.email);
+        if (lock && lock.locked) {
+            return accountLockResponse(res, lock);
         }
+        await clearLoginFailures(user.email);
 
-        // Generate JWT
-        const payload = {
-            userId: user.id,
-            email: user.email,
-            roleName: user.role.role_name
-        };
-
-        const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }); // Token expires in 1 hour
+        const tokens = await startSession(req, { id: user.id, email: user.email, roleName: user.role.role_name });
 
         res.status(200).json({
             message: 'OTP verified successfully.',
-            token,
+            ...tokens,
             user: {
                 id: user.id,
                 fullName: user.full_name,
                 email: user.email,
-                roleName: user.role.role_name
+                roleName: user.role.role_name,
+                mustChangePassword: Boolean(user.must_change_password)
             }
         });
 
@@ -216,5 +204,191 @@ router.post('/verify-otp', async (req, res) => {
     }
 });
 
+// @route POST /api/auth/resend-otp
+// @desc Email a new OTP for a login challenge. The previous code stops working. Limited to one resend every
+//       OTP_RESEND_INTERVAL_SECONDS and OTP_MAX_SENDS codes per challenge.
+// @access Public
+// @body { challengeId }
+router.post('/resend-otp', authRateLimit, validateRequest({ body: resendOtpBody }), async (req, res) => {
+    try {
+        const result = await resendChallenge(req.body.challengeId);
+        if (result.error) {
+            if (result.retryAfterSeconds) res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const user = await users.findActive(result.challenge.user_id, { select: 'id, email, activation_status, is_active' });
+        if (!user || !user.activation_status || !user.is_active) {
+            return res.status(403).json({ message: 'Your account is inactive. Please contact an administrator.' });
+        }
+
+        if (!(await sendOtpEmail(req, user.email, result.otp))) {
+            return res.status(502).json({ message: OTP_NOT_SENT_MESSAGE, ...challengeResponse(result.challenge) });
+        }
+        res.status(200).json({ message: 'A new OTP has been sent to your email.', ...challengeResponse(result.challenge) });
+    } catch (error) {
+        console.error('OTP resend error:', error);
+        res.status(500).json({ message: 'Server error while resending the OTP.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/forgot-password
+// @desc Email a single-use password reset link. The response is the same whether or not the email belongs to
+//       an account, so it cannot be used to find out who is registered.
+// @access Public
+// @body { email }
+router.post('/forgot-password', authRateLimit, validateRequest({ body: forgotPasswordBody }), async (req, res) => {
+    try {
+        const user = await users.findActiveByEmail(req.body.email, { select: 'id, email, activation_status, is_active' });
+        if (user && user.activation_status && user.is_active) {
+            const { token } = await issueResetToken(req, user.id);
+            // Not awaited: waiting for the mail server only for registered emails would reveal them through
+            // the response time. Failures are recorded in email_deliveries.
+            sendPasswordResetEmail(req, user.email, token);
+        }
+
+        res.status(200).json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/reset-password
+// @desc Set a new password with a reset token. The token stops working and every session of the user is revoked.
+// @access Public (reset token)
+// @body { token, password }
+router.post('/reset-password', authRateLimit, validateRequest({ body: resetPasswordBody }), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+        const resetToken = await consumeResetToken(token);
+        if (!resetToken) {
+            return res.status(400).json({ message: 'Invalid or expired reset token.' });
+        }
+
+        const user = await users.findActive(resetToken.user_id, { select: 'id, email, activation_status, is_active' });
+        if (!user || !user.activation_status || !user.is_active) {
+            return res.status(400).json({ message: 'Invalid or expired reset token.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        await users.updateById(user.id, { password_hash: await bcrypt.hash(password, salt), must_change_password: false });
+        invalidateUserAccess(user.id);
+        await revokeUserSessions(user.id, SESSION_REVOKE_REASONS.ACCOUNT_CHANGE);
+        await clearLoginFailures(user.email);
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: user.id, metadata: { source: 'password-reset' } });
+        res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/change-password
+// @desc Change the current user's password. Also clears the "must change password" flag; the user's other
+//       sessions are revoked, the current one stays signed in.
+// @access Private (also allowed while a password change is pending)
+// @body { currentPassword, newPassword }
+router.post('/change-password', authenticateForPasswordChange, validateRequest({ body: changePasswordBody }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        const user = await users.findActive(req.user.userId, { select: 'id, password_hash' });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+            return res.status(400).json({ message: 'Current password is incorrect.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        await users.updateById(user.id, { password_hash: await bcrypt.hash(newPassword, salt), must_change_password: false });
+        invalidateUserAccess(user.id);
+        await revokeUserSessions(user.id, SESSION_REVOKE_REASONS.ACCOUNT_CHANGE, { exceptSessionId: req.user.sessionId });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: user.id, metadata: { source: 'password-change' } });
+        res.status(200).json({ message: 'Password changed successfully.' });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// The account behind a session, or null when it can no longer sign in
+const loadSessionUser = async (userId) => {
+    const user = await users.findActive(userId, { select: 'id, email, activation_status, is_active, role:roles(role_name)' });
+    if (!user || !user.activation_status || !user.is_active) return null;
+    return { id: user.id, email: user.email, roleName: user.role.role_name };
+};
+
+// @route POST /api/auth/refresh
+// @desc Exchange a refresh token for a new access token. The refresh token is rotated: the response carries a
+//       new one and the old one stops working. Reusing an old refresh token revokes the session.
+// @access Public (refresh token)
+// @body { refreshToken }
+router.post('/refresh', refreshRateLimit, validateRequest({ body: refreshBody }), async (req, res) => {
+    try {
+        const result = await rotateSession(req.body.refreshToken, loadSessionUser);
+        if (result.error) {
+            if (result.session) {
+                await recordAudit(req, {
+                    action: AUDIT_ACTIONS.REVOKE,
+                    entityType: 'session',
+                    entityId: result.session.id,
+                    metadata: { userId: result.session.user_id, reason: SESSION_REVOKE_REASONS.TOKEN_REUSE }
+                });
+            }
+            return res.status(401).json({ message: result.error });
+        }
+
+        res.status(200).json({ message: 'Token refreshed successfully.', ...result.tokens });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Server error during token refresh.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/logout
+// @desc Revoke the current session. Its access and refresh tokens stop working immediately.
+// @access Private
+router.post('/logout', authenticateForPasswordChange, async (req, res) => {
+    try {
+        await userSessions.revoke(req.user.sessionId, SESSION_REVOKE_REASONS.LOGOUT);
+        res.status(200).json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/logout-all
+// @desc Revoke every session of the current user, including this one (log out of all devices)
+// @access Private
+router.post('/logout-all', authenticateForPasswordChange, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.userId, SESSION_REVOKE_REASONS.LOGOUT_ALL);
+        res.status(200).json({ message: 'Logged out of all devices.', revokedSessions: revoked.length });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout.', error: error.message });
+    }
+});
+
+// @route GET /api/auth/sessions
+// @desc List the current user's active sessions (devices). The session making the request has current: true.
+// @access Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await userSessions.listActiveForUser(req.user.userId);
+        res.status(200).json(sessions.map(session => ({ ...session, current: session.id === req.user.sessionId })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
 
 module.exports = router;
\ No newline at end of file
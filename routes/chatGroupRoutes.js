@@ -0,0 +1,281 @@
+// routes/chatGroupRoutes.js
+const express = require('express');
+const router = express.Router();
+const { chatGroups, chatGroupMembers, chatGroupMessages } = require('../repositories');
+const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const {
+    groupParams, groupMemberParams, createGroupBody, renameGroupBody, addGroupMembersBody, groupMemberRoleBody,
+    groupMessagesQuery, groupMessageBody
+} = require('../schemas/chatGroupSchemas');
+const {
+    CHAT_PERMISSION, CHAT_GROUP_KINDS, CHAT_GROUP_ROLES, findUsersWithoutChat, findGroupIdsForUser, findGroupMembership,
+    findGroupMemberIds, listGroupMembers, describeGroup
+} = require('../utils/chatGroups');
+const { publishGroupMessage } = require('../utils/realtime');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Loads the group named by :groupId into req.chatGroup ({ group, memberRole }). Groups the user does not
+// belong to are reported as not found.
+const loadGroup = async (req, res, next) => {
+    try {
+        const membership = await findGroupMembership(req.user.userId, req.params.groupId);
+        if (!membership) {
+            return res.status(404).json({ message: 'Chat group not found.' });
+        }
+        req.chatGroup = membership;
+        next();
+    } catch (error) {
+        console.error('Error loading chat group:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+};
+
+// Renaming, deleting and managing members is for the owners of ad-hoc groups. Project channels follow
+// their project's name and team.
+const requireGroupOwner = async (req, res, next) => {
+    const { group, memberRole } = req.chatGroup;
+    if (group.kind === CHAT_GROUP_KINDS.PROJECT) {
+        return res.status(409).json({ message: 'Project channels follow their project: manage the team under /api/projects/:id/members.' });
+    }
+    if (memberRole !== CHAT_GROUP_ROLES.OWNER) {
+        await recordAudit(req, { action: AUDIT_ACTIONS.ACCESS_DENIED, entityType: 'chat_group', entityId: group.id, metadata: { reason: 'not a group owner' } });
+        return res.status(403).json({ message: 'Access denied. Only group owners can do this.' });
+    }
+    next();
+};
+
+// Members can always remove themselves from an ad-hoc group; removing others is for its owners
+const requireOwnerOrSelf = (req, res, next) => {
+    if (req.chatGroup.group.kind === CHAT_GROUP_KINDS.GROUP && req.params.userId === req.user.userId) return next();
+    return requireGroupOwner(req, res, next);
+};
+
+// @route GET /api/chat-groups
+// @desc Get the ad-hoc groups and project channels the authenticated user belongs to, most recently active first
+// @access Private (INTERNAL_CHAT)
+router.get('/', authenticateToken, authorizePermission(CHAT_PERMISSION), async (req, res) => {
+    try {
+        const groups = await chatGroups.listByIds(await findGroupIdsForUser(req.user.userId));
+        res.status(200).json(groups.map(describeGroup));
+    } catch (error) {
+        console.error('Error fetching chat groups:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/chat-groups
+// @desc Create an ad-hoc group. The creator becomes its owner; memberIds join as members.
+// @body { name, memberIds: [] }
+// @access Private (INTERNAL_CHAT)
+router.post('/', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ body: createGroupBody }), async (req, res) => {
+    const { name } = req.body;
+    const creatorId = req.user.userId;
+    const memberIds = req.body.memberIds.filter(userId => userId !== creatorId);
+
+    try {
+        const unavailable = await findUsersWithoutChat(memberIds);
+        if (unavailable.length > 0) {
+            return res.status(400).json({ message: 'One or more users cannot use internal chat.', userIds: unavailable });
+        }
+
+        const group = await chatGroups.create({ kind: CHAT_GROUP_KINDS.GROUP, name, created_by: creatorId });
+        await chatGroupMembers.addMembers(group.id, [creatorId], CHAT_GROUP_ROLES.OWNER, creatorId);
+        const members = await chatGroupMembers.addMembers(group.id, memberIds, CHAT_GROUP_ROLES.MEMBER, creatorId);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'chat_group', entityId: group.id, after: group, metadata: { memberIds: members.map(row => row.user_id) } });
+        res.status(201).json({ message: 'Chat group created successfully.', group, members: await chatGroupMembers.listForGroup(group.id) });
+    } catch (error) {
+        console.error('Error creating chat group:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/chat-groups/:groupId
+// @desc Get a group with its members and the authenticated user's group role. The members of a project
+//       channel are the project's team.
+// @access Private (INTERNAL_CHAT, group member)
+router.get('/:groupId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupParams }), loadGroup, async (req, res) => {
+    const { group, memberRole } = req.chatGroup;
+    try {
+        res.status(200).json({ ...group, memberRole, members: await listGroupMembers(group) });
+    } catch (error) {
+        console.error('Error fetching chat group:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/chat-groups/:groupId
+// @desc Rename an ad-hoc group
+// @body { name }
+// @access Private (INTERNAL_CHAT, group owner)
+router.put('/:groupId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupParams, body: renameGroupBody }), loadGroup, requireGroupOwner, async (req, res) => {
+    const { group } = req.chatGroup;
+    try {
+        const updated = await chatGroups.updateById(group.id, { name: req.body.name });
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'chat_group', entityId: group.id, before: group, after: updated });
+        res.status(200).json({ message: 'Chat group updated successfully.', group: updated });
+    } catch (error) {
+        console.error('Error updating chat group:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/chat-groups/:groupId
+// @desc Delete an ad-hoc group with its messages
+// @access Private (INTERNAL_CHAT, group owner)
+router.delete('/:groupId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupParams }), loadGroup, requireGroupOwner, async (req, res) => {
+    const { group } = req.chatGroup;
+    try {
+        await chatGroups.deleteById(group.id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'chat_group', entityId: group.id, before: group });
+        res.status(200).json({ message: 'Chat group deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting chat group:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/chat-groups/:groupId/members
+// @desc Add users to an ad-hoc group as members. Users who are members already are skipped.
+// @body { userIds: [] }
+// @access Private (INTERNAL_CHAT, group owner)
+router.post('/:groupId/members', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupParams, body: addGroupMembersBody }), loadGroup, requireGroupOwner, async (req, res) => {
+    const { group } = req.chatGroup;
+    const { userIds } = req.body;
+
+    try {
+        const unavailable = await findUsersWithoutChat(userIds);
+        if (unavailable.length > 0) {
+            return res.status(400).json({ message: 'One or more users cannot use internal chat.', userIds: unavailable });
+        }
+
+        const added = await chatGroupMembers.addMembers(group.id, userIds, CHAT_GROUP_ROLES.MEMBER, req.user.userId);
+        if (added.length > 0) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'chat_group_member', entityId: group.id, after: added, metadata: { userIds: added.map(row => row.user_id) } });
+        }
+        res.status(201).json({
+            message: 'Chat group members added successfully.',
+            added: added.length,
+            skipped: userIds.length - added.length,
+            members: added
+        });
+    } catch (error) {
+        console.error('Error adding chat group members:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/chat-groups/:groupId/members/:userId
+// @desc Change the group role of a member of an ad-hoc group
+// @body { memberRole: OWNER | MEMBER }
+// @access Private (INTERNAL_CHAT, group owner)
+router.put('/:groupId/members/:userId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupMemberParams, body: groupMemberRoleBody }), loadGroup, requireGroupOwner, async (req, res) => {
+    const { group } = req.chatGroup;
+    const { userId } = req.params;
+    const { memberRole } = req.body;
+
+    try {
+        const before = await chatGroupMembers.findMembership(group.id, userId);
+        if (!before) {
+            return res.status(404).json({ message: 'User is not a member of this group.' });
+        }
+        if (before.member_role === CHAT_GROUP_ROLES.OWNER && memberRole !== CHAT_GROUP_ROLES.OWNER &&
+            (await chatGroupMembers.count({ group_id: group.id, member_role: CHAT_GROUP_ROLES.OWNER })) === 1) {
+            return res.status(409).json({ message: 'A group needs at least one owner.' });
+        }
+
+        const [membership] = await chatGroupMembers.updateWhere({ group_id: group.id, user_id: userId }, { member_role: memberRole });
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'chat_group_member', entityId: `${group.id}:${userId}`, before, after: membership });
+        res.status(200).json({ message: 'Group role updated successfully.', membership });
+    } catch (error) {
+        console.error('Error updating chat group member:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/chat-groups/:groupId/members/:userId
+// @desc Remove a member from an ad-hoc group, or leave it (members can always remove themselves). The last
+//       owner has to hand over ownership before leaving; a group whose last member leaves is deleted.
+// @access Private (INTERNAL_CHAT, group owner or the member themselves)
+router.delete('/:groupId/members/:userId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupMemberParams }), loadGroup, requireOwnerOrSelf, async (req, res) => {
+    const { group } = req.chatGroup;
+    const { userId } = req.params;
+
+    try {
+        const membership = await chatGroupMembers.findMembership(group.id, userId);
+        if (!membership) {
+            return res.status(404).json({ message: 'User is not a member of this group.' });
+        }
+        const memberCount = await chatGroupMembers.count({ group_id: group.id });
+        if (membership.member_role === CHAT_GROUP_ROLES.OWNER && memberCount > 1 &&
+            (await chatGroupMembers.count({ group_id: group.id, member_role: CHAT_GROUP_ROLES.OWNER })) === 1) {
+            return res.status(409).json({ message: 'Make another member an owner before the last owner leaves.' });
+        }
+
+        if (memberCount === 1) {
+            await chatGroups.deleteById(group.id);
+            await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'chat_group', entityId: group.id, before: group, metadata: { reason: 'last member left' } });
+            return res.status(200).json({ message: 'Left the group. It had no other members and was deleted.', groupDeleted: true });
+        }
+
+        const removed = await chatGroupMembers.removeMember(group.id, userId);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'chat_group_member', entityId: `${group.id}:${userId}`, before: removed });
+        res.status(200).json({ message: 'User removed from group successfully.', groupDeleted: false });
+    } catch (error) {
+        console.error('Error removing chat group member:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/chat-groups/:groupId/messages
+// @desc Get a page of a group's messages, newest first
+// @query page, limit
+// @access Private (INTERNAL_CHAT, group member)
+router.get('/:groupId/messages', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupParams, query: groupMessagesQuery }), loadGroup, async (req, res) => {
+    const { group } = req.chatGroup;
+    const page = req.validatedQuery.page !== undefined ? Number(req.validatedQuery.page) : 1;
+    const limit = Math.min(req.validatedQuery.limit !== undefined ? Number(req.validatedQuery.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    try {
+        const start = (page - 1) * limit;
+        const { rows, total } = await chatGroupMessages.listPage(group.id, [start, start + limit - 1]);
+        res.status(200).json({
+            data: rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching chat group messages:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/chat-groups/:groupId/messages
+// @desc Post a message to a group. It is pushed at once to the members' open chat sockets.
+// @body { message }
+// @access Private (INTERNAL_CHAT, group member)
+router.post('/:groupId/messages', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: groupParams, body: groupMessageBody }), loadGroup, async (req, res) => {
+    const { group } = req.chatGroup;
+
+    try {
+        const created = await chatGroupMessages.create({ group_id: group.id, sender_id: req.user.userId, message: req.body.message });
+        await chatGroups.updateById(group.id, { last_message_at: created.timestamp });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'chat_group_message', entityId: created.id, metadata: { groupId: group.id } });
+
+        const chat = await chatGroupMessages.findWithSender(created.id);
+        publishGroupMessage(await findGroupMemberIds(group), chat);
+        res.status(201).json({ message: 'Message sent successfully.', chat });
+    } catch (error) {
+        console.error('Error sending chat group message:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
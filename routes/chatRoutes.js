@@ -1,84 +1,247 @@
 // routes/chatRoutes.js
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
-const { authenticateToken } = require('../middleware/authMiddleware'); // All users can chat
+const { chats, chatConversations, chatAttachments, users } = require('../repositories');
+const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const {
+    conversationParams, conversationListQuery, markReadBody, conversationHistoryQuery, messageParams, attachmentParams, editMessageBody,
+    sendMessageBody
+} = require('../schemas/chatSchemas');
+const { notifyChatMessage } = require('../utils/notifications');
+const { isOnline, publishChatMessage, publishChatUpdate } = require('../utils/realtime');
+const { markDelivered, markRead } = require('../utils/chatReceipts');
+const { CHAT_PERMISSION, findUsersWithoutChat } = require('../utils/chatGroups');
+const {
+    MAX_ATTACHMENTS, maxAttachmentBytes, isAllowedAttachment, storeAttachments, removeStoredFiles, readStoredFile
+} = require('../utils/chatAttachments');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_HISTORY_SIZE = 50;
+const MAX_HISTORY_SIZE = 200;
+
+// Attachments are kept in memory until they are handed to the storage backend
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxAttachmentBytes(), files: MAX_ATTACHMENTS },
+    fileFilter: (req, file, callback) => {
+        if (isAllowedAttachment(file)) return callback(null, true);
+        callback(new Error(`Files of type ${file.mimetype} cannot be attached.`));
+    }
+});
+
+// Accepts multipart/form-data messages with up to MAX_ATTACHMENTS files in the "attachments" field.
+// JSON requests pass through unchanged.
+const uploadAttachments = (req, res, next) => {
+    upload.array('attachments', MAX_ATTACHMENTS)(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ message: `File upload failed: ${err.message}` });
+        }
+        next();
+    });
+};
+
+// Points both users' conversation at a new message. Like the audit log, a failure is logged but does not
+// fail the request, since the message has been stored.
+const recordConversation = async (chat) => {
+    try {
+        await chatConversations.recordMessage(chat.sender_id, chat.receiver_id, chat);
+        await chatConversations.recordMessage(chat.receiver_id, chat.sender_id, chat);
+    } catch (error) {
+        console.error('Error updating chat conversations:', error);
+    }
+};
+
+// @route GET /api/chats
+// @desc Get a page of the authenticated user's conversations, most recent first, each with the other user,
+//       the last message and the number of unread messages. Messages waiting for the user are marked delivered.
+// @query page, limit
+// @access Private (INTERNAL_CHAT)
+router.get('/', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ query: conversationListQuery }), async (req, res) => {
+    const userId = req.user.userId;
+    const page = req.validatedQuery.page !== undefined ? Number(req.validatedQuery.page) : 1;
+    const limit = Math.min(req.validatedQuery.limit !== undefined ? Number(req.validatedQuery.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    try {
+        await markDelivered(userId);
+        const start = (page - 1) * limit;
+        const { rows, total } = await chatConversations.listPage(userId, [start, start + limit - 1]);
+        const unreadCounts = await Promise.all(rows.map(row => chats.countUnread(userId, row.user.id)));
+
+        res.status(200).json({
+            data: rows.map((row, index) => ({
+                user: row.user,
+                lastMessage: row.last_message,
+                lastMessageAt: row.last_message_at,
+                unreadCount: unreadCounts[index]
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching chat conversations:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/chats/attachments/:attachmentId
+// @desc Download a file attached to a message the authenticated user sent or received
+// @access Private (INTERNAL_CHAT)
+router.get('/attachments/:attachmentId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: attachmentParams }), async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const attachment = await chatAttachments.findWithChat(req.params.attachmentId);
+        const canSee = attachment && attachment.chat &&
+            (attachment.chat.sender_id === userId || attachment.chat.receiver_id === userId);
+        if (!canSee) {
+            return res.status(404).json({ message: 'Attachment not found.' });
+        }
+
+        const content = await readStoredFile(attachment.storage_key);
+        res.set('Content-Type', attachment.content_type);
+        res.set('Content-Length', String(content.length));
+        res.attachment(attachment.file_name);
+        res.status(200).send(content);
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ message: 'The attached file is no longer stored.' });
+        }
+        console.error('Error downloading chat attachment:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
 
 // @route GET /api/chats/:receiverId
-// @desc Get chat messages between the authenticated user and a specific receiver
-// @access Private (Authenticated Users)
-router.get('/:receiverId', authenticateToken, async (req, res) => {
+// @desc Get a page of the chat messages between the authenticated user and a specific receiver, oldest first.
+//       Without a cursor the newest messages are returned; pass pagination.nextCursor as before to load older
+//       ones, or the newest ID you have as after to catch up. Each message has delivered_at, read_at, edited_at,
+//       deleted_at and its attachments; messages from the receiver that were waiting are marked delivered.
+// @query before, after, limit (default 50, max 200)
+// @access Private (INTERNAL_CHAT)
+router.get('/:receiverId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: conversationParams, query: conversationHistoryQuery }), async (req, res) => {
     const { receiverId } = req.params;
     const senderId = req.user.userId; // Authenticated user's ID
+    const beforeId = req.validatedQuery.before !== undefined ? Number(req.validatedQuery.before) : null;
+    const afterId = req.validatedQuery.after !== undefined ? Number(req.validatedQuery.after) : null;
+    const limit = Math.min(req.validatedQuery.limit !== undefined ? Number(req.validatedQuery.limit) : DEFAULT_HISTORY_SIZE, MAX_HISTORY_SIZE);
 
     try {
+        await markDelivered(senderId, { senderId: receiverId });
         // Fetch messages where:
         // (sender is me AND receiver is them) OR (sender is them AND receiver is me)
-        const { data: chats, error } = await supabase
-            .from('chats')
-            .select(`
-                id,
-                message,
-                timestamp,
-                sender:users!sender_id(
-                    id,
-                    full_name
-                ),
-                receiver:users!receiver_id(
-                    id,
-                    full_name
-                )
-            `)
-            .or(`and(sender_id.eq.${senderId},receiver_id.eq.${receiverId}),and(sender_id.eq.${receiverId},receiver_id.eq.${senderId})`)
-            .order('timestamp', { ascending: true }); // Order chronologically
-
-        if (error) throw error;
-        res.status(200).json(chats);
+        const { rows, hasMore } = await chats.listConversation(senderId, receiverId, { beforeId, afterId, limit });
+        const edge = afterId ? rows[rows.length - 1] : rows[0];
+        res.status(200).json({
+            data: rows, // Ordered chronologically
+            pagination: {
+                limit,
+                hasMore,
+                // For the next page in the same direction: older messages with before, newer ones with after
+                nextCursor: hasMore && edge ? edge.id : null
+            }
+        });
     } catch (error) {
         console.error('Error fetching chat messages:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
 
-// @route POST /api/chats
-// @desc Send a new chat message
-// @access Private (Authenticated Users)
-router.post('/', authenticateToken, async (req, res) => {
-    const { receiverId, message } = req.body;
-    const senderId = req.user.userId; // Authenticated user's ID
+// @route POST /api/chats/:receiverId/read
+// @desc Mark the messages from a user to the authenticated user as read, up to and including upToMessageId
+//       (default: the latest one). The sender is told over the chat socket.
+// @body { upToMessageId }
+// @access Private (INTERNAL_CHAT)
+router.post('/:receiverId/read', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: conversationParams, body: markReadBody }), async (req, res) => {
+    const { receiverId } = req.params;
+    const userId = req.user.userId;
+    const upToMessageId = req.body && req.body.upToMessageId !== undefined ? Number(req.body.upToMessageId) : null;
+
+    try {
+        let upToId = upToMessageId;
+        if (upToId === null) {
+            const latest = await chats.findLatestFrom(receiverId, userId);
+            if (!latest) return res.status(200).json({ message: 'No messages to mark as read.', markedRead: 0, unreadCount: 0 });
+            upToId = latest.id;
+        } else {
+            const upTo = await chats.findById(upToId, { select: 'id, sender_id, receiver_id' });
+            const inConversation = upTo && (
+                (upTo.sender_id === receiverId && upTo.receiver_id === userId) ||
+                (upTo.sender_id === userId && upTo.receiver_id === receiverId)
+            );
+            if (!inConversation) return res.status(404).json({ message: 'Message not found in this conversation.' });
+        }
 
-    if (!receiverId || !message) {
-        return res.status(400).json({ message: 'Receiver ID and message are required.' });
+        const read = await markRead(userId, receiverId, upToId);
+        res.status(200).json({
+            message: 'Conversation marked as read.',
+            markedRead: read.length,
+            readAt: read.length > 0 ? read[0].read_at : null,
+            unreadCount: await chats.countUnread(userId, receiverId)
+        });
+    } catch (error) {
+        console.error('Error marking chat messages read:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
     }
+});
+
+// @route POST /api/chats
+// @desc Send a new chat message. It is pushed at once to the receiver's open chat sockets (see utils/chatSocket.js),
+//       and stored as delivered when the receiver has one open. Send multipart/form-data to attach up to 5 photos
+//       or files in the "attachments" field; the text is then optional.
+// @body { receiverId, message }
+// @access Private (INTERNAL_CHAT)
+router.post('/', authenticateToken, authorizePermission(CHAT_PERMISSION), uploadAttachments, validateRequest({ body: sendMessageBody }), async (req, res) => {
+    const { receiverId } = req.body;
+    const message = req.body.message && req.body.message.trim() ? req.body.message : null;
+    const files = req.files || [];
+    const senderId = req.user.userId; // Authenticated user's ID
 
     // Optional: Prevent sending messages to self, though the database schema allows it.
     if (senderId === receiverId) {
         return res.status(400).json({ message: 'Cannot send message to yourself.' });
     }
+    if (!message && files.length === 0) {
+        return res.status(400).json({ message: 'A message needs text or at least one attachment.' });
+    }
 
     try {
         // Verify receiver exists
-        const { data: receiverUser, error: receiverError } = await supabase
-            .from('users')
-            .select('id')
-            .eq('id', receiverId)
-            .single();
-
-        if (receiverError || !receiverUser) {
+        const receiverUser = await users.findActive(receiverId, { select: 'id' });
+        if (!receiverUser) {
             return res.status(404).json({ message: 'Receiver user not found.' });
         }
+        if ((await findUsersWithoutChat([receiverId])).length > 0) {
+            return res.status(400).json({ message: 'Receiver cannot use internal chat.' });
+        }
 
-        const { data: newChat, error } = await supabase
-            .from('chats')
-            .insert({
+        const stored = await storeAttachments(files);
+        let created;
+        try {
+            created = await chats.create({
                 sender_id: senderId,
                 receiver_id: receiverId,
-                message: message
-            })
-            .select()
-            .single();
+                message: message,
+                delivered_at: isOnline(receiverId) ? new Date().toISOString() : null
+            });
+            await chatAttachments.createMany(stored.map(attachment => ({ ...attachment, chat_id: created.id })));
+        } catch (error) {
+            await removeStoredFiles(stored.map(attachment => attachment.storage_key));
+            if (created) await chats.deleteById(created.id);
+            throw error;
+        }
 
-        if (error) throw error;
+        const newChat = await chats.findWithDetails(created.id);
+        await recordConversation(created);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'chat', entityId: newChat.id, metadata: { receiverId, attachments: stored.length } });
+        publishChatMessage(newChat);
+        await notifyChatMessage(req, newChat);
         res.status(201).json({ message: 'Message sent successfully.', chat: newChat });
     } catch (error) {
         console.error('Error sending chat message:', error);
@@ -86,4 +249,62 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 });
 
+// @route PUT /api/chats/messages/:messageId
+// @desc Correct the text of a message the authenticated user sent. The message is marked with edited_at and
+//       the change is pushed to both users' chat sockets.
+// @body { message }
+// @access Private (INTERNAL_CHAT, sender of the message)
+router.put('/messages/:messageId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: messageParams, body: editMessageBody }), async (req, res) => {
+    const { messageId } = req.params;
+
+    try {
+        const before = await chats.findById(messageId);
+        if (!before || before.sender_id !== req.user.userId) {
+            return res.status(404).json({ message: 'Message not found.' });
+        }
+        if (before.deleted_at) {
+            return res.status(409).json({ message: 'This message was deleted.' });
+        }
+
+        await chats.updateById(messageId, { message: req.body.message, edited_at: new Date().toISOString() });
+        const chat = await chats.findWithDetails(messageId);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'chat', entityId: messageId, before, after: chat });
+        publishChatUpdate(chat);
+        res.status(200).json({ message: 'Message updated successfully.', chat });
+    } catch (error) {
+        console.error('Error updating chat message:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/chats/messages/:messageId
+// @desc Delete a message the authenticated user sent. It stays in the conversation as a tombstone (deleted_at
+//       set, text and attachments removed) and the change is pushed to both users' chat sockets.
+// @access Private (INTERNAL_CHAT, sender of the message)
+router.delete('/messages/:messageId', authenticateToken, authorizePermission(CHAT_PERMISSION), validateRequest({ params: messageParams }), async (req, res) => {
+    const { messageId } = req.params;
+
+    try {
+        const before = await chats.findById(messageId);
+        if (!before || before.sender_id !== req.user.userId) {
+            return res.status(404).json({ message: 'Message not found.' });
+        }
+        if (before.deleted_at) {
+            return res.status(409).json({ message: 'This message was already deleted.' });
+        }
+
+        await chats.updateById(messageId, { message: null, deleted_at: new Date().toISOString() });
+        const removed = await chatAttachments.deleteForChat(messageId);
+        await removeStoredFiles(removed.map(attachment => attachment.storage_key));
+
+        const chat = await chats.findWithDetails(messageId);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'chat', entityId: messageId, before, metadata: { attachments: removed.length } });
+        publishChatUpdate(chat);
+        res.status(200).json({ message: 'Message deleted successfully.', chat });
+    } catch (error) {
+        console.error('Error deleting chat message:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
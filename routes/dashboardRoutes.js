@@ -1,8 +1,9 @@
 // routes/dashboardRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
+const { farmers, projects, users } = require('../repositories');
 const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { getAssignedProjectIds } = require('../utils/projectAccess');
 
 // @route GET /api/dashboard/summary
 // @desc Get dashboard summary statistics
@@ -17,64 +18,22 @@ router.get('/summary', authenticateToken, authorizePermission('VIEW_DASHBOARD'),
 
         if (req.user.roleName === 'Admin') {
             // Admin: Get global statistics
-            const { count: farmersCount, error: farmersCountError } = await supabase
-                .from('farmers')
-                .select('*', { count: 'exact', head: true });
-            if (farmersCountError) throw farmersCountError;
-            totalFarmers = farmersCount;
-
-            const { count: projectsCount, error: projectsCountError } = await supabase
-                .from('projects')
-                .select('*', { count: 'exact', head: true })
-                .eq('status', true); // Assuming 'status' true means active
-            if (projectsCountError) throw projectsCountError;
-            activeProjects = projectsCount;
-
-            const { count: usersCount, error: usersCountError } = await supabase
-                .from('users')
-                .select('*', { count: 'exact', head: true });
-            if (usersCountError) throw usersCountError;
-            totalUsers = usersCount;
-
-            const { count: activeUsersCount, error: activeUsersCountError } = await supabase
-                .from('users')
-                .select('*', { count: 'exact', head: true })
-                .eq('is_active', true)
-                .eq('activation_status', true);
-            if (activeUsersCountError) throw activeUsersCountError;
-            activeUsers = activeUsersCount;
+            totalFarmers = await farmers.countActive();
+            activeProjects = await projects.count({ deleted_at: null, status: true }); // Assuming 'status' true means active
+            totalUsers = await users.count({ deleted_at: null });
+            activeUsers = await users.count({ deleted_at: null, is_active: true, activation_status: true });
 
         } else {
             // Regular User: Get statistics relevant to their assigned projects
-            const userId = req.user.userId;
-
             // Get projects assigned to the current user
-            const { data: userProjects, error: userProjectsError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('user_id', userId);
-
-            if (userProjectsError) throw userProjectsError;
-
-            const projectIds = userProjects.map(p => p.project_id);
+            const projectIds = await getAssignedProjectIds(req.user.userId);
 
             if (projectIds.length > 0) {
                 // Count farmers in these projects
-                const { count: userFarmersCount, error: userFarmersError } = await supabase
-                    .from('farmers')
-                    .select('*', { count: 'exact', head: true })
-                    .in('project_id', projectIds);
-                if (userFarmersError) throw userFarmersError;
-                farmersInUserProjects = userFarmersCount;
+                farmersInUserProjects = await farmers.countActive({ project_id: projectIds });
 
                 // Count active projects among those assigned
-                const { count: userActiveProjects, error: userActiveProjectsError } = await supabase
-                    .from('projects')
-                    .select('*', { count: 'exact', head: true })
-                    .in('id', projectIds)
-                    .eq('status', true);
-                if (userActiveProjectsError) throw userActiveProjectsError;
-                activeProjects = userActiveProjects;
+                activeProjects = await projects.count({ deleted_at: null, id: projectIds, status: true });
             }
 
             // User-specific stats
@@ -1,49 +1,46 @@
 // routes/dataAnalysisRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
-const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { farmers } = require('../repositories');
+const { FARMER_COUNT_DIMENSIONS } = require('../repositories/farmerRepository');
+const { authenticateToken, requireAny } = require('../middleware/authMiddleware');
+const { PROJECT_CAPABILITIES, getProjectScope } = require('../utils/projectAccess');
+const { validateExportFormat, sendExport } = require('../utils/exporter');
+const { validateRequest } = require('../middleware/validateRequest');
+const { regionQuery } = require('../schemas/dataAnalysisSchemas');
+
+// Sends an analysis result as JSON (default) or, with ?format=csv|xlsx, as a file download
+const sendAnalysisResult = async (req, res, { filename, columns }, result) => {
+    if (req.exportFormat === 'json') {
+        return res.status(200).json(result);
+    }
+    await sendExport(res, req.exportFormat, { filename, columns, sheetName: 'Analysis' }, result);
+};
+
+// Counts the active farmers the user may analyze, grouped by dimension. The counting happens in the database
+// (count_farmers_by); non-admins only see the projects where their project role grants ANALYZE.
+// Resolves to [{ label, count }].
+const countFarmers = async (req, dimension) => {
+    const projectIds = await getProjectScope(req.user, PROJECT_CAPABILITIES.ANALYZE);
+    if (projectIds && projectIds.length === 0) return []; // No projects, no data
+    return farmers.countBy(dimension, projectIds);
+};
+
+// File name and columns used when each analysis result is exported
+const COUNT_COLUMN = { key: 'count', header: 'Count' };
+const GENDER_EXPORT = { filename: 'farmers-by-gender', columns: [{ key: 'gender', header: 'Gender' }, COUNT_COLUMN] };
+const TYPE_EXPORT = { filename: 'farmers-by-type', columns: [{ key: 'farmerType', header: 'Farmer Type' }, COUNT_COLUMN] };
+const PROJECT_EXPORT = { filename: 'farmers-by-project', columns: [{ key: 'projectName', header: 'Project' }, COUNT_COLUMN] };
 
 // @route GET /api/data-analysis/farmers-by-gender
 // @desc Get farmer count by gender
+// @query format=json|csv|xlsx (default json)
 // @access Private (Admin: ANALYZE_DATA, User: ANALYZE_PROJECT_DATA)
-router.get('/farmers-by-gender', authenticateToken, authorizePermission('ANALYZE_DATA'), async (req, res) => {
+router.get('/farmers-by-gender', authenticateToken, requireAny('ANALYZE_DATA', 'ANALYZE_PROJECT_DATA'), validateExportFormat('json'), async (req, res) => {
     try {
-        let query = supabase.from('farmers').select('gender', { count: 'exact' });
-
-        if (req.user.roleName !== 'Admin') {
-            // For non-admin, filter by projects they are assigned to
-            const { data: userProjects, error: userProjectsError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('user_id', req.user.userId);
-
-            if (userProjectsError) throw userProjectsError;
-            const projectIds = userProjects.map(p => p.project_id);
-
-            if (projectIds.length === 0) {
-                return res.status(200).json([]); // No projects, no data
-            }
-            query = query.in('project_id', projectIds);
-        }
-
-        const { data: farmers, error } = await query;
-        if (error) throw error;
-
-        // Aggregate by gender
-        const genderCounts = farmers.reduce((acc, farmer) => {
-            const gender = farmer.gender || 'Unknown';
-            acc[gender] = (acc[gender] || 0) + 1;
-            return acc;
-        }, {});
-
-        // Format for response
-        const result = Object.keys(genderCounts).map(gender => ({
-            gender,
-            count: genderCounts[gender]
-        }));
-
-        res.status(200).json(result);
+        const counts = await countFarmers(req, FARMER_COUNT_DIMENSIONS.GENDER);
+        const result = counts.map(({ label, count }) => ({ gender: label, count }));
+        await sendAnalysisResult(req, res, GENDER_EXPORT, result);
     } catch (error) {
         console.error('Error fetching farmers by gender:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -52,45 +49,13 @@ router.get('/farmers-by-gender', authenticateToken, authorizePermission('ANALYZE
 
 // @route GET /api/data-analysis/farmers-by-type
 // @desc Get farmer count by farmer type
+// @query format=json|csv|xlsx (default json)
 // @access Private (Admin: ANALYZE_DATA, User: ANALYZE_PROJECT_DATA)
-router.get('/farmers-by-type', authenticateToken, authorizePermission('ANALYZE_DATA'), async (req, res) => {
+router.get('/farmers-by-type', authenticateToken, requireAny('ANALYZE_DATA', 'ANALYZE_PROJECT_DATA'), validateExportFormat('json'), async (req, res) => {
     try {
-        let query = supabase.from('farmers').select(`
-            farmer_type:farmer_types(
-                name
-            )
-        `, { count: 'exact' });
-
-        if (req.user.roleName !== 'Admin') {
-            const { data: userProjects, error: userProjectsError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('user_id', req.user.userId);
-
-            if (userProjectsError) throw userProjectsError;
-            const projectIds = userProjects.map(p => p.project_id);
-
-            if (projectIds.length === 0) {
-                return res.status(200).json([]);
-            }
-            query = query.in('project_id', projectIds);
-        }
-
-        const { data: farmers, error } = await query;
-        if (error) throw error;
-
-        const farmerTypeCounts = farmers.reduce((acc, farmer) => {
-            const typeName = farmer.farmer_type?.name || 'Unknown';
-            acc[typeName] = (acc[typeName] || 0) + 1;
-            return acc;
-        }, {});
-
-        const result = Object.keys(farmerTypeCounts).map(type => ({
-            farmerType: type,
-            count: farmerTypeCounts[type]
-        }));
-
-        res.status(200).json(result);
+        const counts = await countFarmers(req, FARMER_COUNT_DIMENSIONS.FARMER_TYPE);
+        const result = counts.map(({ label, count }) => ({ farmerType: label, count }));
+        await sendAnalysisResult(req, res, TYPE_EXPORT, result);
     } catch (error) {
         console.error('Error fetching farmers by type:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -99,45 +64,13 @@ router.get('/farmers-by-type', authenticateToken, authorizePermission('ANALYZE_D
 
 // @route GET /api/data-analysis/farmers-by-project
 // @desc Get farmer count by project
+// @query format=json|csv|xlsx (default json)
 // @access Private (Admin: ANALYZE_DATA, User: ANALYZE_PROJECT_DATA)
-router.get('/farmers-by-project', authenticateToken, authorizePermission('ANALYZE_DATA'), async (req, res) => {
+router.get('/farmers-by-project', authenticateToken, requireAny('ANALYZE_DATA', 'ANALYZE_PROJECT_DATA'), validateExportFormat('json'), async (req, res) => {
     try {
-        let query = supabase.from('farmers').select(`
-            project:projects(
-                name
-            )
-        `, { count: 'exact' });
-
-        if (req.user.roleName !== 'Admin') {
-            const { data: userProjects, error: userProjectsError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('user_id', req.user.userId);
-
-            if (userProjectsError) throw userProjectsError;
-            const projectIds = userProjects.map(p => p.project_id);
-
-            if (projectIds.length === 0) {
-                return res.status(200).json([]);
-            }
-            query = query.in('project_id', projectIds);
-        }
-
-        const { data: farmers, error } = await query;
-        if (error) throw error;
-
-        const projectCounts = farmers.reduce((acc, farmer) => {
-            const projectName = farmer.project?.name || 'Unassigned';
-            acc[projectName] = (acc[projectName] || 0) + 1;
-            return acc;
-        }, {});
-
-        const result = Object.keys(projectCounts).map(project => ({
-            projectName: project,
-            count: projectCounts[project]
-        }));
-
-        res.status(200).json(result);
+        const counts = await countFarmers(req, FARMER_COUNT_DIMENSIONS.PROJECT);
+        const result = counts.map(({ label, count }) => ({ projectName: label, count }));
+        await sendAnalysisResult(req, res, PROJECT_EXPORT, result);
     } catch (error) {
         console.error('Error fetching farmers by project:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -146,50 +79,22 @@ router.get('/farmers-by-project', authenticateToken, authorizePermission('ANALYZ
 
 // @route GET /api/data-analysis/farmers-by-region
 // @desc Get farmer count by state/district
+// @query groupBy=state|district (default state), format=json|csv|xlsx (default json)
 // @access Private (Admin: ANALYZE_DATA, User: ANALYZE_PROJECT_DATA)
-router.get('/farmers-by-region', authenticateToken, authorizePermission('ANALYZE_DATA'), async (req, res) => {
-    const { groupBy = 'state' } = req.query; // 'state' or 'district'
+router.get('/farmers-by-region', authenticateToken, requireAny('ANALYZE_DATA', 'ANALYZE_PROJECT_DATA'), validateExportFormat('json'), validateRequest({ query: regionQuery }), async (req, res) => {
+    const { groupBy = 'state' } = req.validatedQuery; // 'state' or 'district'
 
-    if (!['state', 'district'].includes(groupBy)) {
-        return res.status(400).json({ message: 'Invalid groupBy parameter. Must be "state" or "district".' });
-    }
+    const regionKey = groupBy === 'state' ? 'stateName' : 'districtName';
+    const regionExport = {
+        filename: `farmers-by-${groupBy}`,
+        columns: [{ key: regionKey, header: groupBy === 'state' ? 'State' : 'District' }, COUNT_COLUMN]
+    };
 
     try {
-        let query = supabase.from('farmers').select(`
-            state_name,
-            district_name
-        `, { count: 'exact' });
-
-        if (req.user.roleName !== 'Admin') {
-            const { data: userProjects, error: userProjectsError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('user_id', req.user.userId);
-
-            if (userProjectsError) throw userProjectsError;
-            const projectIds = userProjects.map(p => p.project_id);
-
-            if (projectIds.length === 0) {
-                return res.status(200).json([]);
-            }
-            query = query.in('project_id', projectIds);
-        }
-
-        const { data: farmers, error } = await query;
-        if (error) throw error;
-
-        const regionCounts = farmers.reduce((acc, farmer) => {
-            const key = groupBy === 'state' ? farmer.state_name || 'Unknown State' : farmer.district_name || 'Unknown District';
-            acc[key] = (acc[key] || 0) + 1;
-            return acc;
-        }, {});
-
-        const result = Object.keys(regionCounts).map(region => ({
-            [groupBy === 'state' ? 'stateName' : 'districtName']: region,
-            count: regionCounts[region]
-        }));
-
-        res.status(200).json(result);
+        const dimension = groupBy === 'state' ? FARMER_COUNT_DIMENSIONS.STATE : FARMER_COUNT_DIMENSIONS.DISTRICT;
+        const counts = await countFarmers(req, dimension);
+        const result = counts.map(({ label, count }) => ({ [regionKey]: label, count }));
+        await sendAnalysisResult(req, res, regionExport, result);
     } catch (error) {
         console.error('Error fetching farmers by region:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
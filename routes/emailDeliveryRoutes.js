@@ -0,0 +1,78 @@
+// routes/emailDeliveryRoutes.js
+// Emails that could not be sent (see utils/email.js)
+const express = require('express');
+const router = express.Router();
+const { emailDeliveries } = require('../repositories');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { idParams } = require('../schemas/commonSchemas');
+const { emailDeliveryQuery } = require('../schemas/emailDeliverySchemas');
+const { retryDelivery, EMAIL_DELIVERY_STATUSES } = require('../utils/email');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// @route GET /api/email-deliveries
+// @desc Get a page of failed and retrying emails (and those sent after a retry), newest first
+// @query status, template, recipient, page, limit
+// @access Private (Admin only)
+router.get('/', authenticateToken, authorizeRole('Admin'), validateRequest({ query: emailDeliveryQuery }), async (req, res) => {
+    const { status, template, recipient } = req.validatedQuery;
+    const page = req.validatedQuery.page !== undefined ? Number(req.validatedQuery.page) : 1;
+    const limit = Math.min(req.validatedQuery.limit !== undefined ? Number(req.validatedQuery.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    try {
+        const where = {};
+        if (status) where.status = status;
+        if (template) where.template = template;
+        if (recipient) where.recipient = { ilike: recipient.trim() };
+
+        const start = (page - 1) * limit;
+        const { rows, total } = await emailDeliveries.listPage(where, [start, start + limit - 1]);
+
+        res.status(200).json({
+            data: rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching email deliveries:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/email-deliveries/:id/retry
+// @desc Resend a failed or retrying email now. Login codes and reset links cannot be resent.
+// @access Private (Admin only)
+router.post('/:id/retry', authenticateToken, authorizeRole('Admin'), validateRequest({ params: idParams }), async (req, res) => {
+    try {
+        const result = await retryDelivery(req.params.id);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        // The template data is not echoed back, as in the list
+        const { data, ...delivery } = result.delivery;
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.UPDATE,
+            entityType: 'email_delivery',
+            entityId: delivery.id,
+            metadata: { retry: true, status: delivery.status }
+        });
+        const sent = delivery.status === EMAIL_DELIVERY_STATUSES.SENT;
+        res.status(sent ? 200 : 502).json({
+            message: sent ? 'Email sent.' : 'The email could not be sent.',
+            delivery
+        });
+    } catch (error) {
+        console.error('Error retrying email delivery:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
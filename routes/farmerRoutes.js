@@ -1,67 +1,455 @@
 // routes/farmerRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
-const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const multer = require('multer');
+const { farmers, farmerMerges, farmerRevisions, farmerTypes, projects, database } = require('../repositories');
+const { FARMER_SELECT, DUPLICATE_CANDIDATE_SELECT } = require('../repositories/farmerRepository');
+const { authenticateToken, authorizeRole, authorizePermission } = require('../middleware/authMiddleware');
+const { PROJECT_CAPABILITIES, getAssignedProjectIds, isAssignedToProject, canAccessProject } = require('../utils/projectAccess');
+const { parseFarmerListQuery, buildFarmerWhere, buildFarmerOrder } = require('../utils/farmerQuery');
+const { parseImportFile, mapRow, isBlankRow, validateRow } = require('../utils/farmerImport');
+const { validateExportFormat, createExportWriter } = require('../utils/exporter');
+const { normalizeMobile, findLikelyDuplicates, findDuplicateClusters } = require('../utils/duplicateDetection');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { softDeleteFields, RESTORE_FIELDS } = require('../utils/softDelete');
+const { REVISION_SOURCES, diffFarmer, recordFarmerRevision, farmerStateAtRevision } = require('../utils/farmerHistory');
+const { notifyFarmerUpdated } = require('../utils/notifications');
+const { validateRequest } = require('../middleware/validateRequest');
+const { uuidParams } = require('../schemas/commonSchemas');
+const {
+    createFarmerBody, updateFarmerBody, farmerListQuery, farmerExportQuery, farmerImportQuery, duplicatesQuery, mergeBody, revisionParams
+} = require('../schemas/farmerSchemas');
+
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_BATCH_SIZE = 500;
+const EXPORT_BATCH_SIZE = 1000;
+
+// Uploaded import files are kept in memory; they are parsed once and discarded
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+const uploadImportFile = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ message: `File upload failed: ${err.message}` });
+        }
+        next();
+    });
+};
+
+// Creating farmers requires CREATE_FARMER_RECORDS for Admins and ADD_FARMER_RECORDS for everyone else
+const authorizeFarmerCreation = (req, res, next) => {
+    const permissionCode = req.user.roleName === 'Admin' ? 'CREATE_FARMER_RECORDS' : 'ADD_FARMER_RECORDS';
+    return authorizePermission(permissionCode)(req, res, next);
+};
+
+// Tables holding a farmer_id that must be re-pointed to the surviving record when farmers are merged.
+// uniqueWith names the column that, together with the farmer column, must stay unique: rows of a duplicate
+// that would clash with a row the survivor already has are dropped instead of moved.
+const FARMER_REFERENCES = [
+    { table: 'training_attendance', column: 'farmer_id', uniqueWith: 'session_id' }
+];
+
+// Fields copied from merged duplicates into the surviving record when the survivor has no value
+const MERGE_FILL_FIELDS = [
+    'mobile_number', 'date_of_birth', 'age', 'gender', 'farmer_type_id', 'country_name', 'state_name',
+    'district_name', 'village_tract_name', 'village_name', 'latitude', 'longitude'
+];
+
+const escapeLikePattern = (value) => String(value).replace(/[\\%_]/g, match => `\\${match}`);
+
+// Finds existing farmers that share a mobile number, date of birth or village with the given farmer,
+// limited to projectIds when provided. These candidates are then scored by findLikelyDuplicates.
+const fetchDuplicateCandidates = async (farmer, projectIds) => {
+    const lookup = (condition) => farmers.listActive({
+        select: DUPLICATE_CANDIDATE_SELECT,
+        where: projectIds ? { ...condition, project_id: projectIds } : condition,
+        range: [0, 999]
+    });
+    const lookups = [];
+
+    const mobile = normalizeMobile(farmer.mobile_number);
+    if (mobile) {
+        // Allow any separators between the digits ("09 123 456 789" vs "+959123456789")
+        const pattern = `%${mobile.slice(-7).split('').join('%')}`;
+        lookups.push(lookup({ mobile_number: { ilike: pattern } }));
+    }
+    if (farmer.date_of_birth) {
+        lookups.push(lookup({ date_of_birth: farmer.date_of_birth }));
+    }
+    if (farmer.village_name) {
+        lookups.push(lookup({ village_name: { ilike: escapeLikePattern(String(farmer.village_name).trim()) } }));
+    }
+
+    const candidates = new Map();
+    for (const rows of await Promise.all(lookups)) {
+        rows.forEach(candidate => candidates.set(candidate.id, candidate));
+    }
+    return [...candidates.values()];
+};
+
+// Builds the farmers list conditions for the current user, applying role scoping, filters and sorting.
+// Resolves to { where, orderBy }, or null when the user cannot see any farmers matching the filters.
+const buildFarmerListQuery = async (user, { filters, sort }) => {
+    const where = buildFarmerWhere(filters);
+
+    if (user.roleName !== 'Admin') {
+        // Get projects assigned to the current user
+        const projectIds = await getAssignedProjectIds(user.userId);
+
+        if (projectIds.length === 0) {
+            return null; // User is not assigned to any projects, so no farmers to show
+        }
+
+        const requestedProjectId = filters.equals.project_id;
+        if (requestedProjectId && !projectIds.map(String).includes(String(requestedProjectId))) {
+            return null; // Filtering on a project outside the user's assignments
+        }
+
+        if (!requestedProjectId) where.project_id = projectIds;
+    }
+
+    return { where, orderBy: buildFarmerOrder(sort) };
+};
+
+// Flattened columns used when exporting farmer lists
+const FARMER_EXPORT_COLUMNS = [
+    { key: 'id', header: 'ID' },
+    { key: 'full_name', header: 'Full Name' },
+    { key: 'mobile_number', header: 'Mobile Number' },
+    { key: 'date_of_birth', header: 'Date of Birth' },
+    { key: 'age', header: 'Age' },
+    { key: 'gender', header: 'Gender' },
+    { key: 'farmer_type', header: 'Farmer Type', value: farmer => farmer.farmer_type?.name },
+    { key: 'project', header: 'Project', value: farmer => farmer.project?.name },
+    { key: 'country_name', header: 'Country' },
+    { key: 'state_name', header: 'State' },
+    { key: 'district_name', header: 'District' },
+    { key: 'village_tract_name', header: 'Village Tract' },
+    { key: 'village_name', header: 'Village' },
+    { key: 'latitude', header: 'Latitude' },
+    { key: 'longitude', header: 'Longitude' },
+    { key: 'date_added', header: 'Date Added' },
+    { key: 'added_by', header: 'Added By', value: farmer => farmer.added_by_user?.full_name }
+];
 
 // @route GET /api/farmers
-// @desc Get all farmers (Admin: all, User: those associated with their projects)
+// @desc Get a page of farmers (Admin: all, User: those associated with their projects)
+// @query page, limit, sort (e.g. fullName:asc,dateAdded:desc), search (full name or mobile number),
+//        gender, farmerTypeId, projectId, countryName, stateName, districtName, villageTractName, villageName,
+//        dateAddedFrom, dateAddedTo, minAge, maxAge
 // @access Private (Admin: VIEW_FARMERS, User: VIEW_FARMER_RECORDS)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validateRequest({ query: farmerListQuery }), async (req, res) => {
+    const listQuery = parseFarmerListQuery(req.query);
+    const { page, limit } = listQuery;
+
     try {
-        let query = supabase.from('farmers').select(`
-            id,
-            full_name,
-            mobile_number,
-            date_of_birth,
-            age,
-            gender,
-            country_name,
-            state_name,
-            district_name,
-            village_tract_name,
-            village_name,
-            date_added,
-            latitude,
-            longitude,
-            farmer_type:farmer_types(
-                id,
-                name
-            ),
-            project:projects(
-                id,
-                name
-            ),
-            added_by_user:users(
-                id,
-                full_name,
-                email
-            )
-        `);
+        const query = await buildFarmerListQuery(req.user, listQuery);
 
-        if (req.user.roleName !== 'Admin') {
-            // Get projects assigned to the current user
-            const { data: userProjects, error: userProjectsError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('user_id', req.user.userId);
+        if (!query) {
+            return res.status(200).json({ data: [], pagination: { page, limit, total: 0, totalPages: 0 } });
+        }
 
-            if (userProjectsError) throw userProjectsError;
+        const from = (page - 1) * limit;
+        const { rows, total: count } = await farmers.listActive({ ...query, range: [from, from + limit - 1], withCount: true });
 
-            const projectIds = userProjects.map(p => p.project_id);
+        res.status(200).json({
+            data: rows,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching farmers:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
 
+// @route GET /api/farmers/export
+// @desc Export farmers as CSV (default), XLSX or JSON. Accepts the same filters and sort as GET /api/farmers
+//       (paging parameters are ignored) and streams the file in batches.
+// @access Private (Admin: VIEW_FARMERS, User: VIEW_FARMER_RECORDS)
+router.get('/export', authenticateToken, validateExportFormat('csv'), validateRequest({ query: farmerExportQuery }), async (req, res) => {
+    const listQuery = parseFarmerListQuery({ ...req.query, page: undefined, limit: undefined });
+
+    try {
+        const query = await buildFarmerListQuery(req.user, listQuery);
+
+        const writer = createExportWriter(res, req.exportFormat, {
+            filename: `farmers-${new Date().toISOString().slice(0, 10)}`,
+            columns: FARMER_EXPORT_COLUMNS,
+            sheetName: 'Farmers'
+        });
+
+        if (query) {
+            // Page through the results so only one batch is held in memory at a time
+            for (let from = 0; ; from += EXPORT_BATCH_SIZE) {
+                const rows = await farmers.listActive({ ...query, range: [from, from + EXPORT_BATCH_SIZE - 1] });
+                await writer.writeRows(rows);
+                if (rows.length < EXPORT_BATCH_SIZE || res.destroyed) break;
+            }
+        }
+
+        await writer.end();
+    } catch (error) {
+        console.error('Error exporting farmers:', error);
+        if (res.headersSent) {
+            return res.destroy(error); // Part of the file has already been sent
+        }
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/farmers/trash
+// @desc List soft-deleted farmers, most recently deleted first (non-admins: their projects only)
+// @access Private (DELETE_FARMER_RECORDS)
+router.get('/trash', authenticateToken, authorizePermission('DELETE_FARMER_RECORDS'), async (req, res) => {
+    try {
+        let projectIds = null;
+        if (req.user.roleName !== 'Admin') {
+            projectIds = await getAssignedProjectIds(req.user.userId, PROJECT_CAPABILITIES.DELETE_FARMERS);
             if (projectIds.length === 0) {
-                return res.status(200).json([]); // User is not assigned to any projects, so no farmers to show
+                return res.status(200).json([]);
+            }
+        }
+
+        res.status(200).json(await farmers.listDeleted(projectIds));
+    } catch (error) {
+        console.error('Error fetching deleted farmers:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/farmers/duplicates
+// @desc List clusters of suspected duplicate farmers (fuzzy name match plus mobile number, date of birth and village)
+// @query projectId (optional)
+// @access Private (VIEW_FARMER_RECORDS; non-admins only see their projects)
+router.get('/duplicates', authenticateToken, authorizePermission('VIEW_FARMER_RECORDS'), validateRequest({ query: duplicatesQuery }), async (req, res) => {
+    const { projectId } = req.validatedQuery;
+
+    try {
+        let projectIds = null;
+        if (req.user.roleName !== 'Admin') {
+            projectIds = await getAssignedProjectIds(req.user.userId);
+        }
+        if (projectId) {
+            if (projectIds && !projectIds.map(String).includes(String(projectId))) {
+                return res.status(403).json({ message: 'Access denied to this project.' });
             }
+            projectIds = [projectId];
+        }
+        if (projectIds && projectIds.length === 0) {
+            return res.status(200).json({ totalClusters: 0, clusters: [] });
+        }
 
-            query = query.in('project_id', projectIds);
+        // Only the columns needed for matching are loaded, in batches
+        const candidates = [];
+        for (let from = 0; ; from += EXPORT_BATCH_SIZE) {
+            const rows = await farmers.listActive({
+                select: DUPLICATE_CANDIDATE_SELECT,
+                where: projectIds ? { project_id: projectIds } : {},
+                orderBy: [{ column: 'id', ascending: true }],
+                range: [from, from + EXPORT_BATCH_SIZE - 1]
+            });
+            candidates.push(...rows);
+            if (rows.length < EXPORT_BATCH_SIZE) break;
         }
 
-        const { data: farmers, error } = await query;
-        if (error) throw error;
-        res.status(200).json(farmers);
+        const clusters = findDuplicateClusters(candidates);
+        res.status(200).json({ totalClusters: clusters.length, clusters });
     } catch (error) {
-        console.error('Error fetching farmers:', error);
+        console.error('Error finding duplicate farmers:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/farmers/merge
+// @desc Merge duplicate farmer records into a surviving record. Empty fields on the survivor are filled from the
+//       duplicates, related data is re-pointed to the survivor, the duplicates are moved to the trash and each
+//       merge is recorded.
+// @body { survivorId, duplicateIds: [] }
+// @access Private (MERGE_FARMER_RECORDS; non-admins only within their projects)
+router.post('/merge', authenticateToken, authorizePermission('MERGE_FARMER_RECORDS'), validateRequest({ body: mergeBody }), async (req, res) => {
+    const { survivorId, duplicateIds } = req.body;
+
+    const uniqueDuplicateIds = [...new Set(duplicateIds)];
+
+    try {
+        const records = await farmers.listActive({ select: '*', where: { id: [survivorId, ...uniqueDuplicateIds] } });
+
+        const survivor = records.find(record => String(record.id) === String(survivorId));
+        const duplicates = records.filter(record => String(record.id) !== String(survivorId));
+
+        if (!survivor || duplicates.length !== uniqueDuplicateIds.length) {
+            return res.status(404).json({ message: 'One or more farmer records were not found.' });
+        }
+
+        if (req.user.roleName !== 'Admin') {
+            const projectIds = (await getAssignedProjectIds(req.user.userId, PROJECT_CAPABILITIES.MERGE_FARMERS)).map(String);
+            if (records.some(record => !projectIds.includes(String(record.project_id)))) {
+                return res.status(403).json({ message: 'You can only merge farmers in projects where your project role allows it.' });
+            }
+        }
+
+        // The duplicates go to the trash first: the steps below are not one transaction, and if one of them fails
+        // restoring the duplicates from the trash brings back every record that was being merged
+        await farmers.updateWhere({ id: uniqueDuplicateIds }, softDeleteFields(req.user.userId));
+
+        // Fill gaps in the survivor from the duplicates, in the order they were given
+        const updateData = {};
+        MERGE_FILL_FIELDS.forEach(field => {
+            if (survivor[field] !== null && survivor[field] !== undefined && survivor[field] !== '') return;
+            const source = uniqueDuplicateIds
+                .map(id => duplicates.find(record => String(record.id) === String(id)))
+                .find(record => record[field] !== null && record[field] !== undefined && record[field] !== '');
+            if (source) updateData[field] = source[field];
+        });
+
+        let mergedFarmer = survivor;
+        if (Object.keys(updateData).length > 0) {
+            mergedFarmer = await farmers.updateById(survivor.id, updateData);
+            await recordFarmerRevision(req, survivor.id, survivor, mergedFarmer, { source: REVISION_SOURCES.MERGE });
+            await notifyFarmerUpdated(req, survivor, mergedFarmer);
+        }
+
+        for (const { table, column, uniqueWith } of FARMER_REFERENCES) {
+            const references = database.table(table);
+            if (uniqueWith) {
+                const survivorRows = await references.find({ select: uniqueWith, where: { [column]: survivor.id } });
+
+                const clashing = survivorRows.map(row => row[uniqueWith]);
+                if (clashing.length > 0) {
+                    await references.delete({ [column]: uniqueDuplicateIds, [uniqueWith]: clashing });
+                }
+            }
+
+            await references.update({ [column]: uniqueDuplicateIds }, { [column]: survivor.id });
+        }
+
+        // Record who merged what, keeping a snapshot of each merged record
+        const merges = await farmerMerges.createMany(duplicates.map(duplicate => ({
+            survivor_id: survivor.id,
+            merged_farmer_id: duplicate.id,
+            merged_record: duplicate,
+            merged_by_user_id: req.user.userId
+        })));
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.MERGE,
+            entityType: 'farmer',
+            entityId: survivor.id,
+            before: { survivor, duplicates },
+            after: mergedFarmer,
+            metadata: { duplicateIds: uniqueDuplicateIds }
+        });
+        res.status(200).json({ message: `Merged ${duplicates.length} farmer record(s).`, farmer: mergedFarmer, merges });
+    } catch (error) {
+        console.error('Error merging farmers:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/farmers/:id/merges
+// @desc List the records that were merged into a farmer, with who merged them and when
+// @access Private (VIEW_FARMER_RECORDS; non-admins only within their projects)
+router.get('/:id/merges', authenticateToken, authorizePermission('VIEW_FARMER_RECORDS'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const farmer = await farmers.findActive(id, { select: 'id, project_id' });
+        if (!farmer) {
+            return res.status(404).json({ message: 'Farmer not found.' });
+        }
+
+        if (req.user.roleName !== 'Admin' && !(await isAssignedToProject(req.user.userId, farmer.project_id))) {
+            return res.status(403).json({ message: 'Access denied to this farmer record.' });
+        }
+
+        res.status(200).json(await farmerMerges.listForSurvivor(id));
+    } catch (error) {
+        console.error('Error fetching farmer merges:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/farmers/:id/history
+// @desc List every revision of a farmer, newest first, with who changed which fields and the old and new values
+// @access Private (VIEW_FARMER_RECORDS; non-admins only within their projects)
+router.get('/:id/history', authenticateToken, authorizePermission('VIEW_FARMER_RECORDS'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const farmer = await farmers.findActive(id, { select: 'id, project_id' });
+        if (!farmer) {
+            return res.status(404).json({ message: 'Farmer not found.' });
+        }
+        if (!(await canAccessProject(req.user, farmer.project_id))) {
+            return res.status(403).json({ message: 'Access denied to this farmer record.' });
+        }
+
+        const revisions = await farmerRevisions.listForFarmer(id);
+
+        res.status(200).json(revisions.map(revision => ({
+            ...revision,
+            changed_fields: Object.keys(revision.changes || {})
+        })));
+    } catch (error) {
+        console.error('Error fetching farmer history:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/farmers/:id/history/:revisionId/revert
+// @desc Restore the tracked fields of a farmer to how they were right after the given revision.
+//       The revert itself is stored as a new revision, so it can be undone the same way.
+// @access Private (EDIT_FARMER_RECORDS; non-admins only within their projects)
+router.post('/:id/history/:revisionId/revert', authenticateToken, authorizePermission('EDIT_FARMER_RECORDS'), validateRequest({ params: revisionParams }), async (req, res) => {
+    const { id, revisionId } = req.params;
+    try {
+        const farmer = await farmers.findActive(id);
+        if (!farmer) {
+            return res.status(404).json({ message: 'Farmer not found.' });
+        }
+
+        const revision = await farmerRevisions.findForFarmer(id, revisionId);
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found for this farmer.' });
+        }
+
+        const newerRevisions = await farmerRevisions.listNewerThan(id, revision.id);
+
+        const targetState = farmerStateAtRevision(farmer, newerRevisions);
+        const changes = diffFarmer(farmer, targetState);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'The farmer already matches this revision.' });
+        }
+
+        // Reverting may move the farmer back to another project: non-admins need access to both
+        if (!(await canAccessProject(req.user, farmer.project_id, PROJECT_CAPABILITIES.EDIT_FARMERS)) ||
+            !(await canAccessProject(req.user, targetState.project_id, PROJECT_CAPABILITIES.EDIT_FARMERS))) {
+            return res.status(403).json({ message: 'You can only edit farmers in projects where your project role allows it.' });
+        }
+
+        const updateData = Object.keys(changes).reduce((acc, field) => {
+            acc[field] = changes[field].new;
+            return acc;
+        }, {});
+
+        const revertedFarmer = await farmers.updateById(id, updateData);
+
+        await recordFarmerRevision(req, id, farmer, revertedFarmer, { source: REVISION_SOURCES.REVERT, revertedToRevisionId: revision.id });
+        await notifyFarmerUpdated(req, farmer, revertedFarmer);
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.UPDATE,
+            entityType: 'farmer',
+            entityId: id,
+            before: farmer,
+            after: revertedFarmer,
+            metadata: { revertedToRevisionId: revision.id }
+        });
+        res.status(200).json({ message: 'Farmer record reverted successfully.', farmer: revertedFarmer });
+    } catch (error) {
+        console.error('Error reverting farmer:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
@@ -69,55 +457,17 @@ router.get('/', authenticateToken, async (req, res) => {
 // @route GET /api/farmers/:id
 // @desc Get a single farmer by ID
 // @access Private (Admin: VIEW_FARMERS, User: VIEW_FARMER_RECORDS for their projects)
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, validateRequest({ params: uuidParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        let query = supabase.from('farmers').select(`
-            id,
-            full_name,
-            mobile_number,
-            date_of_birth,
-            age,
-            gender,
-            country_name,
-            state_name,
-            district_name,
-            village_tract_name,
-            village_name,
-            date_added,
-            latitude,
-            longitude,
-            farmer_type:farmer_types(
-                id,
-                name
-            ),
-            project:projects(
-                id,
-                name
-            ),
-            added_by_user:users(
-                id,
-                full_name,
-                email
-            )
-        `).eq('id', id);
-
-        const { data: farmer, error } = await query.single();
-        if (error) throw error;
+        const farmer = await farmers.findActive(id, { select: FARMER_SELECT });
         if (!farmer) {
             return res.status(404).json({ message: 'Farmer not found.' });
         }
 
         // Authorization check for non-admin users
         if (req.user.roleName !== 'Admin') {
-            const { data: projectUser, error: projectUserError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('project_id', farmer.project.id)
-                .eq('user_id', req.user.userId)
-                .single();
-
-            if (projectUserError || !projectUser) {
+            if (!(await isAssignedToProject(req.user.userId, farmer.project.id))) {
                 return res.status(403).json({ message: 'Access denied to this farmer record.' });
             }
         }
@@ -132,68 +482,139 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @route POST /api/farmers
 // @desc Create a new farmer record
 // @access Private (Admin: CREATE_FARMER_RECORDS, User: ADD_FARMER_RECORDS in their projects)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, authorizeFarmerCreation, validateRequest({ body: createFarmerBody }), async (req, res) => {
     const {
         fullName, mobileNumber, dateOfBirth, age, gender, farmerTypeId, countryName,
         stateName, districtName, villageTractName, villageName, projectId, latitude, longitude
     } = req.body;
 
-    if (!fullName || !farmerTypeId || !projectId) {
-        return res.status(400).json({ message: 'Full name, farmer type, and project are required.' });
+    try {
+        // Non-admin users can only add farmers to their own projects
+        if (req.user.roleName !== 'Admin' && !(await isAssignedToProject(req.user.userId, projectId, PROJECT_CAPABILITIES.ADD_FARMERS))) {
+            return res.status(403).json({ message: 'You can only add farmers to projects where your project role allows it.' });
+        }
+
+        // Warn about likely duplicates; non-admins are only matched against farmers they can see
+        const candidates = await fetchDuplicateCandidates(
+            { mobile_number: mobileNumber, date_of_birth: dateOfBirth, village_name: villageName },
+            req.user.roleName !== 'Admin' ? await getAssignedProjectIds(req.user.userId) : null
+        );
+        const possibleDuplicates = findLikelyDuplicates(
+            { full_name: fullName, mobile_number: mobileNumber, date_of_birth: dateOfBirth, village_name: villageName },
+            candidates
+        );
+
+        const newFarmer = await farmers.create({
+            full_name: fullName,
+            mobile_number: mobileNumber,
+            date_of_birth: dateOfBirth,
+            age: age,
+            gender: gender,
+            farmer_type_id: farmerTypeId,
+            country_name: countryName,
+            state_name: stateName,
+            district_name: districtName,
+            village_tract_name: villageTractName,
+            village_name: villageName,
+            project_id: projectId,
+            added_by_user_id: req.user.userId,
+            latitude: latitude,
+            longitude: longitude
+        });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'farmer', entityId: newFarmer.id, after: newFarmer });
+        res.status(201).json({
+            message: possibleDuplicates.length > 0
+                ? 'Farmer record created successfully, but it looks similar to existing records.'
+                : 'Farmer record created successfully.',
+            farmer: newFarmer,
+            possibleDuplicates
+        });
+    } catch (error) {
+        console.error('Error creating farmer:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/farmers/import
+// @desc Bulk import farmer records from a CSV or XLSX file (multipart field "file").
+//       ?mode=dry-run (default) validates every row and returns a per-row error report without saving;
+//       ?mode=commit inserts the valid rows and reports the invalid ones.
+// @access Private (Admin: CREATE_FARMER_RECORDS, User: ADD_FARMER_RECORDS in their projects)
+router.post('/import', authenticateToken, authorizeFarmerCreation, validateRequest({ query: farmerImportQuery }), uploadImportFile, async (req, res) => {
+    const mode = req.validatedQuery.mode || 'dry-run';
+
+    if (!req.file) {
+        return res.status(400).json({ message: 'A CSV or XLSX file is required in the "file" field.' });
     }
 
     try {
-        // Authorization check for non-admin users
-        if (req.user.roleName !== 'Admin') {
-            const { data: projectUser, error: projectUserError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('project_id', projectId)
-                .eq('user_id', req.user.userId)
-                .single();
-
-            if (projectUserError || !projectUser) {
-                return res.status(403).json({ message: 'You can only add farmers to projects you are assigned to.' });
+        // Keep spreadsheet row numbers (row 1 holds the headers) so the report points at the right line
+        const rawRows = (await parseImportFile(req.file))
+            .map((values, index) => ({ rowNumber: index + 2, values }))
+            .filter(row => !isBlankRow(row.values));
+
+        if (rawRows.length === 0) {
+            return res.status(400).json({ message: 'The uploaded file contains no data rows.' });
+        }
+        if (rawRows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file.` });
+        }
+
+        // Load lookups once for the whole file
+        const types = await farmerTypes.find({ select: 'id, name' });
+        const liveProjects = await projects.find({ select: 'id', where: { deleted_at: null } });
+
+        const context = {
+            farmerTypesById: new Map(types.map(type => [type.id, type])),
+            farmerTypesByName: new Map(types.map(type => [type.name.toLowerCase(), type])),
+            projectIds: new Set(liveProjects.map(project => project.id)),
+            // Non-admins can only import into projects they are assigned to
+            allowedProjectIds: req.user.roleName !== 'Admin'
+                ? new Set(await getAssignedProjectIds(req.user.userId, PROJECT_CAPABILITIES.ADD_FARMERS))
+                : null
+        };
+
+        const rowErrors = [];
+        const validRecords = [];
+        rawRows.forEach(({ rowNumber, values }) => {
+            const { errors, record } = validateRow(mapRow(values), context);
+            if (errors.length > 0) {
+                rowErrors.push({ row: rowNumber, errors });
+            } else {
+                validRecords.push({ ...record, added_by_user_id: req.user.userId });
             }
-            // Check for ADD_FARMER_RECORDS permission for non-admin
-            await authorizePermission('ADD_FARMER_RECORDS')(req, res, () => {});
-            // If the above line doesn't throw an error, permission is granted.
-        } else {
-            // Admin users need CREATE_FARMER_RECORDS permission
-            await authorizePermission('CREATE_FARMER_RECORDS')(req, res, () => {});
-        }
-
-
-        const { data: newFarmer, error } = await supabase
-            .from('farmers')
-            .insert({
-                full_name: fullName,
-                mobile_number: mobileNumber,
-                date_of_birth: dateOfBirth,
-                age: age,
-                gender: gender,
-                farmer_type_id: farmerTypeId,
-                country_name: countryName,
-                state_name: stateName,
-                district_name: districtName,
-                village_tract_name: villageTractName,
-                village_name: villageName,
-                project_id: projectId,
-                added_by_user_id: req.user.userId,
-                latitude: latitude,
-                longitude: longitude
-            })
-            .select()
-            .single();
-
-        if (error) throw error;
-        res.status(201).json({ message: 'Farmer record created successfully.', farmer: newFarmer });
+        });
+
+        const report = {
+            mode,
+            totalRows: rawRows.length,
+            validRows: validRecords.length,
+            invalidRows: rowErrors.length,
+            errors: rowErrors
+        };
+
+        if (mode === 'dry-run') {
+            return res.status(200).json({ message: 'Dry run completed. No records were saved.', ...report });
+        }
+
+        let inserted = 0;
+        for (let i = 0; i < validRecords.length; i += IMPORT_BATCH_SIZE) {
+            const batch = validRecords.slice(i, i + IMPORT_BATCH_SIZE);
+            await farmers.createMany(batch, { select: 'id' });
+            inserted += batch.length;
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.IMPORT,
+            entityType: 'farmer',
+            metadata: { fileName: req.file.originalname, totalRows: report.totalRows, inserted, invalidRows: report.invalidRows }
+        });
+        res.status(201).json({ message: `Imported ${inserted} farmer record(s).`, ...report, inserted });
     } catch (error) {
-        console.error('Error creating farmer:', error);
-        // Handle cases where authorizePermission throws an error
-        if (error.message.includes('Access denied')) {
-            return res.status(403).json({ message: error.message });
+        if (error.statusCode === 400) {
+            return res.status(400).json({ message: error.message });
         }
+        console.error('Error importing farmers:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
@@ -201,7 +622,7 @@ router.post('/', authenticateToken, async (req, res) => {
 // @route PUT /api/farmers/:id
 // @desc Update an existing farmer record
 // @access Private (Admin: EDIT_FARMER_RECORDS, User: EDIT_FARMER_RECORDS in their projects)
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('EDIT_FARMER_RECORDS'), validateRequest({ params: uuidParams, body: updateFarmerBody }), async (req, res) => {
     const { id } = req.params;
     const {
         fullName, mobileNumber, dateOfBirth, age, gender, farmerTypeId, countryName,
@@ -210,37 +631,18 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     try {
         // First, check if the farmer exists and get their current project ID
-        const { data: existingFarmer, error: farmerCheckError } = await supabase
-            .from('farmers')
-            .select('project_id')
-            .eq('id', id)
-            .single();
-
-        if (farmerCheckError || !existingFarmer) {
+        const existingFarmer = await farmers.findActive(id);
+        if (!existingFarmer) {
             return res.status(404).json({ message: 'Farmer not found.' });
         }
 
         const currentProjectId = existingFarmer.project_id;
         const targetProjectId = projectId || currentProjectId; // If projectId is provided, use it, else use current
 
-        // Authorization check for non-admin users
-        if (req.user.roleName !== 'Admin') {
-            const { data: projectUser, error: projectUserError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('project_id', targetProjectId)
-                .eq('user_id', req.user.userId)
-                .single();
-
-            if (projectUserError || !projectUser) {
-                return res.status(403).json({ message: 'You can only edit farmers in projects you are assigned to.' });
-            }
-            // Check for EDIT_FARMER_RECORDS permission for non-admin
-            await authorizePermission('EDIT_FARMER_RECORDS')(req, res, () => {});
-            // If the above line doesn't throw an error, permission is granted.
-        } else {
-            // Admin users need EDIT_FARMER_RECORDS permission
-            await authorizePermission('EDIT_FARMER_RECORDS')(req, res, () => {});
+        // Non-admin users can only edit farmers in their own projects, in both the current and the target project
+        if (!(await canAccessProject(req.user, currentProjectId, PROJECT_CAPABILITIES.EDIT_FARMERS)) ||
+            !(await canAccessProject(req.user, targetProjectId, PROJECT_CAPABILITIES.EDIT_FARMERS))) {
+            return res.status(403).json({ message: 'You can only edit farmers in projects where your project role allows it.' });
         }
 
         const updateData = {
@@ -267,75 +669,86 @@ router.put('/:id', authenticateToken, async (req, res) => {
             return res.status(400).json({ message: 'No fields to update provided.' });
         }
 
-        const { data: updatedFarmer, error } = await supabase
-            .from('farmers')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) throw error;
+        const updatedFarmer = await farmers.updateById(id, updateData);
         if (!updatedFarmer) {
             return res.status(404).json({ message: 'Farmer not found.' });
         }
+        await recordFarmerRevision(req, id, existingFarmer, updatedFarmer);
+        await notifyFarmerUpdated(req, existingFarmer, updatedFarmer);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'farmer', entityId: id, before: existingFarmer, after: updatedFarmer });
         res.status(200).json({ message: 'Farmer record updated successfully.', farmer: updatedFarmer });
     } catch (error) {
         console.error('Error updating farmer:', error);
-        if (error.message.includes('Access denied')) {
-            return res.status(403).json({ message: error.message });
-        }
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
 
 // @route DELETE /api/farmers/:id
-// @desc Delete a farmer record
+// @desc Move a farmer record to the trash (soft delete). It can be restored until an admin purges it.
 // @access Private (Admin: DELETE_FARMER_RECORDS, User: DELETE_FARMER_RECORDS in their projects)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_FARMER_RECORDS'), validateRequest({ params: uuidParams }), async (req, res) => {
     const { id } = req.params;
     try {
         // First, check if the farmer exists and get their current project ID
-        const { data: existingFarmer, error: farmerCheckError } = await supabase
-            .from('farmers')
-            .select('project_id')
-            .eq('id', id)
-            .single();
-
-        if (farmerCheckError || !existingFarmer) {
+        const existingFarmer = await farmers.findActive(id);
+        if (!existingFarmer) {
             return res.status(404).json({ message: 'Farmer not found.' });
         }
 
-        // Authorization check for non-admin users
-        if (req.user.roleName !== 'Admin') {
-            const { data: projectUser, error: projectUserError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('project_id', existingFarmer.project_id)
-                .eq('user_id', req.user.userId)
-                .single();
-
-            if (projectUserError || !projectUser) {
-                return res.status(403).json({ message: 'You can only delete farmers from projects you are assigned to.' });
-            }
-            // Check for DELETE_FARMER_RECORDS permission for non-admin
-            await authorizePermission('DELETE_FARMER_RECORDS')(req, res, () => {});
-        } else {
-            // Admin users need DELETE_FARMER_RECORDS permission
-            await authorizePermission('DELETE_FARMER_RECORDS')(req, res, () => {});
+        // Non-admin users can only delete farmers from their own projects
+        if (req.user.roleName !== 'Admin' && !(await isAssignedToProject(req.user.userId, existingFarmer.project_id, PROJECT_CAPABILITIES.DELETE_FARMERS))) {
+            return res.status(403).json({ message: 'You can only delete farmers from projects where your project role allows it.' });
         }
 
-        const { error } = await supabase
-            .from('farmers')
-            .delete()
-            .eq('id', id);
-
-        if (error) throw error;
-        res.status(200).json({ message: 'Farmer record deleted successfully.' });
+        const deletedFarmer = await farmers.updateById(id, softDeleteFields(req.user.userId));
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'farmer', entityId: id, before: existingFarmer, after: deletedFarmer });
+        res.status(200).json({ message: 'Farmer record moved to trash.' });
     } catch (error) {
         console.error('Error deleting farmer:', error);
-        if (error.message.includes('Access denied')) {
-            return res.status(403).json({ message: error.message });
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/farmers/:id/restore
+// @desc Restore a farmer record from the trash
+// @access Private (DELETE_FARMER_RECORDS; non-admins only in their projects)
+router.post('/:id/restore', authenticateToken, authorizePermission('DELETE_FARMER_RECORDS'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deletedFarmer = await farmers.findDeleted(id);
+        if (!deletedFarmer) {
+            return res.status(404).json({ message: 'Farmer not found in trash.' });
+        }
+
+        if (!(await canAccessProject(req.user, deletedFarmer.project_id, PROJECT_CAPABILITIES.DELETE_FARMERS))) {
+            return res.status(403).json({ message: 'You can only restore farmers in projects where your project role allows it.' });
         }
+
+        const restoredFarmer = await farmers.updateById(id, RESTORE_FIELDS);
+        await recordAudit(req, { action: AUDIT_ACTIONS.RESTORE, entityType: 'farmer', entityId: id, before: deletedFarmer, after: restoredFarmer });
+        res.status(200).json({ message: 'Farmer record restored successfully.', farmer: restoredFarmer });
+    } catch (error) {
+        console.error('Error restoring farmer:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/farmers/:id/purge
+// @desc Permanently remove a farmer record that is in the trash
+// @access Private (Admin only)
+router.delete('/:id/purge', authenticateToken, authorizeRole('Admin'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deletedFarmer = await farmers.findDeleted(id);
+        if (!deletedFarmer) {
+            return res.status(404).json({ message: 'Farmer not found in trash. Delete it before purging.' });
+        }
+
+        await farmers.deleteById(id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.PURGE, entityType: 'farmer', entityId: id, before: deletedFarmer });
+        res.status(200).json({ message: 'Farmer record permanently deleted.' });
+    } catch (error) {
+        console.error('Error purging farmer:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
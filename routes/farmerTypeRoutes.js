@@ -1,19 +1,19 @@
 // routes/farmerTypeRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
+const { farmerTypes, farmers } = require('../repositories');
 const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { idParams } = require('../schemas/commonSchemas');
+const { farmerTypeBody } = require('../schemas/farmerTypeSchemas');
 
 // @route GET /api/farmer-types
 // @desc Get all farmer types
 // @access Private (Admin, Can View Farmer Types)
 router.get('/', authenticateToken, authorizePermission('VIEW_FARMER_TYPES'), async (req, res) => {
     try {
-        const { data: farmerTypes, error } = await supabase
-            .from('farmer_types')
-            .select('*');
-        if (error) throw error;
-        res.status(200).json(farmerTypes);
+        res.status(200).json(await farmerTypes.find());
     } catch (error) {
         console.error('Error fetching farmer types:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -23,15 +23,10 @@ router.get('/', authenticateToken, authorizePermission('VIEW_FARMER_TYPES'), asy
 // @route GET /api/farmer-types/:id
 // @desc Get a single farmer type by ID
 // @access Private (Admin, Can View Farmer Types)
-router.get('/:id', authenticateToken, authorizePermission('VIEW_FARMER_TYPES'), async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('VIEW_FARMER_TYPES'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        const { data: farmerType, error } = await supabase
-            .from('farmer_types')
-            .select('*')
-            .eq('id', id)
-            .single();
-        if (error) throw error;
+        const farmerType = await farmerTypes.findById(id);
         if (!farmerType) {
             return res.status(404).json({ message: 'Farmer type not found.' });
         }
@@ -45,32 +40,17 @@ router.get('/:id', authenticateToken, authorizePermission('VIEW_FARMER_TYPES'),
 // @route POST /api/farmer-types
 // @desc Create a new farmer type
 // @access Private (Admin, Can Add Farmer Types)
-router.post('/', authenticateToken, authorizePermission('ADD_FARMER_TYPES'), async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('ADD_FARMER_TYPES'), validateRequest({ body: farmerTypeBody }), async (req, res) => {
     const { name } = req.body;
 
-    if (!name) {
-        return res.status(400).json({ message: 'Farmer type name is required.' });
-    }
-
     try {
         // Check if farmer type name already exists
-        const { data: existingFarmerType, error: existingError } = await supabase
-            .from('farmer_types')
-            .select('id')
-            .eq('name', name)
-            .single();
-
-        if (existingFarmerType) {
+        if (await farmerTypes.isNameTaken(name)) {
             return res.status(400).json({ message: 'Farmer type with this name already exists.' });
         }
 
-        const { data: newFarmerType, error } = await supabase
-            .from('farmer_types')
-            .insert({ name })
-            .select()
-            .single();
-
-        if (error) throw error;
+        const newFarmerType = await farmerTypes.create({ name });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'farmer_type', entityId: newFarmerType.id, after: newFarmerType });
         res.status(201).json({ message: 'Farmer type created successfully.', farmerType: newFarmerType });
     } catch (error) {
         console.error('Error creating farmer type:', error);
@@ -81,38 +61,22 @@ router.post('/', authenticateToken, authorizePermission('ADD_FARMER_TYPES'), asy
 // @route PUT /api/farmer-types/:id
 // @desc Update an existing farmer type
 // @access Private (Admin, Can Edit Farmer Types)
-router.put('/:id', authenticateToken, authorizePermission('EDIT_FARMER_TYPES'), async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('EDIT_FARMER_TYPES'), validateRequest({ params: idParams, body: farmerTypeBody }), async (req, res) => {
     const { id } = req.params;
     const { name } = req.body;
 
-    if (!name) {
-        return res.status(400).json({ message: 'Farmer type name is required.' });
-    }
-
     try {
         // Check if new farmer type name already exists for another type
-        const { data: existingFarmerType, error: existingError } = await supabase
-            .from('farmer_types')
-            .select('id')
-            .eq('name', name)
-            .neq('id', id)
-            .single();
-
-        if (existingFarmerType) {
+        if (await farmerTypes.isNameTaken(name, id)) {
             return res.status(400).json({ message: 'Another farmer type with this name already exists.' });
         }
 
-        const { data: updatedFarmerType, error } = await supabase
-            .from('farmer_types')
-            .update({ name })
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) throw error;
+        const before = await farmerTypes.findById(id);
+        const updatedFarmerType = await farmerTypes.updateById(id, { name });
         if (!updatedFarmerType) {
             return res.status(404).json({ message: 'Farmer type not found.' });
         }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'farmer_type', entityId: id, before, after: updatedFarmerType });
         res.status(200).json({ message: 'Farmer type updated successfully.', farmerType: updatedFarmerType });
     } catch (error) {
         console.error('Error updating farmer type:', error);
@@ -123,26 +87,16 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_FARMER_TYPES'),
 // @route DELETE /api/farmer-types/:id
 // @desc Delete a farmer type
 // @access Private (Admin, Can Delete Farmer Types)
-router.delete('/:id', authenticateToken, authorizePermission('DELETE_FARMER_TYPES'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_FARMER_TYPES'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
         // Check if any farmers are linked to this farmer type
-        const { data: linkedFarmers, error: linkedFarmersError } = await supabase
-            .from('farmers')
-            .select('id')
-            .eq('farmer_type_id', id);
-
-        if (linkedFarmersError) throw linkedFarmersError;
-        if (linkedFarmers && linkedFarmers.length > 0) {
+        if (await farmers.exists({ farmer_type_id: id })) {
             return res.status(400).json({ message: 'Cannot delete farmer type: It is currently linked to existing farmer records.' });
         }
 
-        const { error } = await supabase
-            .from('farmer_types')
-            .delete()
-            .eq('id', id);
-
-        if (error) throw error;
+        const before = await farmerTypes.deleteById(id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'farmer_type', entityId: id, before });
         res.status(200).json({ message: 'Farmer type deleted successfully.' });
     } catch (error) {
         console.error('Error deleting farmer type:', error);
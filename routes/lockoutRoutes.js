@@ -0,0 +1,59 @@
+// routes/lockoutRoutes.js
+// Sign-in lockouts and per-IP rate limit counters (see utils/loginProtection.js and middleware/rateLimit.js)
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { accountLockoutParams, ipLockoutParams } = require('../schemas/lockoutSchemas');
+const { listLoginFailures, clearLoginFailures } = require('../utils/loginProtection');
+const { listIpCounters, clearIpCounters } = require('../middleware/rateLimit');
+
+// @route GET /api/lockouts
+// @desc Emails with recent failed sign-ins (locked ones first) and the request counters of client IPs
+// @access Private (Admin only)
+router.get('/', authenticateToken, authorizeRole('Admin'), async (req, res) => {
+    try {
+        const [accounts, ips] = await Promise.all([listLoginFailures(), listIpCounters()]);
+        res.status(200).json({ accounts, ips });
+    } catch (error) {
+        console.error('Error fetching lockouts:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/lockouts/accounts/:email
+// @desc Clear the failed sign-ins and any lockout of an email
+// @access Private (Admin only)
+router.delete('/accounts/:email', authenticateToken, authorizeRole('Admin'), validateRequest({ params: accountLockoutParams }), async (req, res) => {
+    const { email } = req.params;
+    try {
+        await clearLoginFailures(email);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'lockout', entityId: email.trim().toLowerCase(), metadata: { kind: 'account' } });
+        res.status(200).json({ message: 'Account lockout cleared.' });
+    } catch (error) {
+        console.error('Error clearing account lockout:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/lockouts/ips/:ip
+// @desc Reset the rate limit counters of a client IP
+// @access Private (Admin only)
+router.delete('/ips/:ip', authenticateToken, authorizeRole('Admin'), validateRequest({ params: ipLockoutParams }), async (req, res) => {
+    const ip = req.params.ip.trim();
+    try {
+        const cleared = await clearIpCounters(ip);
+        if (cleared === 0) {
+            return res.status(404).json({ message: 'No rate limit counters found for this IP.' });
+        }
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'lockout', entityId: ip, metadata: { kind: 'ip' } });
+        res.status(200).json({ message: 'IP rate limit cleared.' });
+    } catch (error) {
+        console.error('Error clearing IP rate limit:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
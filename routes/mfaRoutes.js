@@ -0,0 +1,170 @@
+// routes/mfaRoutes.js
+// Second factor settings of the signed-in user: authenticator-app (TOTP) enrolment, recovery codes and the
+// choice between emailed OTPs and the app at login. Admins reset enrolments via DELETE /api/users/:id/mfa.
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { users, userTotp, recoveryCodes } = require('../repositories');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { totpCodeBody, disableTotpBody, secondFactorBody } = require('../schemas/mfaSchemas');
+const {
+    SECOND_FACTORS, startTotpSetup, enableTotp, verifyTotpCode, regenerateRecoveryCodes, removeTotp
+} = require('../utils/totp');
+
+// @route GET /api/auth/mfa
+// @desc Second factor status of the current user
+// @access Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const [user, enrolment, recoveryCodesRemaining] = await Promise.all([
+            users.findActive(req.user.userId, { select: 'id, second_factor' }),
+            userTotp.findByUser(req.user.userId),
+            recoveryCodes.countUnused(req.user.userId)
+        ]);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.status(200).json({
+            secondFactor: user.second_factor,
+            totpEnabled: Boolean(enrolment && enrolment.enabled_at),
+            totpPending: Boolean(enrolment && !enrolment.enabled_at),
+            recoveryCodesRemaining: enrolment && enrolment.enabled_at ? recoveryCodesRemaining : 0
+        });
+    } catch (error) {
+        console.error('Error fetching MFA status:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/mfa/totp/setup
+// @desc Start enrolling an authenticator app. Returns the secret and an otpauth:// URI to show as a QR code;
+//       nothing changes at login until the enrolment is confirmed with POST /api/auth/mfa/totp/enable.
+// @access Private
+router.post('/totp/setup', authenticateToken, async (req, res) => {
+    try {
+        if (await userTotp.findEnabled(req.user.userId)) {
+            return res.status(409).json({ message: 'An authenticator app is already enrolled. Disable it before enrolling a new one.' });
+        }
+
+        const user = await users.findActive(req.user.userId, { select: 'id, email' });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const { secret, otpauthUri } = await startTotpSetup(user);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: user.id, metadata: { source: 'totp-setup' } });
+        res.status(200).json({ message: 'Scan the QR code with your authenticator app, then confirm with a code.', secret, otpauthUri });
+    } catch (error) {
+        console.error('Error starting TOTP setup:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/mfa/totp/enable
+// @desc Confirm the enrolment with a code from the app. Switches login to the app and returns the recovery
+//       codes, which are only shown this once.
+// @access Private
+// @body { code }
+router.post('/totp/enable', authenticateToken, validateRequest({ body: totpCodeBody }), async (req, res) => {
+    try {
+        const codes = await enableTotp(req.user.userId, req.body.code);
+        if (!codes) {
+            return res.status(400).json({ message: 'Invalid code, or no authenticator setup in progress.' });
+        }
+
+        await users.updateById(req.user.userId, { second_factor: SECOND_FACTORS.TOTP });
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: req.user.userId, metadata: { source: 'totp-enable' } });
+        res.status(200).json({ message: 'Authenticator app enabled. Store your recovery codes somewhere safe.', recoveryCodes: codes });
+    } catch (error) {
+        console.error('Error enabling TOTP:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/mfa/totp/disable
+// @desc Remove the authenticator app and recovery codes; login goes back to emailed OTPs
+// @access Private
+// @body { password }
+router.post('/totp/disable', authenticateToken, validateRequest({ body: disableTotpBody }), async (req, res) => {
+    try {
+        const user = await users.findActive(req.user.userId, { select: 'id, password_hash' });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!(await bcrypt.compare(req.body.password, user.password_hash))) {
+            return res.status(400).json({ message: 'Password is incorrect.' });
+        }
+
+        await removeTotp(user.id);
+        await users.updateById(user.id, { second_factor: SECOND_FACTORS.EMAIL });
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: user.id, metadata: { source: 'totp-disable' } });
+        res.status(200).json({ message: 'Authenticator app removed. Login codes will be sent by email.' });
+    } catch (error) {
+        console.error('Error disabling TOTP:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/auth/mfa/recovery-codes
+// @desc Replace the recovery codes. The old codes stop working.
+// @access Private
+// @body { code } - a current code from the authenticator app
+router.post('/recovery-codes', authenticateToken, validateRequest({ body: totpCodeBody }), async (req, res) => {
+    try {
+        if (!(await verifyTotpCode(req.user.userId, req.body.code))) {
+            return res.status(400).json({ message: 'Invalid code, or no authenticator app enrolled.' });
+        }
+
+        const codes = await regenerateRecoveryCodes(req.user.userId);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: req.user.userId, metadata: { source: 'recovery-codes' } });
+        res.status(200).json({ message: 'New recovery codes generated. Store them somewhere safe.', recoveryCodes: codes });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/auth/mfa/second-factor
+// @desc Choose how to confirm logins: EMAIL (emailed OTP) or TOTP (authenticator app, must be enrolled).
+//       Switching away from TOTP needs the current password, as disabling the app does.
+// @access Private
+// @body { method, password }
+router.put('/second-factor', authenticateToken, validateRequest({ body: secondFactorBody }), async (req, res) => {
+    const { method, password } = req.body;
+    try {
+        const user = await users.findActive(req.user.userId, { select: 'id, password_hash, second_factor' });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (method === SECOND_FACTORS.TOTP && !(await userTotp.findEnabled(user.id))) {
+            return res.status(400).json({ message: 'Enrol an authenticator app before choosing it as your second factor.' });
+        }
+        if (user.second_factor === SECOND_FACTORS.TOTP && method !== SECOND_FACTORS.TOTP) {
+            if (!password) {
+                return res.status(400).json({ message: 'Password is required to stop using the authenticator app.' });
+            }
+            if (!(await bcrypt.compare(password, user.password_hash))) {
+                return res.status(400).json({ message: 'Password is incorrect.' });
+            }
+        }
+
+        await users.updateById(user.id, { second_factor: method });
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.UPDATE,
+            entityType: 'user',
+            entityId: user.id,
+            before: { second_factor: user.second_factor },
+            after: { second_factor: method },
+            metadata: { source: 'second-factor' }
+        });
+        res.status(200).json({ message: 'Second factor updated successfully.', secondFactor: method });
+    } catch (error) {
+        console.error('Error updating second factor:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+// routes/notificationRoutes.js
+// The current user's notifications and how they want to receive them (see utils/notifications.js)
+const express = require('express');
+const router = express.Router();
+const { notifications } = require('../repositories');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { validateRequest } = require('../middleware/validateRequest');
+const { notificationListQuery, notificationParams, preferenceParams, preferenceBody } = require('../schemas/notificationSchemas');
+const { getPreferences, setPreference } = require('../utils/notifications');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// @route GET /api/notifications
+// @desc Get a page of the current user's notifications, newest first, with the number of unread ones
+// @query unread (true for unread only), type, page, limit
+// @access Private (Authenticated Users)
+router.get('/', authenticateToken, validateRequest({ query: notificationListQuery }), async (req, res) => {
+    const { type } = req.validatedQuery;
+    const unreadOnly = String(req.validatedQuery.unread) === 'true';
+    const page = req.validatedQuery.page !== undefined ? Number(req.validatedQuery.page) : 1;
+    const limit = Math.min(req.validatedQuery.limit !== undefined ? Number(req.validatedQuery.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    try {
+        const where = {};
+        if (type) where.type = type;
+        if (unreadOnly) where.read_at = null;
+
+        const start = (page - 1) * limit;
+        const [{ rows, total }, unreadCount] = await Promise.all([
+            notifications.listPage(req.user.userId, where, [start, start + limit - 1]),
+            notifications.countUnread(req.user.userId)
+        ]);
+
+        res.status(200).json({
+            data: rows,
+            unreadCount,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/notifications/unread-count
+// @desc Number of unread notifications of the current user
+// @access Private (Authenticated Users)
+router.get('/unread-count', authenticateToken, async (req, res) => {
+    try {
+        res.status(200).json({ unreadCount: await notifications.countUnread(req.user.userId) });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/notifications/read-all
+// @desc Mark every notification of the current user as read
+// @access Private (Authenticated Users)
+router.post('/read-all', authenticateToken, async (req, res) => {
+    try {
+        const updated = await notifications.markAllRead(req.user.userId);
+        if (updated > 0) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'notification', entityId: req.user.userId, metadata: { source: 'read-all', updated } });
+        }
+        res.status(200).json({ message: 'All notifications marked as read.', updated });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/notifications/:id/read
+// @desc Mark one of the current user's notifications as read
+// @access Private (Authenticated Users)
+router.post('/:id/read', authenticateToken, validateRequest({ params: notificationParams }), async (req, res) => {
+    try {
+        const notification = await notifications.markRead(req.user.userId, req.params.id);
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'notification', entityId: notification.id, after: notification, metadata: { source: 'read' } });
+        res.status(200).json({ message: 'Notification marked as read.', notification });
+    } catch (error) {
+        console.error('Error marking notification read:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/notifications/preferences
+// @desc How the current user receives each notification type (in the app and/or by email)
+// @access Private (Authenticated Users)
+router.get('/preferences', authenticateToken, async (req, res) => {
+    try {
+        res.status(200).json(await getPreferences(req.user.userId));
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/notifications/preferences/:type
+// @desc Choose how the current user receives one notification type
+// @body { inApp, email } (at least one)
+// @access Private (Authenticated Users)
+router.put('/preferences/:type', authenticateToken, validateRequest({ params: preferenceParams, body: preferenceBody }), async (req, res) => {
+    const { inApp, email } = req.body;
+    try {
+        const before = (await getPreferences(req.user.userId)).find(preference => preference.type === req.params.type);
+        const preference = await setPreference(req.user.userId, req.params.type, {
+            inApp: inApp === undefined ? undefined : String(inApp) === 'true',
+            email: email === undefined ? undefined : String(email) === 'true'
+        });
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.UPDATE,
+            entityType: 'notification_preference',
+            entityId: `${req.user.userId}:${req.params.type}`,
+            before,
+            after: preference
+        });
+        res.status(200).json({ message: 'Notification preference saved.', preference });
+    } catch (error) {
+        console.error('Error saving notification preference:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
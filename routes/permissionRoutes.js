@@ -1,19 +1,20 @@
 // routes/permissionRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
+const { permissions, roles } = require('../repositories');
 const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { clearAccessCache } = require('../utils/accessCache');
+const { validateRequest } = require('../middleware/validateRequest');
+const { idParams } = require('../schemas/commonSchemas');
+const { permissionBody } = require('../schemas/permissionSchemas');
 
 // @route GET /api/permissions
 // @desc Get all permissions
 // @access Private (Admin, Can View Permissions)
 router.get('/', authenticateToken, authorizePermission('VIEW_PERMISSIONS'), async (req, res) => {
     try {
-        const { data: permissions, error } = await supabase
-            .from('permissions')
-            .select('*');
-        if (error) throw error;
-        res.status(200).json(permissions);
+        res.status(200).json(await permissions.find());
     } catch (error) {
         console.error('Error fetching permissions:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -23,15 +24,10 @@ router.get('/', authenticateToken, authorizePermission('VIEW_PERMISSIONS'), asyn
 // @route GET /api/permissions/:id
 // @desc Get a single permission by ID
 // @access Private (Admin, Can View Permissions)
-router.get('/:id', authenticateToken, authorizePermission('VIEW_PERMISSIONS'), async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('VIEW_PERMISSIONS'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        const { data: permission, error } = await supabase
-            .from('permissions')
-            .select('*')
-            .eq('id', id)
-            .single();
-        if (error) throw error;
+        const permission = await permissions.findById(id);
         if (!permission) {
             return res.status(404).json({ message: 'Permission not found.' });
         }
@@ -45,32 +41,17 @@ router.get('/:id', authenticateToken, authorizePermission('VIEW_PERMISSIONS'), a
 // @route POST /api/permissions
 // @desc Create a new permission
 // @access Private (Admin, Can Add Permissions)
-router.post('/', authenticateToken, authorizePermission('ADD_PERMISSIONS'), async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('ADD_PERMISSIONS'), validateRequest({ body: permissionBody }), async (req, res) => {
     const { permissionName, permissionCode } = req.body;
 
-    if (!permissionName || !permissionCode) {
-        return res.status(400).json({ message: 'Permission name and code are required.' });
-    }
-
     try {
         // Check if permission code already exists
-        const { data: existingPermission, error: existingPermissionError } = await supabase
-            .from('permissions')
-            .select('id')
-            .eq('permission_code', permissionCode)
-            .single();
-
-        if (existingPermission) {
+        if (await permissions.isCodeTaken(permissionCode)) {
             return res.status(400).json({ message: 'Permission with this code already exists.' });
         }
 
-        const { data: newPermission, error } = await supabase
-            .from('permissions')
-            .insert({ permission_name: permissionName, permission_code: permissionCode })
-            .select()
-            .single();
-
-        if (error) throw error;
+        const newPermission = await permissions.create({ permission_name: permissionName, permission_code: permissionCode });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'permission', entityId: newPermission.id, after: newPermission });
         res.status(201).json({ message: 'Permission created successfully.', permission: newPermission });
     } catch (error) {
         console.error('Error creating permission:', error);
@@ -81,38 +62,23 @@ router.post('/', authenticateToken, authorizePermission('ADD_PERMISSIONS'), asyn
 // @route PUT /api/permissions/:id
 // @desc Update an existing permission
 // @access Private (Admin, Can Edit Permissions)
-router.put('/:id', authenticateToken, authorizePermission('EDIT_PERMISSIONS'), async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('EDIT_PERMISSIONS'), validateRequest({ params: idParams, body: permissionBody }), async (req, res) => {
     const { id } = req.params;
     const { permissionName, permissionCode } = req.body;
 
-    if (!permissionName || !permissionCode) {
-        return res.status(400).json({ message: 'Permission name and code are required.' });
-    }
-
     try {
         // Check if new permission code already exists for another permission
-        const { data: existingPermission, error: existingPermissionError } = await supabase
-            .from('permissions')
-            .select('id')
-            .eq('permission_code', permissionCode)
-            .neq('id', id)
-            .single();
-
-        if (existingPermission) {
+        if (await permissions.isCodeTaken(permissionCode, id)) {
             return res.status(400).json({ message: 'Another permission with this code already exists.' });
         }
 
-        const { data: updatedPermission, error } = await supabase
-            .from('permissions')
-            .update({ permission_name: permissionName, permission_code: permissionCode })
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) throw error;
+        const before = await permissions.findById(id);
+        const updatedPermission = await permissions.updateById(id, { permission_name: permissionName, permission_code: permissionCode });
         if (!updatedPermission) {
             return res.status(404).json({ message: 'Permission not found.' });
         }
+        clearAccessCache(); // Every role granted this permission now sees the new code
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'permission', entityId: id, before, after: updatedPermission });
         res.status(200).json({ message: 'Permission updated successfully.', permission: updatedPermission });
     } catch (error) {
         console.error('Error updating permission:', error);
@@ -123,25 +89,16 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_PERMISSIONS'), a
 // @route DELETE /api/permissions/:id
 // @desc Delete a permission
 // @access Private (Admin, Can Delete Permissions)
-router.delete('/:id', authenticateToken, authorizePermission('DELETE_PERMISSIONS'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_PERMISSIONS'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
         // Check if any roles are currently assigned this permission
-        const { data: rolePermissions, error: rpCheckError } = await supabase
-            .from('role_permissions')
-            .select('permission_id')
-            .eq('permission_id', id);
-
-        if (rolePermissions && rolePermissions.length > 0) {
+        if (await roles.isPermissionAssigned(id)) {
             return res.status(400).json({ message: 'Cannot delete permission: It is currently assigned to one or more roles.' });
         }
 
-        const { error } = await supabase
-            .from('permissions')
-            .delete()
-            .eq('id', id);
-
-        if (error) throw error;
+        const before = await permissions.deleteById(id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'permission', entityId: id, before });
         res.status(200).json({ message: 'Permission deleted successfully.' });
     } catch (error) {
         console.error('Error deleting permission:', error);
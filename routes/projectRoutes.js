@@ -1,78 +1,96 @@
 // routes/projectRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
-const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { projects, projectMembers, projectMembershipEvents, farmers, users } = require('../repositories');
+const { authenticateToken, authorizeRole, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { idParams } = require('../schemas/commonSchemas');
+const {
+    createProjectBody, updateProjectBody, memberParams, memberRoleBody, addMembersBody, removeMembersBody, membershipHistoryQuery
+} = require('../schemas/projectSchemas');
+const { softDeleteFields, RESTORE_FIELDS } = require('../utils/softDelete');
+const {
+    DEFAULT_PROJECT_ROLE, PROJECT_CAPABILITIES, getAssignedProjectIds, isAssignedToProject, canAccessProject
+} = require('../utils/projectAccess');
+const { recordMembershipChanges } = require('../utils/projectMembership');
+const { notifyMembershipChanges } = require('../utils/notifications');
+
+// Live (not deleted) project row plus its assigned user IDs, used as the before/after values in the audit log
+const projectSnapshot = async (id) => {
+    const project = await projects.findActive(id);
+    if (!project) return null;
+    return { ...project, assigned_user_ids: await projectMembers.findUserIds(id) };
+};
+
+// Stores the membership history of a change and notifies the users who joined, left or changed role
+const membershipChanged = async (req, projectId, before, after) => {
+    await recordMembershipChanges(req, projectId, before, after);
+    await notifyMembershipChanges(req, projectId, before, after);
+};
+
+// IDs among userIds that do not belong to a live user
+const findMissingUserIds = async (userIds) => {
+    const found = await users.find({ select: 'id', where: { id: userIds, deleted_at: null } });
+    const foundIds = new Set(found.map(user => String(user.id)));
+    return userIds.filter(userId => !foundIds.has(String(userId)));
+};
+
+// A project's team can be managed with the global EDIT_PROJECTS permission or by the project's own managers
+const authorizeTeamManagement = async (req, res, next) => {
+    if (req.user.roleName === 'Admin' || req.user.permissions.includes('EDIT_PROJECTS')) {
+        return next();
+    }
+    try {
+        if (await isAssignedToProject(req.user.userId, req.params.id, PROJECT_CAPABILITIES.MANAGE_TEAM)) {
+            return next();
+        }
+    } catch (error) {
+        console.error('Error checking project role:', error);
+        return res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.ACCESS_DENIED, entityType: 'project', entityId: req.params.id, metadata: { reason: 'not a project manager' } });
+    res.status(403).json({ message: 'Access denied. Requires permission EDIT_PROJECTS or the MANAGER role in this project.' });
+};
 
 // @route GET /api/projects
 // @desc Get all projects (or projects assigned to the current user if not admin)
 // @access Private (Admin: VIEW_PROJECTS, User: VIEW_ASSIGNED_PROJECTS)
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        let query = supabase.from('projects').select(`
-            id,
-            name,
-            description,
-            status,
-            assigned_users:project_users(
-                user:users(
-                    id,
-                    full_name,
-                    email
-                )
-            )
-        `);
-
-        if (req.user.roleName !== 'Admin') {
-            // If not an Admin, only show projects the user is assigned to
-            query = query.filter('project_users.user_id', 'eq', req.user.userId);
-        }
-
-        const { data: projects, error } = await query;
-        if (error) throw error;
-        res.status(200).json(projects);
+        // If not an Admin, only show projects the user is assigned to
+        const projectIds = req.user.roleName === 'Admin' ? null : await getAssignedProjectIds(req.user.userId);
+        res.status(200).json(await projects.listActive(projectIds));
     } catch (error) {
         console.error('Error fetching projects:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
 
+// @route GET /api/projects/trash
+// @desc List soft-deleted projects, most recently deleted first
+// @access Private (Admin, Can Delete Projects)
+router.get('/trash', authenticateToken, authorizePermission('DELETE_PROJECTS'), async (req, res) => {
+    try {
+        res.status(200).json(await projects.listDeleted());
+    } catch (error) {
+        console.error('Error fetching deleted projects:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
 // @route GET /api/projects/:id
 // @desc Get a single project by ID
 // @access Private (Admin: VIEW_PROJECTS, User: VIEW_ASSIGNED_PROJECTS)
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        let query = supabase.from('projects').select(`
-            id,
-            name,
-            description,
-            status,
-            assigned_users:project_users(
-                user:users(
-                    id,
-                    full_name,
-                    email
-                )
-            )
-        `).eq('id', id);
-
-        if (req.user.roleName !== 'Admin') {
-            // If not an Admin, ensure the user is assigned to this project
-            const { data: projectUser, error: projectUserError } = await supabase
-                .from('project_users')
-                .select('project_id')
-                .eq('project_id', id)
-                .eq('user_id', req.user.userId)
-                .single();
-
-            if (projectUserError || !projectUser) {
-                return res.status(403).json({ message: 'Access denied to this project.' });
-            }
+        // If not an Admin, ensure the user is assigned to this project
+        if (req.user.roleName !== 'Admin' && !(await isAssignedToProject(req.user.userId, id))) {
+            return res.status(403).json({ message: 'Access denied to this project.' });
         }
 
-        const { data: project, error } = await query.single();
-        if (error) throw error;
+        const project = await projects.findActiveWithMembers(id);
         if (!project) {
             return res.status(404).json({ message: 'Project not found.' });
         }
@@ -86,46 +104,28 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @route POST /api/projects
 // @desc Create a new project
 // @access Private (Admin, Can Create Projects)
-router.post('/', authenticateToken, authorizePermission('CREATE_PROJECTS'), async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('CREATE_PROJECTS'), validateRequest({ body: createProjectBody }), async (req, res) => {
     const { name, description, status, assignedUserIds = [] } = req.body;
 
-    if (!name || !description) {
-        return res.status(400).json({ message: 'Project name and description are required.' });
-    }
-
     try {
         // Check if project name already exists
-        const { data: existingProject, error: existingProjectError } = await supabase
-            .from('projects')
-            .select('id')
-            .eq('name', name)
-            .single();
-
-        if (existingProject) {
+        if (await projects.isNameTaken(name)) {
             return res.status(400).json({ message: 'Project with this name already exists.' });
         }
+        const missingUserIds = await findMissingUserIds(assignedUserIds);
+        if (missingUserIds.length > 0) {
+            return res.status(404).json({ message: 'One or more users were not found.', userIds: missingUserIds });
+        }
 
-        const { data: newProject, error: createProjectError } = await supabase
-            .from('projects')
-            .insert({ name, description, status: status !== undefined ? status : true })
-            .select()
-            .single();
-
-        if (createProjectError) throw createProjectError;
+        const newProject = await projects.create({ name, description, status: status !== undefined ? status : true });
 
         // Assign users to the project
         if (assignedUserIds.length > 0) {
-            const projectUsers = assignedUserIds.map(user_id => ({
-                project_id: newProject.id,
-                user_id
-            }));
-            const { error: assignUsersError } = await supabase
-                .from('project_users')
-                .insert(projectUsers);
-
-            if (assignUsersError) throw assignUsersError;
+            const members = await projectMembers.setMembers(newProject.id, assignedUserIds, DEFAULT_PROJECT_ROLE);
+            await membershipChanged(req, newProject.id, [], members);
         }
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'project', entityId: newProject.id, after: { ...newProject, assigned_user_ids: assignedUserIds } });
         res.status(201).json({ message: 'Project created successfully.', project: newProject });
     } catch (error) {
         console.error('Error creating project:', error);
@@ -134,23 +134,17 @@ router.post('/', authenticateToken, authorizePermission('CREATE_PROJECTS'), asyn
 });
 
 // @route PUT /api/projects/:id
-// @desc Update an existing project
+// @desc Update an existing project. Members are only replaced when assignedUserIds is given; use the
+//       /members endpoints to add or remove individual members.
 // @access Private (Admin, Can Edit Projects)
-router.put('/:id', authenticateToken, authorizePermission('EDIT_PROJECTS'), async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('EDIT_PROJECTS'), validateRequest({ params: idParams, body: updateProjectBody }), async (req, res) => {
     const { id } = req.params;
-    const { name, description, status, assignedUserIds = [] } = req.body;
+    const { name, description, status, assignedUserIds } = req.body;
 
     try {
         let updateData = {};
         if (name) {
-            const { data: existingProject, error: existingProjectError } = await supabase
-                .from('projects')
-                .select('id')
-                .eq('name', name)
-                .neq('id', id)
-                .single();
-
-            if (existingProject) {
+            if (await projects.isNameTaken(name, id)) {
                 return res.status(400).json({ message: 'Another project with this name already exists.' });
             }
             updateData.name = name;
@@ -158,37 +152,38 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_PROJECTS'), asyn
         if (description) updateData.description = description;
         if (status !== undefined) updateData.status = status;
 
-        if (Object.keys(updateData).length === 0 && assignedUserIds.length === 0) {
+        if (Object.keys(updateData).length === 0 && assignedUserIds === undefined) {
             return res.status(400).json({ message: 'No fields to update or users to assign provided.' });
         }
 
-        const { data: updatedProject, error: updateProjectError } = await supabase
-            .from('projects')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (updateProjectError) throw updateProjectError;
-        if (!updatedProject) {
+        const before = await projectSnapshot(id);
+        if (!before) {
             return res.status(404).json({ message: 'Project not found.' });
         }
 
-        // Update assigned users: Delete existing and insert new ones
-        await supabase.from('project_users').delete().eq('project_id', id);
+        if (assignedUserIds !== undefined) {
+            const missingUserIds = await findMissingUserIds(assignedUserIds);
+            if (missingUserIds.length > 0) {
+                return res.status(404).json({ message: 'One or more users were not found.', userIds: missingUserIds });
+            }
+        }
 
-        if (assignedUserIds.length > 0) {
-            const projectUsers = assignedUserIds.map(user_id => ({
-                project_id: id,
-                user_id
-            }));
-            const { error: assignUsersError } = await supabase
-                .from('project_users')
-                .insert(projectUsers);
+        const updatedProject = Object.keys(updateData).length > 0
+            ? await projects.updateById(id, updateData)
+            : await projects.findActive(id);
+        if (!updatedProject) {
+            return res.status(404).json({ message: 'Project not found.' });
+        }
 
-            if (assignUsersError) throw assignUsersError;
+        // Replace the assigned users (members who stay keep their project role)
+        if (assignedUserIds !== undefined) {
+            const membersBefore = await projectMembers.listMemberships(id);
+            const membersAfter = await projectMembers.setMembers(id, assignedUserIds, DEFAULT_PROJECT_ROLE);
+            await membershipChanged(req, id, membersBefore, membersAfter);
         }
 
+        const after = { ...updatedProject, assigned_user_ids: assignedUserIds !== undefined ? assignedUserIds : before.assigned_user_ids };
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'project', entityId: id, before, after });
         res.status(200).json({ message: 'Project updated successfully.', project: updatedProject });
     } catch (error) {
         console.error('Error updating project:', error);
@@ -196,44 +191,238 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_PROJECTS'), asyn
     }
 });
 
+// @route GET /api/projects/:id/members
+// @desc List the members of a project with their project role and join date
+// @access Private (Admin, or a member of the project)
+router.get('/:id/members', authenticateToken, validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await canAccessProject(req.user, id))) {
+            return res.status(403).json({ message: 'Access denied to this project.' });
+        }
+        if (!(await projects.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'Project not found.' });
+        }
+
+        const members = await projectMembers.listForProject(id);
+        res.status(200).json(members
+            .filter(member => member.user && !member.user.deleted_at)
+            .map(({ user: { deleted_at, ...user }, ...membership }) => ({ ...membership, user })));
+    } catch (error) {
+        console.error('Error fetching project members:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/projects/:id/members/history
+// @desc When each user joined or left the project and how their project role changed, newest first
+// @query userId (optional)
+// @access Private (EDIT_PROJECTS, or MANAGER of the project)
+router.get('/:id/members/history', authenticateToken, validateRequest({ params: idParams, query: membershipHistoryQuery }), authorizeTeamManagement, async (req, res) => {
+    const { id } = req.params;
+    try {
+        res.status(200).json(await projectMembershipEvents.listForProject(id, { userId: req.validatedQuery.userId || null }));
+    } catch (error) {
+        console.error('Error fetching project membership history:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/projects/:id/members
+// @desc Add users to a project. Users who are already members are skipped and keep their project role.
+// @body { userIds: [], projectRole: MANAGER | ENUMERATOR | VIEWER (default ENUMERATOR) }
+// @access Private (EDIT_PROJECTS, or MANAGER of the project)
+router.post('/:id/members', authenticateToken, validateRequest({ params: idParams, body: addMembersBody }), authorizeTeamManagement, async (req, res) => {
+    const { id } = req.params;
+    const { userIds, projectRole = DEFAULT_PROJECT_ROLE } = req.body;
+
+    try {
+        if (!(await projects.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'Project not found.' });
+        }
+        const missingUserIds = await findMissingUserIds(userIds);
+        if (missingUserIds.length > 0) {
+            return res.status(404).json({ message: 'One or more users were not found.', userIds: missingUserIds });
+        }
+
+        const added = await projectMembers.addMembers(id, userIds, projectRole);
+        await membershipChanged(req, id, [], added);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'project_member', entityId: id, after: added, metadata: { userIds: added.map(row => row.user_id) } });
+        res.status(201).json({
+            message: 'Project members added successfully.',
+            added: added.length,
+            skipped: userIds.length - added.length,
+            members: added
+        });
+    } catch (error) {
+        console.error('Error adding project members:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/projects/:id/members
+// @desc Remove several users from a project. Users who are not members are ignored.
+// @body { userIds: [] }
+// @access Private (EDIT_PROJECTS, or MANAGER of the project)
+router.delete('/:id/members', authenticateToken, validateRequest({ params: idParams, body: removeMembersBody }), authorizeTeamManagement, async (req, res) => {
+    const { id } = req.params;
+    const { userIds } = req.body;
+
+    try {
+        const removed = await projectMembers.removeMembers(id, userIds);
+        await membershipChanged(req, id, removed, []);
+        if (removed.length > 0) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'project_member', entityId: id, before: removed, metadata: { userIds: removed.map(row => row.user_id) } });
+        }
+        res.status(200).json({ message: 'Project members removed successfully.', removed: removed.length });
+    } catch (error) {
+        console.error('Error removing project members:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/projects/:id/members/:userId
+// @desc Add a user to a project with the given project role, or change the role of an existing member
+// @body { projectRole: MANAGER | ENUMERATOR | VIEWER }
+// @access Private (EDIT_PROJECTS, or MANAGER of the project)
+router.put('/:id/members/:userId', authenticateToken, validateRequest({ params: memberParams, body: memberRoleBody }), authorizeTeamManagement, async (req, res) => {
+    const { id, userId } = req.params;
+    const { projectRole } = req.body;
+
+    try {
+        if (!(await projects.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'Project not found.' });
+        }
+        if (!(await users.findActive(userId, { select: 'id' }))) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const before = await projectMembers.findMembership(id, userId);
+        const membership = await projectMembers.upsertMember(id, userId, projectRole);
+
+        await membershipChanged(req, id, before ? [before] : [], [membership]);
+        await recordAudit(req, {
+            action: before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+            entityType: 'project_member',
+            entityId: `${id}:${userId}`,
+            before,
+            after: membership
+        });
+        res.status(before ? 200 : 201).json({
+            message: before ? 'Project role updated successfully.' : 'User added to project successfully.',
+            membership
+        });
+    } catch (error) {
+        console.error('Error saving project member:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/projects/:id/members/:userId
+// @desc Remove a user from a project
+// @access Private (EDIT_PROJECTS, or MANAGER of the project)
+router.delete('/:id/members/:userId', authenticateToken, validateRequest({ params: memberParams }), authorizeTeamManagement, async (req, res) => {
+    const { id, userId } = req.params;
+    try {
+        const removed = await projectMembers.removeMember(id, userId);
+        if (!removed) {
+            return res.status(404).json({ message: 'User is not a member of this project.' });
+        }
+
+        await membershipChanged(req, id, [removed], []);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'project_member', entityId: `${id}:${userId}`, before: removed });
+        res.status(200).json({ message: 'User removed from project successfully.' });
+    } catch (error) {
+        console.error('Error removing project member:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
 // @route DELETE /api/projects/:id
-// @desc Delete a project
+// @desc Move a project and its farmers to the trash (soft delete). Assignments are kept so a restore brings them back.
 // @access Private (Admin, Can Delete Projects)
-router.delete('/:id', authenticateToken, authorizePermission('DELETE_PROJECTS'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_PROJECTS'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        // Delete associated project_users first
-        const { error: deleteProjectUsersError } = await supabase
-            .from('project_users')
-            .delete()
-            .eq('project_id', id);
+        const before = await projectSnapshot(id);
+        if (!before) {
+            return res.status(404).json({ message: 'Project not found.' });
+        }
+
+        // The project's farmers share its deleted_at so a restore can bring back exactly those
+        const deletion = softDeleteFields(req.user.userId);
+
+        await farmers.updateWhere({ project_id: id, deleted_at: null }, deletion);
+        const deletedProject = await projects.updateById(id, deletion);
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'project', entityId: id, before, after: deletedProject });
+        res.status(200).json({ message: 'Project moved to trash.' });
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/projects/:id/restore
+// @desc Restore a project from the trash, together with the farmers that were deleted with it
+// @access Private (Admin, Can Delete Projects)
+router.post('/:id/restore', authenticateToken, authorizePermission('DELETE_PROJECTS'), validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deletedProject = await projects.findDeleted(id);
+        if (!deletedProject) {
+            return res.status(404).json({ message: 'Project not found in trash.' });
+        }
 
-        if (deleteProjectUsersError) throw deleteProjectUsersError;
+        const restoredFarmers = await farmers.updateWhere(
+            { project_id: id, deleted_at: deletedProject.deleted_at },
+            RESTORE_FIELDS,
+            { select: 'id' }
+        );
+        const restoredProject = await projects.updateById(id, RESTORE_FIELDS);
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RESTORE,
+            entityType: 'project',
+            entityId: id,
+            before: deletedProject,
+            after: restoredProject,
+            metadata: { restoredFarmers: restoredFarmers.length }
+        });
+        res.status(200).json({
+            message: 'Project restored successfully.',
+            project: restoredProject,
+            restoredFarmers: restoredFarmers.length
+        });
+    } catch (error) {
+        console.error('Error restoring project:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
 
-        // Delete associated farmers (optional, depending on business logic - cascade delete or restrict)
-        // For now, let's assume farmers linked to a project can also be deleted or re-assigned
-        // If you want to prevent deletion if farmers are linked, add a check here.
-        const { error: deleteFarmersError } = await supabase
-            .from('farmers')
-            .delete()
-            .eq('project_id', id);
-        if (deleteFarmersError) {
-             console.warn(`Could not delete associated farmers for project ${id}. Error: ${deleteFarmersError.message}`);
-             // Decide whether to throw error or continue
+// @route DELETE /api/projects/:id/purge
+// @desc Permanently remove a project that is in the trash, with its assignments and farmers
+// @access Private (Admin only)
+router.delete('/:id/purge', authenticateToken, authorizeRole('Admin'), validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deletedProject = await projects.findDeleted(id);
+        if (!deletedProject) {
+            return res.status(404).json({ message: 'Project not found in trash. Delete it before purging.' });
         }
 
+        // Delete associated project_users first
+        await projectMembers.deleteWhere({ project_id: id });
 
-        // Then delete the project
-        const { error: deleteProjectError } = await supabase
-            .from('projects')
-            .delete()
-            .eq('id', id);
+        // Farmers cannot outlive their project once it is purged
+        await farmers.deleteWhere({ project_id: id });
 
-        if (deleteProjectError) throw deleteProjectError;
+        // Then delete the project
+        await projects.deleteById(id);
 
-        res.status(200).json({ message: 'Project deleted successfully.' });
+        await recordAudit(req, { action: AUDIT_ACTIONS.PURGE, entityType: 'project', entityId: id, before: deletedProject });
+        res.status(200).json({ message: 'Project permanently deleted.' });
     } catch (error) {
-        console.error('Error deleting project:', error);
+        console.error('Error purging project:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
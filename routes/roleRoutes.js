@@ -1,29 +1,27 @@
 // routes/roleRoutes.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabaseClient');
+const { roles, users } = require('../repositories');
 const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { invalidateRoleAccess } = require('../utils/accessCache');
+const { validateRequest } = require('../middleware/validateRequest');
+const { idParams } = require('../schemas/commonSchemas');
+const { roleBody } = require('../schemas/roleSchemas');
+
+// Role row plus its permission IDs, used as the before/after values in the audit log
+const roleSnapshot = async (id) => {
+    const role = await roles.findById(id);
+    if (!role) return null;
+    return { ...role, permission_ids: await roles.findPermissionIds(id) };
+};
 
 // @route GET /api/roles
 // @desc Get all roles with their permissions
 // @access Private (Admin, Can View Roles)
 router.get('/', authenticateToken, authorizePermission('VIEW_ROLES'), async (req, res) => {
     try {
-        const { data: roles, error } = await supabase
-            .from('roles')
-            .select(`
-                id,
-                role_name,
-                role_permissions(
-                    permission:permissions(
-                        id,
-                        permission_name,
-                        permission_code
-                    )
-                )
-            `);
-        if (error) throw error;
-        res.status(200).json(roles);
+        res.status(200).json(await roles.listWithPermissions());
     } catch (error) {
         console.error('Error fetching roles:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -33,25 +31,10 @@ router.get('/', authenticateToken, authorizePermission('VIEW_ROLES'), async (req
 // @route GET /api/roles/:id
 // @desc Get a single role by ID with its permissions
 // @access Private (Admin, Can View Roles)
-router.get('/:id', authenticateToken, authorizePermission('VIEW_ROLES'), async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('VIEW_ROLES'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        const { data: role, error } = await supabase
-            .from('roles')
-            .select(`
-                id,
-                role_name,
-                role_permissions(
-                    permission:permissions(
-                        id,
-                        permission_name,
-                        permission_code
-                    )
-                )
-            `)
-            .eq('id', id)
-            .single();
-        if (error) throw error;
+        const role = await roles.findWithPermissions(id);
         if (!role) {
             return res.status(404).json({ message: 'Role not found.' });
         }
@@ -65,47 +48,24 @@ router.get('/:id', authenticateToken, authorizePermission('VIEW_ROLES'), async (
 // @route POST /api/roles
 // @desc Create a new role
 // @access Private (Admin, Can Add Roles)
-router.post('/', authenticateToken, authorizePermission('ADD_ROLES'), async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('ADD_ROLES'), validateRequest({ body: roleBody }), async (req, res) => {
     const { roleName, permissionIds = [] } = req.body;
 
-    if (!roleName) {
-        return res.status(400).json({ message: 'Role name is required.' });
-    }
-
     try {
         // Check if role name already exists
-        const { data: existingRole, error: existingRoleError } = await supabase
-            .from('roles')
-            .select('id')
-            .eq('role_name', roleName)
-            .single();
-
-        if (existingRole) {
+        if (await roles.isNameTaken(roleName)) {
             return res.status(400).json({ message: 'Role with this name already exists.' });
         }
 
         // Create the role
-        const { data: newRole, error: createRoleError } = await supabase
-            .from('roles')
-            .insert({ role_name: roleName })
-            .select()
-            .single();
-
-        if (createRoleError) throw createRoleError;
+        const newRole = await roles.create({ role_name: roleName });
 
         // Assign permissions if provided
         if (permissionIds.length > 0) {
-            const rolePermissions = permissionIds.map(permission_id => ({
-                role_id: newRole.id,
-                permission_id
-            }));
-            const { error: assignPermissionError } = await supabase
-                .from('role_permissions')
-                .insert(rolePermissions);
-
-            if (assignPermissionError) throw assignPermissionError;
+            await roles.setPermissions(newRole.id, permissionIds);
         }
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'role', entityId: newRole.id, after: { ...newRole, permission_ids: permissionIds } });
         res.status(201).json({ message: 'Role created successfully.', role: newRole });
     } catch (error) {
         console.error('Error creating role:', error);
@@ -116,55 +76,29 @@ router.post('/', authenticateToken, authorizePermission('ADD_ROLES'), async (req
 // @route PUT /api/roles/:id
 // @desc Update an existing role and its permissions
 // @access Private (Admin, Can Edit Roles)
-router.put('/:id', authenticateToken, authorizePermission('EDIT_ROLES'), async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('EDIT_ROLES'), validateRequest({ params: idParams, body: roleBody }), async (req, res) => {
     const { id } = req.params;
     const { roleName, permissionIds = [] } = req.body; // permissionIds is the new set of permissions
 
-    if (!roleName) {
-        return res.status(400).json({ message: 'Role name is required.' });
-    }
-
     try {
         // Check if role name already exists for another role
-        const { data: existingRole, error: existingRoleError } = await supabase
-            .from('roles')
-            .select('id')
-            .eq('role_name', roleName)
-            .neq('id', id)
-            .single();
-
-        if (existingRole) {
+        if (await roles.isNameTaken(roleName, id)) {
             return res.status(400).json({ message: 'Another role with this name already exists.' });
         }
 
+        const before = await roleSnapshot(id);
+
         // Update the role name
-        const { data: updatedRole, error: updateRoleError } = await supabase
-            .from('roles')
-            .update({ role_name: roleName })
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (updateRoleError) throw updateRoleError;
+        const updatedRole = await roles.updateById(id, { role_name: roleName });
         if (!updatedRole) {
             return res.status(404).json({ message: 'Role not found.' });
         }
 
         // Update permissions: Delete existing and insert new ones
-        await supabase.from('role_permissions').delete().eq('role_id', id);
-
-        if (permissionIds.length > 0) {
-            const rolePermissions = permissionIds.map(permission_id => ({
-                role_id: id,
-                permission_id
-            }));
-            const { error: assignPermissionError } = await supabase
-                .from('role_permissions')
-                .insert(rolePermissions);
-
-            if (assignPermissionError) throw assignPermissionError;
-        }
+        await roles.setPermissions(id, permissionIds);
+        invalidateRoleAccess(id);
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'role', entityId: id, before, after: { ...updatedRole, permission_ids: permissionIds } });
         res.status(200).json({ message: 'Role updated successfully.', role: updatedRole });
     } catch (error) {
         console.error('Error updating role:', error);
@@ -175,35 +109,20 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_ROLES'), async (
 // @route DELETE /api/roles/:id
 // @desc Delete a role
 // @access Private (Admin, Can Delete Roles)
-router.delete('/:id', authenticateToken, authorizePermission('DELETE_ROLES'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_ROLES'), validateRequest({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     try {
         // First, check if any users are assigned to this role
-        const { data: usersWithRole, error: usersCheckError } = await supabase
-            .from('users')
-            .select('id')
-            .eq('role_id', id);
-
-        if (usersWithRole && usersWithRole.length > 0) {
+        if (await users.exists({ role_id: id })) {
             return res.status(400).json({ message: 'Cannot delete role: Users are currently assigned to this role.' });
         }
 
-        // Delete associated role_permissions first
-        const { error: deleteRolePermissionsError } = await supabase
-            .from('role_permissions')
-            .delete()
-            .eq('role_id', id);
-
-        if (deleteRolePermissionsError) throw deleteRolePermissionsError;
-
-        // Then delete the role
-        const { error: deleteRoleError } = await supabase
-            .from('roles')
-            .delete()
-            .eq('id', id);
+        const before = await roleSnapshot(id);
 
-        if (deleteRoleError) throw deleteRoleError;
+        // Delete associated role_permissions, then the role
+        await roles.deleteWithPermissions(id);
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'role', entityId: id, before });
         res.status(200).json({ message: 'Role deleted successfully.' });
     } catch (error) {
         console.error('Error deleting role:', error);
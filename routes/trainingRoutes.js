@@ -0,0 +1,375 @@
+// routes/trainingRoutes.js
+const express = require('express');
+const router = express.Router();
+const { trainings, trainingSessions, trainingAttendance, farmers } = require('../repositories');
+const { authenticateToken, authorizePermission } = require('../middleware/authMiddleware');
+const { PROJECT_CAPABILITIES, getAssignedProjectIds, canAccessProject } = require('../utils/projectAccess');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { idParams } = require('../schemas/commonSchemas');
+const {
+    trainingListQuery, createTrainingBody, updateTrainingBody, createSessionBody, updateSessionBody,
+    sessionParams, attendanceParams, attendanceBody
+} = require('../schemas/trainingSchemas');
+
+// @route GET /api/trainings
+// @desc Get all trainings (Admin: all, User: trainings in their projects)
+// @query projectId, quarterId (optional)
+// @access Private (VIEW_TRAININGS)
+router.get('/', authenticateToken, authorizePermission('VIEW_TRAININGS'), validateRequest({ query: trainingListQuery }), async (req, res) => {
+    const { projectId, quarterId } = req.validatedQuery;
+    try {
+        const where = {};
+        if (req.user.roleName !== 'Admin') {
+            const projectIds = await getAssignedProjectIds(req.user.userId);
+            if (projectIds.length === 0) {
+                return res.status(200).json([]); // User is not assigned to any projects, so no trainings to show
+            }
+            if (projectId && !projectIds.map(String).includes(String(projectId))) {
+                return res.status(403).json({ message: 'Access denied to this project.' });
+            }
+            where.project_id = projectIds;
+        }
+        if (projectId) where.project_id = projectId;
+        if (quarterId) where.quarter_id = quarterId;
+
+        res.status(200).json(await trainings.listWithSessionCounts(where));
+    } catch (error) {
+        console.error('Error fetching trainings:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/trainings/sessions/:sessionId/attendance
+// @desc Get the farmers who attended a training session
+// @access Private (VIEW_TRAININGS, in the user's projects)
+router.get('/sessions/:sessionId/attendance', authenticateToken, authorizePermission('VIEW_TRAININGS'), validateRequest({ params: sessionParams }), async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const session = await trainingSessions.findWithTraining(sessionId);
+        if (!session) {
+            return res.status(404).json({ message: 'Training session not found.' });
+        }
+        if (!(await canAccessProject(req.user, session.training.project_id))) {
+            return res.status(403).json({ message: 'Access denied to this training.' });
+        }
+
+        const attendance = await trainingAttendance.listForSession(sessionId);
+        // Farmers in the trash keep their attendance rows so a restore brings them back, but they are not listed
+        res.status(200).json(attendance.filter(row => row.farmer && !row.farmer.deleted_at));
+    } catch (error) {
+        console.error('Error fetching training attendance:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/trainings/sessions/:sessionId/attendance
+// @desc Record farmers as attending a training session. Farmers already recorded are skipped.
+// @body { farmerIds: [] }
+// @access Private (RECORD_TRAINING_ATTENDANCE; non-admins only for farmers and trainings in their projects)
+router.post('/sessions/:sessionId/attendance', authenticateToken, authorizePermission('RECORD_TRAINING_ATTENDANCE'), validateRequest({ params: sessionParams, body: attendanceBody }), async (req, res) => {
+    const { sessionId } = req.params;
+    const { farmerIds } = req.body;
+
+    const uniqueFarmerIds = [...new Set(farmerIds)];
+
+    try {
+        const session = await trainingSessions.findWithTraining(sessionId);
+        if (!session) {
+            return res.status(404).json({ message: 'Training session not found.' });
+        }
+        if (!(await canAccessProject(req.user, session.training.project_id, PROJECT_CAPABILITIES.RECORD_ATTENDANCE))) {
+            return res.status(403).json({ message: 'You can only record attendance for trainings in projects where your project role allows it.' });
+        }
+
+        const attendees = await farmers.find({ select: 'id, project_id', where: { id: uniqueFarmerIds, deleted_at: null } });
+        if (attendees.length !== uniqueFarmerIds.length) {
+            return res.status(404).json({ message: 'One or more farmers were not found.' });
+        }
+
+        // Same rule as the farmer routes: non-admins only work with farmers in their assigned projects
+        if (req.user.roleName !== 'Admin') {
+            const projectIds = (await getAssignedProjectIds(req.user.userId, PROJECT_CAPABILITIES.RECORD_ATTENDANCE)).map(String);
+            if (attendees.some(farmer => !projectIds.includes(String(farmer.project_id)))) {
+                return res.status(403).json({ message: 'You can only record attendance for farmers in projects where your project role allows it.' });
+            }
+        }
+
+        const existing = await trainingAttendance.findRecordedFarmerIds(sessionId, uniqueFarmerIds);
+        const alreadyRecorded = new Set(existing.map(String));
+        const newRows = uniqueFarmerIds
+            .filter(farmerId => !alreadyRecorded.has(String(farmerId)))
+            .map(farmerId => ({ session_id: sessionId, farmer_id: farmerId, recorded_by_user_id: req.user.userId }));
+
+        const recorded = await trainingAttendance.createMany(newRows);
+
+        if (recorded.length > 0) {
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.CREATE,
+                entityType: 'training_attendance',
+                entityId: sessionId,
+                after: recorded,
+                metadata: { sessionId, farmerIds: recorded.map(row => row.farmer_id) }
+            });
+        }
+        res.status(201).json({
+            message: 'Attendance recorded successfully.',
+            recorded: recorded.length,
+            skipped: uniqueFarmerIds.length - recorded.length,
+            attendance: recorded
+        });
+    } catch (error) {
+        console.error('Error recording training attendance:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/trainings/sessions/:sessionId/attendance/:farmerId
+// @desc Remove a farmer's attendance from a training session
+// @access Private (RECORD_TRAINING_ATTENDANCE; non-admins only for farmers and trainings in their projects)
+router.delete('/sessions/:sessionId/attendance/:farmerId', authenticateToken, authorizePermission('RECORD_TRAINING_ATTENDANCE'), validateRequest({ params: attendanceParams }), async (req, res) => {
+    const { sessionId, farmerId } = req.params;
+    try {
+        const session = await trainingSessions.findWithTraining(sessionId);
+        if (!session) {
+            return res.status(404).json({ message: 'Training session not found.' });
+        }
+        if (!(await canAccessProject(req.user, session.training.project_id, PROJECT_CAPABILITIES.RECORD_ATTENDANCE))) {
+            return res.status(403).json({ message: 'You can only manage attendance for trainings in projects where your project role allows it.' });
+        }
+
+        const farmer = await farmers.findById(farmerId, { select: 'id, project_id' });
+        if (farmer && !(await canAccessProject(req.user, farmer.project_id, PROJECT_CAPABILITIES.RECORD_ATTENDANCE))) {
+            return res.status(403).json({ message: 'You can only manage attendance for farmers in projects where your project role allows it.' });
+        }
+
+        const removed = await trainingAttendance.deleteWhere({ session_id: sessionId, farmer_id: farmerId });
+        if (removed.length === 0) {
+            return res.status(404).json({ message: 'Attendance record not found.' });
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'training_attendance', entityId: removed[0].id, before: removed[0] });
+        res.status(200).json({ message: 'Attendance removed successfully.' });
+    } catch (error) {
+        console.error('Error removing training attendance:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/trainings/sessions/:sessionId
+// @desc Update a training session
+// @access Private (EDIT_TRAININGS, in the user's projects)
+router.put('/sessions/:sessionId', authenticateToken, authorizePermission('EDIT_TRAININGS'), validateRequest({ params: sessionParams, body: updateSessionBody }), async (req, res) => {
+    const { sessionId } = req.params;
+    const { sessionDate, location, notes } = req.body;
+
+    try {
+        const session = await trainingSessions.findWithTraining(sessionId);
+        if (!session) {
+            return res.status(404).json({ message: 'Training session not found.' });
+        }
+        if (!(await canAccessProject(req.user, session.training.project_id, PROJECT_CAPABILITIES.MANAGE_TRAININGS))) {
+            return res.status(403).json({ message: 'You can only edit trainings in projects where your project role allows it.' });
+        }
+
+        const updateData = { session_date: sessionDate, location, notes };
+        Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ message: 'No fields to update provided.' });
+        }
+
+        const before = await trainingSessions.findById(sessionId);
+        const updatedSession = await trainingSessions.updateById(sessionId, updateData);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'training_session', entityId: sessionId, before, after: updatedSession });
+        res.status(200).json({ message: 'Training session updated successfully.', session: updatedSession });
+    } catch (error) {
+        console.error('Error updating training session:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/trainings/sessions/:sessionId
+// @desc Delete a training session and its attendance records
+// @access Private (DELETE_TRAININGS, in the user's projects)
+router.delete('/sessions/:sessionId', authenticateToken, authorizePermission('DELETE_TRAININGS'), validateRequest({ params: sessionParams }), async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const session = await trainingSessions.findWithTraining(sessionId);
+        if (!session) {
+            return res.status(404).json({ message: 'Training session not found.' });
+        }
+        if (!(await canAccessProject(req.user, session.training.project_id, PROJECT_CAPABILITIES.MANAGE_TRAININGS))) {
+            return res.status(403).json({ message: 'You can only delete trainings in projects where your project role allows it.' });
+        }
+
+        const before = await trainingSessions.deleteById(sessionId);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'training_session', entityId: sessionId, before });
+        res.status(200).json({ message: 'Training session deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting training session:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/trainings/:id
+// @desc Get a single training with its sessions
+// @access Private (VIEW_TRAININGS, in the user's projects)
+router.get('/:id', authenticateToken, authorizePermission('VIEW_TRAININGS'), validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const training = await trainings.findWithSessions(id);
+        if (!training) {
+            return res.status(404).json({ message: 'Training not found.' });
+        }
+        if (!(await canAccessProject(req.user, training.project_id))) {
+            return res.status(403).json({ message: 'Access denied to this training.' });
+        }
+        res.status(200).json(training);
+    } catch (error) {
+        console.error('Error fetching training:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/trainings
+// @desc Create a new training
+// @access Private (ADD_TRAININGS; non-admins only in their projects)
+router.post('/', authenticateToken, authorizePermission('ADD_TRAININGS'), validateRequest({ body: createTrainingBody }), async (req, res) => {
+    const { topic, description, projectId, quarterId, trainerUserId, trainerName } = req.body;
+
+    try {
+        if (!(await canAccessProject(req.user, projectId, PROJECT_CAPABILITIES.MANAGE_TRAININGS))) {
+            return res.status(403).json({ message: 'You can only add trainings to projects where your project role allows it.' });
+        }
+
+        const newTraining = await trainings.create({
+            topic,
+            description,
+            project_id: projectId,
+            quarter_id: quarterId,
+            trainer_user_id: trainerUserId,
+            trainer_name: trainerName,
+            created_by_user_id: req.user.userId
+        });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'training', entityId: newTraining.id, after: newTraining });
+        res.status(201).json({ message: 'Training created successfully.', training: newTraining });
+    } catch (error) {
+        console.error('Error creating training:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route PUT /api/trainings/:id
+// @desc Update an existing training
+// @access Private (EDIT_TRAININGS; non-admins only in their projects)
+router.put('/:id', authenticateToken, authorizePermission('EDIT_TRAININGS'), validateRequest({ params: idParams, body: updateTrainingBody }), async (req, res) => {
+    const { id } = req.params;
+    const { topic, description, projectId, quarterId, trainerUserId, trainerName } = req.body;
+
+    try {
+        const before = await trainings.findById(id);
+        if (!before) {
+            return res.status(404).json({ message: 'Training not found.' });
+        }
+        const currentProjectId = before.project_id;
+
+        // The user must have access to both the current project and the one the training is moved to
+        const targetProjectId = projectId || currentProjectId;
+        if (!(await canAccessProject(req.user, currentProjectId, PROJECT_CAPABILITIES.MANAGE_TRAININGS)) ||
+            !(await canAccessProject(req.user, targetProjectId, PROJECT_CAPABILITIES.MANAGE_TRAININGS))) {
+            return res.status(403).json({ message: 'You can only edit trainings in projects where your project role allows it.' });
+        }
+
+        const updateData = {
+            topic,
+            description,
+            project_id: projectId,
+            quarter_id: quarterId,
+            trainer_user_id: trainerUserId,
+            trainer_name: trainerName
+        };
+        Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ message: 'No fields to update provided.' });
+        }
+
+        const updatedTraining = await trainings.updateById(id, updateData);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'training', entityId: id, before, after: updatedTraining });
+        res.status(200).json({ message: 'Training updated successfully.', training: updatedTraining });
+    } catch (error) {
+        console.error('Error updating training:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/trainings/:id
+// @desc Delete a training with its sessions and attendance records
+// @access Private (DELETE_TRAININGS; non-admins only in their projects)
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_TRAININGS'), validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const before = await trainings.findById(id);
+        if (!before) {
+            return res.status(404).json({ message: 'Training not found.' });
+        }
+        if (!(await canAccessProject(req.user, before.project_id, PROJECT_CAPABILITIES.MANAGE_TRAININGS))) {
+            return res.status(403).json({ message: 'You can only delete trainings in projects where your project role allows it.' });
+        }
+
+        await trainings.deleteById(id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'training', entityId: id, before });
+        res.status(200).json({ message: 'Training deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting training:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/trainings/:id/sessions
+// @desc Get the sessions of a training
+// @access Private (VIEW_TRAININGS, in the user's projects)
+router.get('/:id/sessions', authenticateToken, authorizePermission('VIEW_TRAININGS'), validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const projectId = await trainings.findProjectId(id);
+        if (!projectId) {
+            return res.status(404).json({ message: 'Training not found.' });
+        }
+        if (!(await canAccessProject(req.user, projectId))) {
+            return res.status(403).json({ message: 'Access denied to this training.' });
+        }
+
+        res.status(200).json(await trainingSessions.listForTraining(id));
+    } catch (error) {
+        console.error('Error fetching training sessions:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/trainings/:id/sessions
+// @desc Add a session to a training
+// @access Private (EDIT_TRAININGS, in the user's projects)
+router.post('/:id/sessions', authenticateToken, authorizePermission('EDIT_TRAININGS'), validateRequest({ params: idParams, body: createSessionBody }), async (req, res) => {
+    const { id } = req.params;
+    const { sessionDate, location, notes } = req.body;
+
+    try {
+        const projectId = await trainings.findProjectId(id);
+        if (!projectId) {
+            return res.status(404).json({ message: 'Training not found.' });
+        }
+        if (!(await canAccessProject(req.user, projectId, PROJECT_CAPABILITIES.MANAGE_TRAININGS))) {
+            return res.status(403).json({ message: 'You can only edit trainings in projects where your project role allows it.' });
+        }
+
+        const newSession = await trainingSessions.create({ training_id: id, session_date: sessionDate, location, notes });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'training_session', entityId: newSession.id, after: newSession });
+        res.status(201).json({ message: 'Training session created successfully.', session: newSession });
+    } catch (error) {
+        console.error('Error creating training session:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -2,59 +2,49 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const supabase = require('../config/supabaseClient');
+const { users, projectMembers, userSessions } = require('../repositories');
 const { authenticateToken, authorizeRole, authorizePermission } = require('../middleware/authMiddleware');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { uuidParams } = require('../schemas/commonSchemas');
+const { createUserBody, updateUserBody, sessionParams } = require('../schemas/userSchemas');
+const { softDeleteFields, RESTORE_FIELDS } = require('../utils/softDelete');
+const { invalidateUserAccess } = require('../utils/accessCache');
+const { revokeUserSessions, SESSION_REVOKE_REASONS } = require('../utils/sessions');
+const { SECOND_FACTORS, removeTotp } = require('../utils/totp');
+const { sendEmail } = require('../utils/email');
 
 // @route GET /api/users
 // @desc Get all users
 // @access Private (Admin, Can View Users)
 router.get('/', authenticateToken, authorizePermission('VIEW_USERS'), async (req, res) => {
     try {
-        const { data: users, error } = await supabase
-            .from('users')
-            .select(`
-                id,
-                full_name,
-                email,
-                activation_status,
-                is_active,
-                created_at,
-                role:roles(
-                    id,
-                    role_name
-                )
-            `);
-        if (error) throw error;
-        res.status(200).json(users);
+        res.status(200).json(await users.listActive());
     } catch (error) {
         console.error('Error fetching users:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
 
+// @route GET /api/users/trash
+// @desc List soft-deleted users, most recently deleted first
+// @access Private (Admin, Can Delete Users)
+router.get('/trash', authenticateToken, authorizePermission('DELETE_USERS'), async (req, res) => {
+    try {
+        res.status(200).json(await users.listDeleted());
+    } catch (error) {
+        console.error('Error fetching deleted users:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
 // @route GET /api/users/:id
 // @desc Get a single user by ID
 // @access Private (Admin, Can View Users - self-view also allowed)
-router.get('/:id', authenticateToken, authorizePermission('VIEW_USERS'), async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('VIEW_USERS'), validateRequest({ params: uuidParams }), async (req, res) => {
     const { id } = req.params;
     try {
-        const { data: user, error } = await supabase
-            .from('users')
-            .select(`
-                id,
-                full_name,
-                email,
-                activation_status,
-                is_active,
-                created_at,
-                role:roles(
-                    id,
-                    role_name
-                )
-            `)
-            .eq('id', id)
-            .single();
-        if (error) throw error;
+        const user = await users.findActive(id);
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
         }
@@ -65,45 +55,148 @@ router.get('/:id', authenticateToken, authorizePermission('VIEW_USERS'), async (
     }
 });
 
-// @route POST /api/users
-// @desc Create a new user
-// @access Private (Admin, Can Add Users)
-router.post('/', authenticateToken, authorizePermission('ADD_USERS'), async (req, res) => {
-    const { fullName, email, password, roleId, activationStatus, isActive } = req.body;
+// @route GET /api/users/:id/projects
+// @desc List the live projects a user belongs to, with their project role and join date
+// @access Private (Can View Users, or the user themselves)
+router.get('/:id/projects', authenticateToken, validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
 
-    if (!fullName || !email || !password || !roleId) {
-        return res.status(400).json({ message: 'Please provide full name, email, password, and role ID.' });
+    if (id !== req.user.userId && !req.user.permissions.includes('VIEW_USERS')) {
+        return res.status(403).json({ message: 'Access denied. Requires permission: VIEW_USERS' });
     }
 
     try {
-        const { data: existingUser, error: existingUserError } = await supabase
-            .from('users')
-            .select('id')
-            .eq('email', email)
-            .single();
+        if (!(await users.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const memberships = await projectMembers.listForUser(id);
+        res.status(200).json(memberships
+            .filter(membership => membership.project && !membership.project.deleted_at)
+            .map(({ project: { deleted_at, ...project }, ...membership }) => ({ ...membership, project })));
+    } catch (error) {
+        console.error('Error fetching user projects:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route GET /api/users/:id/sessions
+// @desc List a user's active sessions (devices signed in)
+// @access Private (Admin only)
+router.get('/:id/sessions', authenticateToken, authorizeRole('Admin'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await users.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const sessions = await userSessions.listActiveForUser(id);
+        res.status(200).json(sessions);
+    } catch (error) {
+        console.error('Error fetching user sessions:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/users/:id/sessions/:sessionId
+// @desc Revoke one session of a user. Its access and refresh tokens stop working immediately.
+// @access Private (Admin only)
+router.delete('/:id/sessions/:sessionId', authenticateToken, authorizeRole('Admin'), validateRequest({ params: sessionParams }), async (req, res) => {
+    const { id, sessionId } = req.params;
+    try {
+        const session = await userSessions.findActive(sessionId);
+        if (!session || session.user_id !== id) {
+            return res.status(404).json({ message: 'Active session not found for this user.' });
+        }
+
+        const [revoked] = await userSessions.revoke(sessionId, SESSION_REVOKE_REASONS.ADMIN);
+        await recordAudit(req, { action: AUDIT_ACTIONS.REVOKE, entityType: 'session', entityId: sessionId, before: session, after: revoked, metadata: { userId: id } });
+        res.status(200).json({ message: 'Session revoked successfully.' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/users/:id/sessions
+// @desc Revoke every active session of a user (sign them out of all devices)
+// @access Private (Admin only)
+router.delete('/:id/sessions', authenticateToken, authorizeRole('Admin'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await users.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const revoked = await revokeUserSessions(id, SESSION_REVOKE_REASONS.ADMIN);
+        await recordAudit(req, { action: AUDIT_ACTIONS.REVOKE, entityType: 'user', entityId: id, metadata: { revokedSessions: revoked.map(session => session.id) } });
+        res.status(200).json({ message: 'All sessions revoked successfully.', revokedSessions: revoked.length });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
 
-        if (existingUser) {
+// @route DELETE /api/users/:id/mfa
+// @desc Reset a user's authenticator-app enrolment (e.g. after a lost phone). Removes the app and recovery codes
+//       and sends login codes by email again; the user can enrol a new app after signing in.
+// @access Private (Admin only)
+router.delete('/:id/mfa', authenticateToken, authorizeRole('Admin'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await users.findActive(id, { select: 'id' }))) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await removeTotp(id);
+        await users.updateById(id, { second_factor: SECOND_FACTORS.EMAIL });
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: id, metadata: { source: 'totp-reset' } });
+        res.status(200).json({ message: 'Authenticator enrolment reset. The user will receive login codes by email.' });
+    } catch (error) {
+        console.error('Error resetting MFA:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route POST /api/users
+// @desc Create a new user. With sendInvitation: true the user is emailed that their account exists;
+//       invitationSent in the response tells whether that worked (failed invitations are retried).
+// @access Private (Admin, Can Add Users)
+router.post('/', authenticateToken, authorizePermission('ADD_USERS'), validateRequest({ body: createUserBody }), async (req, res) => {
+    const { fullName, email, password, roleId, activationStatus, isActive, mustChangePassword, sendInvitation } = req.body;
+
+    try {
+        if (await users.isEmailTaken(email)) {
             return res.status(400).json({ message: 'User with this email already exists.' });
         }
 
         const salt = await bcrypt.genSalt(10);
         const passwordHash = await bcrypt.hash(password, salt);
 
-        const { data: newUser, error } = await supabase
-            .from('users')
-            .insert({
-                full_name: fullName,
-                email,
-                password_hash: passwordHash,
-                role_id: roleId,
-                activation_status: activationStatus !== undefined ? activationStatus : true,
-                is_active: isActive !== undefined ? isActive : true
-            })
-            .select()
-            .single();
-
-        if (error) throw error;
-        res.status(201).json({ message: 'User created successfully.', user: newUser });
+        const newUser = await users.create({
+            full_name: fullName,
+            email,
+            password_hash: passwordHash,
+            role_id: roleId,
+            activation_status: activationStatus !== undefined ? activationStatus : true,
+            is_active: isActive !== undefined ? isActive : true,
+            must_change_password: mustChangePassword === true // The user picks their own password on first login
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'user', entityId: newUser.id, after: newUser });
+
+        if (sendInvitation !== true) {
+            return res.status(201).json({ message: 'User created successfully.', user: newUser });
+        }
+        const inviter = await users.findById(req.user.userId, { select: 'full_name' });
+        const { sent } = await sendEmail('invitation', newUser.email, {
+            fullName: newUser.full_name,
+            email: newUser.email,
+            appUrl: process.env.APP_URL || null,
+            invitedBy: inviter ? inviter.full_name : null,
+            mustChangePassword: newUser.must_change_password
+        });
+        res.status(201).json({ message: 'User created successfully.', user: newUser, invitationSent: sent });
     } catch (error) {
         console.error('Error creating user:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
@@ -113,23 +206,16 @@ router.post('/', authenticateToken, authorizePermission('ADD_USERS'), async (req
 // @route PUT /api/users/:id
 // @desc Update an existing user
 // @access Private (Admin, Can Edit Users)
-router.put('/:id', authenticateToken, authorizePermission('EDIT_USERS'), async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('EDIT_USERS'), validateRequest({ params: uuidParams, body: updateUserBody }), async (req, res) => {
     const { id } = req.params;
-    const { fullName, email, password, roleId, activationStatus, isActive } = req.body;
+    const { fullName, email, password, roleId, activationStatus, isActive, mustChangePassword } = req.body;
 
     try {
         let updateData = {};
         if (fullName) updateData.full_name = fullName;
         if (email) {
             // Check if new email already exists for another user
-            const { data: existingUser, error: existingUserError } = await supabase
-                .from('users')
-                .select('id')
-                .eq('email', email)
-                .neq('id', id)
-                .single();
-
-            if (existingUser) {
+            if (await users.isEmailTaken(email, id)) {
                 return res.status(400).json({ message: 'Another user with this email already exists.' });
             }
             updateData.email = email;
@@ -141,22 +227,27 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_USERS'), async (
         if (roleId) updateData.role_id = roleId;
         if (activationStatus !== undefined) updateData.activation_status = activationStatus;
         if (isActive !== undefined) updateData.is_active = isActive;
+        if (mustChangePassword !== undefined) updateData.must_change_password = mustChangePassword;
 
         if (Object.keys(updateData).length === 0) {
             return res.status(400).json({ message: 'No fields to update provided.' });
         }
 
-        const { data: updatedUser, error } = await supabase
-            .from('users')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
+        const before = await users.findActive(id, { select: '*' });
+        if (!before) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
 
-        if (error) throw error;
+        const updatedUser = await users.updateById(id, updateData);
         if (!updatedUser) {
             return res.status(404).json({ message: 'User not found.' });
         }
+        invalidateUserAccess(id); // The role or account status may have changed
+        // A new password or a disabled account signs the user out everywhere
+        if (password || activationStatus === false || isActive === false) {
+            await revokeUserSessions(id, SESSION_REVOKE_REASONS.ACCOUNT_CHANGE);
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'user', entityId: id, before, after: updatedUser });
         res.status(200).json({ message: 'User updated successfully.', user: updatedUser });
     } catch (error) {
         console.error('Error updating user:', error);
@@ -165,22 +256,74 @@ router.put('/:id', authenticateToken, authorizePermission('EDIT_USERS'), async (
 });
 
 // @route DELETE /api/users/:id
-// @desc Delete a user
+// @desc Move a user to the trash (soft delete). The account can no longer sign in, but its chats and records are kept.
 // @access Private (Admin, Can Delete Users)
-router.delete('/:id', authenticateToken, authorizePermission('DELETE_USERS'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('DELETE_USERS'), validateRequest({ params: uuidParams }), async (req, res) => {
     const { id } = req.params;
+
+    if (id === req.user.userId) {
+        return res.status(400).json({ message: 'You cannot delete your own account.' });
+    }
+
     try {
-        const { error } = await supabase
-            .from('users')
-            .delete()
-            .eq('id', id);
+        const before = await users.findActive(id, { select: '*' });
+        if (!before) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
 
-        if (error) throw error;
-        res.status(200).json({ message: 'User deleted successfully.' });
+        const deletedUser = await users.updateById(id, softDeleteFields(req.user.userId));
+        invalidateUserAccess(id);
+        await revokeUserSessions(id, SESSION_REVOKE_REASONS.ACCOUNT_CHANGE);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'user', entityId: id, before, after: deletedUser });
+        res.status(200).json({ message: 'User moved to trash.' });
     } catch (error) {
         console.error('Error deleting user:', error);
         res.status(500).json({ message: 'Server error.', error: error.message });
     }
 });
 
+// @route POST /api/users/:id/restore
+// @desc Restore a user from the trash
+// @access Private (Admin, Can Delete Users)
+router.post('/:id/restore', authenticateToken, authorizePermission('DELETE_USERS'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deletedUser = await users.findDeleted(id);
+        if (!deletedUser) {
+            return res.status(404).json({ message: 'User not found in trash.' });
+        }
+
+        const restoredUser = await users.updateById(id, RESTORE_FIELDS, {
+            select: 'id, full_name, email, activation_status, is_active, role_id'
+        });
+        invalidateUserAccess(id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.RESTORE, entityType: 'user', entityId: id, before: deletedUser, after: restoredUser });
+        res.status(200).json({ message: 'User restored successfully.', user: restoredUser });
+    } catch (error) {
+        console.error('Error restoring user:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
+// @route DELETE /api/users/:id/purge
+// @desc Permanently remove a user that is in the trash. This also removes their chats and project assignments.
+// @access Private (Admin only)
+router.delete('/:id/purge', authenticateToken, authorizeRole('Admin'), validateRequest({ params: uuidParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deletedUser = await users.findDeleted(id);
+        if (!deletedUser) {
+            return res.status(404).json({ message: 'User not found in trash. Delete it before purging.' });
+        }
+
+        await users.deleteById(id);
+        invalidateUserAccess(id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.PURGE, entityType: 'user', entityId: id, before: deletedUser });
+        res.status(200).json({ message: 'User permanently deleted.' });
+    } catch (error) {
+        console.error('Error purging user:', error);
+        res.status(500).json({ message: 'Server error.', error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
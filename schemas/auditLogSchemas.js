@@ -0,0 +1,24 @@
+// schemas/auditLogSchemas.js
+const { createSchema, string, integer, uuid, date, oneOf } = require('../utils/validation');
+const { AUDIT_ACTIONS } = require('../utils/auditLog');
+
+const auditLogQuery = createSchema({
+    actorId: uuid(),
+    action: oneOf(Object.values(AUDIT_ACTIONS)),
+    entityType: string({ max: 100 }),
+    entityId: string({ max: 255 }),
+    from: date(),
+    to: date(),
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1 })
+}, {
+    checks: [
+        ({ from, to }) => (from && to && new Date(from) > new Date(to)
+            ? { field: 'from', message: 'from cannot be after to.' }
+            : null)
+    ]
+});
+
+module.exports = {
+    auditLogQuery
+};
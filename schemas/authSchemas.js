@@ -0,0 +1,67 @@
+// schemas/authSchemas.js
+const { createSchema, string, email, uuid } = require('../utils/validation');
+
+const registerBody = createSchema({
+    fullName: string({ required: true, max: 255 }),
+    email: email({ required: true }),
+    password: string({ required: true, min: 8, max: 128, trim: false }),
+    roleName: string({ required: true, max: 255 })
+});
+
+// No minimum length here: accounts created before the password rules must still be able to sign in
+const loginBody = createSchema({
+    email: email({ required: true }),
+    password: string({ required: true, max: 128, trim: false })
+});
+
+// otp is the emailed code or the code from the authenticator app; recoveryCode replaces it for app users
+const verifyOtpBody = createSchema({
+    challengeId: uuid({ required: true }),
+    otp: string({ pattern: /^\d{6}$/, patternMessage: 'must be a 6-digit code.' }),
+    recoveryCode: string({ pattern: /^[A-Z2-7]{5}-?[A-Z2-7]{5}$/i, patternMessage: 'must look like ABCDE-FGHIJ.' })
+}, {
+    checks: [
+        ({ otp, recoveryCode }) => (Boolean(otp) === Boolean(recoveryCode)
+            ? { field: 'otp', message: 'Provide either otp or recoveryCode, not both.' }
+            : null)
+    ]
+});
+
+const resendOtpBody = createSchema({
+    challengeId: uuid({ required: true })
+});
+
+const forgotPasswordBody = createSchema({
+    email: email({ required: true })
+});
+
+const resetPasswordBody = createSchema({
+    token: string({ required: true, max: 128 }),
+    password: string({ required: true, min: 8, max: 128, trim: false })
+});
+
+const changePasswordBody = createSchema({
+    currentPassword: string({ required: true, max: 128, trim: false }),
+    newPassword: string({ required: true, min: 8, max: 128, trim: false })
+}, {
+    checks: [
+        ({ currentPassword, newPassword }) => (currentPassword === newPassword
+            ? { field: 'newPassword', message: 'newPassword must differ from currentPassword.' }
+            : null)
+    ]
+});
+
+const refreshBody = createSchema({
+    refreshToken: string({ required: true, max: 128 })
+});
+
+module.exports = {
+    registerBody,
+    loginBody,
+    verifyOtpBody,
+    resendOtpBody,
+    forgotPasswordBody,
+    resetPasswordBody,
+    changePasswordBody,
+    refreshBody
+};
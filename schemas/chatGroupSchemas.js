@@ -0,0 +1,51 @@
+// schemas/chatGroupSchemas.js
+const { createSchema, string, integer, id, uuid, oneOf, arrayOf } = require('../utils/validation');
+const { CHAT_GROUP_ROLES } = require('../repositories/chatGroupMemberRepository');
+
+const MAX_GROUP_MEMBERS = 100;
+
+const groupParams = createSchema({
+    groupId: id({ required: true })
+});
+
+const groupMemberParams = createSchema({
+    groupId: id({ required: true }),
+    userId: uuid({ required: true })
+});
+
+const createGroupBody = createSchema({
+    name: string({ required: true, max: 100 }),
+    memberIds: arrayOf(uuid(), { required: true, min: 1, max: MAX_GROUP_MEMBERS, unique: true })
+});
+
+const renameGroupBody = createSchema({
+    name: string({ required: true, max: 100 })
+});
+
+const addGroupMembersBody = createSchema({
+    userIds: arrayOf(uuid(), { required: true, min: 1, max: MAX_GROUP_MEMBERS, unique: true })
+});
+
+const groupMemberRoleBody = createSchema({
+    memberRole: oneOf(Object.values(CHAT_GROUP_ROLES), { required: true })
+});
+
+const groupMessagesQuery = createSchema({
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1 })
+});
+
+const groupMessageBody = createSchema({
+    message: string({ required: true, max: 5000 })
+});
+
+module.exports = {
+    groupParams,
+    groupMemberParams,
+    createGroupBody,
+    renameGroupBody,
+    addGroupMembersBody,
+    groupMemberRoleBody,
+    groupMessagesQuery,
+    groupMessageBody
+};
@@ -0,0 +1,55 @@
+// schemas/chatSchemas.js
+const { createSchema, string, uuid, id, integer } = require('../utils/validation');
+
+const conversationParams = createSchema({
+    receiverId: uuid({ required: true })
+});
+
+const conversationListQuery = createSchema({
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1 })
+});
+
+const markReadBody = createSchema({
+    upToMessageId: id()
+});
+
+const conversationHistoryQuery = createSchema({
+    before: id(),
+    after: id(),
+    limit: integer({ min: 1 })
+}, {
+    checks: [
+        ({ before, after }) => (before !== undefined && after !== undefined
+            ? { field: 'after', message: 'Use either before or after, not both.' }
+            : null)
+    ]
+});
+
+const messageParams = createSchema({
+    messageId: id({ required: true })
+});
+
+const attachmentParams = createSchema({
+    attachmentId: id({ required: true })
+});
+
+const editMessageBody = createSchema({
+    message: string({ required: true, max: 5000 })
+});
+
+const sendMessageBody = createSchema({
+    receiverId: uuid({ required: true }),
+    message: string({ max: 5000 }) // Optional when files are attached
+});
+
+module.exports = {
+    conversationParams,
+    conversationListQuery,
+    markReadBody,
+    conversationHistoryQuery,
+    messageParams,
+    attachmentParams,
+    editMessageBody,
+    sendMessageBody
+};
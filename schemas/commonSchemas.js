@@ -0,0 +1,14 @@
+// schemas/commonSchemas.js
+// Route parameter schemas shared by several resources
+const { createSchema, id, uuid } = require('../utils/validation');
+
+// :id of tables with integer keys (projects, roles, permissions, farmer types, quarters, trainings)
+const idParams = createSchema({ id: id({ required: true }) });
+
+// :id of tables with UUID keys (users, farmers)
+const uuidParams = createSchema({ id: uuid({ required: true }) });
+
+module.exports = {
+    idParams,
+    uuidParams
+};
@@ -0,0 +1,11 @@
+// schemas/dataAnalysisSchemas.js
+const { extendSchema, oneOf } = require('../utils/validation');
+const { exportFormatQuery } = require('./exportSchemas');
+
+const regionQuery = extendSchema(exportFormatQuery, {
+    groupBy: oneOf(['state', 'district'])
+});
+
+module.exports = {
+    regionQuery
+};
@@ -0,0 +1,16 @@
+// schemas/emailDeliverySchemas.js
+const { createSchema, integer, email, oneOf } = require('../utils/validation');
+const { EMAIL_DELIVERY_STATUSES } = require('../repositories/emailDeliveryRepository');
+const { TEMPLATE_NAMES } = require('../utils/emailTemplates');
+
+const emailDeliveryQuery = createSchema({
+    status: oneOf(Object.values(EMAIL_DELIVERY_STATUSES)),
+    template: oneOf(TEMPLATE_NAMES),
+    recipient: email(),
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1 })
+});
+
+module.exports = {
+    emailDeliveryQuery
+};
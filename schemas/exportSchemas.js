@@ -0,0 +1,12 @@
+// schemas/exportSchemas.js
+const { createSchema, oneOf } = require('../utils/validation');
+const { EXPORT_FORMATS } = require('../utils/exporter');
+
+// ?format= of every endpoint that can return a file
+const exportFormatQuery = createSchema({
+    format: oneOf(EXPORT_FORMATS, { ignoreCase: true })
+});
+
+module.exports = {
+    exportFormatQuery
+};
@@ -0,0 +1,84 @@
+// schemas/farmerSchemas.js
+// Farmer fields are validated the same way whether they arrive in a request body or an import file row.
+const {
+    createSchema, extendSchema, partialSchema, string, integer, number, id, uuid, date, oneOf, arrayOf
+} = require('../utils/validation');
+const { GENDERS, farmerListQuerySchema } = require('../utils/farmerQuery');
+const { exportFormatQuery } = require('./exportSchemas');
+
+const MOBILE_NUMBER_PATTERN = /^\+?\d[\d\s\-()]*$/;
+
+const dateOfBirthCheck = ({ dateOfBirth }) => (dateOfBirth && new Date(dateOfBirth) > new Date()
+    ? { field: 'dateOfBirth', message: 'dateOfBirth cannot be in the future.' }
+    : null);
+
+// Every farmer field, none required
+const farmerFields = createSchema({
+    fullName: string({ max: 255 }),
+    mobileNumber: string({ max: 20, pattern: MOBILE_NUMBER_PATTERN, patternMessage: 'must contain only digits, spaces, dashes, brackets and a leading +.' }),
+    dateOfBirth: date(),
+    age: integer({ min: 0, max: 150 }),
+    gender: oneOf(GENDERS, { ignoreCase: true }),
+    farmerTypeId: id(),
+    countryName: string({ max: 255 }),
+    stateName: string({ max: 255 }),
+    districtName: string({ max: 255 }),
+    villageTractName: string({ max: 255 }),
+    villageName: string({ max: 255 }),
+    projectId: id(),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 })
+}, { checks: [dateOfBirthCheck] });
+
+const createFarmerBody = extendSchema(farmerFields, {
+    fullName: string({ required: true, max: 255 }),
+    farmerTypeId: id({ required: true }),
+    projectId: id({ required: true })
+});
+
+const updateFarmerBody = partialSchema(farmerFields);
+
+// A mapped import row; the farmer type may be given by name instead of ID. Required fields and
+// lookups are checked by validateRow in utils/farmerImport.js.
+const farmerImportRow = extendSchema(farmerFields, {
+    farmerTypeName: string({ max: 255 })
+});
+
+const farmerExportQuery = extendSchema(farmerListQuerySchema, exportFormatQuery.fields);
+
+const farmerImportQuery = createSchema({
+    mode: oneOf(['dry-run', 'commit'])
+});
+
+const duplicatesQuery = createSchema({
+    projectId: id()
+});
+
+const mergeBody = createSchema({
+    survivorId: uuid({ required: true }),
+    duplicateIds: arrayOf(uuid(), { required: true, min: 1, max: 100 })
+}, {
+    checks: [
+        ({ survivorId, duplicateIds }) => (duplicateIds.map(String).includes(String(survivorId))
+            ? { field: 'duplicateIds', message: 'The surviving record cannot also be listed as a duplicate.' }
+            : null)
+    ]
+});
+
+const revisionParams = createSchema({
+    id: uuid({ required: true }),
+    revisionId: id({ required: true })
+});
+
+module.exports = {
+    farmerFields,
+    createFarmerBody,
+    updateFarmerBody,
+    farmerImportRow,
+    farmerListQuery: farmerListQuerySchema,
+    farmerExportQuery,
+    farmerImportQuery,
+    duplicatesQuery,
+    mergeBody,
+    revisionParams
+};
@@ -0,0 +1,10 @@
+// schemas/farmerTypeSchemas.js
+const { createSchema, string } = require('../utils/validation');
+
+const farmerTypeBody = createSchema({
+    name: string({ required: true, max: 255 })
+});
+
+module.exports = {
+    farmerTypeBody
+};
@@ -0,0 +1,16 @@
+// schemas/lockoutSchemas.js
+const net = require('net');
+const { createSchema, email, custom } = require('../utils/validation');
+
+const accountLockoutParams = createSchema({
+    email: email({ required: true })
+});
+
+const ipLockoutParams = createSchema({
+    ip: custom((value) => (net.isIP(String(value).trim()) ? { value: String(value).trim() } : { error: 'must be a valid IP address.' }), { required: true })
+});
+
+module.exports = {
+    accountLockoutParams,
+    ipLockoutParams
+};
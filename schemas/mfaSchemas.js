@@ -0,0 +1,24 @@
+// schemas/mfaSchemas.js
+const { createSchema, string, oneOf } = require('../utils/validation');
+const { SECOND_FACTORS } = require('../utils/totp');
+
+// A code from the authenticator app
+const totpCodeBody = createSchema({
+    code: string({ required: true, pattern: /^\d{6}$/, patternMessage: 'must be a 6-digit code.' })
+});
+
+const disableTotpBody = createSchema({
+    password: string({ required: true, max: 128, trim: false })
+});
+
+// password is required when switching away from the authenticator app (checked by the route)
+const secondFactorBody = createSchema({
+    method: oneOf(Object.values(SECOND_FACTORS), { required: true }),
+    password: string({ max: 128, trim: false })
+});
+
+module.exports = {
+    totpCodeBody,
+    disableTotpBody,
+    secondFactorBody
+};
@@ -0,0 +1,38 @@
+// schemas/notificationSchemas.js
+const { createSchema, id, integer, boolean, oneOf } = require('../utils/validation');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+
+const notificationTypes = Object.values(NOTIFICATION_TYPES);
+
+const notificationListQuery = createSchema({
+    unread: boolean(),
+    type: oneOf(notificationTypes),
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1 })
+});
+
+const notificationParams = createSchema({
+    id: id({ required: true })
+});
+
+const preferenceParams = createSchema({
+    type: oneOf(notificationTypes, { required: true })
+});
+
+const preferenceBody = createSchema({
+    inApp: boolean(),
+    email: boolean()
+}, {
+    checks: [
+        ({ inApp, email }) => (inApp === undefined && email === undefined
+            ? { field: 'inApp', message: 'Provide inApp, email or both.' }
+            : null)
+    ]
+});
+
+module.exports = {
+    notificationListQuery,
+    notificationParams,
+    preferenceParams,
+    preferenceBody
+};
@@ -0,0 +1,16 @@
+// schemas/permissionSchemas.js
+const { createSchema, string } = require('../utils/validation');
+
+const permissionBody = createSchema({
+    permissionName: string({ required: true, max: 255 }),
+    permissionCode: string({
+        required: true,
+        max: 255,
+        pattern: /^[A-Z][A-Z0-9_]*$/,
+        patternMessage: 'must contain only upper-case letters, digits and underscores (e.g. VIEW_FARMER_RECORDS).'
+    })
+});
+
+module.exports = {
+    permissionBody
+};
@@ -0,0 +1,44 @@
+// schemas/projectSchemas.js
+const { createSchema, partialSchema, string, boolean, id, uuid, oneOf, arrayOf } = require('../utils/validation');
+const { PROJECT_ROLES } = require('../utils/projectAccess');
+
+const createProjectBody = createSchema({
+    name: string({ required: true, max: 255 }),
+    description: string({ required: true, max: 5000 }),
+    status: boolean(),
+    assignedUserIds: arrayOf(uuid(), { unique: true })
+});
+
+const updateProjectBody = partialSchema(createProjectBody);
+
+const memberParams = createSchema({
+    id: id({ required: true }),
+    userId: uuid({ required: true })
+});
+
+const memberRoleBody = createSchema({
+    projectRole: oneOf(Object.values(PROJECT_ROLES), { required: true })
+});
+
+const addMembersBody = createSchema({
+    userIds: arrayOf(uuid(), { required: true, min: 1, max: 500, unique: true }),
+    projectRole: oneOf(Object.values(PROJECT_ROLES))
+});
+
+const removeMembersBody = createSchema({
+    userIds: arrayOf(uuid(), { required: true, min: 1, max: 500, unique: true })
+});
+
+const membershipHistoryQuery = createSchema({
+    userId: uuid()
+});
+
+module.exports = {
+    createProjectBody,
+    updateProjectBody,
+    memberParams,
+    memberRoleBody,
+    addMembersBody,
+    removeMembersBody,
+    membershipHistoryQuery
+};
@@ -0,0 +1,18 @@
+// schemas/quarterSchemas.js
+const { createSchema, string, date } = require('../utils/validation');
+
+const quarterBody = createSchema({
+    name: string({ required: true, max: 255 }),
+    startDate: date({ required: true }),
+    endDate: date({ required: true })
+}, {
+    checks: [
+        ({ startDate, endDate }) => (new Date(startDate) >= new Date(endDate)
+            ? { field: 'endDate', message: 'endDate must be after startDate.' }
+            : null)
+    ]
+});
+
+module.exports = {
+    quarterBody
+};
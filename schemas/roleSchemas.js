@@ -0,0 +1,12 @@
+// schemas/roleSchemas.js
+const { createSchema, string, id, arrayOf } = require('../utils/validation');
+
+// Used for both create and update; on update permissionIds replaces the role's permissions
+const roleBody = createSchema({
+    roleName: string({ required: true, max: 255 }),
+    permissionIds: arrayOf(id(), { unique: true })
+});
+
+module.exports = {
+    roleBody
+};
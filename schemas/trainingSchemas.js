@@ -0,0 +1,50 @@
+// schemas/trainingSchemas.js
+const { createSchema, partialSchema, string, id, uuid, date, arrayOf } = require('../utils/validation');
+
+const trainingListQuery = createSchema({
+    projectId: id(),
+    quarterId: id()
+});
+
+const createTrainingBody = createSchema({
+    topic: string({ required: true, max: 255 }),
+    description: string({ max: 5000 }),
+    projectId: id({ required: true }),
+    quarterId: id(),
+    trainerUserId: uuid(),
+    trainerName: string({ max: 255 })
+});
+
+const updateTrainingBody = partialSchema(createTrainingBody);
+
+const createSessionBody = createSchema({
+    sessionDate: date({ required: true }),
+    location: string({ max: 255 }),
+    notes: string({ max: 5000 })
+});
+
+const updateSessionBody = partialSchema(createSessionBody);
+
+const sessionParams = createSchema({
+    sessionId: id({ required: true })
+});
+
+const attendanceParams = createSchema({
+    sessionId: id({ required: true }),
+    farmerId: uuid({ required: true })
+});
+
+const attendanceBody = createSchema({
+    farmerIds: arrayOf(uuid(), { required: true, min: 1, max: 1000 })
+});
+
+module.exports = {
+    trainingListQuery,
+    createTrainingBody,
+    updateTrainingBody,
+    createSessionBody,
+    updateSessionBody,
+    sessionParams,
+    attendanceParams,
+    attendanceBody
+};
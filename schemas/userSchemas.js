@@ -0,0 +1,31 @@
+// schemas/userSchemas.js
+const { createSchema, extendSchema, partialSchema, string, email, id, uuid, boolean } = require('../utils/validation');
+
+const userFields = createSchema({
+    fullName: string({ required: true, max: 255 }),
+    email: email({ required: true }),
+    password: string({ required: true, min: 8, max: 128, trim: false }),
+    roleId: id({ required: true }),
+    activationStatus: boolean(),
+    isActive: boolean(),
+    mustChangePassword: boolean()
+});
+
+// sendInvitation: email the new user that their account exists (the password is never included)
+const createUserBody = extendSchema(userFields, {
+    sendInvitation: boolean()
+});
+
+const updateUserBody = partialSchema(userFields);
+
+// :id of the user and :sessionId of one of their sessions
+const sessionParams = createSchema({
+    id: uuid({ required: true }),
+    sessionId: uuid({ required: true })
+});
+
+module.exports = {
+    createUserBody,
+    updateUserBody,
+    sessionParams
+};
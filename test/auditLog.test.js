@@ -0,0 +1,35 @@
+// test/auditLog.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState } = require('./helpers');
+const { auditLogs } = require('../repositories');
+const { recordAudit, AUDIT_ACTIONS } = require('../utils/auditLog');
+
+const fakeRequest = { user: { userId: USERS.admin.id }, method: 'PUT', originalUrl: '/api/test', ip: '127.0.0.1' };
+
+describe('recordAudit', () => {
+    beforeEach(resetState);
+
+    it('redacts hashed and encrypted secrets at any depth', async () => {
+        const createdAt = new Date('2026-01-01T00:00:00.000Z');
+        await recordAudit(fakeRequest, {
+            action: AUDIT_ACTIONS.UPDATE,
+            entityType: 'user',
+            entityId: USERS.admin.id,
+            before: { email: 'admin@example.com', password_hash: 'x', otp: '123456', created_at: createdAt },
+            after: {
+                totp: { secret_encrypted: 'x', enabled_at: null },
+                resetTokens: [{ token_hash: 'x' }],
+                recoveryCodes: [{ code_hash: 'x', used_at: null }]
+            }
+        });
+
+        const [entry] = await auditLogs.find({});
+        assert.deepEqual(entry.before_values, { email: 'admin@example.com', password_hash: '[REDACTED]', otp: '[REDACTED]', created_at: createdAt });
+        assert.deepEqual(entry.after_values, {
+            totp: { secret_encrypted: '[REDACTED]', enabled_at: null },
+            resetTokens: [{ token_hash: '[REDACTED]' }],
+            recoveryCodes: [{ code_hash: '[REDACTED]', used_at: null }]
+        });
+    });
+});
@@ -0,0 +1,126 @@
+// test/chatGroups.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+
+const UNKNOWN_ID = '99999999-9999-4999-8999-999999999999';
+
+describe('chat groups and project channels', () => {
+    let api;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(resetState);
+
+    const groupsOf = async (user) => (await api.request('GET', '/api/chat-groups', { as: user })).body;
+
+    describe('ad-hoc groups', () => {
+        let group;
+
+        beforeEach(async () => {
+            const created = await api.request('POST', '/api/chat-groups', { as: USERS.field, body: { name: 'Delta team', memberIds: [USERS.colleague.id] } });
+            assert.equal(created.status, 201);
+            group = created.body.group;
+        });
+
+        it('makes the creator owner and the others members', async () => {
+            const { body } = await api.request('GET', `/api/chat-groups/${group.id}`, { as: USERS.colleague });
+            assert.equal(body.memberRole, 'MEMBER');
+            assert.deepEqual(body.members.map(member => [member.user.id, member.member_role]).sort(), [
+                [USERS.field.id, 'OWNER'],
+                [USERS.colleague.id, 'MEMBER']
+            ].sort());
+        });
+
+        it('refuses members who cannot chat', async () => {
+            const { status, body } = await api.request('POST', '/api/chat-groups', { as: USERS.field, body: { name: 'Ghosts', memberIds: [UNKNOWN_ID] } });
+            assert.equal(status, 400);
+            assert.deepEqual(body.userIds, [UNKNOWN_ID]);
+        });
+
+        it('answers 404 to users outside the group', async () => {
+            assert.equal((await api.request('GET', `/api/chat-groups/${group.id}`, { as: USERS.admin })).status, 404);
+            assert.deepEqual(await groupsOf(USERS.admin), []);
+        });
+
+        it('lets only owners rename the group or manage members', async () => {
+            const renamed = await api.request('PUT', `/api/chat-groups/${group.id}`, { as: USERS.colleague, body: { name: 'Mine now' } });
+            assert.equal(renamed.status, 403);
+
+            const promoted = await api.request('PUT', `/api/chat-groups/${group.id}/members/${USERS.colleague.id}`, { as: USERS.field, body: { memberRole: 'OWNER' } });
+            assert.equal(promoted.status, 200);
+            assert.equal((await api.request('PUT', `/api/chat-groups/${group.id}`, { as: USERS.colleague, body: { name: 'Delta' } })).status, 200);
+        });
+
+        it('keeps at least one owner', async () => {
+            const demoted = await api.request('PUT', `/api/chat-groups/${group.id}/members/${USERS.field.id}`, { as: USERS.field, body: { memberRole: 'MEMBER' } });
+            assert.equal(demoted.status, 409);
+            const left = await api.request('DELETE', `/api/chat-groups/${group.id}/members/${USERS.field.id}`, { as: USERS.field });
+            assert.equal(left.status, 409);
+
+            const memberLeft = await api.request('DELETE', `/api/chat-groups/${group.id}/members/${USERS.colleague.id}`, { as: USERS.colleague });
+            assert.equal(memberLeft.status, 200);
+            assert.deepEqual(await groupsOf(USERS.colleague), []);
+        });
+
+        it('stores messages for members and pushes them to their sockets', async () => {
+            const colleague = await api.connectChat(USERS.colleague);
+            await colleague.next('ready');
+
+            const posted = await api.request('POST', `/api/chat-groups/${group.id}/messages`, { as: USERS.field, body: { message: 'Meeting at 3' } });
+            assert.equal(posted.status, 201);
+            const pushed = await colleague.next('group_message');
+            assert.deepEqual([pushed.groupId, pushed.chat.message], [group.id, 'Meeting at 3']);
+
+            const history = await api.request('GET', `/api/chat-groups/${group.id}/messages`, { as: USERS.colleague });
+            assert.deepEqual(history.body.data.map(chat => chat.message), ['Meeting at 3']);
+            const outsider = await api.request('POST', `/api/chat-groups/${group.id}/messages`, { as: USERS.admin, body: { message: 'Hi' } });
+            assert.equal(outsider.status, 404);
+
+            await colleague.close();
+        });
+    });
+
+    describe('project channels', () => {
+        let project;
+
+        beforeEach(async () => {
+            project = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Rice', description: 'Rice farmers' } })).body.project;
+            await api.request('POST', `/api/projects/${project.id}/members`, { as: USERS.admin, body: { userIds: [USERS.field.id, USERS.colleague.id] } });
+        });
+
+        const channelOf = async (user) => (await groupsOf(user)).find(group => group.kind === 'PROJECT');
+
+        it('gives each project a channel named after it, with the team as members', async () => {
+            const channel = await channelOf(USERS.field);
+            assert.equal(channel.name, 'Rice');
+            assert.equal((await channelOf(USERS.colleague)).id, channel.id);
+
+            const { body } = await api.request('GET', `/api/chat-groups/${channel.id}`, { as: USERS.field });
+            assert.deepEqual(body.members.map(member => member.user.id).sort(), [USERS.field.id, USERS.colleague.id].sort());
+        });
+
+        it('follows the project team rather than group membership routes', async () => {
+            const channel = await channelOf(USERS.field);
+            const added = await api.request('POST', `/api/chat-groups/${channel.id}/members`, { as: USERS.field, body: { userIds: [USERS.admin.id] } });
+            assert.equal(added.status, 409);
+
+            await api.request('DELETE', `/api/projects/${project.id}/members`, { as: USERS.admin, body: { userIds: [USERS.colleague.id] } });
+            assert.equal(await channelOf(USERS.colleague), undefined);
+            assert.equal((await api.request('GET', `/api/chat-groups/${channel.id}/messages`, { as: USERS.colleague })).status, 404);
+        });
+
+        it('closes when the project moves to the trash', async () => {
+            const channel = await channelOf(USERS.field);
+            await api.request('DELETE', `/api/projects/${project.id}`, { as: USERS.admin });
+
+            assert.equal(await channelOf(USERS.field), undefined);
+            const posted = await api.request('POST', `/api/chat-groups/${channel.id}/messages`, { as: USERS.field, body: { message: 'Hello?' } });
+            assert.equal(posted.status, 404);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+// test/chatMessages.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+const { setStorage } = require('../utils/chatAttachments');
+const { createLocalStorage } = require('../utils/storageBackends');
+
+describe('chat messages: editing, deleting, attachments and history', () => {
+    let api;
+    let storageDir;
+
+    before(async () => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fors-chat-'));
+        setStorage(createLocalStorage(storageDir));
+        api = await startServer();
+    });
+
+    after(() => {
+        fs.rmSync(storageDir, { recursive: true, force: true });
+        return api.close();
+    });
+
+    beforeEach(resetState);
+
+    const send = async (message) => (await api.request('POST', '/api/chats', { as: USERS.field, body: { receiverId: USERS.colleague.id, message } })).body.chat;
+    const history = async (query = '') => (await api.request('GET', `/api/chats/${USERS.field.id}${query}`, { as: USERS.colleague })).body;
+
+    const sendFile = (content, type, fileName, message) => {
+        const form = new FormData();
+        form.append('receiverId', USERS.colleague.id);
+        if (message) form.append('message', message);
+        form.append('attachments', new Blob([content], { type }), fileName);
+        return api.request('POST', '/api/chats', { as: USERS.field, body: form });
+    };
+
+    describe('PUT /api/chats/messages/:messageId', () => {
+        it('lets the sender correct a message and tells both users', async () => {
+            const chat = await send('See you at 9');
+            const colleague = await api.connectChat(USERS.colleague);
+            await colleague.next('ready');
+
+            const { status, body } = await api.request('PUT', `/api/chats/messages/${chat.id}`, { as: USERS.field, body: { message: 'See you at 10' } });
+            assert.equal(status, 200);
+            assert.equal(body.chat.message, 'See you at 10');
+            assert.ok(body.chat.edited_at);
+            assert.equal((await colleague.next('message_updated')).chat.message, 'See you at 10');
+
+            await colleague.close();
+        });
+
+        it('answers 404 to anyone but the sender', async () => {
+            const chat = await send('See you at 9');
+            const { status } = await api.request('PUT', `/api/chats/messages/${chat.id}`, { as: USERS.colleague, body: { message: 'Changed' } });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('DELETE /api/chats/messages/:messageId', () => {
+        it('leaves a tombstone without the text that can no longer be edited', async () => {
+            const chat = await send('Wrong chat');
+
+            const { status, body } = await api.request('DELETE', `/api/chats/messages/${chat.id}`, { as: USERS.field });
+            assert.equal(status, 200);
+            assert.equal(body.chat.message, null);
+            assert.ok(body.chat.deleted_at);
+
+            const [stored] = (await history()).data;
+            assert.deepEqual([stored.id, stored.message], [chat.id, null]);
+            assert.equal((await api.request('PUT', `/api/chats/messages/${chat.id}`, { as: USERS.field, body: { message: 'Again' } })).status, 409);
+            assert.equal((await api.request('DELETE', `/api/chats/messages/${chat.id}`, { as: USERS.field })).status, 409);
+        });
+    });
+
+    describe('attachments', () => {
+        it('stores files sent with a message and lets only the two users download them', async () => {
+            const sent = await sendFile('plot,yield\nA,12\n', 'text/csv', 'yields.csv');
+            assert.equal(sent.status, 201);
+            assert.equal(sent.body.chat.message, null);
+            const [attachment] = sent.body.chat.attachments;
+            assert.equal(attachment.file_name, 'yields.csv');
+
+            const download = await api.request('GET', `/api/chats/attachments/${attachment.id}`, { as: USERS.colleague });
+            assert.equal(download.status, 200);
+            assert.equal(download.body, 'plot,yield\nA,12\n');
+            assert.match(download.headers.get('content-disposition'), /yields\.csv/);
+
+            const outsider = await api.request('GET', `/api/chats/attachments/${attachment.id}`, { as: USERS.admin });
+            assert.equal(outsider.status, 404);
+        });
+
+        it('refuses file types that cannot be attached', async () => {
+            const { status, body } = await sendFile('MZ', 'application/x-msdownload', 'setup.exe', 'Install this');
+            assert.equal(status, 400);
+            assert.match(body.message, /cannot be attached/);
+        });
+
+        it('removes the files when the message is deleted', async () => {
+            const sent = await sendFile('photo bytes', 'image/jpeg', 'field.jpg');
+            const [attachment] = sent.body.chat.attachments;
+
+            await api.request('DELETE', `/api/chats/messages/${sent.body.chat.id}`, { as: USERS.field });
+            assert.equal((await api.request('GET', `/api/chats/attachments/${attachment.id}`, { as: USERS.colleague })).status, 404);
+            assert.deepEqual(fs.readdirSync(storageDir, { recursive: true }).filter(name => name.endsWith('.jpg')), []);
+        });
+    });
+
+    describe('GET /api/chats/:receiverId', () => {
+        it('pages back through older messages with before and catches up with after', async () => {
+            const sent = [];
+            for (const text of ['one', 'two', 'three', 'four', 'five']) sent.push(await send(text));
+
+            const newest = await history('?limit=2');
+            assert.deepEqual(newest.data.map(chat => chat.message), ['four', 'five']);
+            assert.deepEqual([newest.pagination.hasMore, newest.pagination.nextCursor], [true, sent[3].id]);
+
+            const older = await history(`?limit=2&before=${newest.pagination.nextCursor}`);
+            assert.deepEqual(older.data.map(chat => chat.message), ['two', 'three']);
+            const oldest = await history(`?limit=2&before=${older.pagination.nextCursor}`);
+            assert.deepEqual(oldest.data.map(chat => chat.message), ['one']);
+            assert.equal(oldest.pagination.nextCursor, null);
+
+            const newer = await history(`?limit=2&after=${sent[1].id}`);
+            assert.deepEqual(newer.data.map(chat => chat.message), ['three', 'four']);
+            assert.equal(newer.pagination.nextCursor, sent[3].id);
+        });
+    });
+});
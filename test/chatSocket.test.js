@@ -0,0 +1,132 @@
+// test/chatSocket.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+const { users, roles, permissions } = require('../repositories');
+const { clearAccessCache } = require('../utils/accessCache');
+
+const UNKNOWN_ID = '99999999-9999-4999-8999-999999999999';
+
+describe('chat socket', () => {
+    let api;
+    let open;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(() => {
+        resetState();
+        open = [];
+    });
+
+    afterEach(() => Promise.all(open.map(chat => chat.close())));
+
+    const connect = async (user, options) => {
+        const chat = await api.connectChat(user, options);
+        open.push(chat);
+        return chat;
+    };
+
+    // Puts the field officer and their colleague on one project team, which makes them contacts
+    const shareProject = async () => {
+        const { project } = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Rice', description: 'Rice farmers' } })).body;
+        await api.request('POST', `/api/projects/${project.id}/members`, { as: USERS.admin, body: { userIds: [USERS.field.id, USERS.colleague.id] } });
+    };
+
+    it('authenticates with an auth frame or the Authorization header', async () => {
+        const byFrame = await connect(USERS.field);
+        assert.equal((await byFrame.next('ready')).userId, USERS.field.id);
+
+        const byHeader = await connect(USERS.colleague, { header: true });
+        assert.equal((await byHeader.next('ready')).userId, USERS.colleague.id);
+    });
+
+    it('closes the socket of users without INTERNAL_CHAT with 4003', async () => {
+        const chatPermission = await permissions.findOne({ permission_code: 'INTERNAL_CHAT' });
+        const kept = (await roles.findPermissionIds(USERS.field.roleId)).filter(id => id !== chatPermission.id);
+        await roles.setPermissions(USERS.field.roleId, kept);
+        clearAccessCache();
+
+        const chat = await connect(USERS.field);
+        const closed = chat.closed();
+        assert.match((await chat.next('error')).message, /INTERNAL_CHAT/);
+        assert.equal(await closed, 4003);
+    });
+
+    it('pushes a message sent over REST to the receiver', async () => {
+        const chat = await connect(USERS.colleague);
+        await chat.next('ready');
+
+        await api.request('POST', '/api/chats', { as: USERS.field, body: { receiverId: USERS.colleague.id, message: 'Hello' } });
+
+        const { chat: pushed } = await chat.next('message');
+        assert.equal(pushed.message, 'Hello');
+        assert.equal(pushed.sender_id, USERS.field.id);
+        assert.ok(pushed.delivered_at);
+    });
+
+    describe('presence', () => {
+        it('is shared with contacts only', async () => {
+            await shareProject();
+            const admin = await connect(USERS.admin);
+            await admin.next('ready');
+            const field = await connect(USERS.field);
+            assert.deepEqual((await field.next('ready')).onlineUserIds, []); // The admin is online but not a contact
+
+            const colleague = await connect(USERS.colleague);
+            assert.deepEqual((await colleague.next('ready')).onlineUserIds, [USERS.field.id]);
+            assert.deepEqual(await field.next('presence'), { type: 'presence', userId: USERS.colleague.id, online: true });
+
+            await colleague.close();
+            assert.deepEqual(await field.next('presence'), { type: 'presence', userId: USERS.colleague.id, online: false });
+            await assert.rejects(admin.next('presence', 200));
+        });
+
+        it('counts users who have a conversation as contacts', async () => {
+            await api.request('POST', '/api/chats', { as: USERS.admin, body: { receiverId: USERS.field.id, message: 'Hello' } });
+            const admin = await connect(USERS.admin);
+            await admin.next('ready');
+
+            await connect(USERS.field);
+            assert.deepEqual(await admin.next('presence'), { type: 'presence', userId: USERS.field.id, online: true });
+        });
+    });
+
+    describe('typing', () => {
+        let field;
+
+        beforeEach(async () => {
+            field = await connect(USERS.field);
+            await field.next('ready');
+        });
+
+        it('is relayed to the receiver', async () => {
+            const colleague = await connect(USERS.colleague);
+            await colleague.next('ready');
+
+            field.send({ type: 'typing', receiverId: USERS.colleague.id });
+            assert.deepEqual(await colleague.next('typing'), { type: 'typing', userId: USERS.field.id, isTyping: true });
+            field.send({ type: 'typing', receiverId: USERS.colleague.id, isTyping: false });
+            assert.equal((await colleague.next('typing')).isTyping, false);
+        });
+
+        it('is refused for receivers that do not exist or cannot chat', async () => {
+            const colleague = await connect(USERS.colleague);
+            await colleague.next('ready');
+            await users.updateById(USERS.colleague.id, { is_active: false });
+            clearAccessCache();
+
+            field.send({ type: 'typing', receiverId: UNKNOWN_ID });
+            assert.equal((await field.next('error')).message, 'Receiver cannot use internal chat.');
+            field.send({ type: 'typing', receiverId: USERS.colleague.id });
+            assert.equal((await field.next('error')).message, 'Receiver cannot use internal chat.');
+            field.send({ type: 'typing', receiverId: 'not-a-user' });
+            assert.match((await field.next('error')).message, /receiverId/);
+
+            await assert.rejects(colleague.next('typing', 200));
+        });
+    });
+});
@@ -0,0 +1,95 @@
+// test/chats.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+
+describe('conversations and receipts', () => {
+    let api;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(resetState);
+
+    const send = async (from, to, message) => (await api.request('POST', '/api/chats', { as: from, body: { receiverId: to.id, message } })).body.chat;
+    const conversations = async (user) => (await api.request('GET', '/api/chats', { as: user })).body;
+
+    describe('GET /api/chats', () => {
+        it('lists conversations newest first with the last message and unread count', async () => {
+            await send(USERS.field, USERS.colleague, 'Morning');
+            await send(USERS.admin, USERS.colleague, 'Report due');
+            await send(USERS.field, USERS.colleague, 'Are you coming?');
+
+            const { data, pagination } = await conversations(USERS.colleague);
+            assert.equal(pagination.total, 2);
+            assert.deepEqual(data.map(row => [row.user.id, row.lastMessage.message, row.unreadCount]), [
+                [USERS.field.id, 'Are you coming?', 2],
+                [USERS.admin.id, 'Report due', 1]
+            ]);
+
+            const [forSender] = (await conversations(USERS.field)).data;
+            assert.equal(forSender.user.id, USERS.colleague.id);
+            assert.equal(forSender.unreadCount, 0); // Their own messages are never unread
+        });
+
+        it('does not count deleted messages as unread', async () => {
+            await send(USERS.field, USERS.colleague, 'Morning');
+            const mistake = await send(USERS.field, USERS.colleague, 'Wrong chat');
+            await api.request('DELETE', `/api/chats/messages/${mistake.id}`, { as: USERS.field });
+
+            const [conversation] = (await conversations(USERS.colleague)).data;
+            assert.equal(conversation.unreadCount, 1);
+        });
+
+        it('marks waiting messages delivered', async () => {
+            const chat = await send(USERS.field, USERS.colleague, 'Morning');
+            assert.equal(chat.delivered_at, null); // The colleague was offline
+
+            await conversations(USERS.colleague);
+            const [stored] = (await api.request('GET', `/api/chats/${USERS.colleague.id}`, { as: USERS.field })).body.data;
+            assert.ok(stored.delivered_at);
+            assert.equal(stored.read_at, null);
+        });
+    });
+
+    describe('POST /api/chats/:receiverId/read', () => {
+        it('marks messages read up to the given one', async () => {
+            const first = await send(USERS.field, USERS.colleague, 'One');
+            await send(USERS.field, USERS.colleague, 'Two');
+
+            const { status, body } = await api.request('POST', `/api/chats/${USERS.field.id}/read`, { as: USERS.colleague, body: { upToMessageId: first.id } });
+            assert.equal(status, 200);
+            assert.equal(body.markedRead, 1);
+            assert.equal(body.unreadCount, 1);
+
+            const rest = await api.request('POST', `/api/chats/${USERS.field.id}/read`, { as: USERS.colleague });
+            assert.deepEqual([rest.body.markedRead, rest.body.unreadCount], [1, 0]);
+        });
+
+        it('refuses a message from another conversation', async () => {
+            const other = await send(USERS.admin, USERS.field, 'Elsewhere');
+
+            const { status } = await api.request('POST', `/api/chats/${USERS.field.id}/read`, { as: USERS.colleague, body: { upToMessageId: other.id } });
+            assert.equal(status, 404);
+        });
+
+        it('sends the sender delivered and read receipts over the chat socket', async () => {
+            const field = await api.connectChat(USERS.field);
+            await field.next('ready');
+            const chat = await send(USERS.field, USERS.colleague, 'Morning');
+
+            const colleague = await api.connectChat(USERS.colleague);
+            const delivered = await field.next('receipt');
+            assert.deepEqual([delivered.status, delivered.userId, delivered.chatIds], ['delivered', USERS.colleague.id, [chat.id]]);
+
+            await api.request('POST', `/api/chats/${USERS.field.id}/read`, { as: USERS.colleague });
+            const read = await field.next('receipt');
+            assert.deepEqual([read.status, read.chatIds], ['read', [chat.id]]);
+
+            await Promise.all([field.close(), colleague.close()]);
+        });
+    });
+});
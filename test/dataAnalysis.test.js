@@ -0,0 +1,90 @@
+// test/dataAnalysis.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+const { farmers, farmerTypes, projects } = require('../repositories');
+
+describe('data analysis', () => {
+    let api;
+    let rice;
+    let maize;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    // Rice has two farmers and the field officer on its team; Maize has one farmer; one farmer has no project
+    beforeEach(async () => {
+        resetState();
+        const createProject = async (name) => (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name, description: `${name} farmers` } })).body.project;
+        rice = await createProject('Rice');
+        maize = await createProject('Maize');
+        await api.request('POST', `/api/projects/${rice.id}/members`, { as: USERS.admin, body: { userIds: [USERS.field.id] } });
+
+        const smallholder = await farmerTypes.create({ name: 'Smallholder' });
+        await farmers.createMany([
+            { full_name: 'Aung Aung', gender: 'Male', farmer_type_id: smallholder.id, project_id: rice.id, state_name: 'Yangon', district_name: 'Thanlyin' },
+            { full_name: 'Hla Hla', gender: 'Female', farmer_type_id: smallholder.id, project_id: rice.id, state_name: 'Yangon', district_name: 'Twante' },
+            { full_name: 'Mya Mya', gender: 'Female', project_id: maize.id, state_name: 'Shan' },
+            { full_name: 'Tun Tun', gender: '', project_id: null }
+        ]);
+    });
+
+    const analyze = async (user, path) => (await api.request('GET', `/api/data-analysis/${path}`, { as: user })).body;
+
+    it('counts every active farmer for admins, with fallback labels for missing values', async () => {
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-gender'), [
+            { gender: 'Female', count: 2 },
+            { gender: 'Male', count: 1 },
+            { gender: 'Unknown', count: 1 }
+        ]);
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-type'), [
+            { farmerType: 'Smallholder', count: 2 },
+            { farmerType: 'Unknown', count: 2 }
+        ]);
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-project'), [
+            { projectName: 'Rice', count: 2 },
+            { projectName: 'Maize', count: 1 },
+            { projectName: 'Unassigned', count: 1 }
+        ]);
+    });
+
+    it('groups by state or district', async () => {
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-region'), [
+            { stateName: 'Yangon', count: 2 },
+            { stateName: 'Shan', count: 1 },
+            { stateName: 'Unknown State', count: 1 }
+        ]);
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-region?groupBy=district'), [
+            { districtName: 'Unknown District', count: 2 },
+            { districtName: 'Thanlyin', count: 1 },
+            { districtName: 'Twante', count: 1 }
+        ]);
+        const { status } = await api.request('GET', '/api/data-analysis/farmers-by-region?groupBy=village', { as: USERS.admin });
+        assert.equal(status, 400);
+    });
+
+    it('counts only the projects a user analyzes', async () => {
+        assert.deepEqual(await analyze(USERS.field, 'farmers-by-project'), [{ projectName: 'Rice', count: 2 }]);
+        assert.deepEqual(await analyze(USERS.colleague, 'farmers-by-gender'), []); // On no project team
+    });
+
+    it('leaves out trashed farmers and the farmers of trashed projects', async () => {
+        const [mya] = await farmers.find({ where: { full_name: 'Mya Mya' } });
+        await farmers.updateById(mya.id, { deleted_at: new Date().toISOString() });
+        assert.deepEqual((await analyze(USERS.admin, 'farmers-by-project')).map(row => row.projectName), ['Rice', 'Unassigned']);
+
+        await projects.updateById(rice.id, { deleted_at: new Date().toISOString() });
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-project'), [{ projectName: 'Unassigned', count: 1 }]);
+        assert.deepEqual(await analyze(USERS.admin, 'farmers-by-gender'), [{ gender: 'Unknown', count: 1 }]);
+    });
+
+    it('exports a result as CSV', async () => {
+        const { status, body, headers } = await api.request('GET', '/api/data-analysis/farmers-by-project?format=csv', { as: USERS.admin });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-disposition'), /farmers-by-project\.csv/);
+        assert.deepEqual(body.trim().split(/\r?\n/), ['Project,Count', 'Rice,2', 'Maize,1', 'Unassigned,1']);
+    });
+});
@@ -0,0 +1,111 @@
+// test/email.test.js
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, USERS, sentEmails, capturingTransport, resetState, startServer } = require('./helpers');
+const { emailDeliveries } = require('../repositories');
+const { sendEmail, setEmailTransport, processEmailRetries } = require('../utils/email');
+
+const INVITATION = { fullName: 'Field', email: USERS.field.email, appUrl: null, invitedBy: 'Admin', mustChangePassword: false };
+
+// A mail server that refuses every message
+const failingTransport = {
+    name: 'failing',
+    send: async () => {
+        throw new Error('Connection refused');
+    }
+};
+
+// Makes every retrying delivery due now
+const makeDue = () => emailDeliveries.updateWhere({ status: 'RETRYING' }, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+
+describe('email delivery', () => {
+    let api;
+
+    before(async () => {
+        process.env.EMAIL_MAX_ATTEMPTS = '3';
+        mock.method(console, 'error', () => {}); // Every failed send is logged
+        api = await startServer();
+    });
+
+    after(() => {
+        delete process.env.EMAIL_MAX_ATTEMPTS;
+        mock.restoreAll();
+        return api.close();
+    });
+
+    beforeEach(() => {
+        resetState();
+        setEmailTransport(failingTransport);
+    });
+
+    it('keeps a failed invitation for retrying and sends it once the mail server is back', async () => {
+        const result = await sendEmail('invitation', USERS.field.email, INVITATION);
+        assert.equal(result.sent, false);
+
+        const delivery = await emailDeliveries.findById(result.deliveryId);
+        assert.equal(delivery.status, 'RETRYING');
+        assert.equal(delivery.attempts, 1);
+        assert.ok(new Date(delivery.next_attempt_at) > new Date());
+        assert.deepEqual(await processEmailRetries(), { sent: 0, failed: 0 }); // Not due yet
+
+        setEmailTransport(capturingTransport);
+        await makeDue();
+        assert.deepEqual(await processEmailRetries(), { sent: 1, failed: 0 });
+        assert.equal(sentEmails[0].subject, 'Your FORS account');
+        const [sent] = await emailDeliveries.find({});
+        assert.equal(sent.status, 'SENT');
+        assert.equal(sent.attempts, 2);
+    });
+
+    it('gives up after EMAIL_MAX_ATTEMPTS attempts', async () => {
+        const { deliveryId } = await sendEmail('invitation', USERS.field.email, INVITATION);
+
+        await makeDue();
+        assert.deepEqual(await processEmailRetries(), { sent: 0, failed: 1 });
+        assert.equal((await emailDeliveries.findById(deliveryId)).status, 'RETRYING');
+        await makeDue();
+        await processEmailRetries();
+
+        const delivery = await emailDeliveries.findById(deliveryId);
+        assert.equal(delivery.status, 'FAILED');
+        assert.equal(delivery.attempts, 3);
+        assert.equal(delivery.last_error, 'Connection refused');
+        assert.equal(delivery.next_attempt_at, null);
+    });
+
+    it('records a failed login code without its data and tells the client to ask again', async () => {
+        const login = await api.request('POST', '/api/auth/login', { body: { email: USERS.field.email, password: PASSWORD } });
+        assert.equal(login.status, 502);
+        assert.ok(login.body.challengeId);
+
+        const [delivery] = await emailDeliveries.find({});
+        assert.equal(delivery.template, 'otp');
+        assert.equal(delivery.status, 'FAILED');
+        assert.equal(delivery.data, null);
+
+        const retry = await api.request('POST', `/api/email-deliveries/${delivery.id}/retry`, { as: USERS.admin });
+        assert.equal(retry.status, 409);
+    });
+
+    describe('/api/email-deliveries', () => {
+        it('lets admins list failed emails without their data and resend them', async () => {
+            const { deliveryId } = await sendEmail('invitation', USERS.field.email, INVITATION);
+
+            const list = await api.request('GET', '/api/email-deliveries?status=RETRYING', { as: USERS.admin });
+            assert.equal(list.status, 200);
+            assert.deepEqual(list.body.data.map(delivery => delivery.id), [deliveryId]);
+            assert.equal('data' in list.body.data[0], false);
+
+            setEmailTransport(capturingTransport);
+            const retry = await api.request('POST', `/api/email-deliveries/${deliveryId}/retry`, { as: USERS.admin });
+            assert.equal(retry.status, 200);
+            assert.equal(retry.body.delivery.status, 'SENT');
+            assert.equal(sentEmails.length, 1);
+        });
+
+        it('is for admins only', async () => {
+            const { status } = await api.request('GET', '/api/email-deliveries', { as: USERS.field });
+            assert.equal(status, 403);
+        });
+    });
+});
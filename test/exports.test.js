@@ -0,0 +1,86 @@
+// test/exports.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { USERS, resetState, startServer } = require('./helpers');
+
+describe('exports', () => {
+    let api;
+    let project;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        const farmerType = (await api.request('POST', '/api/farmer-types', { as: USERS.admin, body: { name: 'Smallholder' } })).body.farmerType;
+        project = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Rice', description: 'Rice farmers' } })).body.project;
+        for (const [fullName, gender] of [['Aung Aung', 'Male'], ['=HYPERLINK("x")', 'Female'], ['Hla, Hla', 'Female']]) {
+            await api.request('POST', '/api/farmers', {
+                as: USERS.admin,
+                body: { fullName, gender, farmerTypeId: farmerType.id, projectId: project.id }
+            });
+        }
+    });
+
+    describe('GET /api/farmers/export', () => {
+        it('sends CSV by default, with quoting and formula cells neutralised', async () => {
+            const { status, body, headers } = await api.request('GET', '/api/farmers/export?sort=fullName:asc', { as: USERS.admin });
+
+            assert.equal(status, 200);
+            assert.match(headers.get('content-type'), /^text\/csv/);
+            assert.match(headers.get('content-disposition'), /attachment; filename="farmers-\d{4}-\d{2}-\d{2}\.csv"/);
+            const lines = body.trim().split('\r\n');
+            assert.equal(lines.length, 4);
+            assert.ok(lines[0].startsWith('ID,Full Name,Mobile Number'));
+            assert.match(lines[1], /,"'=HYPERLINK\(""x""\)",/);
+            assert.match(lines[2], /,Aung Aung,.*,Smallholder,Rice,/);
+            assert.match(lines[3], /,"Hla, Hla",/);
+        });
+
+        it('applies the list filters', async () => {
+            const { body } = await api.request('GET', '/api/farmers/export?format=json&gender=female', { as: USERS.admin });
+
+            assert.deepEqual(body.map(farmer => farmer.full_name).sort(), ['=HYPERLINK("x")', 'Hla, Hla']);
+            assert.equal(body[0].project, 'Rice');
+        });
+
+        it('writes an XLSX workbook', async () => {
+            const { status, body } = await api.request('GET', '/api/farmers/export?format=xlsx', { as: USERS.admin });
+            assert.equal(status, 200);
+
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(body);
+            const sheet = workbook.getWorksheet('Farmers');
+            assert.equal(sheet.getRow(1).getCell(2).value, 'Full Name');
+            assert.equal(sheet.rowCount, 4);
+        });
+
+        it('exports nothing to users without projects', async () => {
+            const { status, body } = await api.request('GET', '/api/farmers/export?format=json', { as: USERS.field });
+            assert.equal(status, 200);
+            assert.deepEqual(body, []);
+        });
+
+        it('rejects an unknown format', async () => {
+            const { status, body } = await api.request('GET', '/api/farmers/export?format=pdf', { as: USERS.admin });
+            assert.equal(status, 400);
+            assert.equal(body.errors[0].field, 'format');
+        });
+    });
+
+    describe('GET /api/data-analysis/*?format=', () => {
+        it('downloads an analysis result as CSV', async () => {
+            const { status, body, headers } = await api.request('GET', '/api/data-analysis/farmers-by-gender?format=csv', { as: USERS.admin });
+
+            assert.equal(status, 200);
+            assert.match(headers.get('content-disposition'), /filename="farmers-by-gender\.csv"/);
+            const [header, ...rows] = body.trim().split('\r\n');
+            assert.equal(header, 'Gender,Count');
+            assert.deepEqual(rows.sort(), ['Female,2', 'Male,1']);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+// test/farmerHistory.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+
+describe('farmer history', () => {
+    let api;
+    let farmer;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        const farmerType = (await api.request('POST', '/api/farmer-types', { as: USERS.admin, body: { name: 'Smallholder' } })).body.farmerType;
+        const project = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Rice', description: 'Rice farmers' } })).body.project;
+        farmer = (await api.request('POST', '/api/farmers', {
+            as: USERS.admin,
+            body: { fullName: 'Aung Aung', villageName: 'Kyauktan', farmerTypeId: farmerType.id, projectId: project.id }
+        })).body.farmer;
+    });
+
+    const history = async () => (await api.request('GET', `/api/farmers/${farmer.id}/history`, { as: USERS.admin })).body;
+
+    it('records only the fields an update changed, newest first', async () => {
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { fullName: 'Aung Aung', villageName: 'Thanlyin' } });
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { mobileNumber: '09123456789' } });
+
+        const revisions = await history();
+        assert.equal(revisions.length, 2);
+        assert.deepEqual(revisions[0].changed_fields, ['mobile_number']);
+        assert.deepEqual(revisions[1].changes, { village_name: { old: 'Kyauktan', new: 'Thanlyin' } });
+        assert.equal(revisions[1].changed_by.id, USERS.admin.id);
+    });
+
+    it('stores no revision for an update that changes nothing', async () => {
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { fullName: 'Aung Aung' } });
+        assert.deepEqual(await history(), []);
+    });
+
+    it('reverts to the state right after a revision and records the revert', async () => {
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { villageName: 'Thanlyin' } });
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { villageName: 'Dala', mobileNumber: '09123456789' } });
+        const [, first] = await history();
+
+        const { status, body } = await api.request('POST', `/api/farmers/${farmer.id}/history/${first.id}/revert`, { as: USERS.admin });
+        assert.equal(status, 200);
+        assert.equal(body.farmer.village_name, 'Thanlyin');
+        assert.equal(body.farmer.mobile_number, null);
+
+        const [revert] = await history();
+        assert.equal(revert.source, 'REVERT');
+        assert.equal(revert.reverted_to_revision_id, first.id);
+    });
+
+    it('refuses to revert to the current state', async () => {
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { villageName: 'Thanlyin' } });
+        const [latest] = await history();
+
+        const { status } = await api.request('POST', `/api/farmers/${farmer.id}/history/${latest.id}/revert`, { as: USERS.admin });
+        assert.equal(status, 400);
+    });
+
+    it('hides the history of farmers outside the user\'s projects', async () => {
+        const { status } = await api.request('GET', `/api/farmers/${farmer.id}/history`, { as: USERS.field });
+        assert.equal(status, 403);
+    });
+});
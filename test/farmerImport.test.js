@@ -0,0 +1,115 @@
+// test/farmerImport.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { USERS, resetState, startServer } = require('./helpers');
+const { farmers } = require('../repositories');
+
+const csvFile = (lines) => {
+    const form = new FormData();
+    form.append('file', new Blob([lines.join('\n')], { type: 'text/csv' }), 'farmers.csv');
+    return form;
+};
+
+describe('POST /api/farmers/import', () => {
+    let api;
+    let project;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        await api.request('POST', '/api/farmer-types', { as: USERS.admin, body: { name: 'Smallholder' } });
+        project = (await api.request('POST', '/api/projects', {
+            as: USERS.admin,
+            body: { name: 'Rice', description: 'Rice farmers', assignedUserIds: [USERS.field.id] }
+        })).body.project;
+    });
+
+    it('reports invalid rows on a dry run and saves nothing', async () => {
+        const { status, body } = await api.request('POST', '/api/farmers/import', {
+            as: USERS.admin,
+            body: csvFile([
+                'Full Name,Farmer Type,projectId,Gender',
+                `Aung Aung,smallholder,${project.id},male`,
+                `,Smallholder,${project.id},Female`,
+                `Hla Hla,Fisher,${project.id},Female`
+            ])
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.mode, 'dry-run');
+        assert.equal(body.validRows, 1);
+        assert.deepEqual(body.errors.map(error => error.row), [3, 4]);
+        assert.match(body.errors[1].errors.join(' '), /Unknown farmer type "Fisher"/);
+        assert.equal(await farmers.count({}), 0);
+    });
+
+    it('inserts the valid rows in commit mode', async () => {
+        const { status, body } = await api.request('POST', '/api/farmers/import?mode=commit', {
+            as: USERS.admin,
+            body: csvFile([
+                'Name,Type,Project,Latitude',
+                `Aung Aung,Smallholder,${project.id},16.8`,
+                `Hla Hla,Smallholder,${project.id},95`
+            ])
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.inserted, 1);
+        assert.equal(body.invalidRows, 1);
+        const [farmer] = await farmers.find({});
+        assert.equal(farmer.full_name, 'Aung Aung');
+        assert.equal(farmer.latitude, 16.8);
+        assert.equal(farmer.added_by_user_id, USERS.admin.id);
+    });
+
+    it('reads the first worksheet of an XLSX file', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Farmers');
+        sheet.addRow(['Full Name', 'Farmer Type', 'projectId', 'Date of Birth']);
+        sheet.addRow(['Aung Aung', 'Smallholder', project.id, new Date('1980-05-01T00:00:00Z')]);
+        const form = new FormData();
+        form.append('file', new Blob([await workbook.xlsx.writeBuffer()]), 'farmers.xlsx');
+
+        const { status, body } = await api.request('POST', '/api/farmers/import?mode=commit', { as: USERS.admin, body: form });
+
+        assert.equal(status, 201);
+        assert.equal(body.inserted, 1);
+        const [farmer] = await farmers.find({});
+        assert.equal(farmer.date_of_birth, '1980-05-01');
+    });
+
+    it('keeps non-admins to the projects they are assigned to', async () => {
+        const other = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Other', description: 'Not assigned' } })).body.project;
+
+        const { body } = await api.request('POST', '/api/farmers/import?mode=commit', {
+            as: USERS.field,
+            body: csvFile([
+                'Full Name,Farmer Type,projectId',
+                `Aung Aung,Smallholder,${project.id}`,
+                `Hla Hla,Smallholder,${other.id}`
+            ])
+        });
+
+        assert.equal(body.inserted, 1);
+        assert.deepEqual(body.errors.map(error => error.row), [3]);
+    });
+
+    it('rejects a request without a file', async () => {
+        const { status } = await api.request('POST', '/api/farmers/import', { as: USERS.admin, body: new FormData() });
+        assert.equal(status, 400);
+    });
+
+    it('rejects an unknown mode', async () => {
+        const { status } = await api.request('POST', '/api/farmers/import?mode=replace', {
+            as: USERS.admin,
+            body: csvFile(['Full Name', 'Aung Aung'])
+        });
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,127 @@
+// test/farmers.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+
+describe('farmer records', () => {
+    let api;
+    let project;
+    let farmerType;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        farmerType = (await api.request('POST', '/api/farmer-types', { as: USERS.admin, body: { name: 'Smallholder' } })).body.farmerType;
+        project = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Rice', description: 'Rice farmers' } })).body.project;
+    });
+
+    const createFarmer = async (fields) => {
+        const { status, body } = await api.request('POST', '/api/farmers', {
+            as: USERS.admin,
+            body: { farmerTypeId: farmerType.id, projectId: project.id, ...fields }
+        });
+        assert.equal(status, 201);
+        return body.farmer;
+    };
+
+    describe('POST /api/farmers', () => {
+        it('stores the validated values', async () => {
+            const farmer = await createFarmer({ fullName: '  Aung Aung  ', gender: 'male', latitude: '12.5', projectId: String(project.id) });
+
+            assert.equal(farmer.full_name, 'Aung Aung');
+            assert.equal(farmer.gender, 'Male');
+            assert.equal(farmer.latitude, 12.5);
+            assert.equal(farmer.project_id, project.id);
+        });
+
+        it('finds farmers whose gender was sent in another casing', async () => {
+            await createFarmer({ fullName: 'Aung Aung', gender: 'MALE' });
+
+            const { body } = await api.request('GET', '/api/farmers?gender=Male', { as: USERS.admin });
+            assert.equal(body.pagination.total, 1);
+        });
+
+        it('reports every invalid field', async () => {
+            const { status, body } = await api.request('POST', '/api/farmers', {
+                as: USERS.admin,
+                body: { farmerTypeId: farmerType.id, projectId: project.id, gender: 'unknown', latitude: 100 }
+            });
+
+            assert.equal(status, 400);
+            assert.deepEqual(body.errors.map(error => error.field).sort(), ['fullName', 'gender', 'latitude']);
+        });
+    });
+
+    describe('PUT /api/farmers/:id', () => {
+        it('treats fields sent empty as not sent', async () => {
+            const farmer = await createFarmer({ fullName: 'Aung Aung', latitude: 12.5 });
+
+            const { status, body } = await api.request('PUT', `/api/farmers/${farmer.id}`, {
+                as: USERS.admin,
+                body: { villageName: 'Kyauktan', latitude: '', longitude: null }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.farmer.village_name, 'Kyauktan');
+            assert.equal(body.farmer.latitude, 12.5);
+            assert.equal(body.farmer.longitude, null);
+        });
+    });
+
+    describe('GET /api/farmers', () => {
+        it('includes farmers added on the day given as dateAddedTo', async () => {
+            await createFarmer({ fullName: 'Aung Aung' });
+            const today = new Date().toISOString().slice(0, 10);
+
+            const { status, body } = await api.request('GET', `/api/farmers?dateAddedFrom=${today}&dateAddedTo=${today}`, { as: USERS.admin });
+            assert.equal(status, 200);
+            assert.equal(body.pagination.total, 1);
+        });
+
+        it('leaves out farmers added after dateAddedTo', async () => {
+            await createFarmer({ fullName: 'Aung Aung' });
+
+            const { body } = await api.request('GET', '/api/farmers?dateAddedTo=2020-01-01', { as: USERS.admin });
+            assert.equal(body.pagination.total, 0);
+        });
+    });
+
+    describe('POST /api/farmers/merge', () => {
+        let survivor;
+        let duplicate;
+
+        beforeEach(async () => {
+            survivor = await createFarmer({ fullName: 'Aung Aung' });
+            duplicate = await createFarmer({ fullName: 'Aung Aung', mobileNumber: '09123456789' });
+        });
+
+        it('fills the survivor and moves the duplicates to the trash', async () => {
+            const { status, body } = await api.request('POST', '/api/farmers/merge', {
+                as: USERS.admin,
+                body: { survivorId: survivor.id, duplicateIds: [duplicate.id] }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.farmer.mobile_number, '09123456789');
+
+            const trash = await api.request('GET', '/api/farmers/trash', { as: USERS.admin });
+            assert.deepEqual(trash.body.map(farmer => farmer.id), [duplicate.id]);
+
+            const merges = await api.request('GET', `/api/farmers/${survivor.id}/merges`, { as: USERS.admin });
+            assert.equal(merges.body.length, 1);
+        });
+
+        it('can be undone by restoring the duplicates', async () => {
+            await api.request('POST', '/api/farmers/merge', { as: USERS.admin, body: { survivorId: survivor.id, duplicateIds: [duplicate.id] } });
+
+            const restored = await api.request('POST', `/api/farmers/${duplicate.id}/restore`, { as: USERS.admin });
+            assert.equal(restored.status, 200);
+
+            const { body } = await api.request('GET', '/api/farmers', { as: USERS.admin });
+            assert.equal(body.pagination.total, 2);
+        });
+    });
+});
@@ -0,0 +1,210 @@
+// test/helpers.js
+// Shared setup of the route tests: the API on the in-memory backend, a seed with an admin and two field
+// officers, a small HTTP client that signs requests as any of them and a client for the chat socket. Every test file runs in its own process
+// (node --test), so setting the environment here, before the app is loaded, is enough.
+process.env.NODE_ENV = 'test';
+process.env.DATA_BACKEND = 'memory';
+process.env.MEMORY_SEED_FILE = ''; // Set, so a local .env cannot point the tests at a seed file
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const app = require('../app');
+const { attachChatSocket, SOCKET_PATH } = require('../utils/chatSocket');
+const { database } = require('../repositories');
+const { clearAccessCache } = require('../utils/accessCache');
+const { setEmailTransport } = require('../utils/email');
+const { MemoryRateLimitStore, setRateLimitStore } = require('../utils/rateLimitStore');
+
+// bcrypt hash of PASSWORD (cost 4, to keep the tests fast)
+const PASSWORD = 'password123';
+const PASSWORD_HASH = '$2b$04$iLQcrFghBYVN/tDijLCKNu.BeF3JYLwVodZkd1tIoOhugr/rJGpBe';
+
+const ADMIN_PERMISSIONS = [
+    'VIEW_PROJECTS', 'CREATE_PROJECTS', 'EDIT_PROJECTS', 'DELETE_PROJECTS', 'VIEW_FARMER_RECORDS', 'ADD_FARMER_RECORDS',
+    'CREATE_FARMER_RECORDS', 'EDIT_FARMER_RECORDS', 'DELETE_FARMER_RECORDS', 'MERGE_FARMER_RECORDS', 'VIEW_FARMER_TYPES',
+    'ADD_FARMER_TYPES', 'VIEW_TRAININGS', 'ADD_TRAININGS', 'EDIT_TRAININGS', 'DELETE_TRAININGS',
+    'RECORD_TRAINING_ATTENDANCE', 'VIEW_AUDIT_LOGS', 'ANALYZE_DATA', 'INTERNAL_CHAT'
+];
+const FIELD_OFFICER_PERMISSIONS = ['VIEW_PROJECTS', 'VIEW_FARMER_RECORDS', 'ADD_FARMER_RECORDS', 'VIEW_TRAININGS', 'ANALYZE_PROJECT_DATA', 'INTERNAL_CHAT'];
+
+const USERS = {
+    admin: {
+        id: '11111111-1111-4111-8111-111111111111',
+        email: 'admin@example.com',
+        fullName: 'Admin',
+        roleId: 1,
+        roleName: 'Admin',
+        sessionId: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa'
+    },
+    field: {
+        id: '22222222-2222-4222-8222-222222222222',
+        email: 'field@example.com',
+        fullName: 'Field',
+        roleId: 2,
+        roleName: 'Field Officer',
+        sessionId: 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb'
+    },
+    colleague: {
+        id: '44444444-4444-4444-8444-444444444444',
+        email: 'colleague@example.com',
+        fullName: 'Colleague',
+        roleId: 2,
+        roleName: 'Field Officer',
+        sessionId: 'cccccccc-cccc-4ccc-8ccc-cccccccccccc'
+    }
+};
+
+const buildSeed = () => {
+    const permissions = ADMIN_PERMISSIONS.concat(FIELD_OFFICER_PERMISSIONS.filter(code => !ADMIN_PERMISSIONS.includes(code)))
+        .map((code, index) => ({ id: index + 1, permission_name: code, permission_code: code }));
+    const idOf = (code) => permissions.find(permission => permission.permission_code === code).id;
+    const users = Object.values(USERS);
+
+    return {
+        roles: [USERS.admin, USERS.field].map(user => ({ id: user.roleId, role_name: user.roleName })),
+        permissions,
+        role_permissions: [
+            ...ADMIN_PERMISSIONS.map(code => ({ role_id: USERS.admin.roleId, permission_id: idOf(code) })),
+            ...FIELD_OFFICER_PERMISSIONS.map(code => ({ role_id: USERS.field.roleId, permission_id: idOf(code) }))
+        ],
+        users: users.map(user => ({
+            id: user.id,
+            full_name: user.fullName,
+            email: user.email,
+            role_id: user.roleId,
+            password_hash: PASSWORD_HASH
+        })),
+        user_sessions: users.map(user => ({
+            id: user.sessionId,
+            user_id: user.id,
+            refresh_token_hash: user.sessionId.replace(/-/g, '').repeat(2),
+            expires_at: '2099-01-01T00:00:00Z'
+        }))
+    };
+};
+
+// Emails "sent" since the last reset
+const sentEmails = [];
+const capturingTransport = {
+    name: 'test',
+    send: async (message) => {
+        sentEmails.push(message);
+        return { messageId: String(sentEmails.length) };
+    }
+};
+
+// Reloads the seed and forgets cached permissions, rate limits and sent emails. Call it before each test.
+const resetState = () => {
+    database.reset(buildSeed());
+    clearAccessCache();
+    setRateLimitStore(new MemoryRateLimitStore());
+    setEmailTransport(capturingTransport);
+    sentEmails.length = 0;
+};
+
+const tokenFor = (user) => jwt.sign(
+    { userId: user.id, email: user.email, roleName: user.roleName, sessionId: user.sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: '1h' }
+);
+
+// Starts the API on a free port. Resolves to { request, close }; request(method, path, { as, token, body })
+// sends body as JSON (or as multipart when it is a FormData), signed as the given user (USERS.admin,
+// USERS.field or none) or with an access token the API issued, and resolves to { status, body, headers }. Spreadsheet responses come back as a Buffer.
+const startServer = () => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const request = async (method, path, { as = null, token = as && tokenFor(as), body } = {}) => {
+            const headers = {};
+            if (token) headers.authorization = `Bearer ${token}`;
+            let payload = body;
+            if (body !== undefined && !(body instanceof FormData)) {
+                headers['content-type'] = 'application/json';
+                payload = JSON.stringify(body);
+            }
+            const response = await fetch(`${baseUrl}${path}`, { method, headers, body: payload });
+            if ((response.headers.get('content-type') || '').includes('spreadsheetml')) {
+                return { status: response.status, body: Buffer.from(await response.arrayBuffer()), headers: response.headers };
+            }
+            const text = await response.text();
+            let parsed = text;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                // Not JSON (e.g. a CSV export); keep the text
+            }
+            return { status: response.status, body: parsed, headers: response.headers };
+        };
+
+        // Opens a chat socket, authenticated with an auth frame unless the header option is set.
+        // next(type) resolves to the next frame of that type; frames of other types that arrive first are skipped.
+        const connectChat = (user, { header = false } = {}) => new Promise((resolveSocket, reject) => {
+            const options = header ? { headers: { authorization: `Bearer ${tokenFor(user)}` } } : {};
+            const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}${SOCKET_PATH}`, options);
+            const frames = [];
+            const waiting = [];
+            const deliver = () => {
+                waiting.slice().forEach((waiter) => {
+                    const index = frames.findIndex(frame => frame.type === waiter.type);
+                    if (index === -1) return;
+                    const [frame] = frames.splice(0, index + 1).slice(-1);
+                    waiting.splice(waiting.indexOf(waiter), 1);
+                    clearTimeout(waiter.timer);
+                    waiter.resolve(frame);
+                });
+            };
+            socket.on('message', (data) => {
+                frames.push(JSON.parse(data.toString()));
+                deliver();
+            });
+            socket.on('error', reject);
+            socket.on('open', () => {
+                if (!header) socket.send(JSON.stringify({ type: 'auth', token: tokenFor(user) }));
+                resolveSocket(chat);
+            });
+
+            const chat = {
+                socket,
+                send: (frame) => socket.send(JSON.stringify(frame)),
+                next: (type, timeoutMs = 1000) => new Promise((resolveFrame, rejectFrame) => {
+                    const waiter = { type, resolve: resolveFrame };
+                    waiter.timer = setTimeout(() => {
+                        waiting.splice(waiting.indexOf(waiter), 1);
+                        rejectFrame(new Error(`No ${type} frame within ${timeoutMs} ms`));
+                    }, timeoutMs);
+                    waiting.push(waiter);
+                    deliver();
+                }),
+                closed: () => new Promise(done => socket.on('close', code => done(code))),
+                close: () => new Promise((done) => {
+                    if (socket.readyState === WebSocket.CLOSED) return done();
+                    socket.on('close', () => done());
+                    socket.close();
+                })
+            };
+        });
+
+        resolve({
+            request,
+            connectChat,
+            close: () => new Promise((done) => {
+                wss.clients.forEach(client => client.terminate());
+                wss.close();
+                server.close(done);
+            })
+        });
+    });
+    const wss = attachChatSocket(server);
+});
+
+module.exports = {
+    PASSWORD,
+    USERS,
+    sentEmails,
+    capturingTransport,
+    resetState,
+    tokenFor,
+    startServer
+};
@@ -0,0 +1,52 @@
+// test/loginProtection.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, USERS, resetState, startServer } = require('./helpers');
+const { checkAccountLock, recordLoginFailure, listLoginFailures } = require('../utils/loginProtection');
+
+describe('login protection', () => {
+    let api;
+
+    before(async () => {
+        process.env.LOGIN_MAX_FAILURES = '3';
+        api = await startServer();
+    });
+
+    after(() => {
+        delete process.env.LOGIN_MAX_FAILURES;
+        delete process.env.AUTH_RATE_LIMIT_MAX;
+        return api.close();
+    });
+
+    beforeEach(resetState);
+
+    it('counts parallel failures without losing any', async () => {
+        await Promise.all(Array.from({ length: 5 }, () => recordLoginFailure(USERS.field.email)));
+
+        const lock = await checkAccountLock(USERS.field.email);
+        assert.equal(lock.locked, true);
+        const [account] = await listLoginFailures();
+        assert.equal(account.email, USERS.field.email);
+        assert.equal(account.locked, true);
+    });
+
+    it('locks the account when wrong passwords arrive in parallel', async () => {
+        await Promise.all(Array.from({ length: 6 }, () => api.request('POST', '/api/auth/login', {
+            body: { email: USERS.field.email, password: 'wrong-password' }
+        })));
+
+        const { status, body } = await api.request('POST', '/api/auth/login', { body: { email: USERS.field.email, password: PASSWORD } });
+        assert.equal(status, 429);
+        assert.match(body.message, /locked/);
+    });
+
+    it('counts token refreshes separately from sign-ins', async () => {
+        process.env.AUTH_RATE_LIMIT_MAX = '3';
+        for (let attempt = 0; attempt < 5; attempt += 1) {
+            await api.request('POST', '/api/auth/refresh', { body: { refreshToken: 'not-a-token' } });
+        }
+
+        const { status } = await api.request('POST', '/api/auth/login', { body: { email: USERS.admin.email, password: PASSWORD } });
+        assert.equal(status, 200);
+    });
+});
@@ -0,0 +1,138 @@
+// test/mfa.test.js
+const crypto = require('crypto');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, USERS, sentEmails, resetState, startServer } = require('./helpers');
+const { auditLogs } = require('../repositories');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Decode = (text) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// An authenticator app for the given secret (RFC 6238). The API accepts each 30-second step once and allows
+// one step of drift either side, so every call returns the code of a later step than the previous call.
+const authenticatorApp = (secret) => {
+    let lastStep = -Infinity;
+    return () => {
+        const step = Math.max(lastStep + 1, Math.floor(Date.now() / 30000) - 1);
+        lastStep = step;
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 15) & 0x7fffffff;
+        return String(binary % 1000000).padStart(6, '0');
+    };
+};
+
+describe('authenticator-app second factor', () => {
+    let api;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(resetState);
+
+    const login = () => api.request('POST', '/api/auth/login', { body: { email: USERS.field.email, password: PASSWORD } });
+
+    // Sets up and enables the app for the field officer. Resolves to { nextCode, recoveryCodes }.
+    const enrol = async () => {
+        const setup = await api.request('POST', '/api/auth/mfa/totp/setup', { as: USERS.field });
+        const nextCode = authenticatorApp(setup.body.secret);
+        const enabled = await api.request('POST', '/api/auth/mfa/totp/enable', { as: USERS.field, body: { code: nextCode() } });
+        assert.equal(enabled.status, 200);
+        return { nextCode, recoveryCodes: enabled.body.recoveryCodes };
+    };
+
+    it('changes nothing at login until the enrolment is confirmed', async () => {
+        const setup = await api.request('POST', '/api/auth/mfa/totp/setup', { as: USERS.field });
+        assert.equal(setup.status, 200);
+        assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/FORS:field%40example\.com\?secret=[A-Z2-7]+/);
+
+        const status = await api.request('GET', '/api/auth/mfa', { as: USERS.field });
+        assert.deepEqual(status.body, { secondFactor: 'EMAIL', totpEnabled: false, totpPending: true, recoveryCodesRemaining: 0 });
+        assert.equal((await login()).body.method, 'EMAIL');
+
+        const wrong = await api.request('POST', '/api/auth/mfa/totp/enable', { as: USERS.field, body: { code: '000000' } });
+        assert.equal(wrong.status, 400);
+    });
+
+    it('asks for the app code at login instead of emailing one, and accepts each code once', async () => {
+        const { nextCode } = await enrol();
+        sentEmails.length = 0;
+
+        const first = await login();
+        assert.equal(first.body.method, 'TOTP');
+        assert.equal(sentEmails.length, 0);
+        const code = nextCode();
+        const verified = await api.request('POST', '/api/auth/verify-otp', { body: { challengeId: first.body.challengeId, otp: code } });
+        assert.equal(verified.status, 200);
+
+        const second = await login();
+        const replayed = await api.request('POST', '/api/auth/verify-otp', { body: { challengeId: second.body.challengeId, otp: code } });
+        assert.equal(replayed.status, 400);
+    });
+
+    it('accepts each recovery code once', async () => {
+        const { recoveryCodes } = await enrol();
+        assert.equal(recoveryCodes.length, 10);
+
+        const first = await login();
+        const used = await api.request('POST', '/api/auth/verify-otp', { body: { challengeId: first.body.challengeId, recoveryCode: recoveryCodes[0].toLowerCase() } });
+        assert.equal(used.status, 200);
+
+        const second = await login();
+        const reused = await api.request('POST', '/api/auth/verify-otp', { body: { challengeId: second.body.challengeId, recoveryCode: recoveryCodes[0] } });
+        assert.equal(reused.status, 400);
+
+        const status = await api.request('GET', '/api/auth/mfa', { as: USERS.field });
+        assert.equal(status.body.recoveryCodesRemaining, 9);
+    });
+
+    describe('PUT /api/auth/mfa/second-factor', () => {
+        it('cannot choose the app before it is enrolled', async () => {
+            const { status } = await api.request('PUT', '/api/auth/mfa/second-factor', { as: USERS.field, body: { method: 'TOTP' } });
+            assert.equal(status, 400);
+        });
+
+        it('needs the password to switch away from the app, and audits the switch', async () => {
+            await enrol();
+
+            const missing = await api.request('PUT', '/api/auth/mfa/second-factor', { as: USERS.field, body: { method: 'EMAIL' } });
+            assert.equal(missing.status, 400);
+            const wrong = await api.request('PUT', '/api/auth/mfa/second-factor', { as: USERS.field, body: { method: 'EMAIL', password: 'wrong-password' } });
+            assert.equal(wrong.status, 400);
+            const switched = await api.request('PUT', '/api/auth/mfa/second-factor', { as: USERS.field, body: { method: 'EMAIL', password: PASSWORD } });
+            assert.equal(switched.status, 200);
+            assert.equal((await login()).body.method, 'EMAIL');
+
+            const entries = await auditLogs.find({ where: { entity_id: USERS.field.id } });
+            assert.deepEqual(entries.map(entry => entry.metadata.source).sort(), ['second-factor', 'totp-enable', 'totp-setup']);
+            const change = entries.find(entry => entry.metadata.source === 'second-factor');
+            assert.deepEqual([change.before_values, change.after_values], [{ second_factor: 'TOTP' }, { second_factor: 'EMAIL' }]);
+        });
+    });
+
+    it('goes back to emailed codes once the app is disabled with the password', async () => {
+        await enrol();
+
+        const { status } = await api.request('POST', '/api/auth/mfa/totp/disable', { as: USERS.field, body: { password: PASSWORD } });
+        assert.equal(status, 200);
+        assert.equal((await login()).body.method, 'EMAIL');
+    });
+});
@@ -0,0 +1,104 @@
+// test/notifications.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, sentEmails, resetState, startServer } = require('./helpers');
+const { auditLogs } = require('../repositories');
+
+// Notification emails are sent in the background; give them a moment to arrive
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('notifications', () => {
+    let api;
+    let project;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        project = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Rice', description: 'Rice farmers' } })).body.project;
+    });
+
+    const addFieldOfficer = () => api.request('POST', `/api/projects/${project.id}/members`, { as: USERS.admin, body: { userIds: [USERS.field.id] } });
+    const inbox = async (user, query = '') => (await api.request('GET', `/api/notifications${query}`, { as: user })).body;
+
+    it('tells users they were added to a project, in the app and by email', async () => {
+        await addFieldOfficer();
+        await settle();
+
+        const { data, unreadCount } = await inbox(USERS.field);
+        assert.equal(unreadCount, 1);
+        assert.equal(data[0].type, 'PROJECT_ASSIGNED');
+        assert.equal(data[0].title, 'You were added to Rice');
+        assert.deepEqual(sentEmails.map(email => email.to), [USERS.field.email]);
+
+        assert.equal((await inbox(USERS.admin)).unreadCount, 0); // Not notified of their own action
+    });
+
+    it('delivers each type as the user\'s preferences say', async () => {
+        const saved = await api.request('PUT', '/api/notifications/preferences/PROJECT_ASSIGNED', { as: USERS.field, body: { email: false } });
+        assert.deepEqual(saved.body.preference, { type: 'PROJECT_ASSIGNED', inApp: true, email: false, isDefault: false });
+
+        await addFieldOfficer();
+        await settle();
+        assert.equal((await inbox(USERS.field)).unreadCount, 1);
+        assert.equal(sentEmails.length, 0);
+
+        await api.request('PUT', '/api/notifications/preferences/PROJECT_ROLE_CHANGED', { as: USERS.field, body: { inApp: 'false' } });
+        await api.request('PUT', `/api/projects/${project.id}/members/${USERS.field.id}`, { as: USERS.admin, body: { projectRole: 'VIEWER' } });
+        assert.equal((await inbox(USERS.field, '?type=PROJECT_ROLE_CHANGED')).pagination.total, 0);
+    });
+
+    it('needs inApp or email to change a preference', async () => {
+        const { status } = await api.request('PUT', '/api/notifications/preferences/PROJECT_ASSIGNED', { as: USERS.field, body: {} });
+        assert.equal(status, 400);
+    });
+
+    it('tells the user who added a farmer record that someone else changed it', async () => {
+        await addFieldOfficer();
+        const farmerType = (await api.request('POST', '/api/farmer-types', { as: USERS.admin, body: { name: 'Smallholder' } })).body.farmerType;
+        const farmer = (await api.request('POST', '/api/farmers', {
+            as: USERS.field,
+            body: { fullName: 'Aung Aung', farmerTypeId: farmerType.id, projectId: project.id }
+        })).body.farmer;
+
+        await api.request('PUT', `/api/farmers/${farmer.id}`, { as: USERS.admin, body: { villageName: 'Kyauktan' } });
+
+        const [notification] = (await inbox(USERS.field, '?type=FARMER_UPDATED')).data;
+        assert.equal(notification.body, 'Changed: village name.');
+        assert.deepEqual(notification.data, { farmerId: farmer.id, changedFields: ['village_name'] });
+    });
+
+    describe('read marks', () => {
+        beforeEach(async () => {
+            await addFieldOfficer();
+            await api.request('PUT', `/api/projects/${project.id}/members/${USERS.field.id}`, { as: USERS.admin, body: { projectRole: 'VIEWER' } });
+        });
+
+        it('marks one notification read, and only the user\'s own', async () => {
+            const [latest] = (await inbox(USERS.field)).data;
+
+            assert.equal((await api.request('POST', `/api/notifications/${latest.id}/read`, { as: USERS.admin })).status, 404);
+            const { status } = await api.request('POST', `/api/notifications/${latest.id}/read`, { as: USERS.field });
+            assert.equal(status, 200);
+
+            const unread = await api.request('GET', '/api/notifications/unread-count', { as: USERS.field });
+            assert.equal(unread.body.unreadCount, 1);
+            assert.equal((await inbox(USERS.field, '?unread=true')).data.length, 1);
+        });
+
+        it('marks everything read and audits it once', async () => {
+            const first = await api.request('POST', '/api/notifications/read-all', { as: USERS.field });
+            assert.equal(first.body.updated, 2);
+            const second = await api.request('POST', '/api/notifications/read-all', { as: USERS.field });
+            assert.equal(second.body.updated, 0);
+
+            assert.equal((await inbox(USERS.field)).unreadCount, 0);
+            const entries = await auditLogs.find({ where: { entity_type: 'notification' } });
+            assert.deepEqual(entries.map(({ metadata }) => [metadata.source, metadata.updated]), [['read-all', 2]]);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+// test/otp.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, USERS, sentEmails, resetState, startServer } = require('./helpers');
+const { otpChallenges } = require('../repositories');
+
+const latestOtp = () => sentEmails[sentEmails.length - 1].text.match(/\d{6}/)[0];
+
+// A six-digit code other than the one that was sent
+const wrongOtp = (otp) => String((Number(otp) + 1) % 1000000).padStart(6, '0');
+
+describe('login OTPs', () => {
+    let api;
+    let challengeId;
+
+    before(async () => {
+        process.env.OTP_MAX_ATTEMPTS = '3';
+        process.env.LOGIN_MAX_FAILURES = '100';
+        api = await startServer();
+    });
+
+    after(() => {
+        delete process.env.OTP_MAX_ATTEMPTS;
+        delete process.env.LOGIN_MAX_FAILURES;
+        return api.close();
+    });
+
+    beforeEach(async () => {
+        resetState();
+        const { body } = await api.request('POST', '/api/auth/login', { body: { email: USERS.field.email, password: PASSWORD } });
+        challengeId = body.challengeId;
+    });
+
+    const verify = (otp) => api.request('POST', '/api/auth/verify-otp', { body: { challengeId, otp } });
+
+    it('stores only a hash of the emailed code', async () => {
+        assert.equal(sentEmails.length, 1);
+        assert.equal(sentEmails[0].to, USERS.field.email);
+
+        const challenge = await otpChallenges.findById(challengeId);
+        assert.equal(challenge.method, 'EMAIL');
+        assert.notEqual(challenge.otp_hash, latestOtp());
+        assert.match(challenge.otp_hash, /^[0-9a-f]{64}$/);
+    });
+
+    it('accepts a code only once', async () => {
+        const otp = latestOtp();
+
+        assert.equal((await verify(otp)).status, 200);
+        assert.equal((await verify(otp)).status, 400);
+    });
+
+    it('counts down the attempts left and closes the challenge after the last one', async () => {
+        const otp = latestOtp();
+
+        const first = await verify(wrongOtp(otp));
+        assert.equal(first.status, 400);
+        assert.equal(first.body.attemptsRemaining, 2);
+        await verify(wrongOtp(otp));
+        const last = await verify(wrongOtp(otp));
+        assert.equal(last.status, 429);
+
+        assert.equal((await verify(otp)).status, 429);
+    });
+
+    it('refuses an expired code', async () => {
+        await otpChallenges.updateById(challengeId, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+        const { status, body } = await verify(latestOtp());
+        assert.equal(status, 400);
+        assert.match(body.message, /expired/);
+    });
+
+    describe('POST /api/auth/resend-otp', () => {
+        it('asks to wait before the resend interval has passed', async () => {
+            const { status, headers } = await api.request('POST', '/api/auth/resend-otp', { body: { challengeId } });
+
+            assert.equal(status, 429);
+            assert.ok(Number(headers.get('retry-after')) > 0);
+            assert.equal(sentEmails.length, 1);
+        });
+
+        it('sends a new code that replaces the old one', async () => {
+            const oldOtp = latestOtp();
+            await otpChallenges.updateById(challengeId, { last_sent_at: new Date(Date.now() - 120 * 1000).toISOString() });
+
+            const { status } = await api.request('POST', '/api/auth/resend-otp', { body: { challengeId } });
+            assert.equal(status, 200);
+            assert.equal(sentEmails.length, 2);
+
+            const newOtp = latestOtp();
+            if (newOtp !== oldOtp) {
+                assert.equal((await verify(oldOtp)).status, 400);
+            }
+            assert.equal((await verify(newOtp)).status, 200);
+        });
+    });
+});
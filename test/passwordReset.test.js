@@ -0,0 +1,74 @@
+// test/passwordReset.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, USERS, sentEmails, resetState, startServer } = require('./helpers');
+const { users } = require('../repositories');
+
+// forgot-password sends its email after answering, so wait for it to arrive
+const waitForEmail = async () => {
+    for (let tries = 0; tries < 50 && sentEmails.length === 0; tries += 1) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return sentEmails[0];
+};
+
+describe('password reset and forced password change', () => {
+    let api;
+
+    before(async () => {
+        process.env.PASSWORD_RESET_URL = ''; // Email the bare token rather than a link
+        api = await startServer();
+    });
+
+    after(() => {
+        delete process.env.PASSWORD_RESET_URL;
+        return api.close();
+    });
+
+    beforeEach(resetState);
+
+    describe('POST /api/auth/forgot-password', () => {
+        it('answers the same for unknown emails and sends nothing', async () => {
+            const known = await api.request('POST', '/api/auth/forgot-password', { body: { email: USERS.field.email } });
+            const unknown = await api.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+            assert.equal(unknown.status, known.status);
+            assert.deepEqual(unknown.body, known.body);
+            await waitForEmail();
+            assert.deepEqual(sentEmails.map(email => email.to), [USERS.field.email]);
+        });
+
+        it('emails a single-use token that sets a new password and signs out every session', async () => {
+            await api.request('POST', '/api/auth/forgot-password', { body: { email: USERS.field.email } });
+            const [, token] = (await waitForEmail()).text.match(/reset code is: (\S+)/);
+
+            const reset = await api.request('POST', '/api/auth/reset-password', { body: { token, password: 'a new password 1' } });
+            assert.equal(reset.status, 200);
+            assert.equal((await api.request('GET', '/api/auth/sessions', { as: USERS.field })).status, 401);
+
+            const login = await api.request('POST', '/api/auth/login', { body: { email: USERS.field.email, password: 'a new password 1' } });
+            assert.equal(login.status, 200);
+
+            const again = await api.request('POST', '/api/auth/reset-password', { body: { token, password: 'another password 2' } });
+            assert.equal(again.status, 400);
+        });
+    });
+
+    describe('must_change_password', () => {
+        beforeEach(() => users.updateById(USERS.field.id, { must_change_password: true }));
+
+        it('refuses other routes until the password is changed', async () => {
+            const refused = await api.request('GET', '/api/projects', { as: USERS.field });
+            assert.equal(refused.status, 403);
+            assert.equal(refused.body.passwordChangeRequired, true);
+
+            const changed = await api.request('POST', '/api/auth/change-password', {
+                as: USERS.field,
+                body: { currentPassword: PASSWORD, newPassword: 'a new password 1' }
+            });
+            assert.equal(changed.status, 200);
+
+            assert.equal((await api.request('GET', '/api/projects', { as: USERS.field })).status, 200);
+        });
+    });
+});
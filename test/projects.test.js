@@ -0,0 +1,58 @@
+// test/projects.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+const { users, projectMembers } = require('../repositories');
+
+const GUEST_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('PUT /api/projects/:id with assignedUserIds', () => {
+    let api;
+    let project;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        await users.create({ id: GUEST_ID, full_name: 'Guest', email: 'guest@example.com', role_id: USERS.field.roleId });
+        project = (await api.request('POST', '/api/projects', {
+            as: USERS.admin,
+            body: { name: 'Rice', description: 'Rice farmers', assignedUserIds: [USERS.field.id] }
+        })).body.project;
+    });
+
+    const listMembers = async () => (await api.request('GET', `/api/projects/${project.id}/members`, { as: USERS.admin })).body;
+
+    it('keeps the join date and project role of members who stay', async () => {
+        const joinedAt = '2020-01-01T00:00:00.000Z';
+        await projectMembers.updateWhere({ project_id: project.id, user_id: USERS.field.id }, { joined_at: joinedAt });
+        await api.request('PUT', `/api/projects/${project.id}/members/${USERS.field.id}`, { as: USERS.admin, body: { projectRole: 'MANAGER' } });
+
+        const { status } = await api.request('PUT', `/api/projects/${project.id}`, {
+            as: USERS.admin,
+            body: { assignedUserIds: [USERS.field.id, GUEST_ID] }
+        });
+        assert.equal(status, 200);
+
+        const members = await listMembers();
+        const field = members.find(member => member.user.id === USERS.field.id);
+        assert.equal(members.length, 2);
+        assert.equal(field.joined_at, joinedAt);
+        assert.equal(field.project_role, 'MANAGER');
+    });
+
+    it('removes members missing from the list and records who left', async () => {
+        await api.request('PUT', `/api/projects/${project.id}`, { as: USERS.admin, body: { assignedUserIds: [GUEST_ID] } });
+
+        const members = await listMembers();
+        assert.deepEqual(members.map(member => member.user.id), [GUEST_ID]);
+
+        const history = await api.request('GET', `/api/projects/${project.id}/members/history`, { as: USERS.admin });
+        const events = history.body.map(event => `${event.event} ${event.user.id}`).sort();
+        assert.deepEqual(events, [`JOINED ${GUEST_ID}`, `JOINED ${USERS.field.id}`, `LEFT ${USERS.field.id}`].sort());
+    });
+});
@@ -0,0 +1,74 @@
+// test/sessions.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, USERS, sentEmails, resetState, startServer } = require('./helpers');
+
+describe('sessions', () => {
+    let api;
+    let signedIn;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        const login = await api.request('POST', '/api/auth/login', { body: { email: USERS.field.email, password: PASSWORD } });
+        const [otp] = sentEmails[0].text.match(/\d{6}/);
+        signedIn = (await api.request('POST', '/api/auth/verify-otp', { body: { challengeId: login.body.challengeId, otp } })).body;
+    });
+
+    it('opens a session with an access token and a refresh token', async () => {
+        assert.ok(signedIn.token);
+        assert.ok(signedIn.refreshToken);
+
+        const { body: sessions } = await api.request('GET', '/api/auth/sessions', { token: signedIn.token });
+        const current = sessions.find(session => session.current);
+        assert.equal(current.id, signedIn.sessionId);
+        assert.equal(sessions.length, 2); // The seeded session and this one
+        assert.equal(JSON.stringify(sessions).includes('refresh_token_hash'), false);
+    });
+
+    it('rotates the refresh token and revokes the session when an old one is reused', async () => {
+        const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: signedIn.refreshToken } });
+        assert.equal(refreshed.status, 200);
+        assert.notEqual(refreshed.body.refreshToken, signedIn.refreshToken);
+
+        const reused = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: signedIn.refreshToken } });
+        assert.equal(reused.status, 401);
+        assert.match(reused.body.message, /already been used/);
+
+        const afterReuse = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+        assert.equal(afterReuse.status, 401);
+        assert.equal((await api.request('GET', '/api/auth/sessions', { token: refreshed.body.token })).status, 401);
+    });
+
+    it('stops accepting the access token of a session after logout', async () => {
+        assert.equal((await api.request('POST', '/api/auth/logout', { token: signedIn.token })).status, 200);
+
+        assert.equal((await api.request('GET', '/api/auth/sessions', { token: signedIn.token })).status, 401);
+        const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: signedIn.refreshToken } });
+        assert.equal(refreshed.status, 401);
+    });
+
+    it('logs out of every device', async () => {
+        const { body } = await api.request('POST', '/api/auth/logout-all', { token: signedIn.token });
+        assert.deepEqual(body, { message: 'Logged out of all devices.', revokedSessions: 2 });
+
+        const seeded = await api.request('GET', '/api/auth/sessions', { as: USERS.field });
+        assert.equal(seeded.status, 401);
+    });
+
+    it('keeps the current session and ends the others when the password changes', async () => {
+        const { status } = await api.request('POST', '/api/auth/change-password', {
+            token: signedIn.token,
+            body: { currentPassword: PASSWORD, newPassword: 'a new password 1' }
+        });
+        assert.equal(status, 200);
+
+        assert.equal((await api.request('GET', '/api/auth/sessions', { token: signedIn.token })).status, 200);
+        assert.equal((await api.request('GET', '/api/auth/sessions', { as: USERS.field })).status, 401);
+    });
+});
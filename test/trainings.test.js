@@ -0,0 +1,62 @@
+// test/trainings.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, resetState, startServer } = require('./helpers');
+
+describe('GET /api/trainings', () => {
+    let api;
+    let ownProject;
+    let otherProject;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetState();
+        const created = await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Own', description: 'Assigned', assignedUserIds: [USERS.field.id] } });
+        ownProject = created.body.project;
+        otherProject = (await api.request('POST', '/api/projects', { as: USERS.admin, body: { name: 'Other', description: 'Not assigned' } })).body.project;
+
+        await api.request('POST', '/api/trainings', { as: USERS.admin, body: { topic: 'Composting', projectId: ownProject.id } });
+        await api.request('POST', '/api/trainings', { as: USERS.admin, body: { topic: 'Irrigation', projectId: otherProject.id } });
+    });
+
+    it('lists only the trainings of the projects a user is assigned to', async () => {
+        const { status, body } = await api.request('GET', '/api/trainings', { as: USERS.field });
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(training => training.topic), ['Composting']);
+    });
+
+    it('refuses a projectId filter outside the user\'s projects', async () => {
+        const { status } = await api.request('GET', `/api/trainings?projectId=${otherProject.id}`, { as: USERS.field });
+        assert.equal(status, 403);
+    });
+
+    it('filters on one of the user\'s projects', async () => {
+        const { body } = await api.request('GET', `/api/trainings?projectId=${ownProject.id}`, { as: USERS.field });
+        assert.deepEqual(body.map(training => training.topic), ['Composting']);
+    });
+
+    it('lets admins filter on any project', async () => {
+        const { body } = await api.request('GET', `/api/trainings?projectId=${otherProject.id}`, { as: USERS.admin });
+        assert.deepEqual(body.map(training => training.topic), ['Irrigation']);
+    });
+
+    it('leaves out the trainings of projects in the trash', async () => {
+        await api.request('DELETE', `/api/projects/${otherProject.id}`, { as: USERS.admin });
+
+        const { body } = await api.request('GET', '/api/trainings', { as: USERS.admin });
+        assert.deepEqual(body.map(training => training.topic), ['Composting']);
+    });
+
+    it('stops scoping a user to their projects once a project is in the trash', async () => {
+        await api.request('DELETE', `/api/projects/${ownProject.id}`, { as: USERS.admin });
+
+        const { status, body } = await api.request('GET', '/api/trainings', { as: USERS.field });
+        assert.equal(status, 200);
+        assert.deepEqual(body, []);
+    });
+});
@@ -0,0 +1,60 @@
+// utils/accessCache.js
+// Short-lived, per-process cache of each user's account status, role and permission codes, so that
+// authenticateToken resolves them with at most one query per user every PERMISSION_CACHE_TTL_SECONDS.
+// Routes that change users, roles or permissions invalidate the affected entries straight away.
+const { users } = require('../repositories');
+
+const DEFAULT_TTL_SECONDS = 60;
+
+const ttlMs = () => {
+    const seconds = Number(process.env.PERMISSION_CACHE_TTL_SECONDS);
+    return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+};
+
+// userId -> { profile: Promise, loaded, roleId, expiresAt }
+const entries = new Map();
+
+// Resolves to the access profile of a user (see UserRepository.findAccessProfile), or null when the user does
+// not exist. Concurrent requests for the same user share one query.
+const getUserAccess = (userId) => {
+    const key = String(userId);
+    const cached = entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+    const entry = { profile: null, loaded: false, roleId: null, expiresAt: Date.now() + ttlMs() };
+    entry.profile = users.findAccessProfile(userId).then(profile => {
+        entry.loaded = true;
+        entry.roleId = profile ? profile.roleId : null;
+        return profile;
+    }).catch(error => {
+        if (entries.get(key) === entry) entries.delete(key);
+        throw error;
+    });
+    entries.set(key, entry);
+    return entry.profile;
+};
+
+// After a user's role, status or account changes
+const invalidateUserAccess = (userId) => {
+    entries.delete(String(userId));
+};
+
+// After a role's permissions change or the role is deleted. Entries still loading are dropped as well,
+// since they may have read the role before the change.
+const invalidateRoleAccess = (roleId) => {
+    entries.forEach((entry, key) => {
+        if (!entry.loaded || String(entry.roleId) === String(roleId)) entries.delete(key);
+    });
+};
+
+// After a change that can affect any role, such as renaming a permission code
+const clearAccessCache = () => {
+    entries.clear();
+};
+
+module.exports = {
+    getUserAccess,
+    invalidateUserAccess,
+    invalidateRoleAccess,
+    clearAccessCache
+};
@@ -0,0 +1,60 @@
+// utils/auditLog.js
+// Records who changed what. Every mutating route calls recordAudit after a successful write;
+// authorizePermission also records denied access attempts.
+const { auditLogs } = require('../repositories');
+
+const AUDIT_ACTIONS = {
+    CREATE: 'CREATE',
+    UPDATE: 'UPDATE',
+    DELETE: 'DELETE',
+    IMPORT: 'IMPORT',
+    MERGE: 'MERGE',
+    RESTORE: 'RESTORE',
+    PURGE: 'PURGE',
+    REVOKE: 'REVOKE',
+    ACCESS_DENIED: 'ACCESS_DENIED'
+};
+
+// Columns that must never be copied into the audit trail: the ones listed here and any hash or encrypted
+// secret (token_hash, code_hash, secret_encrypted, ...), at any depth of the audited values
+const REDACTED_FIELDS = ['password_hash', 'otp'];
+const REDACTED_SUFFIXES = ['_hash', '_encrypted'];
+
+const isRedacted = (key) => REDACTED_FIELDS.includes(key) || REDACTED_SUFFIXES.some(suffix => key.endsWith(suffix));
+
+const redact = (values) => {
+    if (!values || typeof values !== 'object') return values === undefined ? null : values;
+    if (Array.isArray(values)) return values.map(redact);
+    if (![Object.prototype, null].includes(Object.getPrototypeOf(values))) return values; // Dates and the like
+    return Object.keys(values).reduce((acc, key) => {
+        acc[key] = isRedacted(key) ? '[REDACTED]' : redact(values[key]);
+        return acc;
+    }, {});
+};
+
+// Writes an audit entry. Failures are logged but never interrupt the request being audited.
+const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null, metadata = {} }) => {
+    try {
+        await auditLogs.create({
+            actor_user_id: req.user ? req.user.userId : null,
+            action,
+            entity_type: entityType,
+            entity_id: entityId !== null && entityId !== undefined ? String(entityId) : null,
+            before_values: redact(before),
+            after_values: redact(after),
+            metadata: {
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip,
+                ...metadata
+            }
+        });
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    recordAudit
+};
@@ -0,0 +1,99 @@
+// utils/chatAttachments.js
+// Files and photos attached to chat messages. The files are kept in the storage backend chosen with
+// STORAGE_BACKEND (utils/storageBackends.js) and described by chat_attachments rows; clients download them
+// through GET /api/chats/attachments/:attachmentId, which checks that they took part in the conversation.
+const path = require('path');
+const crypto = require('crypto');
+const { createStorage } = require('./storageBackends');
+
+const MAX_ATTACHMENTS = 5;
+
+// Photos (including the HEIC files phone cameras produce), PDFs, office documents and plain text
+const ALLOWED_CONTENT_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/gif',
+    'image/heic',
+    'image/heif',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/csv',
+    'text/plain'
+];
+
+// Largest accepted file, from CHAT_ATTACHMENT_MAX_MB (default 10)
+const maxAttachmentBytes = () => {
+    const megabytes = Number(process.env.CHAT_ATTACHMENT_MAX_MB);
+    return (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : 10) * 1024 * 1024;
+};
+
+const isAllowedAttachment = (file) => ALLOWED_CONTENT_TYPES.includes(file.mimetype);
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) storage = createStorage();
+    return storage;
+};
+
+// Replaces the storage backend, e.g. with a temporary directory in tests
+const setStorage = (nextStorage) => {
+    storage = nextStorage;
+};
+
+const storageKeyFor = (file) => {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+    return `chats/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}${extension}`;
+};
+
+// Stores uploaded files (multer memory-storage files). Resolves to the chat_attachments values of each file,
+// without chat_id. When one file fails the ones already stored are removed again.
+const storeAttachments = async (files) => {
+    const stored = [];
+    try {
+        for (const file of files) {
+            const storageKey = storageKeyFor(file);
+            await getStorage().put(storageKey, file.buffer, { contentType: file.mimetype });
+            stored.push({
+                storage_key: storageKey,
+                file_name: (file.originalname || 'file').slice(0, 255),
+                content_type: file.mimetype,
+                size_bytes: file.size
+            });
+        }
+        return stored;
+    } catch (error) {
+        await removeStoredFiles(stored.map(attachment => attachment.storage_key));
+        throw error;
+    }
+};
+
+// Removes stored files. Failures are logged; a leftover file is harmless once its row is gone.
+const removeStoredFiles = async (keys) => {
+    if (keys.length === 0) return;
+    try {
+        await getStorage().remove(keys);
+    } catch (error) {
+        console.error('Error removing stored chat attachments:', error);
+    }
+};
+
+const readStoredFile = (key) => getStorage().get(key);
+
+module.exports = {
+    MAX_ATTACHMENTS,
+    ALLOWED_CONTENT_TYPES,
+    maxAttachmentBytes,
+    isAllowedAttachment,
+    getStorage,
+    setStorage,
+    storeAttachments,
+    removeStoredFiles,
+    readStoredFile
+};
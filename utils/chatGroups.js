@@ -0,0 +1,103 @@
+// utils/chatGroups.js
+// Who can use the internal chat and who belongs to which chat group. Every chat route needs the
+// INTERNAL_CHAT permission. Members of an ad-hoc group are listed in chat_group_members; the members of a
+// project channel are the project's team (project_users), so joining or leaving a project joins or leaves its
+// channel. Channels of projects in the trash are closed. Admins only see the channels of projects they belong to.
+const { projects, projectMembers, chatGroups, chatGroupMembers, chatConversations } = require('../repositories');
+const { CHAT_GROUP_KINDS } = require('../repositories/chatGroupRepository');
+const { CHAT_GROUP_ROLES } = require('../repositories/chatGroupMemberRepository');
+const { getUserAccess } = require('./accessCache');
+
+const CHAT_PERMISSION = 'INTERNAL_CHAT';
+
+// IDs among userIds of users who cannot chat: unknown, deactivated or without INTERNAL_CHAT
+const findUsersWithoutChat = async (userIds) => {
+    const profiles = await Promise.all(userIds.map(userId => getUserAccess(userId)));
+    return userIds.filter((userId, index) => {
+        const profile = profiles[index];
+        return !profile || !profile.isActive || !profile.permissions.includes(CHAT_PERMISSION);
+    });
+};
+
+// IDs of the users someone can see online: those they have a conversation with or share a live project or an
+// ad-hoc group with
+const findChatContactIds = async (userId) => {
+    const [conversations, projectIds, groupIds] = await Promise.all([
+        chatConversations.find({ select: 'other_user_id', where: { user_id: userId } }),
+        projectMembers.findProjectIds(userId),
+        chatGroupMembers.findGroupIds(userId)
+    ]);
+    const [projectTeams, groupTeams] = await Promise.all([
+        projectIds.length > 0 ? projectMembers.find({ select: 'user_id', where: { project_id: projectIds } }) : [],
+        groupIds.length > 0 ? chatGroupMembers.find({ select: 'user_id', where: { group_id: groupIds } }) : []
+    ]);
+    const contactIds = new Set([
+        ...conversations.map(row => String(row.other_user_id)),
+        ...projectTeams.map(row => String(row.user_id)),
+        ...groupTeams.map(row => String(row.user_id))
+    ]);
+    contactIds.delete(String(userId));
+    return [...contactIds];
+};
+
+// IDs of the ad-hoc groups and project channels a user belongs to. Channels of the user's projects are
+// created on first use.
+const findGroupIdsForUser = async (userId) => {
+    const [groupIds, projectIds] = await Promise.all([
+        chatGroupMembers.findGroupIds(userId),
+        projectMembers.findProjectIds(userId)
+    ]);
+    const liveProjects = projectIds.length > 0
+        ? await projects.find({ select: 'id, name', where: { id: projectIds, deleted_at: null } })
+        : [];
+    return [...groupIds, ...(await chatGroups.ensureProjectChannels(liveProjects))];
+};
+
+// Resolves to { group, memberRole } when the user belongs to the group, or null when the group does not exist,
+// the user is not a member or the group is the channel of a project in the trash
+const findGroupMembership = async (userId, groupId) => {
+    const group = await chatGroups.findWithProject(groupId);
+    if (!group) return null;
+
+    if (group.kind === CHAT_GROUP_KINDS.PROJECT) {
+        if (!group.project || group.project.deleted_at) return null;
+        const isMember = await projectMembers.isMember(group.project_id, userId);
+        return isMember ? { group: describeGroup(group), memberRole: CHAT_GROUP_ROLES.MEMBER } : null;
+    }
+    const membership = await chatGroupMembers.findMembership(groupId, userId);
+    return membership ? { group: describeGroup(group), memberRole: membership.member_role } : null;
+};
+
+// User IDs of everyone in a group
+const findGroupMemberIds = (group) => (group.kind === CHAT_GROUP_KINDS.PROJECT
+    ? projectMembers.findUserIds(group.project_id)
+    : chatGroupMembers.findUserIds(group.id));
+
+// Members with their group role and account details ({ member_role, joined_at, user }), earliest first.
+// Everyone in a project channel is a MEMBER.
+const listGroupMembers = async (group) => {
+    if (group.kind !== CHAT_GROUP_KINDS.PROJECT) return chatGroupMembers.listForGroup(group.id);
+    const team = await projectMembers.listForProject(group.project_id);
+    return team
+        .filter(member => member.user && !member.user.deleted_at)
+        .map(({ joined_at, user: { deleted_at, ...user } }) => ({ member_role: CHAT_GROUP_ROLES.MEMBER, joined_at, user }));
+};
+
+// A group row for responses; project channels carry the current project name
+const describeGroup = (group) => {
+    const { project, ...rest } = group;
+    return project ? { ...rest, name: project.name } : rest;
+};
+
+module.exports = {
+    CHAT_PERMISSION,
+    CHAT_GROUP_KINDS,
+    CHAT_GROUP_ROLES,
+    findUsersWithoutChat,
+    findChatContactIds,
+    findGroupIdsForUser,
+    findGroupMembership,
+    findGroupMemberIds,
+    listGroupMembers,
+    describeGroup
+};
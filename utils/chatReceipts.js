@@ -0,0 +1,34 @@
+// utils/chatReceipts.js
+// Delivered and read timestamps of chat messages. A message is delivered once the receiver's app has it
+// (pushed to an open chat socket, or fetched through the REST API) and read when the receiver marks the
+// conversation read. Each change is pushed to the senders as a receipt event (see utils/chatSocket.js).
+// Like notifications, a failure is logged but does not fail the request that triggered it.
+const { chats } = require('../repositories');
+const { publishReceipts } = require('./realtime');
+
+// Marks the messages waiting for a user (optionally only those from one sender) as delivered
+const markDelivered = async (userId, { senderId } = {}) => {
+    try {
+        const updated = await chats.markDelivered(userId, { senderId });
+        if (updated.length > 0) publishReceipts(userId, 'delivered', updated);
+        return updated;
+    } catch (error) {
+        console.error('Error marking chat messages delivered:', error);
+        return [];
+    }
+};
+
+// Marks the messages from otherUserId to userId up to upToId as read (and delivered, if they were not yet).
+// Resolves to the rows marked read.
+const markRead = async (userId, otherUserId, upToId) => {
+    const delivered = await chats.markDelivered(userId, { senderId: otherUserId, upToId });
+    const read = await chats.markRead(userId, otherUserId, upToId);
+    if (delivered.length > 0) publishReceipts(userId, 'delivered', delivered);
+    if (read.length > 0) publishReceipts(userId, 'read', read.map(row => ({ ...row, sender_id: otherUserId })));
+    return read;
+};
+
+module.exports = {
+    markDelivered,
+    markRead
+};
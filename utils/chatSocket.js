@@ -0,0 +1,200 @@
+// utils/chatSocket.js
+// WebSocket endpoint for live chat at ws(s)://<host>/api/chats/socket, served by the API process itself
+// (no Supabase Realtime needed). Frames are JSON objects with a type:
+//
+//   client -> server
+//     { type: 'auth', token }                    first frame: the access token used for the REST API. Clients that
+//                                                can set headers may send Authorization: Bearer <token> on the
+//                                                upgrade request instead.
+//     { type: 'typing', receiverId, isTyping }   tells the receiver that the user is (or stopped) typing; the
+//                                                receiver has to be an active user with INTERNAL_CHAT, as for
+//                                                POST /api/chats
+//
+//   server -> client
+//     { type: 'ready', userId, onlineUserIds }   authentication succeeded; onlineUserIds are the user's contacts
+//                                                that are online
+//     { type: 'message', chat }                  a message sent with POST /api/chats, to its receiver and to the
+//                                                sender's other connections
+//     { type: 'message_updated', chat }          a message was edited (edited_at) or deleted (deleted_at), to both users
+//     { type: 'group_message', groupId, chat }   a message posted to a chat group or project channel, to its members
+//     { type: 'typing', userId, isTyping }
+//     { type: 'receipt', status, userId, chatIds, at }
+//                                                to the sender: user userId received ('delivered') or read ('read')
+//                                                the messages chatIds at the time at
+//     { type: 'presence', userId, online }       a contact connected for the first time or closed their last
+//                                                connection. Contacts are the users someone has a conversation
+//                                                with or shares a project or chat group with, as of when the
+//                                                socket authenticated.
+//     { type: 'error', message }
+//
+// Messages that arrive while a user has a socket open are stored as delivered; messages that were waiting
+// are marked delivered when the socket authenticates.
+//
+// Users need the INTERNAL_CHAT permission. Sockets that have not authenticated after AUTH_TIMEOUT_MS are
+// closed. Every HEARTBEAT_MS each socket is pinged and its session re-checked, so dead connections, revoked
+// sessions, deactivated users and users who lost INTERNAL_CHAT are dropped.
+const { WebSocketServer } = require('ws');
+const { userSessions } = require('../repositories');
+const { verifyAccessToken } = require('../middleware/authMiddleware');
+const { getUserAccess } = require('./accessCache');
+const { uuid } = require('./validation');
+const realtime = require('./realtime');
+const { markDelivered } = require('./chatReceipts');
+const { CHAT_PERMISSION, findUsersWithoutChat, findChatContactIds } = require('./chatGroups');
+
+const SOCKET_PATH = '/api/chats/socket';
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Application close codes (4000-4999), plus the standard 1011 for unexpected server errors
+const CLOSE_CODES = {
+    UNAUTHORIZED: 4001,
+    FORBIDDEN: 4003,
+    AUTH_TIMEOUT: 4008,
+    SERVER_ERROR: 1011
+};
+
+const receiverIdRule = uuid({ required: true });
+
+// Whether the session a socket authenticated with is still open and its user still active and allowed to chat
+const sessionIsActive = async (user) => {
+    try {
+        const [access, session] = await Promise.all([
+            getUserAccess(user.userId),
+            userSessions.findActive(user.sessionId, { select: 'id' })
+        ]);
+        return Boolean(access && access.isActive && access.permissions.includes(CHAT_PERMISSION) && session);
+    } catch (error) {
+        // Keep the socket on a database hiccup; the next heartbeat checks again
+        console.error('Error checking chat socket session:', error);
+        return true;
+    }
+};
+
+const handleConnection = (socket, request) => {
+    const state = { user: null, authenticating: false, alive: true };
+    socket.chatState = state;
+
+    const send = (event) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(event));
+    };
+    const connection = { send };
+    const refuse = (code, message) => {
+        send({ type: 'error', message });
+        socket.close(code, message.slice(0, 120));
+    };
+
+    const authTimer = setTimeout(() => {
+        if (!state.user) refuse(CLOSE_CODES.AUTH_TIMEOUT, 'Authentication timed out.');
+    }, AUTH_TIMEOUT_MS);
+
+    const authenticate = async (token) => {
+        if (state.user || state.authenticating) return;
+        if (typeof token !== 'string' || !token) {
+            return refuse(CLOSE_CODES.UNAUTHORIZED, 'Authentication token required.');
+        }
+
+        state.authenticating = true;
+        const result = await verifyAccessToken(token);
+        state.authenticating = false;
+        if (!result.user) return refuse(CLOSE_CODES.UNAUTHORIZED, result.body.message);
+        if (!result.user.permissions.includes(CHAT_PERMISSION)) {
+            return refuse(CLOSE_CODES.FORBIDDEN, `Access denied. Requires permission: ${CHAT_PERMISSION}`);
+        }
+        const contactIds = await findChatContactIds(result.user.userId);
+        if (socket.readyState !== socket.OPEN) return;
+
+        clearTimeout(authTimer);
+        state.user = result.user;
+        realtime.addConnection(state.user.userId, connection, { contactIds });
+        send({ type: 'ready', userId: state.user.userId, onlineUserIds: realtime.onlineUserIds(contactIds) });
+        await markDelivered(state.user.userId);
+    };
+
+    // A failed session lookup closes the socket with an error frame; the client may reconnect and try again
+    const startAuthentication = (token) => authenticate(token).catch((error) => {
+        state.authenticating = false;
+        console.error('Error authenticating chat socket:', error);
+        refuse(CLOSE_CODES.SERVER_ERROR, 'Authentication failed because of a server error. Please reconnect.');
+    });
+
+    // Relayed only to receivers the user could send a message to
+    const handleTyping = async (frame) => {
+        const receiver = receiverIdRule.check(frame.receiverId);
+        if (receiver.error || receiver.value === state.user.userId) {
+            return send({ type: 'error', message: 'typing needs the receiverId of another user.' });
+        }
+        if ((await findUsersWithoutChat([receiver.value])).length > 0) {
+            return send({ type: 'error', message: 'Receiver cannot use internal chat.' });
+        }
+        realtime.sendToUsers([receiver.value], { type: 'typing', userId: state.user.userId, isTyping: frame.isTyping !== false });
+    };
+
+    socket.on('message', (data) => {
+        let frame;
+        try {
+            frame = JSON.parse(data.toString());
+        } catch (error) {
+            return send({ type: 'error', message: 'Frames must be JSON.' });
+        }
+        if (!frame || typeof frame !== 'object') return send({ type: 'error', message: 'Frames must be JSON objects.' });
+
+        if (frame.type === 'auth') return startAuthentication(frame.token);
+        if (!state.user) return send({ type: 'error', message: 'Authenticate first.' });
+        if (frame.type === 'typing') {
+            return handleTyping(frame).catch((error) => {
+                console.error('Error relaying typing indicator:', error);
+                send({ type: 'error', message: 'The typing indicator could not be sent.' });
+            });
+        }
+        send({ type: 'error', message: `Unknown frame type "${frame.type}".` });
+    });
+
+    socket.on('pong', () => {
+        state.alive = true;
+    });
+
+    socket.on('close', () => {
+        clearTimeout(authTimer);
+        if (state.user) realtime.removeConnection(state.user.userId, connection);
+    });
+
+    socket.on('error', (error) => {
+        console.error('Chat socket error:', error);
+    });
+
+    const authHeader = request.headers['authorization'];
+    if (authHeader) startAuthentication(authHeader.split(' ')[1]);
+};
+
+// Pings every socket, dropping those that did not answer the previous ping or whose session ended
+const heartbeat = (wss) => {
+    wss.clients.forEach(async (socket) => {
+        const state = socket.chatState;
+        if (!state.alive) return socket.terminate();
+        state.alive = false;
+        socket.ping();
+
+        if (state.user && !(await sessionIsActive(state.user))) {
+            socket.close(CLOSE_CODES.UNAUTHORIZED, 'Session has expired or was revoked.');
+        }
+    });
+};
+
+// Serves the chat socket on an HTTP server (the one returned by app.listen). Returns the WebSocketServer.
+const attachChatSocket = (server) => {
+    const wss = new WebSocketServer({ server, path: SOCKET_PATH, maxPayload: MAX_PAYLOAD_BYTES });
+    wss.on('connection', handleConnection);
+
+    const timer = setInterval(() => heartbeat(wss), HEARTBEAT_MS);
+    timer.unref();
+    wss.on('close', () => clearInterval(timer));
+    return wss;
+};
+
+module.exports = {
+    SOCKET_PATH,
+    CLOSE_CODES,
+    attachChatSocket
+};
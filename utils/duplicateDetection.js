@@ -0,0 +1,185 @@
+// utils/duplicateDetection.js
+// Fuzzy matching used to flag farmers that were probably registered more than once.
+// Farmers are compared on full name (Jaro-Winkler), mobile number, date of birth and village.
+
+// Weights of each signal in the overall score (they sum to 1)
+const WEIGHTS = {
+    name: 0.6,
+    mobile: 0.2,
+    dateOfBirth: 0.1,
+    village: 0.1
+};
+
+// Names must be at least this similar before other signals are considered
+const MIN_NAME_SIMILARITY = 0.85;
+
+// Overall score from which two farmers are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.65;
+
+// Blocks larger than this are skipped when clustering, to keep pairwise comparison bounded
+const MAX_BLOCK_SIZE = 2000;
+
+const normalizeText = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Compares the trailing digits so "+95 9 123 456 789" and "09123456789" match
+const normalizeMobile = (value) => {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-9) : '';
+};
+
+const jaroWinkler = (a, b) => {
+    if (a === b) return a.length > 0 ? 1 : 0;
+    if (!a.length || !b.length) return 0;
+
+    const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - matchWindow);
+        const end = Math.min(i + matchWindow + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (bMatches[j] || a[i] !== b[j]) continue;
+            aMatches[i] = true;
+            bMatches[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, k = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Similarity between two names in [0, 1]; word order is ignored ("Aung Kyaw" vs "Kyaw Aung")
+const nameSimilarity = (nameA, nameB) => {
+    const a = normalizeText(nameA);
+    const b = normalizeText(nameB);
+    const sortedA = a.split(' ').sort().join(' ');
+    const sortedB = b.split(' ').sort().join(' ');
+    return Math.max(jaroWinkler(a, b), jaroWinkler(sortedA, sortedB));
+};
+
+const sameDate = (a, b) => !!a && !!b && String(a).slice(0, 10) === String(b).slice(0, 10);
+
+// Compares two farmer rows (snake_case columns).
+// Returns { score, nameSimilarity, matchedFields, isLikelyDuplicate }.
+const compareFarmers = (a, b) => {
+    const similarity = nameSimilarity(a.full_name, b.full_name);
+    const matchedFields = [];
+
+    const mobileA = normalizeMobile(a.mobile_number);
+    if (mobileA && mobileA === normalizeMobile(b.mobile_number)) matchedFields.push('mobile_number');
+    if (sameDate(a.date_of_birth, b.date_of_birth)) matchedFields.push('date_of_birth');
+    const villageA = normalizeText(a.village_name);
+    if (villageA && villageA === normalizeText(b.village_name)) matchedFields.push('village_name');
+
+    const score = similarity * WEIGHTS.name
+        + (matchedFields.includes('mobile_number') ? WEIGHTS.mobile : 0)
+        + (matchedFields.includes('date_of_birth') ? WEIGHTS.dateOfBirth : 0)
+        + (matchedFields.includes('village_name') ? WEIGHTS.village : 0);
+
+    return {
+        score: Math.round(score * 100) / 100,
+        nameSimilarity: Math.round(similarity * 100) / 100,
+        matchedFields,
+        isLikelyDuplicate: similarity >= MIN_NAME_SIMILARITY && score >= DUPLICATE_THRESHOLD
+    };
+};
+
+// Returns the likely duplicates of `farmer` among `candidates`, best match first
+const findLikelyDuplicates = (farmer, candidates) => candidates
+    .filter(candidate => candidate.id !== farmer.id)
+    .map(candidate => ({ farmer: candidate, ...compareFarmers(farmer, candidate) }))
+    .filter(match => match.isLikelyDuplicate)
+    .sort((x, y) => y.score - x.score)
+    .map(({ isLikelyDuplicate, ...match }) => match);
+
+// Groups farmers into clusters of suspected duplicates.
+// Only farmers sharing a blocking key (mobile number, village or date of birth) are compared.
+// Returns [{ farmers: [...], pairs: [{ ids: [a, b], score, nameSimilarity, matchedFields }] }].
+const findDuplicateClusters = (farmers) => {
+    const blocks = new Map();
+    const addToBlock = (key, farmer) => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(farmer);
+    };
+
+    farmers.forEach(farmer => {
+        const mobile = normalizeMobile(farmer.mobile_number);
+        const village = normalizeText(farmer.village_name);
+        if (mobile) addToBlock(`mobile:${mobile}`, farmer);
+        if (village) addToBlock(`village:${village}`, farmer);
+        if (farmer.date_of_birth) addToBlock(`dob:${String(farmer.date_of_birth).slice(0, 10)}`, farmer);
+    });
+
+    // Union-find over farmer IDs
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    const pairs = new Map();
+    const compared = new Set(); // Farmers sharing several keys are only compared once
+    blocks.forEach(block => {
+        if (block.length < 2 || block.length > MAX_BLOCK_SIZE) return;
+        for (let i = 0; i < block.length; i++) {
+            for (let j = i + 1; j < block.length; j++) {
+                const [a, b] = [block[i], block[j]];
+                const pairKey = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+                if (compared.has(pairKey)) continue;
+                compared.add(pairKey);
+                const result = compareFarmers(a, b);
+                if (!result.isLikelyDuplicate) continue;
+                [a.id, b.id].forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+                union(a.id, b.id);
+                pairs.set(pairKey, { ids: [a.id, b.id], score: result.score, nameSimilarity: result.nameSimilarity, matchedFields: result.matchedFields });
+            }
+        }
+    });
+
+    const farmersById = new Map(farmers.map(farmer => [farmer.id, farmer]));
+    const clusters = new Map();
+    parent.forEach((_, id) => {
+        const root = find(id);
+        if (!clusters.has(root)) clusters.set(root, { farmers: [], pairs: [] });
+        clusters.get(root).farmers.push(farmersById.get(id));
+    });
+    pairs.forEach(pair => clusters.get(find(pair.ids[0])).pairs.push(pair));
+
+    return [...clusters.values()].sort((x, y) => y.farmers.length - x.farmers.length);
+};
+
+module.exports = {
+    DUPLICATE_THRESHOLD,
+    normalizeMobile,
+    nameSimilarity,
+    compareFarmers,
+    findLikelyDuplicates,
+    findDuplicateClusters
+};
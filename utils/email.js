@@ -0,0 +1,186 @@
+// utils/email.js
+// Outgoing email. Messages are rendered from the named templates in utils/emailTemplates.js and handed to
+// the transport chosen with EMAIL_TRANSPORT (utils/emailTransports.js).
+//
+// A failed send is recorded in email_deliveries. Templates that allow it (invitations, notifications, digests)
+// are retried by the retry worker with exponential backoff until EMAIL_MAX_ATTEMPTS attempts have failed; login
+// codes and reset links are recorded as FAILED straight away, without their data. Admins review and resend failed
+// deliveries through /api/email-deliveries.
+const { emailDeliveries } = require('../repositories');
+const { EMAIL_DELIVERY_STATUSES } = require('../repositories/emailDeliveryRepository');
+const { createTransport } = require('./emailTransports');
+const { DEFAULT_LOCALE, availableLocales, renderTemplate, isRetryable } = require('./emailTemplates');
+
+// A claimed retry is left alone by other workers for this long
+const RETRY_LEASE_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const emailSettings = () => ({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || DEFAULT_LOCALE,
+    maxAttempts: positiveNumber(process.env.EMAIL_MAX_ATTEMPTS, 5),
+    retryIntervalSeconds: positiveNumber(process.env.EMAIL_RETRY_INTERVAL_SECONDS, 60)
+});
+
+let transport = null;
+
+const getEmailTransport = () => {
+    if (!transport) transport = createTransport();
+    return transport;
+};
+
+// Replaces the transport, e.g. with an outbox or a capturing transport in tests
+const setEmailTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+// Locale for emails sent in answer to a request: the best match of Accept-Language among the translated
+// locales, otherwise EMAIL_DEFAULT_LOCALE
+const localeFor = (req) => {
+    const { defaultLocale } = emailSettings();
+    if (!req || typeof req.acceptsLanguages !== 'function' || !req.get('Accept-Language')) return defaultLocale;
+    return req.acceptsLanguages(availableLocales()) || defaultLocale;
+};
+
+// 1, 2, 4 ... minutes after the given attempt, capped at an hour
+const retryDelayMs = (attempts) => Math.min(60 * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const errorText = (error) => String((error && error.message) || error).slice(0, MAX_ERROR_LENGTH);
+
+const deliver = (template, locale, to, data) => getEmailTransport().send({
+    from: emailSettings().from,
+    to,
+    ...renderTemplate(template, locale, data)
+});
+
+// Keeps a failed first attempt for the retry worker, or as FAILED when the template is not retried
+const recordFailure = async (template, locale, to, data, error) => {
+    const { maxAttempts } = emailSettings();
+    const retry = isRetryable(template) && maxAttempts > 1;
+    try {
+        const now = new Date();
+        return await emailDeliveries.create({
+            template,
+            locale,
+            recipient: to,
+            data: retry ? data : null,
+            status: retry ? EMAIL_DELIVERY_STATUSES.RETRYING : EMAIL_DELIVERY_STATUSES.FAILED,
+            attempts: 1,
+            last_error: errorText(error),
+            last_attempt_at: now.toISOString(),
+            next_attempt_at: retry ? new Date(now.getTime() + retryDelayMs(1)).toISOString() : null
+        });
+    } catch (recordError) {
+        console.error('Error recording failed email:', recordError);
+        return null;
+    }
+};
+
+// Sends a template to one recipient. Never rejects: resolves to { sent: true, messageId }, or to
+// { sent: false, error, deliveryId } after recording the failure.
+const sendEmail = async (template, to, data, { locale = emailSettings().defaultLocale } = {}) => {
+    try {
+        const { messageId } = await deliver(template, locale, to, data);
+        return { sent: true, messageId };
+    } catch (error) {
+        console.error(`Error sending ${template} email:`, error);
+        const delivery = await recordFailure(template, locale, to, data, error);
+        return { sent: false, error: errorText(error), deliveryId: delivery ? delivery.id : null };
+    }
+};
+
+// Sends a claimed delivery and stores the outcome. Resolves to the updated delivery.
+const attemptDelivery = async (delivery) => {
+    try {
+        await deliver(delivery.template, delivery.locale, delivery.recipient, delivery.data);
+        return await emailDeliveries.updateById(delivery.id, {
+            status: EMAIL_DELIVERY_STATUSES.SENT,
+            sent_at: new Date().toISOString(),
+            next_attempt_at: null,
+            last_error: null
+        });
+    } catch (error) {
+        console.error(`Error resending ${delivery.template} email ${delivery.id}:`, error);
+        const givingUp = delivery.attempts >= emailSettings().maxAttempts;
+        return emailDeliveries.updateById(delivery.id, {
+            status: givingUp ? EMAIL_DELIVERY_STATUSES.FAILED : EMAIL_DELIVERY_STATUSES.RETRYING,
+            last_error: errorText(error),
+            next_attempt_at: givingUp ? null : new Date(Date.now() + retryDelayMs(delivery.attempts)).toISOString()
+        });
+    }
+};
+
+// One pass of the retry worker over the deliveries that are due. Resolves to { sent, failed }.
+const processEmailRetries = async ({ limit = 20 } = {}) => {
+    const due = await emailDeliveries.findDue(limit);
+    const outcome = { sent: 0, failed: 0 };
+    for (const delivery of due) {
+        const claimed = await emailDeliveries.claim(delivery, RETRY_LEASE_MS);
+        if (!claimed) continue;
+        const result = await attemptDelivery(claimed);
+        if (result && result.status === EMAIL_DELIVERY_STATUSES.SENT) outcome.sent += 1;
+        else outcome.failed += 1;
+    }
+    return outcome;
+};
+
+// Resends a recorded delivery now, on an admin's request. Resolves to { delivery } with the updated row,
+// or to { error, status } when it cannot be resent.
+const retryDelivery = async (id) => {
+    const delivery = await emailDeliveries.findById(id);
+    if (!delivery) return { error: 'Email delivery not found.', status: 404 };
+    if (delivery.status === EMAIL_DELIVERY_STATUSES.SENT) {
+        return { error: 'This email has already been sent.', status: 409 };
+    }
+    if (!delivery.data) {
+        return { error: 'This email contained a login code or reset link and cannot be resent; the user has to request a new one.', status: 409 };
+    }
+
+    const claimed = await emailDeliveries.claim(delivery, RETRY_LEASE_MS);
+    if (!claimed) return { error: 'This email is being resent already.', status: 409 };
+    return { delivery: await attemptDelivery(claimed) };
+};
+
+let retryTimer = null;
+
+// Runs processEmailRetries every EMAIL_RETRY_INTERVAL_SECONDS. The timer does not keep the process alive,
+// and a pass is skipped while the previous one is still running.
+const startEmailRetryWorker = () => {
+    if (retryTimer) return;
+    let running = false;
+    retryTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processEmailRetries();
+        } catch (error) {
+            console.error('Error processing email retries:', error);
+        } finally {
+            running = false;
+        }
+    }, emailSettings().retryIntervalSeconds * 1000);
+    retryTimer.unref();
+};
+
+const stopEmailRetryWorker = () => {
+    clearInterval(retryTimer);
+    retryTimer = null;
+};
+
+module.exports = {
+    EMAIL_DELIVERY_STATUSES,
+    getEmailTransport,
+    setEmailTransport,
+    localeFor,
+    sendEmail,
+    processEmailRetries,
+    retryDelivery,
+    startEmailRetryWorker,
+    stopEmailRetryWorker
+};
@@ -0,0 +1,138 @@
+// utils/emailTemplates.js
+// Named email templates. Each template has one renderer per locale that turns its data into
+// { subject, text, html }; the English version is the fallback for locales without a translation.
+// To translate a template, add a renderer under the locale code (e.g. my for Burmese) next to en.
+//
+// retry: whether a failed send may be retried later. Login codes and reset links are time-limited and
+// secret, so they are never stored for a retry; the user asks for a new one instead.
+
+const DEFAULT_LOCALE = 'en';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const paragraphs = (lines) => lines.map(line => `<p>${line}</p>`).join('');
+
+const TEMPLATES = {
+    otp: {
+        retry: false,
+        locales: {
+            en: ({ otp, ttlMinutes }) => ({
+                subject: 'FORS Login OTP',
+                text: `Your One-Time Password (OTP) for FORS login is: ${otp}. This OTP is valid for ${ttlMinutes} minutes.`,
+                html: paragraphs([
+                    `Your One-Time Password (OTP) for FORS login is: <strong>${escapeHtml(otp)}</strong>.`,
+                    `This OTP is valid for ${escapeHtml(ttlMinutes)} minutes.`
+                ])
+            })
+        }
+    },
+
+    // link is null when PASSWORD_RESET_URL is not configured; the token is sent on its own then
+    passwordReset: {
+        retry: false,
+        locales: {
+            en: ({ link, token, ttlMinutes }) => {
+                const expiry = `This link can be used once and expires in ${ttlMinutes} minutes. If you did not ask for a reset, ignore this email.`;
+                return {
+                    subject: 'FORS Password Reset',
+                    text: `${link ? `Reset your FORS password here: ${link}` : `Your FORS password reset code is: ${token}`}\n${expiry}`,
+                    html: paragraphs([
+                        link
+                            ? `<a href="${escapeHtml(link)}">Reset your FORS password</a>`
+                            : `Your FORS password reset code is: <strong>${escapeHtml(token)}</strong>`,
+                        escapeHtml(expiry)
+                    ])
+                };
+            }
+        }
+    },
+
+    invitation: {
+        retry: true,
+        locales: {
+            en: ({ fullName, email, appUrl, invitedBy, mustChangePassword }) => {
+                const lines = [
+                    `Hello ${fullName},`,
+                    `${invitedBy ? `${invitedBy} has` : 'An administrator has'} created a FORS account for you (${email}).`,
+                    appUrl
+                        ? `Sign in at ${appUrl} with the password your administrator gave you.`
+                        : 'Sign in with the password your administrator gave you.',
+                    mustChangePassword ? 'You will be asked to choose a new password after signing in.' : null
+                ].filter(Boolean);
+                return {
+                    subject: 'Your FORS account',
+                    text: lines.join('\n'),
+                    html: paragraphs(lines.map(escapeHtml))
+                };
+            }
+        }
+    },
+
+    // A single notification for users who chose email delivery (see utils/notifications.js)
+    notification: {
+        retry: true,
+        locales: {
+            en: ({ fullName, title, body, appUrl }) => {
+                const lines = [`Hello ${fullName},`, title, body, appUrl ? `Open FORS: ${appUrl}` : null].filter(Boolean);
+                return {
+                    subject: `FORS: ${title}`,
+                    text: lines.join('\n'),
+                    html: paragraphs([
+                        escapeHtml(`Hello ${fullName},`),
+                        `<strong>${escapeHtml(title)}</strong>`,
+                        body ? escapeHtml(body) : null,
+                        appUrl ? `<a href="${escapeHtml(appUrl)}">Open FORS</a>` : null
+                    ].filter(Boolean))
+                };
+            }
+        }
+    },
+
+    // items: [{ title, body, createdAt }]
+    digest: {
+        retry: true,
+        locales: {
+            en: ({ fullName, items, appUrl }) => {
+                const intro = `Hello ${fullName}, here is what happened in FORS since your last summary:`;
+                const footer = appUrl ? `Open FORS: ${appUrl}` : null;
+                return {
+                    subject: `FORS summary: ${items.length} update${items.length === 1 ? '' : 's'}`,
+                    text: [intro, ...items.map(item => `- ${item.title}${item.body ? `: ${item.body}` : ''}`), footer].filter(Boolean).join('\n'),
+                    html: [
+                        `<p>${escapeHtml(intro)}</p>`,
+                        `<ul>${items.map(item => `<li><strong>${escapeHtml(item.title)}</strong>${item.body ? ` ${escapeHtml(item.body)}` : ''}</li>`).join('')}</ul>`,
+                        footer ? `<p><a href="${escapeHtml(appUrl)}">Open FORS</a></p>` : ''
+                    ].join('')
+                };
+            }
+        }
+    }
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// Locales with at least one translated template
+const availableLocales = () => [...new Set(Object.values(TEMPLATES).flatMap(template => Object.keys(template.locales)))];
+
+// Renders a template into { subject, text, html }. Throws for unknown template names.
+const renderTemplate = (name, locale, data) => {
+    const template = TEMPLATES[name];
+    if (!template) throw new Error(`Unknown email template "${name}".`);
+    const render = template.locales[locale] || template.locales[DEFAULT_LOCALE];
+    return render(data);
+};
+
+const isRetryable = (name) => Boolean(TEMPLATES[name] && TEMPLATES[name].retry);
+
+module.exports = {
+    DEFAULT_LOCALE,
+    TEMPLATE_NAMES,
+    availableLocales,
+    renderTemplate,
+    isRetryable
+};
@@ -0,0 +1,79 @@
+// utils/emailTransports.js
+// Delivery backends for utils/email.js, selected with EMAIL_TRANSPORT:
+//
+//   smtp     nodemailer over SMTP_HOST/SMTP_PORT, or a well-known service (EMAIL_SERVICE, default gmail)
+//            authenticated with EMAIL_USER/EMAIL_PASS
+//   outbox   writes every message as a JSON file into EMAIL_OUTBOX_DIR (default ./outbox), for local
+//            development and tests
+//   console  prints messages to the log
+//
+// A transport is an object { name, send(message) } where message is { from, to, subject, text, html } and
+// send resolves to { messageId } or rejects when the message could not be handed over.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = () => {
+    const auth = process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined;
+    const transporter = nodemailer.createTransport(process.env.SMTP_HOST
+        ? {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth
+        }
+        : { service: process.env.EMAIL_SERVICE || 'gmail', auth });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const createOutboxTransport = (directory = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')) => ({
+    name: 'outbox',
+    directory,
+    async send(message) {
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(directory, `${messageId}.json`),
+            JSON.stringify({ messageId, createdAt: new Date().toISOString(), ...message }, null, 2)
+        );
+        return { messageId };
+    }
+});
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    async send(message) {
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        console.log(`[email] ${messageId} to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId };
+    }
+});
+
+const TRANSPORT_FACTORIES = {
+    smtp: createSmtpTransport,
+    outbox: createOutboxTransport,
+    console: createConsoleTransport
+};
+
+const createTransport = (name = process.env.EMAIL_TRANSPORT || 'smtp') => {
+    const factory = TRANSPORT_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORT_FACTORIES).join(', ')}.`);
+    }
+    return factory();
+};
+
+module.exports = {
+    createTransport,
+    createSmtpTransport,
+    createOutboxTransport,
+    createConsoleTransport
+};
@@ -0,0 +1,130 @@
+// utils/exporter.js
+// Writes tabular results as CSV, XLSX or JSON. Rows can be written in batches so large exports
+// stream to the client instead of being buffered in memory.
+const ExcelJS = require('exceljs');
+const { validationFailure } = require('../middleware/validateRequest');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Middleware factory: validates ?format= and stores the result on req.exportFormat
+const validateExportFormat = (defaultFormat = 'json') => (req, res, next) => {
+    const format = String(req.query.format || defaultFormat).toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json(validationFailure([
+            { location: 'query', field: 'format', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` }
+        ]));
+    }
+    req.exportFormat = format;
+    next();
+};
+
+const isNumeric = (value) => value.trim() !== '' && !Number.isNaN(Number(value));
+
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Prevent spreadsheet formula injection from user-entered text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !isNumeric(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRecord = (row, columns) => columns.reduce((acc, column) => {
+    const value = column.value ? column.value(row) : row[column.key];
+    acc[column.key] = value === undefined ? null : value;
+    return acc;
+}, {});
+
+// Resolves once the chunk has been flushed (or the client has gone away)
+const writeChunk = (res, chunk) => new Promise(resolve => {
+    if (res.write(chunk)) return resolve();
+    const done = () => {
+        res.removeListener('drain', done);
+        res.removeListener('close', done);
+        resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+});
+
+// Starts a streamed export on the response.
+// columns: [{ key, header, value?: (row) => any }]
+// Returns { writeRows(rows), end() }, both async.
+const createExportWriter = (res, format, { filename, columns, sheetName = 'Export' }) => {
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const worksheet = workbook.addWorksheet(sheetName);
+        worksheet.columns = columns.map(({ key, header }) => ({ key, header }));
+        return {
+            writeRows: async (rows) => {
+                rows.forEach(row => worksheet.addRow(toRecord(row, columns)).commit());
+            },
+            end: async () => {
+                worksheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+
+    if (format === 'csv') {
+        let started = false;
+        const ensureHeader = async () => {
+            if (started) return;
+            started = true;
+            await writeChunk(res, columns.map(column => escapeCsvValue(column.header)).join(',') + '\r\n');
+        };
+        return {
+            writeRows: async (rows) => {
+                await ensureHeader();
+                if (rows.length === 0) return;
+                const lines = rows.map(row => {
+                    const record = toRecord(row, columns);
+                    return columns.map(column => escapeCsvValue(record[column.key])).join(',');
+                });
+                await writeChunk(res, lines.join('\r\n') + '\r\n');
+            },
+            end: async () => {
+                await ensureHeader();
+                res.end();
+            }
+        };
+    }
+
+    let first = true;
+    return {
+        writeRows: async (rows) => {
+            if (rows.length === 0) return;
+            const body = rows.map(row => JSON.stringify(toRecord(row, columns))).join(',');
+            await writeChunk(res, (first ? '[' : ',') + body);
+            first = false;
+        },
+        end: async () => {
+            res.end(first ? '[]' : ']');
+        }
+    };
+};
+
+// Sends a complete, already-computed result set in the requested format
+const sendExport = async (res, format, options, rows) => {
+    const writer = createExportWriter(res, format, options);
+    await writer.writeRows(rows);
+    await writer.end();
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    validateExportFormat,
+    createExportWriter,
+    sendExport
+};
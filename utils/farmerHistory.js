@@ -0,0 +1,73 @@
+// utils/farmerHistory.js
+// Field-level revision history for farmer records. Each revision stores only the fields that changed,
+// as { column: { old, new } }, so the state at any revision can be rebuilt by undoing the newer ones.
+const { farmerRevisions } = require('../repositories');
+
+// Columns whose changes are tracked
+const TRACKED_FIELDS = [
+    'full_name', 'mobile_number', 'date_of_birth', 'age', 'gender', 'farmer_type_id', 'country_name',
+    'state_name', 'district_name', 'village_tract_name', 'village_name', 'project_id', 'latitude', 'longitude'
+];
+
+// How a revision came about
+const REVISION_SOURCES = {
+    UPDATE: 'UPDATE',
+    REVERT: 'REVERT',
+    MERGE: 'MERGE'
+};
+
+const normalize = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+// Lists the tracked fields that differ between two versions of a farmer
+const diffFarmer = (before, after) => TRACKED_FIELDS.reduce((changes, field) => {
+    if (normalize(before[field]) !== normalize(after[field])) {
+        changes[field] = { old: before[field] === undefined ? null : before[field], new: after[field] === undefined ? null : after[field] };
+    }
+    return changes;
+}, {});
+
+// Stores a revision when anything changed. Like the audit log, a failure is logged but does not fail
+// the request, since the farmer has already been updated by then.
+const recordFarmerRevision = async (req, farmerId, before, after, { source = REVISION_SOURCES.UPDATE, revertedToRevisionId = null } = {}) => {
+    const changes = diffFarmer(before, after);
+    if (Object.keys(changes).length === 0) return null;
+
+    try {
+        return await farmerRevisions.create({
+            farmer_id: farmerId,
+            changed_by_user_id: req.user.userId,
+            source,
+            changes,
+            reverted_to_revision_id: revertedToRevisionId
+        });
+    } catch (error) {
+        console.error('Error recording farmer revision:', error);
+        return null;
+    }
+};
+
+// Rebuilds the tracked fields of a farmer as they were right after a revision, given the current
+// record and every revision made after it (in any order).
+const farmerStateAtRevision = (currentFarmer, newerRevisions) => {
+    const state = TRACKED_FIELDS.reduce((acc, field) => {
+        acc[field] = currentFarmer[field] === undefined ? null : currentFarmer[field];
+        return acc;
+    }, {});
+
+    [...newerRevisions]
+        .sort((a, b) => Number(b.id) - Number(a.id))
+        .forEach(revision => {
+            Object.entries(revision.changes || {}).forEach(([field, change]) => {
+                if (TRACKED_FIELDS.includes(field)) state[field] = change.old;
+            });
+        });
+    return state;
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    REVISION_SOURCES,
+    diffFarmer,
+    recordFarmerRevision,
+    farmerStateAtRevision
+};
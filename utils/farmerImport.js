@@ -0,0 +1,176 @@
+// utils/farmerImport.js
+// Parsing, column mapping and row validation for bulk farmer imports (CSV/XLSX).
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { farmerImportRow } = require('../schemas/farmerSchemas');
+
+// Spreadsheet headers accepted for each farmer field. Headers are compared
+// case-insensitively with spaces, dashes and underscores removed.
+const COLUMN_ALIASES = {
+    fullName: ['fullname', 'name', 'farmername'],
+    mobileNumber: ['mobilenumber', 'mobile', 'phone', 'phonenumber'],
+    dateOfBirth: ['dateofbirth', 'dob', 'birthdate'],
+    age: ['age'],
+    gender: ['gender', 'sex'],
+    farmerTypeId: ['farmertypeid', 'typeid'],
+    farmerTypeName: ['farmertype', 'farmertypename', 'type', 'typename'],
+    projectId: ['projectid', 'project'],
+    countryName: ['countryname', 'country'],
+    stateName: ['statename', 'state'],
+    districtName: ['districtname', 'district'],
+    villageTractName: ['villagetractname', 'villagetract', 'tract'],
+    villageName: ['villagename', 'village'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'long', 'lng', 'lon']
+};
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[\s_\-.]/g, '');
+
+const HEADER_LOOKUP = Object.entries(COLUMN_ALIASES).reduce((acc, [field, aliases]) => {
+    aliases.forEach(alias => { acc[alias] = field; });
+    return acc;
+}, {});
+
+// Converts an ExcelJS cell value (dates, rich text, formulas, hyperlinks) into a plain value
+const plainCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return plainCellValue(value.result);
+        if (value.text !== undefined) return String(value.text);
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    }
+    return value;
+};
+
+const parseCsv = (buffer) => parse(buffer, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+});
+
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const headers = [];
+    worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+        headers[colNumber] = String(plainCellValue(cell.value)).trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const record = {};
+        headers.forEach((header, colNumber) => {
+            if (header) record[header] = plainCellValue(row.getCell(colNumber).value);
+        });
+        rows.push(record);
+    });
+    return rows;
+};
+
+// Parses an uploaded file into an array of raw row objects keyed by the original headers.
+// Throws an error with statusCode 400 for unsupported or unreadable files.
+const parseImportFile = async (file) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        const error = new Error(`Unsupported file type "${extension || 'unknown'}". Upload a .csv or .xlsx file.`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    try {
+        return extension === '.csv' ? parseCsv(file.buffer) : await parseXlsx(file.buffer);
+    } catch (parseError) {
+        const error = new Error(`Could not read the uploaded file: ${parseError.message}`);
+        error.statusCode = 400;
+        throw error;
+    }
+};
+
+// Maps a raw row to farmer fields using the header aliases. Unknown columns are ignored.
+const mapRow = (rawRow) => Object.entries(rawRow).reduce((acc, [header, value]) => {
+    const field = HEADER_LOOKUP[normalizeHeader(header)];
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (field && text !== '' && text !== null && text !== undefined) acc[field] = text;
+    return acc;
+}, {});
+
+const isBlankRow = (rawRow) => Object.values(rawRow).every(value => value === '' || value === null || value === undefined);
+
+// Validates mapped fields against the farmerImportRow schema and resolves references.
+// context: { farmerTypesById: Map, farmerTypesByName: Map (lower-cased names), projectIds: Set, allowedProjectIds: Set|null }
+// Returns { errors, record } where record is a farmers row ready for insert (minus added_by_user_id).
+const validateRow = (fields, context) => {
+    const { value, errors: fieldErrors } = farmerImportRow.validate(fields);
+    const errors = fieldErrors.map(error => error.message);
+    const invalid = new Set(fieldErrors.map(error => error.field));
+
+    if (!fields.fullName) errors.push('fullName is required.');
+
+    let farmerTypeId;
+    if (fields.farmerTypeId !== undefined) {
+        farmerTypeId = value.farmerTypeId;
+        if (!invalid.has('farmerTypeId') && !context.farmerTypesById.has(farmerTypeId)) {
+            errors.push(`Unknown farmerTypeId "${fields.farmerTypeId}".`);
+        }
+    } else if (fields.farmerTypeName !== undefined) {
+        const farmerType = context.farmerTypesByName.get(String(fields.farmerTypeName).toLowerCase());
+        if (!farmerType) {
+            errors.push(`Unknown farmer type "${fields.farmerTypeName}".`);
+        } else {
+            farmerTypeId = farmerType.id;
+        }
+    } else {
+        errors.push('farmerTypeId or farmer type name is required.');
+    }
+
+    const projectId = value.projectId;
+    if (fields.projectId === undefined) {
+        errors.push('projectId is required.');
+    } else if (!invalid.has('projectId')) {
+        if (!context.projectIds.has(projectId)) {
+            errors.push(`Unknown projectId "${fields.projectId}".`);
+        } else if (context.allowedProjectIds && !context.allowedProjectIds.has(projectId)) {
+            errors.push(`You can only add farmers to projects you are assigned to (projectId ${projectId}).`);
+        }
+    }
+
+    if (errors.length > 0) return { errors, record: null };
+
+    return {
+        errors,
+        record: {
+            full_name: value.fullName,
+            mobile_number: value.mobileNumber || null,
+            date_of_birth: value.dateOfBirth || null,
+            age: value.age !== undefined ? value.age : null,
+            gender: value.gender || null,
+            farmer_type_id: farmerTypeId,
+            country_name: value.countryName || null,
+            state_name: value.stateName || null,
+            district_name: value.districtName || null,
+            village_tract_name: value.villageTractName || null,
+            village_name: value.villageName || null,
+            project_id: projectId,
+            latitude: value.latitude !== undefined ? value.latitude : null,
+            longitude: value.longitude !== undefined ? value.longitude : null
+        }
+    };
+};
+
+module.exports = {
+    COLUMN_ALIASES,
+    parseImportFile,
+    mapRow,
+    isBlankRow,
+    validateRow
+};
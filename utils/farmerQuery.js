@@ -0,0 +1,163 @@
+// utils/farmerQuery.js
+// Shared parsing and query-building for farmer list endpoints (filters, search, sorting, paging).
+const { createSchema, custom, string, integer, id, date, oneOf } = require('./validation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Sortable fields, keyed by the camelCase name clients send
+const SORTABLE_FIELDS = {
+    fullName: 'full_name',
+    mobileNumber: 'mobile_number',
+    dateOfBirth: 'date_of_birth',
+    age: 'age',
+    gender: 'gender',
+    stateName: 'state_name',
+    districtName: 'district_name',
+    villageName: 'village_name',
+    dateAdded: 'date_added'
+};
+
+// Exact-match filters, keyed by query parameter
+const EQUALITY_FILTERS = {
+    gender: 'gender',
+    farmerTypeId: 'farmer_type_id',
+    projectId: 'project_id',
+    countryName: 'country_name',
+    stateName: 'state_name',
+    districtName: 'district_name',
+    villageTractName: 'village_tract_name',
+    villageName: 'village_name'
+};
+
+// Genders accepted on farmer records and in the gender filter (compared case-insensitively)
+const GENDERS = ['Male', 'Female', 'Other'];
+
+// Strips characters that have meaning inside a PostgREST or() filter or an ilike pattern
+const sanitizeSearchTerm = (term) => term.replace(/[%_,()*\\"]/g, ' ').trim();
+
+// date_added is a timestamp, so a date-only upper bound has to take in the whole of that day:
+// dateAddedTo=2026-10-19 becomes date_added < 2026-10-20. Bounds with a time are kept as they are.
+const addDateAddedUpperBound = (range, dateAddedTo) => {
+    if (dateAddedTo.length === 10) {
+        const nextDay = new Date(`${dateAddedTo}T00:00:00Z`);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+        range.lt = nextDay.toISOString().slice(0, 10);
+    } else {
+        range.lte = dateAddedTo;
+    }
+};
+
+// Parses ?sort=fullName:asc,dateAdded:desc into [{ column, ascending }]
+const sortRule = custom((sort) => {
+    const parts = String(sort).split(',').map(part => part.trim()).filter(Boolean);
+    const order = [];
+    for (const part of parts) {
+        const [field, direction = 'asc'] = part.split(':');
+        const column = SORTABLE_FIELDS[field];
+        if (!column) {
+            return { error: `cannot use "${field}". Allowed fields: ${Object.keys(SORTABLE_FIELDS).join(', ')}.` };
+        }
+        if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+            return { error: `direction for "${field}" must be "asc" or "desc".` };
+        }
+        order.push({ column, ascending: direction.toLowerCase() === 'asc' });
+    }
+    return { value: order };
+});
+
+// Query string of the farmer list and export endpoints
+const farmerListQuerySchema = createSchema({
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1 }),
+    sort: sortRule,
+    search: string({ max: 100 }),
+    gender: oneOf(GENDERS, { ignoreCase: true }),
+    farmerTypeId: id(),
+    projectId: id(),
+    countryName: string({ max: 255 }),
+    stateName: string({ max: 255 }),
+    districtName: string({ max: 255 }),
+    villageTractName: string({ max: 255 }),
+    villageName: string({ max: 255 }),
+    dateAddedFrom: date(),
+    dateAddedTo: date(),
+    minAge: integer({ min: 0 }),
+    maxAge: integer({ min: 0 })
+}, {
+    checks: [
+        ({ minAge, maxAge }) => (minAge !== undefined && maxAge !== undefined && minAge > maxAge
+            ? { field: 'minAge', message: 'minAge cannot be greater than maxAge.' }
+            : null),
+        ({ dateAddedFrom, dateAddedTo }) => (dateAddedFrom && dateAddedTo && new Date(dateAddedFrom) > new Date(dateAddedTo)
+            ? { field: 'dateAddedFrom', message: 'dateAddedFrom cannot be after dateAddedTo.' }
+            : null)
+    ]
+});
+
+// Parses the query string of a farmer list request.
+// Returns { filters, sort, page, limit, errors }; routes validate with farmerListQuerySchema first, so errors
+// is normally empty.
+const parseFarmerListQuery = (query = {}) => {
+    const { value, errors } = farmerListQuerySchema.validate(query);
+    const filters = { equals: {}, ranges: {} };
+
+    Object.keys(EQUALITY_FILTERS).forEach(param => {
+        if (value[param] !== undefined) filters.equals[EQUALITY_FILTERS[param]] = value[param];
+    });
+    ['dateAddedFrom', 'dateAddedTo', 'minAge', 'maxAge'].forEach(param => {
+        if (value[param] !== undefined) filters.ranges[param] = value[param];
+    });
+
+    if (value.search) {
+        const term = sanitizeSearchTerm(value.search);
+        if (term) filters.search = term;
+    }
+
+    const page = value.page || 1;
+    const limit = Math.min(value.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const sort = value.sort && value.sort.length > 0 ? value.sort : [{ column: 'date_added', ascending: false }];
+
+    return { filters, sort, page, limit, errors };
+};
+
+// Turns parsed filters and search into a repository where clause
+const buildFarmerWhere = (filters) => {
+    const where = { ...filters.equals };
+
+    const { dateAddedFrom, dateAddedTo, minAge, maxAge } = filters.ranges;
+    if (dateAddedFrom || dateAddedTo) {
+        where.date_added = {};
+        if (dateAddedFrom) where.date_added.gte = dateAddedFrom;
+        if (dateAddedTo) addDateAddedUpperBound(where.date_added, dateAddedTo);
+    }
+    if (minAge !== undefined || maxAge !== undefined) {
+        where.age = {};
+        if (minAge !== undefined) where.age.gte = minAge;
+        if (maxAge !== undefined) where.age.lte = maxAge;
+    }
+
+    if (filters.search) {
+        where.or = [
+            { full_name: { ilike: `%${filters.search}%` } },
+            { mobile_number: { ilike: `%${filters.search}%` } }
+        ];
+    }
+    return where;
+};
+
+// Multi-column sorting, with id as a tie-breaker so pages are stable
+const buildFarmerOrder = (sort) => [
+    ...sort.map(({ column, ascending }) => ({ column, ascending, nullsFirst: false })),
+    { column: 'id', ascending: true }
+];
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    GENDERS,
+    farmerListQuerySchema,
+    parseFarmerListQuery,
+    buildFarmerWhere,
+    buildFarmerOrder
+};
@@ -0,0 +1,122 @@
+// utils/loginProtection.js
+// Failed sign-in tracking per account. Wrong passwords and wrong OTPs count as failures for the email they
+// target, whether or not an account exists, so responses do not reveal which emails are registered.
+// From the second failure on, the next login must wait 1, 2, 4 ... seconds (capped at a minute); after
+// LOGIN_MAX_FAILURES failures within LOGIN_FAILURE_WINDOW_MINUTES the email is locked for LOGIN_LOCKOUT_MINUTES.
+// A successful sign-in or a password reset clears the record; admins can clear it through /api/lockouts.
+//
+// Failures are counted with the store's atomic increment and the lockout is decided from the incremented
+// value, so parallel attempts cannot overwrite each other's counts. Each email uses three keys:
+//
+//     account:<email>          { email, failures, lastFailureAt, nextAttemptAt }, for the delay and the listing
+//     account-count:<email>    the failure counter
+//     account-lock:<email>     { email, failures, lockedUntil } while the email is locked
+const { getRateLimitStore } = require('./rateLimitStore');
+
+const ACCOUNT_KEY_PREFIX = 'account:';
+const COUNT_KEY_PREFIX = 'account-count:';
+const LOCK_KEY_PREFIX = 'account-lock:';
+const MAX_DELAY_SECONDS = 60;
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const loginProtectionSettings = () => ({
+    maxFailures: positiveNumber(process.env.LOGIN_MAX_FAILURES, 5),
+    failureWindowMs: positiveNumber(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * 60 * 1000,
+    lockoutMs: positiveNumber(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000
+});
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const accountKey = (email) => `${ACCOUNT_KEY_PREFIX}${normalizeEmail(email)}`;
+const countKey = (email) => `${COUNT_KEY_PREFIX}${normalizeEmail(email)}`;
+const lockKey = (email) => `${LOCK_KEY_PREFIX}${normalizeEmail(email)}`;
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+// Resolves to null when the email may sign in now, otherwise to { locked, retryAfterSeconds } where locked
+// tells a lockout from a progressive delay. Store errors are logged and let the attempt through.
+const checkAccountLock = async (email) => {
+    try {
+        const store = getRateLimitStore();
+        const now = Date.now();
+        const lock = await store.get(lockKey(email));
+        if (lock && lock.lockedUntil > now) {
+            return { locked: true, retryAfterSeconds: secondsUntil(lock.lockedUntil) };
+        }
+
+        const record = await store.get(accountKey(email));
+        if (record && record.nextAttemptAt && record.nextAttemptAt > now) {
+            return { locked: false, retryAfterSeconds: secondsUntil(record.nextAttemptAt) };
+        }
+        return null;
+    } catch (error) {
+        console.error('Error reading login failures:', error);
+        return null;
+    }
+};
+
+// Counts a failed password or OTP for an email and applies the delay or lockout it earns
+const recordLoginFailure = async (email) => {
+    const { maxFailures, failureWindowMs, lockoutMs } = loginProtectionSettings();
+    const store = getRateLimitStore();
+    try {
+        const { count: failures } = await store.increment(countKey(email), failureWindowMs);
+        const now = Date.now();
+        const record = { email: normalizeEmail(email), failures, lastFailureAt: now, nextAttemptAt: null };
+
+        if (failures >= maxFailures) {
+            // The counter starts over once the lock is in place, so the next lockout needs maxFailures again
+            await store.set(lockKey(email), { email: record.email, failures, lockedUntil: now + lockoutMs }, lockoutMs);
+            await store.delete(countKey(email));
+            await store.set(accountKey(email), record, lockoutMs);
+        } else {
+            if (failures >= 2) record.nextAttemptAt = now + Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS) * 1000;
+            await store.set(accountKey(email), record, failureWindowMs);
+        }
+    } catch (error) {
+        console.error('Error recording login failure:', error);
+    }
+};
+
+const clearLoginFailures = async (email) => {
+    try {
+        const store = getRateLimitStore();
+        await Promise.all([accountKey(email), countKey(email), lockKey(email)].map(key => store.delete(key)));
+    } catch (error) {
+        console.error('Error clearing login failures:', error);
+    }
+};
+
+// Emails with recorded failures, lockouts first
+const listLoginFailures = async () => {
+    const store = getRateLimitStore();
+    const [records, locks] = await Promise.all([store.list(ACCOUNT_KEY_PREFIX), store.list(LOCK_KEY_PREFIX)]);
+    const locksByEmail = new Map(locks.map(({ value }) => [value.email, value]));
+    const recordsByEmail = new Map(records.map(({ value }) => [value.email, value]));
+    const now = Date.now();
+    return [...new Set([...recordsByEmail.keys(), ...locksByEmail.keys()])]
+        .map(email => {
+            const record = recordsByEmail.get(email);
+            const lock = locksByEmail.get(email);
+            const locked = Boolean(lock && lock.lockedUntil > now);
+            return {
+                email,
+                failures: record ? record.failures : lock.failures,
+                locked,
+                lockedUntil: locked ? new Date(lock.lockedUntil).toISOString() : null,
+                nextAttemptAt: record && record.nextAttemptAt ? new Date(record.nextAttemptAt).toISOString() : null,
+                lastFailureAt: record ? new Date(record.lastFailureAt).toISOString() : null
+            };
+        })
+        .sort((a, b) => Number(b.locked) - Number(a.locked) || b.failures - a.failures);
+};
+
+module.exports = {
+    checkAccountLock,
+    recordLoginFailure,
+    clearLoginFailures,
+    listLoginFailures
+};
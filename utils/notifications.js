@@ -0,0 +1,175 @@
+// utils/notifications.js
+// Notifications about events that concern a user: being added to or removed from a project, a change of
+// project role, an edit to a farmer record they added and new chat messages. Each type is delivered in the
+// app (GET /api/notifications) and/or by email, as chosen in the user's preferences; types without a stored
+// preference use DEFAULT_PREFERENCES. Users are never notified of their own actions.
+const { users, projects, notifications, notificationPreferences } = require('../repositories');
+const { sendEmail } = require('./email');
+const { MEMBERSHIP_EVENTS, diffMemberships } = require('./projectMembership');
+const { diffFarmer } = require('./farmerHistory');
+
+const NOTIFICATION_TYPES = Object.freeze({
+    PROJECT_ASSIGNED: 'PROJECT_ASSIGNED',
+    PROJECT_ROLE_CHANGED: 'PROJECT_ROLE_CHANGED',
+    PROJECT_REMOVED: 'PROJECT_REMOVED',
+    FARMER_UPDATED: 'FARMER_UPDATED',
+    CHAT_MESSAGE: 'CHAT_MESSAGE'
+});
+
+const DEFAULT_PREFERENCES = Object.freeze({
+    PROJECT_ASSIGNED: { inApp: true, email: true },
+    PROJECT_ROLE_CHANGED: { inApp: true, email: false },
+    PROJECT_REMOVED: { inApp: true, email: false },
+    FARMER_UPDATED: { inApp: true, email: false },
+    CHAT_MESSAGE: { inApp: true, email: false }
+});
+
+const CHAT_PREVIEW_LENGTH = 200;
+
+// Every type with the user's delivery choice: [{ type, inApp, email, isDefault }]
+const getPreferences = async (userId) => {
+    const stored = await notificationPreferences.find({ select: 'type, in_app, email', where: { user_id: userId } });
+    const byType = new Map(stored.map(row => [row.type, row]));
+    return Object.values(NOTIFICATION_TYPES).map(type => {
+        const row = byType.get(type);
+        return row
+            ? { type, inApp: row.in_app, email: row.email, isDefault: false }
+            : { type, ...DEFAULT_PREFERENCES[type], isDefault: true };
+    });
+};
+
+// Changes how one type is delivered to a user; options left out keep their current value.
+// Resolves to { type, inApp, email, isDefault }.
+const setPreference = async (userId, type, { inApp, email }) => {
+    const current = (await getPreferences(userId)).find(preference => preference.type === type);
+    const row = await notificationPreferences.upsert(userId, type, {
+        in_app: inApp !== undefined ? inApp : current.inApp,
+        email: email !== undefined ? email : current.email
+    });
+    return { type, inApp: row.in_app, email: row.email, isDefault: false };
+};
+
+// Delivers one notification to each recipient as their preferences say. Emails go out in the background
+// (failures end up in email_deliveries). Like the audit log, a failure is logged but does not fail the
+// request, since the change it reports has already been made. Resolves to the stored notifications.
+const notify = async (req, recipientIds, { type, title, body = null, data = null }) => {
+    const actorId = req.user ? req.user.userId : null;
+    const userIds = [...new Set(recipientIds.map(String))].filter(userId => userId !== String(actorId));
+    if (userIds.length === 0) return [];
+
+    try {
+        const stored = await notificationPreferences.findForUsers(userIds, type);
+        const preferences = new Map(stored.map(row => [String(row.user_id), { inApp: row.in_app, email: row.email }]));
+        const preferenceOf = (userId) => preferences.get(userId) || DEFAULT_PREFERENCES[type];
+
+        const created = await notifications.createMany(userIds
+            .filter(userId => preferenceOf(userId).inApp)
+            .map(userId => ({ user_id: userId, type, title, body, data, actor_user_id: actorId })));
+
+        const emailIds = userIds.filter(userId => preferenceOf(userId).email);
+        if (emailIds.length > 0) {
+            const recipients = await users.find({
+                select: 'id, full_name, email, activation_status, is_active',
+                where: { id: emailIds, deleted_at: null }
+            });
+            recipients
+                .filter(user => user.activation_status && user.is_active)
+                .forEach(user => sendEmail('notification', user.email, {
+                    fullName: user.full_name,
+                    title,
+                    body,
+                    appUrl: process.env.APP_URL || null
+                }));
+        }
+        return created;
+    } catch (error) {
+        console.error(`Error sending ${type} notifications:`, error);
+        return [];
+    }
+};
+
+// Notifies the users who joined, left or changed role in a project, given its memberships before and
+// after a change (lists of { user_id, project_role }, as for recordMembershipChanges)
+const notifyMembershipChanges = async (req, projectId, before, after) => {
+    const events = diffMemberships(before, after);
+    if (events.length === 0) return;
+
+    try {
+        const project = await projects.findById(projectId, { select: 'id, name' });
+        const name = project ? project.name : `project ${projectId}`;
+        const data = { projectId: Number(projectId) };
+        const describe = (event) => {
+            if (event.event === MEMBERSHIP_EVENTS.JOINED) {
+                return {
+                    type: NOTIFICATION_TYPES.PROJECT_ASSIGNED,
+                    title: `You were added to ${name}`,
+                    body: `Your project role is ${event.project_role}.`,
+                    data: { ...data, projectRole: event.project_role }
+                };
+            }
+            if (event.event === MEMBERSHIP_EVENTS.ROLE_CHANGED) {
+                return {
+                    type: NOTIFICATION_TYPES.PROJECT_ROLE_CHANGED,
+                    title: `Your role in ${name} changed`,
+                    body: `Your project role is now ${event.project_role} (was ${event.previous_role}).`,
+                    data: { ...data, projectRole: event.project_role, previousRole: event.previous_role }
+                };
+            }
+            return { type: NOTIFICATION_TYPES.PROJECT_REMOVED, title: `You were removed from ${name}`, data };
+        };
+
+        // Users with the same change share one notify call
+        const groups = new Map();
+        events.forEach(event => {
+            const key = `${event.event}:${event.project_role}:${event.previous_role}`;
+            if (!groups.has(key)) groups.set(key, { notification: describe(event), userIds: [] });
+            groups.get(key).userIds.push(event.user_id);
+        });
+        for (const { notification, userIds } of groups.values()) {
+            await notify(req, userIds, notification);
+        }
+    } catch (error) {
+        console.error('Error sending project membership notifications:', error);
+    }
+};
+
+// Tells the user who added a farmer record that someone else changed it
+const notifyFarmerUpdated = async (req, before, after) => {
+    const changedFields = Object.keys(diffFarmer(before, after));
+    if (!before.added_by_user_id || changedFields.length === 0) return;
+
+    await notify(req, [before.added_by_user_id], {
+        type: NOTIFICATION_TYPES.FARMER_UPDATED,
+        title: `Farmer record ${after.full_name} was updated`,
+        body: `Changed: ${changedFields.map(field => field.replace(/_/g, ' ')).join(', ')}.`,
+        data: { farmerId: after.id, changedFields }
+    });
+};
+
+// Tells the receiver of a chat message about it, with the start of the message
+const notifyChatMessage = async (req, chat) => {
+    try {
+        const sender = await users.findById(chat.sender_id, { select: 'full_name' });
+        const text = chat.message || 'Sent an attachment.';
+        const preview = text.length > CHAT_PREVIEW_LENGTH ? `${text.slice(0, CHAT_PREVIEW_LENGTH - 1)}…` : text;
+        await notify(req, [chat.receiver_id], {
+            type: NOTIFICATION_TYPES.CHAT_MESSAGE,
+            title: `New message from ${sender ? sender.full_name : 'a colleague'}`,
+            body: preview,
+            data: { chatId: chat.id, senderId: chat.sender_id }
+        });
+    } catch (error) {
+        console.error('Error sending chat notification:', error);
+    }
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DEFAULT_PREFERENCES,
+    getPreferences,
+    setPreference,
+    notify,
+    notifyMembershipChanges,
+    notifyFarmerUpdated,
+    notifyChatMessage
+};
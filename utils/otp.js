@@ -0,0 +1,163 @@
+// utils/otp.js
+// Login OTPs. Every login attempt opens a challenge (otp_challenges) holding an HMAC of a 6-digit code drawn
+// from crypto.randomInt. Codes expire after OTP_TTL_MINUTES; a challenge accepts at most OTP_MAX_ATTEMPTS
+// verifications, after which the user has to log in again. Resending replaces the code of the same challenge,
+// at most every OTP_RESEND_INTERVAL_SECONDS and OTP_MAX_SENDS times in total, and keeps the attempt count.
+// Users who chose an authenticator app get a TOTP challenge instead: no code is sent or stored, and the code
+// from the app (or a recovery code) is checked against their enrolment with the same attempt limits.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { otpChallenges } = require('../repositories');
+const { SECOND_FACTORS, verifyTotpCode, useRecoveryCode } = require('./totp');
+
+const OTP_LENGTH = 6;
+
+const DEFAULTS = {
+    ttlMinutes: 10,
+    maxAttempts: 5,
+    resendIntervalSeconds: 60,
+    maxSends: 5
+};
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const otpSettings = () => ({
+    ttlMinutes: positiveNumber(process.env.OTP_TTL_MINUTES, DEFAULTS.ttlMinutes),
+    maxAttempts: positiveNumber(process.env.OTP_MAX_ATTEMPTS, DEFAULTS.maxAttempts),
+    resendIntervalSeconds: positiveNumber(process.env.OTP_RESEND_INTERVAL_SECONDS, DEFAULTS.resendIntervalSeconds),
+    maxSends: positiveNumber(process.env.OTP_MAX_SENDS, DEFAULTS.maxSends)
+});
+
+const generateOtp = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+// Keyed with the server secret so that a leaked table cannot be brute-forced offline over the small code space
+const hashOtp = (challengeId, otp) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${challengeId}:${otp}`)
+    .digest('hex');
+
+const otpMatches = (challenge, otp) => Boolean(challenge.otp_hash) && crypto.timingSafeEqual(
+    Buffer.from(hashOtp(challenge.id, otp), 'hex'),
+    Buffer.from(challenge.otp_hash, 'hex')
+);
+
+// Checks the code of a challenge against its second factor
+const challengeCodeMatches = (challenge, { otp, recoveryCode }) => {
+    if (challenge.method === SECOND_FACTORS.TOTP) {
+        return recoveryCode ? useRecoveryCode(challenge.user_id, recoveryCode) : verifyTotpCode(challenge.user_id, otp);
+    }
+    return Boolean(otp) && otpMatches(challenge, otp);
+};
+
+const expiryFromNow = (now = new Date()) => new Date(now.getTime() + otpSettings().ttlMinutes * 60 * 1000).toISOString();
+
+// Public view of a challenge, returned by login and resend-otp
+const challengeResponse = (challenge) => ({
+    challengeId: challenge.id,
+    method: challenge.method,
+    expiresAt: challenge.expires_at
+});
+
+// Opens a challenge for a user who passed the password check. Resolves to { challenge, otp }, where otp is
+// the code to email (null for TOTP challenges).
+const createChallenge = async (req, userId, method = SECOND_FACTORS.EMAIL) => {
+    const id = uuidv4();
+    const otp = method === SECOND_FACTORS.EMAIL ? generateOtp() : null;
+    const now = new Date();
+    const challenge = await otpChallenges.create({
+        id,
+        user_id: userId,
+        method,
+        otp_hash: otp ? hashOtp(id, otp) : null,
+        ip_address: req.ip || null,
+        created_at: now.toISOString(),
+        last_sent_at: now.toISOString(),
+        expires_at: expiryFromNow(now)
+    });
+    return { challenge, otp };
+};
+
+// Checks { otp } or, for TOTP challenges, { recoveryCode }. Resolves to { challenge } when it matches (the
+// challenge is consumed and cannot be reused), otherwise to { status, error } for the response, plus
+// attemptsRemaining and the userId of the challenge after a wrong code.
+const verifyChallenge = async (challengeId, codes) => {
+    const { maxAttempts } = otpSettings();
+    const challenge = await otpChallenges.findOpen(challengeId);
+    if (!challenge) {
+        return { status: 400, error: 'Invalid or expired OTP. Please log in again.' };
+    }
+    if (new Date(challenge.expires_at) <= new Date()) {
+        return { status: 400, error: 'OTP has expired. Request a new one.' };
+    }
+
+    const attempt = await otpChallenges.reserveAttempt(challenge, maxAttempts);
+    if (!attempt) {
+        return { status: 429, error: 'Too many failed attempts. Please log in again.' };
+    }
+
+    if (!(await challengeCodeMatches(attempt, codes))) {
+        const attemptsRemaining = maxAttempts - attempt.attempts;
+        return attemptsRemaining > 0
+            ? { status: 400, error: 'Invalid OTP.', attemptsRemaining, userId: attempt.user_id }
+            : { status: 429, error: 'Too many failed attempts. Please log in again.', attemptsRemaining, userId: attempt.user_id };
+    }
+
+    const consumed = await otpChallenges.consume(attempt.id);
+    if (!consumed) {
+        return { status: 400, error: 'Invalid or expired OTP. Please log in again.' };
+    }
+    return { challenge: consumed };
+};
+
+// Replaces the code of an open challenge. Resolves to { challenge, otp }, or to { status, error } and
+// retryAfterSeconds when the resend limits are hit.
+const resendChallenge = async (challengeId) => {
+    const { maxAttempts, resendIntervalSeconds, maxSends } = otpSettings();
+    const challenge = await otpChallenges.findOpen(challengeId);
+    if (!challenge) {
+        return { status: 400, error: 'Invalid or expired login attempt. Please log in again.' };
+    }
+    if (challenge.method !== SECOND_FACTORS.EMAIL) {
+        return { status: 400, error: 'This login uses your authenticator app. Enter its current code or a recovery code.' };
+    }
+    if (challenge.attempts >= maxAttempts) {
+        return { status: 429, error: 'Too many failed attempts. Please log in again.' };
+    }
+    if (challenge.send_count >= maxSends) {
+        return { status: 429, error: 'OTP resend limit reached. Please log in again.' };
+    }
+
+    const now = new Date();
+    const nextSendAt = new Date(challenge.last_sent_at).getTime() + resendIntervalSeconds * 1000;
+    if (nextSendAt > now.getTime()) {
+        const retryAfterSeconds = Math.ceil((nextSendAt - now.getTime()) / 1000);
+        return { status: 429, error: `Please wait ${retryAfterSeconds} seconds before requesting a new OTP.`, retryAfterSeconds };
+    }
+
+    // Conditional on last_sent_at so that parallel resends send a single code
+    const otp = generateOtp();
+    const [updated] = await otpChallenges.updateWhere(
+        { id: challenge.id, consumed_at: null, last_sent_at: challenge.last_sent_at },
+        {
+            otp_hash: hashOtp(challenge.id, otp),
+            send_count: challenge.send_count + 1,
+            last_sent_at: now.toISOString(),
+            expires_at: expiryFromNow(now)
+        }
+    );
+    if (!updated) {
+        return { status: 429, error: `Please wait ${resendIntervalSeconds} seconds before requesting a new OTP.`, retryAfterSeconds: resendIntervalSeconds };
+    }
+    return { challenge: updated, otp };
+};
+
+module.exports = {
+    otpSettings,
+    challengeResponse,
+    createChallenge,
+    verifyChallenge,
+    resendChallenge
+};
@@ -0,0 +1,51 @@
+// utils/passwordReset.js
+// Forgot-password tokens: 32 random bytes sent to the user's email, stored as a SHA-256 hash and valid once
+// for PASSWORD_RESET_TTL_MINUTES. Requesting a new link discards the previous ones.
+const crypto = require('crypto');
+const { passwordResetTokens } = require('../repositories');
+
+const DEFAULT_TTL_MINUTES = 30;
+
+const resetTtlMinutes = () => {
+    const minutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES;
+};
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The link emailed to the user. Without PASSWORD_RESET_URL the email only contains the token.
+const resetLink = (token) => {
+    if (!process.env.PASSWORD_RESET_URL) return null;
+    const url = new URL(process.env.PASSWORD_RESET_URL);
+    url.searchParams.set('token', token);
+    return url.toString();
+};
+
+// Issues a reset token for a user. Resolves to { token, expiresAt }.
+const issueResetToken = async (req, userId) => {
+    await passwordResetTokens.discardUnused(userId);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + resetTtlMinutes() * 60 * 1000).toISOString();
+    await passwordResetTokens.create({
+        user_id: userId,
+        token_hash: hashResetToken(token),
+        ip_address: req.ip || null,
+        expires_at: expiresAt
+    });
+    return { token, expiresAt };
+};
+
+// Uses up a reset token. Resolves to the token row (with user_id), or null when it is invalid, expired or used.
+const consumeResetToken = async (token) => {
+    const resetToken = await passwordResetTokens.findUsable(hashResetToken(token));
+    if (!resetToken) return null;
+    return passwordResetTokens.consume(resetToken.id);
+};
+
+module.exports = {
+    resetTtlMinutes,
+    resetLink,
+    issueResetToken,
+    consumeResetToken
+};
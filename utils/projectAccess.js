@@ -0,0 +1,85 @@
+// utils/projectAccess.js
+// Project-level access. Admins can do everything in every project. Other users need the global permission
+// for an action (checked by authorizePermission) and a project role that grants the matching capability
+// in the project the action touches.
+const { projectMembers } = require('../repositories');
+
+// Roles a member can hold within a project (project_users.project_role)
+const PROJECT_ROLES = {
+    MANAGER: 'MANAGER',
+    ENUMERATOR: 'ENUMERATOR',
+    VIEWER: 'VIEWER'
+};
+
+const DEFAULT_PROJECT_ROLE = PROJECT_ROLES.ENUMERATOR;
+
+// What a project role allows inside its project
+const PROJECT_CAPABILITIES = {
+    VIEW: 'VIEW', // See the project, its farmers and trainings
+    ADD_FARMERS: 'ADD_FARMERS',
+    EDIT_FARMERS: 'EDIT_FARMERS',
+    DELETE_FARMERS: 'DELETE_FARMERS', // Also restore farmers from the trash
+    MERGE_FARMERS: 'MERGE_FARMERS',
+    MANAGE_TRAININGS: 'MANAGE_TRAININGS', // Create, edit and delete trainings and sessions
+    RECORD_ATTENDANCE: 'RECORD_ATTENDANCE',
+    ANALYZE: 'ANALYZE',
+    MANAGE_TEAM: 'MANAGE_TEAM' // Add and remove members and change their project roles
+};
+
+const ROLE_CAPABILITIES = {
+    [PROJECT_ROLES.MANAGER]: Object.values(PROJECT_CAPABILITIES),
+    [PROJECT_ROLES.ENUMERATOR]: [
+        PROJECT_CAPABILITIES.VIEW,
+        PROJECT_CAPABILITIES.ADD_FARMERS,
+        PROJECT_CAPABILITIES.EDIT_FARMERS,
+        PROJECT_CAPABILITIES.RECORD_ATTENDANCE,
+        PROJECT_CAPABILITIES.ANALYZE
+    ],
+    [PROJECT_ROLES.VIEWER]: [
+        PROJECT_CAPABILITIES.VIEW,
+        PROJECT_CAPABILITIES.ANALYZE
+    ]
+};
+
+// Project roles that grant the given capability
+const rolesWithCapability = (capability) => Object.keys(ROLE_CAPABILITIES)
+    .filter(projectRole => ROLE_CAPABILITIES[projectRole].includes(capability));
+
+// Returns the IDs of the projects the given user is assigned to, optionally only those where their
+// project role grants the given capability.
+const getAssignedProjectIds = (userId, capability = null) => projectMembers.findProjectIds(
+    userId,
+    capability ? rolesWithCapability(capability) : null
+);
+
+// Checks whether the given user is assigned to the given project (with a role granting capability, if given).
+const isAssignedToProject = (userId, projectId, capability = null) => projectMembers.isMember(
+    projectId,
+    userId,
+    capability ? rolesWithCapability(capability) : null
+);
+
+// The projects a user works within: null for Admins (every project), otherwise the IDs of the projects they
+// are assigned to with a project role granting capability, when one is given (possibly none)
+const getProjectScope = async (user, capability = null) => {
+    if (user.roleName === 'Admin') return null;
+    return getAssignedProjectIds(user.userId, capability);
+};
+
+// Admins can access every project; other users only the projects they are assigned to, with a project
+// role granting capability when one is given.
+const canAccessProject = async (user, projectId, capability = null) => {
+    if (user.roleName === 'Admin') return true;
+    return isAssignedToProject(user.userId, projectId, capability);
+};
+
+module.exports = {
+    PROJECT_ROLES,
+    DEFAULT_PROJECT_ROLE,
+    PROJECT_CAPABILITIES,
+    ROLE_CAPABILITIES,
+    getAssignedProjectIds,
+    getProjectScope,
+    isAssignedToProject,
+    canAccessProject
+};
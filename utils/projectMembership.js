@@ -0,0 +1,56 @@
+// utils/projectMembership.js
+// Membership history of projects. Routes read the affected memberships before and after a change and
+// recordMembershipChanges stores one event per user who joined, left or got a different project role.
+const { projectMembershipEvents } = require('../repositories');
+
+const MEMBERSHIP_EVENTS = {
+    JOINED: 'JOINED',
+    LEFT: 'LEFT',
+    ROLE_CHANGED: 'ROLE_CHANGED'
+};
+
+// Compares two lists of { user_id, project_role } and returns the events that lead from one to the other
+const diffMemberships = (before, after) => {
+    const beforeRoles = new Map(before.map(row => [String(row.user_id), row]));
+    const afterRoles = new Map(after.map(row => [String(row.user_id), row]));
+    const events = [];
+
+    afterRoles.forEach((row, userId) => {
+        const previous = beforeRoles.get(userId);
+        if (!previous) {
+            events.push({ user_id: row.user_id, event: MEMBERSHIP_EVENTS.JOINED, project_role: row.project_role, previous_role: null });
+        } else if (previous.project_role !== row.project_role) {
+            events.push({ user_id: row.user_id, event: MEMBERSHIP_EVENTS.ROLE_CHANGED, project_role: row.project_role, previous_role: previous.project_role });
+        }
+    });
+    beforeRoles.forEach((row, userId) => {
+        if (!afterRoles.has(userId)) {
+            events.push({ user_id: row.user_id, event: MEMBERSHIP_EVENTS.LEFT, project_role: row.project_role, previous_role: null });
+        }
+    });
+    return events;
+};
+
+// Stores the membership events of a change. Like the audit log, a failure is logged but does not fail
+// the request, since the memberships have already been changed by then.
+const recordMembershipChanges = async (req, projectId, before, after) => {
+    const events = diffMemberships(before, after);
+    if (events.length === 0) return [];
+
+    try {
+        return await projectMembershipEvents.createMany(events.map(event => ({
+            ...event,
+            project_id: projectId,
+            changed_by_user_id: req.user.userId
+        })));
+    } catch (error) {
+        console.error('Error recording project membership history:', error);
+        return [];
+    }
+};
+
+module.exports = {
+    MEMBERSHIP_EVENTS,
+    diffMemberships,
+    recordMembershipChanges
+};
@@ -0,0 +1,93 @@
+// utils/rateLimitStore.js
+// Storage behind the authentication rate limits and lockouts (middleware/rateLimit.js, utils/loginProtection.js).
+// The default store keeps counters in process memory, which is enough for a single API instance. With several
+// instances, plug in a shared store (e.g. Redis) at startup with setRateLimitStore(store). A store implements:
+//
+//     get(key)                   -> value or null when missing or expired
+//     set(key, value, ttlMs)     -> stores a JSON-serialisable value that expires after ttlMs
+//     increment(key, windowMs)   -> { count, resetAt }: adds one to a counter that starts a window of windowMs
+//                                   on its first hit (resetAt is a timestamp in ms). Must be atomic (e.g. Redis
+//                                   INCR), since lockouts are decided from the returned count.
+//     delete(key)
+//     list(prefix)               -> [{ key, value }] of the live entries whose key starts with prefix
+//
+// Every method may return a promise.
+
+// Expired entries are dropped when read, and swept once the map grows past this size
+const SWEEP_THRESHOLD = 10000;
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    read(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    write(key, value, expiresAt) {
+        this.entries.set(key, { value, expiresAt });
+        if (this.entries.size > SWEEP_THRESHOLD) this.sweep();
+    }
+
+    sweep() {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        });
+    }
+
+    async get(key) {
+        const entry = this.read(key);
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value, ttlMs) {
+        this.write(key, value, Date.now() + ttlMs);
+    }
+
+    async increment(key, windowMs) {
+        const entry = this.read(key);
+        if (!entry) {
+            const resetAt = Date.now() + windowMs;
+            this.write(key, 1, resetAt);
+            return { count: 1, resetAt };
+        }
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async list(prefix) {
+        const now = Date.now();
+        const matches = [];
+        this.entries.forEach((entry, key) => {
+            if (key.startsWith(prefix) && entry.expiresAt > now) matches.push({ key, value: entry.value });
+        });
+        return matches;
+    }
+}
+
+let store = new MemoryRateLimitStore();
+
+const getRateLimitStore = () => store;
+
+// Replaces the store, e.g. with a Redis-backed implementation shared by every API instance
+const setRateLimitStore = (nextStore) => {
+    store = nextStore;
+};
+
+module.exports = {
+    MemoryRateLimitStore,
+    getRateLimitStore,
+    setRateLimitStore
+};
@@ -0,0 +1,104 @@
+// utils/realtime.js
+// Live connections of signed-in users, kept in process memory. Transports (the chat socket in
+// utils/chatSocket.js) register each open connection here; routes push events to users through
+// sendToUsers without knowing how they are connected. A connection is any object with send(event).
+//
+// Presence is only shared between contacts: the transport passes the IDs of the users someone shares a
+// conversation, project or chat group with when it registers their connection, and only those users are told
+// when they come online or go offline.
+//
+// Connections only exist on the instance the client is connected to. With several API instances behind a
+// load balancer, route the chat socket to one instance (sticky sessions) or relay events between instances.
+const connections = new Map(); // userId -> Set of connections
+const contacts = new Map(); // userId -> contact IDs given with their latest connection
+
+const isOnline = (userId) => connections.has(String(userId));
+
+// IDs of the connected users, or of those among userIds when given
+const onlineUserIds = (userIds = null) => (userIds
+    ? [...new Set(userIds.map(String))].filter(isOnline)
+    : [...connections.keys()]);
+
+const sendToUsers = (userIds, event) => {
+    new Set(userIds.map(String)).forEach(userId => {
+        (connections.get(userId) || []).forEach(connection => connection.send(event));
+    });
+};
+
+const broadcast = (event, { exceptUserId = null } = {}) => {
+    connections.forEach((userConnections, userId) => {
+        if (userId === String(exceptUserId)) return;
+        userConnections.forEach(connection => connection.send(event));
+    });
+};
+
+// Registers a connection. A user's first connection announces them online to their contacts.
+const addConnection = (userId, connection, { contactIds = [] } = {}) => {
+    const key = String(userId);
+    const wasOnline = connections.has(key);
+    if (!wasOnline) connections.set(key, new Set());
+    connections.get(key).add(connection);
+    contacts.set(key, contactIds.map(String).filter(contactId => contactId !== key));
+    if (!wasOnline) sendToUsers(contacts.get(key), { type: 'presence', userId: key, online: true });
+};
+
+// Unregisters a connection. When a user's last connection closes they are announced offline to their contacts.
+const removeConnection = (userId, connection) => {
+    const key = String(userId);
+    const userConnections = connections.get(key);
+    if (!userConnections || !userConnections.delete(connection)) return;
+    if (userConnections.size === 0) {
+        connections.delete(key);
+        sendToUsers(contacts.get(key) || [], { type: 'presence', userId: key, online: false });
+        contacts.delete(key);
+    }
+};
+
+// Delivers a new chat message to the receiver and to the sender's other open connections
+const publishChatMessage = (chat) => {
+    sendToUsers([chat.receiver_id, chat.sender_id], { type: 'message', chat });
+};
+
+// Tells both users of a conversation that a message was edited or deleted
+const publishChatUpdate = (chat) => {
+    sendToUsers([chat.receiver_id, chat.sender_id], { type: 'message_updated', chat });
+};
+
+// Delivers a message posted to a chat group to every member's open connections
+const publishGroupMessage = (memberIds, chat) => {
+    sendToUsers(memberIds, { type: 'group_message', groupId: chat.group_id, chat });
+};
+
+// Tells the senders of chat messages that receiverId's app received (status 'delivered') or read them.
+// rows are updated chats ({ id, sender_id, delivered_at or read_at }); each sender gets one event for theirs.
+const publishReceipts = (receiverId, status, rows) => {
+    const column = status === 'read' ? 'read_at' : 'delivered_at';
+    const bySender = new Map();
+    rows.forEach(row => {
+        const senderId = String(row.sender_id);
+        if (!bySender.has(senderId)) bySender.set(senderId, []);
+        bySender.get(senderId).push(row);
+    });
+    bySender.forEach((senderRows, senderId) => {
+        sendToUsers([senderId], {
+            type: 'receipt',
+            status,
+            userId: String(receiverId),
+            chatIds: senderRows.map(row => row.id),
+            at: senderRows[0][column]
+        });
+    });
+};
+
+module.exports = {
+    isOnline,
+    onlineUserIds,
+    sendToUsers,
+    broadcast,
+    addConnection,
+    removeConnection,
+    publishChatMessage,
+    publishChatUpdate,
+    publishGroupMessage,
+    publishReceipts
+};
@@ -0,0 +1,112 @@
+// utils/sessions.js
+// Sign-in sessions with rotating refresh tokens. verify-otp opens a session and returns a short-lived
+// access token (a JWT carrying the session id) together with an opaque refresh token. Only the SHA-256
+// hash of the refresh token is stored. Every refresh replaces it, and presenting a token that was
+// already rotated out revokes the whole session, since it means the token was copied.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { userSessions } = require('../repositories');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const SESSION_REVOKE_REASONS = {
+    LOGOUT: 'LOGOUT',
+    LOGOUT_ALL: 'LOGOUT_ALL',
+    ADMIN: 'ADMIN',
+    TOKEN_REUSE: 'TOKEN_REUSE',
+    ACCOUNT_CHANGE: 'ACCOUNT_CHANGE'
+};
+
+const refreshTokenTtlMs = () => {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+    return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Signs an access token for user ({ id, email, roleName }) in the given session.
+// Returns { token, expiresAt } where expiresAt is an ISO timestamp.
+const signAccessToken = (user, sessionId) => {
+    const token = jwt.sign(
+        { userId: user.id, email: user.email, roleName: user.roleName, sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+    );
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+};
+
+// Response fields shared by verify-otp and refresh
+const tokenResponse = (accessToken, refreshToken, session) => ({
+    token: accessToken.token,
+    expiresAt: accessToken.expiresAt,
+    refreshToken,
+    refreshTokenExpiresAt: session.expires_at,
+    sessionId: session.id
+});
+
+// Opens a session for user ({ id, email, roleName }) signing in through req
+const startSession = async (req, user) => {
+    const refreshToken = generateRefreshToken();
+    const now = new Date();
+    const session = await userSessions.create({
+        user_id: user.id,
+        refresh_token_hash: hashToken(refreshToken),
+        user_agent: (req.get('user-agent') || '').slice(0, 255) || null,
+        ip_address: req.ip || null,
+        created_at: now.toISOString(),
+        last_used_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + refreshTokenTtlMs()).toISOString()
+    });
+    return tokenResponse(signAccessToken(user, session.id), refreshToken, session);
+};
+
+// Exchanges a refresh token for a new access token and refresh token. loadUser(userId) resolves to
+// { id, email, roleName } or null when the account can no longer sign in.
+// Resolves to { tokens, session } on success or { error } with a message for a 401 response.
+const rotateSession = async (refreshToken, loadUser) => {
+    const tokenHash = hashToken(refreshToken);
+    const session = await userSessions.findByTokenHash(tokenHash);
+
+    if (!session) {
+        const reusedSession = await userSessions.findByPreviousTokenHash(tokenHash);
+        if (reusedSession && !reusedSession.revoked_at) {
+            await userSessions.revoke(reusedSession.id, SESSION_REVOKE_REASONS.TOKEN_REUSE);
+            return { error: 'Refresh token has already been used. The session has been revoked; please sign in again.', session: reusedSession };
+        }
+        return { error: 'Invalid refresh token.' };
+    }
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return { error: 'Session has expired or was revoked. Please sign in again.' };
+    }
+
+    const user = await loadUser(session.user_id);
+    if (!user) {
+        await userSessions.revoke(session.id, SESSION_REVOKE_REASONS.ACCOUNT_CHANGE);
+        return { error: 'User is inactive or not found.' };
+    }
+
+    // Only replace the hash the session still holds, so two refreshes racing with the same token cannot both win
+    const nextRefreshToken = generateRefreshToken();
+    const [rotated] = await userSessions.updateWhere(
+        { id: session.id, refresh_token_hash: tokenHash, revoked_at: null },
+        { refresh_token_hash: hashToken(nextRefreshToken), previous_token_hash: tokenHash, last_used_at: new Date().toISOString() }
+    );
+    if (!rotated) {
+        return { error: 'Invalid refresh token.' };
+    }
+
+    return { tokens: tokenResponse(signAccessToken(user, rotated.id), nextRefreshToken, rotated), session: rotated };
+};
+
+// Closes every open session of a user, e.g. after their password changes or the account is disabled
+const revokeUserSessions = (userId, reason, options) => userSessions.revokeAllForUser(userId, reason, options);
+
+module.exports = {
+    SESSION_REVOKE_REASONS,
+    startSession,
+    rotateSession,
+    revokeUserSessions
+};
@@ -0,0 +1,21 @@
+// utils/softDelete.js
+// Farmers, users and projects are soft-deleted: rows keep their data and are flagged with
+// deleted_at/deleted_by. Every list, dashboard and analysis query filters them out with
+// .is('deleted_at', null); they only show up in the trash listings until restored or purged.
+
+// Column values that move a row to the trash
+const softDeleteFields = (userId, deletedAt = new Date().toISOString()) => ({
+    deleted_at: deletedAt,
+    deleted_by: userId
+});
+
+// Column values that bring a row back from the trash
+const RESTORE_FIELDS = {
+    deleted_at: null,
+    deleted_by: null
+};
+
+module.exports = {
+    softDeleteFields,
+    RESTORE_FIELDS
+};
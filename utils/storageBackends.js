@@ -0,0 +1,80 @@
+// utils/storageBackends.js
+// File storage backends for uploaded files (chat attachments), selected with STORAGE_BACKEND:
+//
+//   local     files under STORAGE_LOCAL_DIR (default ./uploads) on the API server's disk. Use a shared volume
+//             when running several instances.
+//   supabase  object storage in the Supabase Storage bucket STORAGE_BUCKET (default attachments), through the
+//             client in config/supabaseClient.js. Create the bucket as private; files are served through the API.
+//
+// A backend is an object { name, put(key, buffer, { contentType }), get(key), remove(keys) }. get resolves to a
+// Buffer and rejects with an error whose code is 'NOT_FOUND' when the key does not exist; remove ignores
+// missing keys. Keys are generated by the API (e.g. chats/2026/10/<uuid>.jpg), never taken from clients.
+const fs = require('fs');
+const path = require('path');
+
+const notFound = (key) => Object.assign(new Error(`Stored file "${key}" not found.`), { code: 'NOT_FOUND' });
+
+const createLocalStorage = (directory = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads')) => {
+    const filePath = (key) => path.join(directory, ...key.split('/'));
+    return {
+        name: 'local',
+        directory,
+        async put(key, buffer) {
+            await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+            await fs.promises.writeFile(filePath(key), buffer, { flag: 'wx' });
+        },
+        async get(key) {
+            try {
+                return await fs.promises.readFile(filePath(key));
+            } catch (error) {
+                throw error.code === 'ENOENT' ? notFound(key) : error;
+            }
+        },
+        async remove(keys) {
+            await Promise.all(keys.map(key => fs.promises.unlink(filePath(key)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            })));
+        }
+    };
+};
+
+const createSupabaseStorage = (bucket = process.env.STORAGE_BUCKET || 'attachments') => {
+    const files = () => require('../config/supabaseClient').storage.from(bucket);
+    return {
+        name: 'supabase',
+        bucket,
+        async put(key, buffer, { contentType } = {}) {
+            const { error } = await files().upload(key, buffer, { contentType, upsert: false });
+            if (error) throw error;
+        },
+        async get(key) {
+            const { data, error } = await files().download(key);
+            if (error) throw (error.statusCode === '404' || error.status === 404 ? notFound(key) : error);
+            return Buffer.from(await data.arrayBuffer());
+        },
+        async remove(keys) {
+            if (keys.length === 0) return;
+            const { error } = await files().remove(keys);
+            if (error) throw error;
+        }
+    };
+};
+
+const STORAGE_FACTORIES = {
+    local: createLocalStorage,
+    supabase: createSupabaseStorage
+};
+
+const createStorage = (name = process.env.STORAGE_BACKEND || 'local') => {
+    const factory = STORAGE_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(STORAGE_FACTORIES).join(', ')}.`);
+    }
+    return factory();
+};
+
+module.exports = {
+    createStorage,
+    createLocalStorage,
+    createSupabaseStorage
+};
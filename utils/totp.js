@@ -0,0 +1,178 @@
+// utils/totp.js
+// Authenticator-app second factor (RFC 6238 TOTP: HMAC-SHA1, 6 digits, 30-second steps). Users enrol in two
+// steps: setup returns a secret and an otpauth:// provisioning URI for the app's QR scanner, and enabling
+// with a first valid code turns it on and hands out single-use recovery codes.
+//
+// Secrets are stored encrypted with AES-256-GCM under MFA_ENCRYPTION_KEY (falling back to JWT_SECRET);
+// recovery codes are stored as keyed hashes. A code is accepted for the current step and one step either
+// side, and never twice.
+const crypto = require('crypto');
+const { userTotp, recoveryCodes } = require('../repositories');
+
+const SECOND_FACTORS = {
+    EMAIL: 'EMAIL',
+    TOTP: 'TOTP'
+};
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1; // Steps of clock drift tolerated either side
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+// iv.tag.ciphertext, each base64url
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+const totpAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+const codesEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// The step a code belongs to within the drift window, or null when it matches none
+const matchingStep = (secret, code) => {
+    const step = currentStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+        if (codesEqual(totpAt(secret, step + offset), code)) return step + offset;
+    }
+    return null;
+};
+
+const provisioningUri = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || 'FORS';
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes look like ABCDE-FGHIJ; they are compared without the dash and case-insensitively
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toUpperCase();
+
+const hashRecoveryCode = (code) => crypto
+    .createHmac('sha256', encryptionKey())
+    .update(normalizeRecoveryCode(code))
+    .digest('hex');
+
+const generateRecoveryCode = () => {
+    const text = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${text.slice(0, 5)}-${text.slice(5)}`;
+};
+
+// Starts (or restarts) an enrolment. Resolves to { secret, otpauthUri }; the secret is not active until
+// enableTotp succeeds.
+const startTotpSetup = async (user) => {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await userTotp.removeForUser(user.id);
+    await userTotp.create({ user_id: user.id, secret_encrypted: encryptSecret(secret) });
+    return { secret, otpauthUri: provisioningUri(secret, user.email) };
+};
+
+// Issues a fresh set of recovery codes. Resolves to the plain codes, which are only shown once.
+const regenerateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    await recoveryCodes.replaceForUser(userId, codes.map(hashRecoveryCode));
+    return codes;
+};
+
+// Checks a code against the user's secret and burns its time step. pending allows the secret of an
+// enrolment that has not been enabled yet.
+const verifyTotpCode = async (userId, code, { pending = false } = {}) => {
+    const enrolment = pending ? await userTotp.findByUser(userId) : await userTotp.findEnabled(userId);
+    if (!enrolment) return false;
+
+    const step = matchingStep(decryptSecret(enrolment.secret_encrypted), code);
+    if (step === null) return false;
+    return Boolean(await userTotp.markStepUsed(userId, step));
+};
+
+// Finishes enrolment with the first code from the app. Resolves to the recovery codes, or null when the
+// code is wrong or no setup was started.
+const enableTotp = async (userId, code) => {
+    const enrolment = await userTotp.findByUser(userId);
+    if (!enrolment || enrolment.enabled_at) return null;
+    if (!(await verifyTotpCode(userId, code, { pending: true }))) return null;
+
+    await userTotp.updateWhere({ user_id: userId }, { enabled_at: new Date().toISOString() });
+    return regenerateRecoveryCodes(userId);
+};
+
+const useRecoveryCode = async (userId, code) => Boolean(await recoveryCodes.consume(userId, hashRecoveryCode(code)));
+
+// Removes the enrolment and recovery codes (the caller switches the user back to email OTPs)
+const removeTotp = async (userId) => {
+    await userTotp.removeForUser(userId);
+    await recoveryCodes.removeForUser(userId);
+};
+
+module.exports = {
+    SECOND_FACTORS,
+    startTotpSetup,
+    enableTotp,
+    verifyTotpCode,
+    useRecoveryCode,
+    regenerateRecoveryCodes,
+    removeTotp
+};
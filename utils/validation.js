@@ -0,0 +1,169 @@
+// utils/validation.js
+// Small declarative validator used for request bodies, params and query strings, and for import rows.
+//
+// A schema maps field names to rules built with the factories below:
+//
+//     const farmerTypeBody = createSchema({ name: string({ required: true, max: 100 }) });
+//     const { value, errors } = farmerTypeBody.validate(req.body);
+//
+// errors is a list of { field, message } covering every failing field; value holds the validated fields,
+// with numbers, booleans and trimmed strings converted to their proper types. Missing optional fields
+// (undefined, null or an empty string) are left out of value. Unknown fields are ignored.
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Wraps a check into a rule. check(value) returns { value } when valid or { error } with a message
+// that follows the field name, e.g. 'must be a positive integer.'
+const createRule = (check, { required = false } = {}) => ({ required, check });
+
+// With trim: false the value is kept exactly as sent (passwords)
+const string = ({ required, min, max, pattern, patternMessage, trim = true } = {}) => createRule((value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string.' };
+    const text = trim ? String(value).trim() : String(value);
+    if (min !== undefined && text.length < min) return { error: `must be at least ${min} characters long.` };
+    if (max !== undefined && text.length > max) return { error: `must be at most ${max} characters long.` };
+    if (pattern && !pattern.test(text)) return { error: patternMessage || 'has an invalid format.' };
+    return { value: text };
+}, { required });
+
+const number = ({ required, min, max, integer = false } = {}) => createRule((value) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return { error: 'must be a number.' };
+    if (integer && !Number.isInteger(parsed)) return { error: 'must be an integer.' };
+    if (min !== undefined && max !== undefined && (parsed < min || parsed > max)) {
+        return { error: `must be between ${min} and ${max}.` };
+    }
+    if (min !== undefined && parsed < min) return { error: `must be at least ${min}.` };
+    if (max !== undefined && parsed > max) return { error: `must be at most ${max}.` };
+    return { value: parsed };
+}, { required });
+
+const integer = (options = {}) => number({ ...options, integer: true });
+
+// Identity keys of tables such as projects, roles and farmer_types
+const id = ({ required } = {}) => createRule((value) => {
+    const parsed = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(parsed) || parsed < 1) return { error: 'must be a positive integer.' };
+    return { value: parsed };
+}, { required });
+
+// UUID keys of users and farmers
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const uuid = ({ required } = {}) => string({ required, pattern: UUID_PATTERN, patternMessage: 'must be a valid UUID.' });
+
+const boolean = ({ required } = {}) => createRule((value) => {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: 'must be true or false.' };
+}, { required });
+
+// Dates as sent by clients: YYYY-MM-DD or a full ISO 8601 timestamp
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const date = ({ required } = {}) => createRule((value) => {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(text).getTime())) {
+        return { error: 'must be a valid date (YYYY-MM-DD).' };
+    }
+    return { value: text };
+}, { required });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const email = ({ required } = {}) => createRule((value) => {
+    if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim()) || value.trim().length > 255) {
+        return { error: 'must be a valid email address.' };
+    }
+    return { value: value.trim() };
+}, { required });
+
+// One of a fixed list of values. With ignoreCase the value is returned in the casing of the list.
+const oneOf = (allowed, { required, ignoreCase = false } = {}) => createRule((value) => {
+    const match = allowed.find(option => (ignoreCase
+        ? String(option).toLowerCase() === String(value).trim().toLowerCase()
+        : option === value));
+    if (match === undefined) return { error: `must be one of: ${allowed.join(', ')}.` };
+    return { value: match };
+}, { required });
+
+const arrayOf = (itemRule, { required, min, max, unique = false } = {}) => createRule((value) => {
+    if (!Array.isArray(value)) return { error: 'must be an array.' };
+    if (min !== undefined && value.length < min) {
+        return { error: min === 1 ? 'must not be empty.' : `must contain at least ${min} items.` };
+    }
+    if (max !== undefined && value.length > max) return { error: `must contain at most ${max} items.` };
+
+    const items = [];
+    for (let index = 0; index < value.length; index += 1) {
+        const result = isMissing(value[index]) ? { error: 'must not be empty.' } : itemRule.check(value[index]);
+        if (result.error) return { error: `item ${index + 1} ${result.error}` };
+        items.push(result.value);
+    }
+    if (unique && new Set(items.map(String)).size !== items.length) return { error: 'must not contain duplicates.' };
+    return { value: items };
+}, { required });
+
+// A rule with a hand-written check, for formats the factories above do not cover
+const custom = (check, { required } = {}) => createRule(check, { required });
+
+// Builds a schema from field rules. checks are cross-field rules run once every field is valid; each receives
+// the validated value and returns an error { field, message } or nothing.
+const createSchema = (fields, { checks = [] } = {}) => ({
+    fields,
+    checks,
+    validate(input = {}) {
+        const source = input || {};
+        const value = {};
+        const errors = [];
+
+        Object.entries(fields).forEach(([field, rule]) => {
+            const raw = source[field];
+            if (isMissing(raw)) {
+                if (rule.required) errors.push({ field, message: `${field} is required.` });
+                return;
+            }
+            const result = rule.check(raw);
+            if (result.error) {
+                errors.push({ field, message: `${field} ${result.error}` });
+            } else {
+                value[field] = result.value;
+            }
+        });
+
+        if (errors.length === 0) {
+            checks.forEach(check => {
+                const error = check(value);
+                if (error) errors.push(error);
+            });
+        }
+        return { value, errors };
+    }
+});
+
+// A schema with extra or overridden fields, e.g. an update body where nothing is required
+const extendSchema = (schema, fields = {}, { checks = [] } = {}) => createSchema({ ...schema.fields, ...fields }, { checks: [...schema.checks, ...checks] });
+
+// The same fields with the required flags removed
+const partialSchema = (schema) => createSchema(
+    Object.entries(schema.fields).reduce((acc, [field, rule]) => {
+        acc[field] = { ...rule, required: false };
+        return acc;
+    }, {}),
+    { checks: schema.checks }
+);
+
+module.exports = {
+    createRule,
+    createSchema,
+    extendSchema,
+    partialSchema,
+    string,
+    number,
+    integer,
+    id,
+    uuid,
+    boolean,
+    date,
+    email,
+    oneOf,
+    arrayOf,
+    custom
+};